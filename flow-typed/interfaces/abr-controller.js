@@ -0,0 +1,15 @@
+//@flow
+import VideoTrack from '../../src/track/video-track';
+
+declare interface IAbrControllerStatic {
+  +id: string;
+  createAbrController(config: PKAbrConfigObject): IAbrController;
+}
+
+declare interface IAbrController {
+  addBandwidthSample(bytes: number, duration: number): void;
+  getBandwidthEstimate(): number;
+  chooseVideoTrack(videoTracks: Array<VideoTrack>, state: PKAbrStateObject): ?VideoTrack;
+  reset(): void;
+  destroy(): void;
+}
@@ -33,6 +33,8 @@ declare interface IEngine extends FakeEventTarget {
   hideTextTrack(): void;
   enableAdaptiveBitrate(): void;
   isAdaptiveBitrateEnabled(): boolean;
+  isAbrTargetSupported(): boolean;
+  setAbrTarget(videoTrack: VideoTrack): void;
   seekToLiveEdge(): void;
   getStartTimeOfDvrWindow(): number;
   isLive(): boolean;
@@ -27,6 +27,7 @@ declare interface IMediaSourceAdapter extends FakeEventTarget {
   hideTextTrack(): void;
   enableAdaptiveBitrate(): void;
   isAdaptiveBitrateEnabled(): boolean;
+  setAbrTarget(videoTrack: VideoTrack): void;
   seekToLiveEdge(): void;
   isLive(): boolean;
   getStartTimeOfDvrWindow(): number;
@@ -0,0 +1,6 @@
+//@flow
+declare interface IStorageAdapter {
+  getItem(key: string): ?string;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
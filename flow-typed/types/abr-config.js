@@ -1,6 +1,14 @@
 // @flow
 declare type PKAbrConfigObject = {
+  enabled: boolean,
   fpsDroppedMonitoringThreshold: number,
   fpsDroppedFramesInterval: number,
-  capLevelOnFPSDrop: boolean
+  capLevelOnFPSDrop: boolean,
+  capLevelToPlayerSize: boolean,
+  defaultBandwidthEstimate: number,
+  restrictions: {
+    minBitrate: number,
+    maxBitrate: number
+  },
+  controller: string
 };
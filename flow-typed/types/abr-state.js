@@ -0,0 +1,12 @@
+// @flow
+import VideoTrack from '../../src/track/video-track';
+
+declare type PKAbrStateObject = {
+  activeVideoTrack: ?VideoTrack,
+  bandwidthEstimate: number,
+  bufferLevel: number,
+  playerWidth: number,
+  playerHeight: number,
+  droppedFrames: number,
+  decodedFrames: number
+};
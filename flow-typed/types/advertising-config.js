@@ -0,0 +1,46 @@
+// @flow
+declare type PKAdSourceObject = {
+  url?: string,
+  response?: string
+};
+
+declare type PKAdBreakObject = {
+  id?: string,
+  position: number,
+  percent?: number,
+  ads: Array<PKAdSourceObject>
+};
+
+declare type PKAdTagObject = {
+  type: string,
+  url?: string,
+  response?: string
+};
+
+declare type PKAdvertisingConfigObject = {
+  adTag?: PKAdTagObject,
+  adBreaks: Array<PKAdBreakObject>
+};
+
+declare type PKVastMediaFileObject = {
+  url: string,
+  contentType: string,
+  width: number,
+  height: number,
+  bitrate: number
+};
+
+declare type PKVastAdObject = {
+  id: string,
+  sequence: number,
+  adSystem: string,
+  title: string,
+  duration: number,
+  skipOffset: number,
+  clickThroughUrl: string,
+  mediaFiles: Array<PKVastMediaFileObject>,
+  impressions: Array<string>,
+  errors: Array<string>,
+  tracking: {[event: string]: Array<string>},
+  wrapperUrl?: string
+};
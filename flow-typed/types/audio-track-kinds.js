@@ -0,0 +1,2 @@
+// @flow
+declare type PKAudioTrackKinds = {[kind: string]: string};
@@ -0,0 +1,20 @@
+// @flow
+declare type PKBookmarkObject = {
+  position: number,
+  duration: number,
+  timestamp: number
+};
+
+declare type PKBookmarkBackendObject = {
+  load: (entryId: string) => Promise<?PKBookmarkObject>,
+  save: (entryId: string, bookmark: PKBookmarkObject) => Promise<void>
+};
+
+declare type PKBookmarkConfigObject = {
+  enabled: boolean,
+  saveInterval: number,
+  nearEndSeconds: number,
+  nearEndPercent: number,
+  storageKeyPrefix: string,
+  backend?: PKBookmarkBackendObject
+};
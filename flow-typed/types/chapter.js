@@ -0,0 +1,14 @@
+// @flow
+declare type PKChapterObject = {
+  id: string,
+  title: string,
+  startTime: number,
+  endTime: number
+};
+
+declare type PKChapterConfigObject = {
+  id?: string,
+  title: string,
+  startTime: number,
+  endTime?: number
+};
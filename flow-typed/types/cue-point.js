@@ -0,0 +1,25 @@
+// @flow
+declare type PKCuePointTypes = {[type: string]: string};
+
+declare type PKCuePointObject = {
+  id: string,
+  type: string,
+  class?: string,
+  startTime: number,
+  endTime: number,
+  startDate?: number,
+  endDate?: number,
+  attributes: {[name: string]: any}
+};
+
+declare type PKCuePointFilterObject = {
+  type?: string,
+  class?: string,
+  startTime?: number,
+  endTime?: number
+};
+
+declare type PKProgramDateTimeObject = {
+  time: number,
+  date: number
+};
@@ -4,5 +4,7 @@ declare type PKExternalCaptionObject = {
   label: string,
   language: string,
   default: ?boolean,
-  type: ?string
+  type: ?string,
+  offset: ?number,
+  kind?: string
 };
@@ -0,0 +1,11 @@
+// @flow
+declare type PKFailoverConfigObject = {
+  enabled: boolean,
+  maxAttempts: number
+};
+
+declare type PKSourceCandidateObject = {
+  engine: string,
+  format: string,
+  source: PKMediaSourceObject
+};
@@ -0,0 +1,28 @@
+// @flow
+declare type PKMetadataTypes = {[type: string]: string};
+
+declare type PKId3FrameObject = {
+  key: string,
+  data: string | Uint8Array,
+  description?: string,
+  owner?: string,
+  mimeType?: string,
+  filename?: string
+};
+
+declare type PKMetadataCueObject = {
+  id: string,
+  type: string,
+  startTime: number,
+  endTime: number,
+  frames: Array<PKId3FrameObject>,
+  schemeIdUri?: string,
+  value?: string,
+  data?: Uint8Array
+};
+
+declare type PKMetadataCueFilterObject = {
+  type?: string,
+  startTime?: number,
+  endTime?: number
+};
@@ -2,6 +2,8 @@
 declare type PKPlaybackConfigObject = {
   audioLanguage: string,
   textLanguage: string,
+  audioDescription: boolean,
+  audioDescriptionDucking: number,
   useNativeTextTrack: boolean,
   volume: number,
   playsinline: boolean,
@@ -11,6 +13,7 @@ declare type PKPlaybackConfigObject = {
   allowMutedAutoPlay: boolean,
   muted: boolean,
   pictureInPicture: boolean,
+  middlewareTimeout: number,
   streamPriority: Array<PKStreamPriorityObject>,
   preferNative: PKPreferNativeConfigObject,
   inBrowserFullscreen: boolean,
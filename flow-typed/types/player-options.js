@@ -5,5 +5,11 @@ declare type PKPlayerOptionsObject = {
   sources?: PKSourcesConfigObject,
   session?: PKSessionConfigObject,
   network?: PKNetworkConfigObject,
-  customLabels?: PKCustomLabelsConfigObject
+  customLabels?: PKCustomLabelsConfigObject,
+  playlist?: PKPlaylistConfigObject,
+  advertising?: PKAdvertisingConfigObject,
+  qoe?: PKQoeConfigObject,
+  preferences?: PKPreferencesConfigObject,
+  bookmark?: PKBookmarkConfigObject,
+  failover?: PKFailoverConfigObject
 };
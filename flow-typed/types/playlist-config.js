@@ -0,0 +1,20 @@
+// @flow
+declare type PKPlaylistItemObject = {
+  sources: PKSourcesConfigObject
+};
+
+declare type PKPlaylistOptionsObject = {
+  autoContinue: boolean,
+  loop: boolean,
+  shuffle: boolean
+};
+
+declare type PKPlaylistCountdownOptionsObject = {
+  duration: number
+};
+
+declare type PKPlaylistConfigObject = {
+  items: Array<PKPlaylistItemObject>,
+  options: PKPlaylistOptionsObject,
+  countdown: PKPlaylistCountdownOptionsObject
+};
@@ -0,0 +1,5 @@
+// @flow
+declare type PKPreferencesConfigObject = {
+  keys: Array<string>,
+  storageKey: string
+};
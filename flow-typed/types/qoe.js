@@ -0,0 +1,26 @@
+// @flow
+declare type PKQoeConfigObject = {
+  beaconInterval: number
+};
+
+declare type PKQoeBitrateSwitchObject = {
+  timestamp: number,
+  currentTime: number,
+  bitrate: number,
+  width: number,
+  height: number
+};
+
+declare type PKQoeReportObject = {
+  startupTime: number,
+  rebufferCount: number,
+  rebufferDuration: number,
+  seekCount: number,
+  averageSeekLatency: number,
+  lastSeekLatency: number,
+  bitrateSwitches: Array<PKQoeBitrateSwitchObject>,
+  droppedFrames: number,
+  decodedFrames: number,
+  fpsDropCount: number,
+  errors: {[category: string]: number}
+};
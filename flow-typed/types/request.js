@@ -1,6 +1,6 @@
 // @flow
 declare type PKRequestObject = {
   url: string,
-  body: string | null,
+  body: string | ArrayBuffer | $ArrayBufferView | null,
   headers: {[header: string]: string}
 };
@@ -9,5 +9,7 @@ declare type PKSourcesConfigObject = {
   metadata: PKMetadataConfigObject,
   id?: string,
   poster?: string,
-  duration?: number
+  duration?: number,
+  chapters?: string | Array<PKChapterConfigObject>,
+  thumbnails?: string
 };
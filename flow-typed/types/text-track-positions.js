@@ -0,0 +1,2 @@
+// @flow
+declare type PKTextTrackPositions = {[position: string]: string};
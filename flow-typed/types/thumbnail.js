@@ -0,0 +1,31 @@
+// @flow
+declare type PKThumbnailObject = {
+  url: string,
+  x: number,
+  y: number,
+  width: number,
+  height: number,
+  startTime: number,
+  endTime: number
+};
+
+declare type PKThumbnailSetObject = {
+  startTime: number,
+  endTime: number,
+  imageDuration: number,
+  tileDuration: number,
+  columns: number,
+  rows: number,
+  width: number,
+  height: number,
+  urls?: Array<string>,
+  urlTemplate?: string,
+  startNumber?: number
+};
+
+declare type PKImageStreamObject = {
+  url: string,
+  width: number,
+  height: number,
+  bandwidth: number
+};
@@ -0,0 +1,8 @@
+// @flow
+declare type PKTranscriptHitObject = {
+  index: number,
+  startTime: number,
+  endTime: number,
+  text: string,
+  cue: Object
+};
@@ -43,6 +43,10 @@ module.exports = function (config) {
       {
         pattern: 'test/src/assets/he.vtt',
         included: false
+      },
+      {
+        pattern: 'test/src/assets/en.ttml',
+        included: false
       }
     ],
     preprocessors: {
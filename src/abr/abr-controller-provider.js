@@ -0,0 +1,75 @@
+//@flow
+import getLogger from '../utils/logger';
+import {DefaultAbrController} from './default-abr-controller';
+
+/**
+ * ABR controller provider
+ * @classdesc
+ */
+class AbrControllerProvider {
+  /**
+   * The logger of the ABR controller provider.
+   * @member {any} _logger
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('AbrControllerProvider');
+
+  /**
+   * The ABR controller registry.
+   * @member {Object} _abrControllers
+   * @static
+   * @private
+   */
+  static _abrControllers: {[id: string]: IAbrControllerStatic} = {[DefaultAbrController.id]: DefaultAbrController};
+
+  /**
+   * Add an ABR controller to the registry.
+   * @function register
+   * @param {IAbrControllerStatic} abrController - The ABR controller to register.
+   * @static
+   * @returns {void}
+   */
+  static register(abrController: IAbrControllerStatic): void {
+    if (abrController && !AbrControllerProvider._abrControllers[abrController.id]) {
+      AbrControllerProvider._logger.debug(`ABR controller <${abrController.id}> has been registered successfully`);
+      AbrControllerProvider._abrControllers[abrController.id] = abrController;
+    } else if (abrController) {
+      AbrControllerProvider._logger.debug(`ABR controller <${abrController.id}> is already registered, do not register again`);
+    }
+  }
+
+  /**
+   * Remove an ABR controller from the registry. The default controller cannot be removed.
+   * @function unRegister
+   * @param {string} id - The ABR controller id.
+   * @static
+   * @returns {void}
+   */
+  static unRegister(id: string): void {
+    if (id !== DefaultAbrController.id && AbrControllerProvider._abrControllers[id]) {
+      AbrControllerProvider._logger.debug(`Unregistered <${id}> ABR controller`);
+      delete AbrControllerProvider._abrControllers[id];
+    }
+  }
+
+  /**
+   * Creates the ABR controller of the abr config.
+   * @function getAbrController
+   * @param {PKAbrConfigObject} config - The abr config.
+   * @returns {IAbrController} - The configured ABR controller, or the default one if the configured controller isn't registered.
+   * @static
+   */
+  static getAbrController(config: PKAbrConfigObject): IAbrController {
+    let abrController = AbrControllerProvider._abrControllers[config.controller];
+    if (!abrController) {
+      AbrControllerProvider._logger.warn(`ABR controller <${config.controller}> isn't registered, using the default controller`);
+      abrController = DefaultAbrController;
+    }
+    return abrController.createAbrController(config);
+  }
+}
+
+const registerAbrController = AbrControllerProvider.register;
+const unRegisterAbrController = AbrControllerProvider.unRegister;
+export {registerAbrController, unRegisterAbrController, AbrControllerProvider};
@@ -0,0 +1,202 @@
+//@flow
+import Player from '../player';
+import VideoTrack from '../track/video-track';
+import {TrackType} from '../track/track-type';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType} from '../event/event-type';
+import getLogger from '../utils/logger';
+import {getDroppedAndDecodedFrames, NOT_SUPPORTED} from '../engines/dropped-frames-watcher';
+import {AbrControllerProvider} from './abr-controller-provider';
+
+/**
+ * Feeds the ABR controller of the `abr.controller` config with the download samples (the fragment loaded events), the buffer level,
+ * the player size and the dropped frames, and switches to the video track it targets while the adaptive bitrate is enabled.
+ * @class AbrManager
+ * @param {Player} player - The player.
+ * @param {Function} onTargetChanged - Switches to the target video track of the controller.
+ * @param {Function} isTargetSupported - Whether the engine applies the target video track of the controller.
+ */
+class AbrManager {
+  /**
+   * The ABR manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('AbrManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * Switches to the target video track of the controller.
+   * @type {Function}
+   * @private
+   */
+  _onTargetChanged: (videoTrack: VideoTrack) => void;
+  /**
+   * Whether the engine applies the target video track of the controller.
+   * @type {Function}
+   * @private
+   */
+  _isTargetSupported: () => boolean;
+  /**
+   * The event manager of the ABR manager.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The ABR controller of the media, created on the first evaluation.
+   * @type {?IAbrController}
+   * @private
+   */
+  _abrController: ?IAbrController = null;
+  /**
+   * The dropped frames count of the video element on the last evaluation.
+   * @type {number}
+   * @private
+   */
+  _lastDroppedFrames: number = 0;
+  /**
+   * The decoded frames count of the video element on the last evaluation.
+   * @type {number}
+   * @private
+   */
+  _lastDecodedFrames: number = 0;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   * @param {Function} onTargetChanged - Switches to the target video track of the controller.
+   * @param {Function} isTargetSupported - Whether the engine applies the target video track of the controller.
+   */
+  constructor(player: Player, onTargetChanged: (videoTrack: VideoTrack) => void, isTargetSupported: () => boolean) {
+    this._player = player;
+    this._onTargetChanged = onTargetChanged;
+    this._isTargetSupported = isTargetSupported;
+    this._eventManager = new EventManager();
+    this._eventManager.listen(this._player, CustomEventType.FRAG_LOADED, (event: FakeEvent) => this._onFragLoaded(event));
+    this._eventManager.listen(this._player, CustomEventType.TRACKS_CHANGED, () => this.evaluate());
+    this._eventManager.listen(this._player, CustomEventType.RESIZE, () => this.evaluate());
+  }
+
+  /**
+   * The ABR controller of the media.
+   * @returns {IAbrController} - The ABR controller.
+   * @public
+   */
+  get abrController(): IAbrController {
+    if (!this._abrController) {
+      this._abrController = AbrControllerProvider.getAbrController(this._player.config.abr);
+    }
+    return this._abrController;
+  }
+
+  /**
+   * Asks the ABR controller for the target video track, and switches to it if it isn't the active one.
+   * Engines which can't apply the target keep choosing the tracks by their own ABR logic.
+   * @returns {void}
+   * @public
+   */
+  evaluate(): void {
+    const videoTracks: Array<VideoTrack> = this._player.getTracks(TrackType.VIDEO);
+    if (!this._player.config.abr.enabled || videoTracks.length < 2 || !this._player.isAdaptiveBitrateEnabled() || !this._isTargetSupported()) {
+      return;
+    }
+    const activeVideoTrack: ?VideoTrack = this._player.getActiveTracks().video;
+    const {width, height} = this._player.dimensions;
+    const [droppedFrames, decodedFrames] = this._getDroppedAndDecodedFrames();
+    this._checkFramesDrop(droppedFrames, decodedFrames);
+    const target = this.abrController.chooseVideoTrack(videoTracks, {
+      activeVideoTrack,
+      bandwidthEstimate: this.abrController.getBandwidthEstimate(),
+      bufferLevel: this._player.stats.availableBuffer || 0,
+      playerWidth: width,
+      playerHeight: height,
+      droppedFrames,
+      decodedFrames
+    });
+    if (target && (!activeVideoTrack || target.index !== activeVideoTrack.index)) {
+      AbrManager._logger.debug(`Switching to the target video track ${target.index}, bitrate: ${target.bandwidth}`);
+      this._onTargetChanged(target);
+    }
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    if (this._abrController) {
+      this._abrController.destroy();
+      this._abrController = null;
+    }
+    this._lastDroppedFrames = 0;
+    this._lastDecodedFrames = 0;
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Adds the download of a fragment to the bandwidth estimate, and evaluates the target video track.
+   * @param {FakeEvent} event - The fragment loaded event, with the downloaded bytes and the download duration in milliseconds.
+   * @returns {void}
+   * @private
+   */
+  _onFragLoaded(event: FakeEvent): void {
+    const {bytes, miliSeconds} = event.payload || {};
+    if (typeof bytes === 'number' && typeof miliSeconds === 'number') {
+      this.abrController.addBandwidthSample(bytes, miliSeconds);
+    }
+    this.evaluate();
+  }
+
+  /**
+   * Fires the frames drop event once the dropped frames exceed the monitoring threshold, for which the controller caps the bitrate.
+   * @param {number} droppedFrames - The dropped frames since the last evaluation.
+   * @param {number} decodedFrames - The decoded frames since the last evaluation.
+   * @returns {void}
+   * @private
+   */
+  _checkFramesDrop(droppedFrames: number, decodedFrames: number): void {
+    const {capLevelOnFPSDrop, fpsDroppedMonitoringThreshold} = this._player.config.abr;
+    if (capLevelOnFPSDrop && droppedFrames > fpsDroppedMonitoringThreshold * decodedFrames) {
+      AbrManager._logger.debug(`Frames drop, dropped: ${droppedFrames}, decoded: ${decodedFrames}`);
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.FPS_DROP, {currentDropped: droppedFrames, currentDecoded: decodedFrames}));
+    }
+  }
+
+  /**
+   * Gets the dropped and decoded frames since the last evaluation.
+   * @returns {[number, number]} - The dropped and decoded frames, 0 for each if not supported.
+   * @private
+   */
+  _getDroppedAndDecodedFrames(): [number, number] {
+    const videoElement = this._player.getVideoElement();
+    const [droppedFrames, decodedFrames] = videoElement ? getDroppedAndDecodedFrames(videoElement) : [NOT_SUPPORTED, NOT_SUPPORTED];
+    if (droppedFrames === NOT_SUPPORTED) {
+      return [0, 0];
+    }
+    // the counts restart along with the source of the video element
+    const isRestarted = decodedFrames < this._lastDecodedFrames;
+    const frames = isRestarted ? [0, 0] : [droppedFrames - this._lastDroppedFrames, decodedFrames - this._lastDecodedFrames];
+    this._lastDroppedFrames = droppedFrames;
+    this._lastDecodedFrames = decodedFrames;
+    return frames;
+  }
+}
+
+export {AbrManager};
@@ -0,0 +1,253 @@
+//@flow
+import VideoTrack from '../track/video-track';
+
+/**
+ * The half life in seconds of the fast moving average of the bandwidth, which follows a drop quickly.
+ * @type {number}
+ * @const
+ */
+const FAST_HALF_LIFE: number = 2;
+
+/**
+ * The half life in seconds of the slow moving average of the bandwidth, which follows a rise slowly.
+ * @type {number}
+ * @const
+ */
+const SLOW_HALF_LIFE: number = 5;
+
+/**
+ * The minimum size in bytes of a download to sample, as the bandwidth of a smaller download is dominated by the latency.
+ * @type {number}
+ * @const
+ */
+const MIN_SAMPLE_BYTES: number = 16000;
+
+/**
+ * The minimum duration in seconds of the sampled downloads to estimate the bandwidth by, before which the default estimate is used.
+ * @type {number}
+ * @const
+ */
+const MIN_SAMPLED_DURATION: number = 0.5;
+
+/**
+ * The share of the bandwidth estimate which the bitrate of the target track may take.
+ * @type {number}
+ * @const
+ */
+const BANDWIDTH_FACTOR: number = 0.8;
+
+/**
+ * The minimum buffer level in seconds to switch to a higher bitrate at.
+ * @type {number}
+ * @const
+ */
+const MIN_BUFFER_TO_SWITCH_UP: number = 8;
+
+/**
+ * An exponentially weighted moving average, weighted by the duration of the samples.
+ * @class Ewma
+ * @param {number} halfLife - The half life of the average in seconds.
+ * @private
+ */
+class Ewma {
+  /**
+   * The weight of a sample of a second.
+   * @type {number}
+   * @private
+   */
+  _alpha: number;
+  /**
+   * The unbiased average.
+   * @type {number}
+   * @private
+   */
+  _estimate: number = 0;
+  /**
+   * The total weight of the samples.
+   * @type {number}
+   * @private
+   */
+  _totalWeight: number = 0;
+
+  /**
+   * @constructor
+   * @param {number} halfLife - The half life of the average in seconds.
+   */
+  constructor(halfLife: number) {
+    this._alpha = Math.exp(Math.log(0.5) / halfLife);
+  }
+
+  /**
+   * Adds a sample to the average.
+   * @param {number} weight - The weight of the sample (its duration in seconds).
+   * @param {number} value - The sample value.
+   * @returns {void}
+   */
+  sample(weight: number, value: number): void {
+    const adjustedAlpha = Math.pow(this._alpha, weight);
+    this._estimate = value * (1 - adjustedAlpha) + adjustedAlpha * this._estimate;
+    this._totalWeight += weight;
+  }
+
+  /**
+   * Gets the average, corrected by the weight of the samples.
+   * @returns {number} - The average.
+   */
+  getEstimate(): number {
+    const zeroFactor = 1 - Math.pow(this._alpha, this._totalWeight);
+    return this._estimate / zeroFactor;
+  }
+}
+
+/**
+ * The default ABR controller. It estimates the bandwidth by the minimum of a fast and a slow moving average of the download samples,
+ * and chooses the highest bitrate track which fits the estimate, within the `abr.restrictions`, the player size (`abr.capLevelToPlayerSize`)
+ * and the bitrate cap of a frames drop (`abr.capLevelOnFPSDrop`). It switches to a higher bitrate only once enough is buffered.
+ * @class DefaultAbrController
+ * @param {PKAbrConfigObject} config - The abr config.
+ * @implements {IAbrController}
+ */
+class DefaultAbrController implements IAbrController {
+  /**
+   * The controller id.
+   * @type {string}
+   * @static
+   */
+  static id: string = 'default';
+  /**
+   * The abr config.
+   * @type {PKAbrConfigObject}
+   * @private
+   */
+  _config: PKAbrConfigObject;
+  /**
+   * The fast moving average of the bandwidth.
+   * @type {Ewma}
+   * @private
+   */
+  _fastEstimate: Ewma;
+  /**
+   * The slow moving average of the bandwidth.
+   * @type {Ewma}
+   * @private
+   */
+  _slowEstimate: Ewma;
+  /**
+   * The total duration of the sampled downloads, in seconds.
+   * @type {number}
+   * @private
+   */
+  _sampledDuration: number = 0;
+  /**
+   * The maximum bitrate after a frames drop.
+   * @type {number}
+   * @private
+   */
+  _maxBitrate: number = Infinity;
+
+  /**
+   * Creates a default ABR controller.
+   * @param {PKAbrConfigObject} config - The abr config.
+   * @returns {IAbrController} - The controller.
+   * @static
+   */
+  static createAbrController(config: PKAbrConfigObject): IAbrController {
+    return new this(config);
+  }
+
+  /**
+   * @constructor
+   * @param {PKAbrConfigObject} config - The abr config.
+   */
+  constructor(config: PKAbrConfigObject) {
+    this._config = config;
+    this.reset();
+  }
+
+  /**
+   * Adds a download sample to the bandwidth estimate.
+   * @param {number} bytes - The downloaded bytes.
+   * @param {number} duration - The download duration, in milliseconds.
+   * @returns {void}
+   * @public
+   */
+  addBandwidthSample(bytes: number, duration: number): void {
+    if (bytes < MIN_SAMPLE_BYTES || duration <= 0) {
+      return;
+    }
+    const bandwidth = (8000 * bytes) / duration;
+    const weight = duration / 1000;
+    this._sampledDuration += weight;
+    this._fastEstimate.sample(weight, bandwidth);
+    this._slowEstimate.sample(weight, bandwidth);
+  }
+
+  /**
+   * Gets the bandwidth estimate.
+   * @returns {number} - The bandwidth estimate in bits per second, the default estimate before enough downloads are sampled.
+   * @public
+   */
+  getBandwidthEstimate(): number {
+    if (this._sampledDuration < MIN_SAMPLED_DURATION) {
+      return this._config.defaultBandwidthEstimate;
+    }
+    return Math.min(this._fastEstimate.getEstimate(), this._slowEstimate.getEstimate());
+  }
+
+  /**
+   * Chooses the video track to play.
+   * @param {Array<VideoTrack>} videoTracks - The video tracks.
+   * @param {PKAbrStateObject} state - The playback state.
+   * @returns {?VideoTrack} - The target video track.
+   * @public
+   */
+  chooseVideoTrack(videoTracks: Array<VideoTrack>, state: PKAbrStateObject): ?VideoTrack {
+    const {activeVideoTrack} = state;
+    const {restrictions, capLevelOnFPSDrop, capLevelToPlayerSize, fpsDroppedMonitoringThreshold} = this._config;
+    if (capLevelOnFPSDrop && activeVideoTrack && state.droppedFrames > fpsDroppedMonitoringThreshold * state.decodedFrames) {
+      this._maxBitrate = Math.min(this._maxBitrate, activeVideoTrack.bandwidth - 1);
+    }
+    const sortedTracks = videoTracks.slice().sort((a, b) => a.bandwidth - b.bandwidth);
+    let candidates = sortedTracks.filter(
+      track => track.bandwidth >= restrictions.minBitrate && track.bandwidth <= restrictions.maxBitrate && track.bandwidth <= this._maxBitrate
+    );
+    if (capLevelToPlayerSize && state.playerHeight) {
+      // the smallest height which fills the player
+      const maxHeight = Math.min(...candidates.filter(track => track.height >= state.playerHeight).map(track => track.height));
+      candidates = candidates.filter(track => !track.height || track.height <= maxHeight);
+    }
+    if (!candidates.length) {
+      return sortedTracks[0];
+    }
+    const bandwidth = state.bandwidthEstimate * BANDWIDTH_FACTOR;
+    const target = candidates.filter(track => track.bandwidth <= bandwidth).pop() || candidates[0];
+    const activeCandidate = activeVideoTrack && candidates.find(track => track.index === activeVideoTrack.index);
+    if (activeCandidate && target.bandwidth > activeCandidate.bandwidth && state.bufferLevel < MIN_BUFFER_TO_SWITCH_UP) {
+      return activeCandidate;
+    }
+    return target;
+  }
+
+  /**
+   * Resets the bandwidth estimate and the frames drop cap.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._fastEstimate = new Ewma(FAST_HALF_LIFE);
+    this._slowEstimate = new Ewma(SLOW_HALF_LIFE);
+    this._sampledDuration = 0;
+    this._maxBitrate = Infinity;
+  }
+
+  /**
+   * Destroys the controller.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+  }
+}
+
+export {DefaultAbrController};
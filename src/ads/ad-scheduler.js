@@ -0,0 +1,675 @@
+//@flow
+import Player from '../player';
+import BaseMiddleware from '../middleware/base-middleware';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import {AdEventType} from './ad-event-type';
+import {AdBreakType} from './ad-break-type';
+import {AdTagType} from './ad-tag-type';
+import Error from '../error/error';
+import * as Utils from '../utils/util';
+import getLogger from '../utils/logger';
+import {mergeWrapperAd, parseVast} from './vast-parser';
+import {parseVmap, POSTROLL_POSITION} from './vmap-parser';
+
+/**
+ * The ad video element class name.
+ * @type {string}
+ * @const
+ */
+const AD_VIDEO_CLASS_NAME: string = 'playkit-ad-video';
+
+/**
+ * The maximum number of VAST wrappers to follow.
+ * @type {number}
+ * @const
+ */
+const MAX_WRAPPER_DEPTH: number = 5;
+
+/**
+ * The ad quartiles, their event and VAST tracking event.
+ * @type {Array<Object>}
+ * @const
+ */
+const QUARTILES: Array<{ratio: number, event: string, tracking: string}> = [
+  {ratio: 0.25, event: AdEventType.AD_FIRST_QUARTILE, tracking: 'firstQuartile'},
+  {ratio: 0.5, event: AdEventType.AD_MIDPOINT, tracking: 'midpoint'},
+  {ratio: 0.75, event: AdEventType.AD_THIRD_QUARTILE, tracking: 'thirdQuartile'}
+];
+
+type ScheduledAdBreak = PKAdBreakObject & {played: boolean};
+
+/**
+ * Schedules and plays linear ad breaks (VAST/VMAP) as part of the playback middleware chain.
+ * @class AdScheduler
+ * @param {Player} player - The player.
+ */
+class AdScheduler extends BaseMiddleware {
+  /**
+   * The ad scheduler class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('AdScheduler');
+  /**
+   * Id of the middleware instance.
+   * @type {string}
+   * @public
+   */
+  id: string = 'AdScheduler';
+  /**
+   * The scheduler isn't skipped by the middleware timeout, as an ad break holds the play action for as long as it plays.
+   * @type {?number}
+   * @public
+   */
+  actionTimeout: ?number = 0;
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the player events.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The event manager of the currently playing ad.
+   * @type {EventManager}
+   * @private
+   */
+  _adEventManager: EventManager;
+  /**
+   * The scheduled ad breaks of the current media.
+   * @type {Array<ScheduledAdBreak>}
+   * @private
+   */
+  _adBreaks: Array<ScheduledAdBreak> = [];
+  /**
+   * Resolved once the ad breaks schedule is known, null if no ads configured.
+   * @type {?Promise<void>}
+   * @private
+   */
+  _schedulePromise: ?Promise<void> = null;
+  /**
+   * The id of the current schedule load, to drop an ad tag response which arrives after a reset.
+   * @type {number}
+   * @private
+   */
+  _scheduleId: number = 0;
+  /**
+   * Whether the content playback has been requested.
+   * @type {boolean}
+   * @private
+   */
+  _contentStarted: boolean = false;
+  /**
+   * The currently playing ad break.
+   * @type {?ScheduledAdBreak}
+   * @private
+   */
+  _adBreak: ?ScheduledAdBreak = null;
+  /**
+   * The currently playing ad.
+   * @type {?Object}
+   * @private
+   */
+  _currentAd: ?{vastAd: PKVastAdObject, options: PKAdOptions, canSkip: boolean, finish: Function} = null;
+  /**
+   * The video element which plays the ads.
+   * @type {?HTMLVideoElement}
+   * @private
+   */
+  _adVideoElement: ?HTMLVideoElement = null;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    super();
+    this._player = player;
+    this._eventManager = new EventManager();
+    this._adEventManager = new EventManager();
+    this._eventManager.listen(this._player, CustomEventType.SOURCE_SELECTED, () => this._loadSchedule());
+    this._eventManager.listen(this._player, Html5EventType.DURATION_CHANGE, () => this._resolvePercentPositions());
+    this._eventManager.listen(this._player, Html5EventType.TIME_UPDATE, () => this._onContentTimeUpdate());
+  }
+
+  /**
+   * Play middleware handler. Plays the preroll before the content, and resumes the ad while an ad break is playing.
+   * @param {Function} next - The next handler in the middleware chain.
+   * @returns {void}
+   * @public
+   */
+  play(next: Function): void {
+    if (this._adBreak) {
+      this._resumeAd();
+    } else if (this._contentStarted || !this._schedulePromise) {
+      this._contentStarted = true;
+      this.callNext(next);
+    } else {
+      this._contentStarted = true;
+      this._schedulePromise.then(() => {
+        const preroll = this._adBreaks.find(adBreak => !adBreak.played && adBreak.position === 0);
+        if (preroll) {
+          this._playAdBreak(preroll).then(completed => completed && this.callNext(next));
+        } else {
+          this.callNext(next);
+        }
+      });
+    }
+  }
+
+  /**
+   * Pause middleware handler. Pauses the ad while an ad break is playing.
+   * @param {Function} next - The next handler in the middleware chain.
+   * @returns {void}
+   * @public
+   */
+  pause(next: Function): void {
+    if (this._adBreak) {
+      this._pauseAd();
+    } else {
+      this.callNext(next);
+    }
+  }
+
+  /**
+   * Get the scheduled ad breaks.
+   * @returns {Array<PKAdBreakOptions>} - The ad breaks, by their position.
+   * @public
+   */
+  getAdBreaks(): Array<PKAdBreakOptions> {
+    return this._adBreaks.map(adBreak => this._getAdBreakOptions(adBreak));
+  }
+
+  /**
+   * Whether an ad break is currently playing.
+   * @returns {boolean} - Whether an ad break is playing.
+   * @public
+   */
+  isAdBreak(): boolean {
+    return !!this._adBreak;
+  }
+
+  /**
+   * Whether there is a postroll that has not been played yet.
+   * @returns {boolean} - Whether there is a pending postroll.
+   * @public
+   */
+  hasPendingPostroll(): boolean {
+    return this._adBreaks.some(adBreak => !adBreak.played && adBreak.position === POSTROLL_POSITION);
+  }
+
+  /**
+   * Plays the pending postroll.
+   * @returns {Promise<boolean>} - Resolved with whether the postroll has completed (and not aborted by reset).
+   * @public
+   */
+  playPostroll(): Promise<boolean> {
+    const postroll = this._adBreaks.find(adBreak => !adBreak.played && adBreak.position === POSTROLL_POSITION);
+    return postroll ? this._playAdBreak(postroll) : Promise.resolve(true);
+  }
+
+  /**
+   * Skips the current ad, if it can be skipped.
+   * @returns {void}
+   * @public
+   */
+  skipAd(): void {
+    const currentAd = this._currentAd;
+    if (currentAd && currentAd.canSkip) {
+      this._track(currentAd.vastAd.tracking.skip);
+      this._dispatchAdEvent(AdEventType.AD_SKIPPED, {ad: currentAd.options});
+      currentAd.finish();
+    }
+  }
+
+  /**
+   * Resets the scheduler before a media change, clearing the ad breaks schedule of the current media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._adBreak = null;
+    if (this._currentAd) {
+      this._currentAd.finish();
+    }
+    this._hideAdVideo();
+    this._adBreaks = [];
+    this._schedulePromise = null;
+    this._scheduleId++;
+    this._contentStarted = false;
+  }
+
+  /**
+   * Destroys the scheduler.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._eventManager.destroy();
+    this._adEventManager.destroy();
+    if (this._adVideoElement) {
+      Utils.Dom.removeChild(this._adVideoElement.parentNode, this._adVideoElement);
+      this._adVideoElement = null;
+    }
+  }
+
+  /**
+   * Loads the ad breaks schedule from the advertising config.
+   * @returns {void}
+   * @private
+   */
+  _loadSchedule(): void {
+    const advertising: PKAdvertisingConfigObject = this._player.config.advertising || {};
+    const adTag = advertising.adTag;
+    this._adBreaks = (advertising.adBreaks || []).map(adBreak => ({...adBreak, played: false}));
+    if (adTag && adTag.type === AdTagType.VMAP) {
+      const scheduleId = this._scheduleId;
+      const responsePromise = adTag.response ? Promise.resolve(adTag.response) : this._fetchAdTag(adTag.url);
+      this._schedulePromise = responsePromise
+        .then(response => {
+          if (scheduleId !== this._scheduleId) {
+            return;
+          }
+          this._adBreaks = this._adBreaks.concat(parseVmap(response).map(adBreak => ({...adBreak, played: false})));
+          this._resolvePercentPositions();
+        })
+        .catch(error => this._onAdError(error));
+    } else {
+      if (adTag && adTag.type === AdTagType.VAST) {
+        this._adBreaks.unshift({position: 0, ads: [{url: adTag.url, response: adTag.response}], played: false});
+      }
+      this._schedulePromise = this._adBreaks.length ? Promise.resolve() : null;
+    }
+    AdScheduler._logger.debug('Ad breaks schedule loaded', this._adBreaks);
+  }
+
+  /**
+   * Sets the position of ad breaks which are defined by a percentage of the content duration.
+   * @returns {void}
+   * @private
+   */
+  _resolvePercentPositions(): void {
+    const duration = this._player.duration;
+    if (duration && !this._player.isLive()) {
+      this._adBreaks.forEach(adBreak => {
+        if (typeof adBreak.percent === 'number') {
+          adBreak.position = (duration * adBreak.percent) / 100;
+        }
+      });
+    }
+  }
+
+  /**
+   * Plays a due midroll while the content is playing. In case several midrolls were skipped by a seek, only the last one is played.
+   * @returns {void}
+   * @private
+   */
+  _onContentTimeUpdate(): void {
+    const currentTime = this._player.currentTime;
+    if (this._adBreak || !this._contentStarted || this._player.paused || typeof currentTime !== 'number') {
+      return;
+    }
+    const dueAdBreaks = this._adBreaks.filter(adBreak => !adBreak.played && adBreak.position > 0 && adBreak.position <= currentTime);
+    if (dueAdBreaks.length) {
+      dueAdBreaks.forEach(adBreak => (adBreak.played = true));
+      this._player.pause();
+      this._playAdBreak(dueAdBreaks[dueAdBreaks.length - 1]).then(completed => completed && this._player.play());
+    }
+  }
+
+  /**
+   * Plays an ad break, ad source after ad source.
+   * @param {ScheduledAdBreak} adBreak - The ad break to play.
+   * @returns {Promise<boolean>} - Resolved with whether the break has completed (and not aborted by reset).
+   * @private
+   */
+  _playAdBreak(adBreak: ScheduledAdBreak): Promise<boolean> {
+    adBreak.played = true;
+    this._adBreak = adBreak;
+    this._dispatchAdEvent(AdEventType.AD_BREAK_START, {adBreak: this._getAdBreakOptions(adBreak)});
+    this._showAdVideo();
+    return adBreak.ads
+      .reduce((promise, adSource) => promise.then(() => this._adBreak === adBreak && this._playAdSource(adSource)), Promise.resolve())
+      .then(() => {
+        if (this._adBreak !== adBreak) {
+          return false;
+        }
+        this._adBreak = null;
+        this._hideAdVideo();
+        this._dispatchAdEvent(AdEventType.AD_BREAK_END);
+        if (this._adBreaks.every(adBreak => adBreak.played)) {
+          this._dispatchAdEvent(AdEventType.ALL_ADS_COMPLETED);
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Loads the ads of an ad source and plays them one after the other.
+   * @param {PKAdSourceObject} adSource - The ad source.
+   * @returns {Promise<void>} - Resolved when all the ads of the source have ended or failed.
+   * @private
+   */
+  _playAdSource(adSource: PKAdSourceObject): Promise<void> {
+    const adBreak = this._adBreak;
+    return this._loadVastAds(adSource, 0)
+      .then(vastAds => {
+        if (!vastAds.length) {
+          throw new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.NO_ADS_VAST_RESPONSE, {adSource});
+        }
+        return vastAds.reduce((promise, vastAd, index) => promise.then(() => this._playAdOfBreak(adBreak, vastAd, index + 1)), Promise.resolve());
+      })
+      .catch(error => this._onAdError(error));
+  }
+
+  /**
+   * Plays an ad, unless its break has been aborted meanwhile.
+   * @param {?ScheduledAdBreak} adBreak - The break of the ad.
+   * @param {PKVastAdObject} vastAd - The ad to play.
+   * @param {number} position - The ad position in the ad source.
+   * @returns {Promise<void>} - Resolved when the ad has ended, skipped or failed.
+   * @private
+   */
+  _playAdOfBreak(adBreak: ?ScheduledAdBreak, vastAd: PKVastAdObject, position: number): Promise<void> {
+    return this._adBreak === adBreak ? this._playAd(vastAd, position) : Promise.resolve();
+  }
+
+  /**
+   * Loads and parses the VAST of an ad source, following wrappers.
+   * @param {PKAdSourceObject} adSource - The ad source.
+   * @param {number} depth - The current wrappers depth.
+   * @returns {Promise<Array<PKVastAdObject>>} - The inline ads.
+   * @private
+   */
+  _loadVastAds(adSource: PKAdSourceObject, depth: number): Promise<Array<PKVastAdObject>> {
+    const responsePromise = adSource.response ? Promise.resolve(adSource.response) : this._fetchAdTag(adSource.url);
+    return responsePromise.then(response => {
+      const vastAds = parseVast(response);
+      return Promise.all(
+        vastAds.map(vastAd => {
+          if (!vastAd.wrapperUrl) {
+            return [vastAd];
+          }
+          if (depth >= MAX_WRAPPER_DEPTH) {
+            throw new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.VAST_TOO_MANY_REDIRECTS, {url: vastAd.wrapperUrl});
+          }
+          return this._loadVastAds({url: vastAd.wrapperUrl}, depth + 1).then(wrappedAds => wrappedAds.map(ad => mergeWrapperAd(vastAd, ad)));
+        })
+      ).then(results => results.reduce((ads, result) => ads.concat(result), []));
+    });
+  }
+
+  /**
+   * Fetches an ad tag.
+   * @param {?string} url - The ad tag url.
+   * @returns {Promise<string>} - The ad tag response.
+   * @private
+   */
+  _fetchAdTag(url: ?string): Promise<string> {
+    if (!url) {
+      return Promise.reject(new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.VAST_URI_ERROR, {url}));
+    }
+    return Utils.Http.execute(url, null, 'GET').catch(() => {
+      throw new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.VAST_URI_ERROR, {url});
+    });
+  }
+
+  /**
+   * Plays a single ad in the ad video element.
+   * @param {PKVastAdObject} vastAd - The ad to play.
+   * @param {number} position - The ad position in the ad source.
+   * @returns {Promise<void>} - Resolved when the ad has ended, skipped or failed.
+   * @private
+   */
+  _playAd(vastAd: PKVastAdObject, position: number): Promise<void> {
+    return new Promise(resolve => {
+      const adVideoElement = this._getAdVideoElement();
+      const mediaFile = this._selectMediaFile(vastAd.mediaFiles);
+      if (!mediaFile) {
+        this._track(vastAd.errors);
+        this._onAdError(new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.MEDIA_FILE_NOT_FOUND, {ad: vastAd}));
+        resolve();
+        return;
+      }
+      const options: PKAdOptions = {
+        system: vastAd.adSystem,
+        url: mediaFile.url,
+        contentType: mediaFile.contentType,
+        title: vastAd.title,
+        position,
+        duration: vastAd.duration,
+        clickThroughUrl: vastAd.clickThroughUrl,
+        skipOffset: vastAd.skipOffset,
+        linear: true,
+        width: mediaFile.width,
+        height: mediaFile.height,
+        bitrate: mediaFile.bitrate,
+        bumper: false
+      };
+      const finish = () => {
+        this._adEventManager.removeAll();
+        this._currentAd = null;
+        adVideoElement.pause();
+        adVideoElement.removeAttribute('src');
+        adVideoElement.load();
+        resolve();
+      };
+      this._currentAd = {vastAd, options, canSkip: false, finish};
+      this._listenToAdVideo(adVideoElement);
+      adVideoElement.src = mediaFile.url;
+      adVideoElement.volume = typeof this._player.volume === 'number' ? this._player.volume : 1;
+      adVideoElement.muted = !!this._player.muted;
+      this._dispatchAdEvent(AdEventType.AD_LOADED, {ad: options});
+      this._playAdVideo();
+    });
+  }
+
+  /**
+   * Listens to the ad video element events of the current ad.
+   * @param {HTMLVideoElement} adVideoElement - The ad video element.
+   * @returns {void}
+   * @private
+   */
+  _listenToAdVideo(adVideoElement: HTMLVideoElement): void {
+    let quartile = 0;
+    this._adEventManager.listenOnce(adVideoElement, Html5EventType.PLAYING, () => {
+      const currentAd = this._currentAd;
+      if (currentAd) {
+        this._track(currentAd.vastAd.impressions);
+        this._track(currentAd.vastAd.tracking.start);
+        this._dispatchAdEvent(AdEventType.AD_STARTED, {ad: currentAd.options});
+      }
+    });
+    this._adEventManager.listen(adVideoElement, Html5EventType.TIME_UPDATE, () => {
+      const currentAd = this._currentAd;
+      if (!currentAd) return;
+      const {currentTime, duration} = adVideoElement;
+      this._dispatchAdEvent(AdEventType.AD_PROGRESS, {adProgress: {currentTime, duration}});
+      while (quartile < QUARTILES.length && currentTime >= duration * QUARTILES[quartile].ratio) {
+        this._track(currentAd.vastAd.tracking[QUARTILES[quartile].tracking]);
+        this._dispatchAdEvent(QUARTILES[quartile].event, {ad: currentAd.options});
+        quartile++;
+      }
+      if (!currentAd.canSkip && currentAd.options.skipOffset !== undefined && currentAd.options.skipOffset >= 0) {
+        if (currentTime >= currentAd.options.skipOffset) {
+          currentAd.canSkip = true;
+          this._dispatchAdEvent(AdEventType.AD_CAN_SKIP, {ad: currentAd.options});
+        }
+      }
+    });
+    this._adEventManager.listen(adVideoElement, Html5EventType.ENDED, () => {
+      const currentAd = this._currentAd;
+      if (currentAd) {
+        this._track(currentAd.vastAd.tracking.complete);
+        this._dispatchAdEvent(AdEventType.AD_COMPLETED, {ad: currentAd.options});
+        currentAd.finish();
+      }
+    });
+    this._adEventManager.listen(adVideoElement, Html5EventType.ERROR, () => {
+      const currentAd = this._currentAd;
+      if (currentAd) {
+        this._track(currentAd.vastAd.errors);
+        this._onAdError(new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.FILE_NOT_FOUND, {ad: currentAd.options}));
+        currentAd.finish();
+      }
+    });
+    this._adEventManager.listen(adVideoElement, 'click', () => {
+      const currentAd = this._currentAd;
+      if (currentAd && currentAd.options.clickThroughUrl) {
+        this._dispatchAdEvent(AdEventType.AD_CLICKED, {ad: currentAd.options});
+        window.open(currentAd.options.clickThroughUrl, '_blank');
+        this._pauseAd();
+      }
+    });
+  }
+
+  /**
+   * Plays the ad video element.
+   * @returns {void}
+   * @private
+   */
+  _playAdVideo(): void {
+    const playPromise = this._getAdVideoElement().play();
+    if (playPromise) {
+      playPromise.catch(error => this._dispatchAdEvent(AdEventType.AD_AUTOPLAY_FAILED, {error}));
+    }
+  }
+
+  /**
+   * Resumes a paused ad.
+   * @returns {void}
+   * @private
+   */
+  _resumeAd(): void {
+    const currentAd = this._currentAd;
+    if (currentAd && this._getAdVideoElement().paused) {
+      this._playAdVideo();
+      this._track(currentAd.vastAd.tracking.resume);
+      this._dispatchAdEvent(AdEventType.AD_RESUMED, {ad: currentAd.options});
+    }
+  }
+
+  /**
+   * Pauses a playing ad.
+   * @returns {void}
+   * @private
+   */
+  _pauseAd(): void {
+    const currentAd = this._currentAd;
+    if (currentAd && !this._getAdVideoElement().paused) {
+      this._getAdVideoElement().pause();
+      this._track(currentAd.vastAd.tracking.pause);
+      this._dispatchAdEvent(AdEventType.AD_PAUSED, {ad: currentAd.options});
+    }
+  }
+
+  /**
+   * Selects the media file to play. Prefers the narrowest playable file which still covers the player width.
+   * @param {Array<PKVastMediaFileObject>} mediaFiles - The ad media files.
+   * @returns {?PKVastMediaFileObject} - The selected media file.
+   * @private
+   */
+  _selectMediaFile(mediaFiles: Array<PKVastMediaFileObject>): ?PKVastMediaFileObject {
+    const adVideoElement = this._getAdVideoElement();
+    const playerWidth = this._player.dimensions.width;
+    const playableFiles = mediaFiles
+      .filter(mediaFile => !mediaFile.contentType || !!adVideoElement.canPlayType(mediaFile.contentType))
+      .sort((a, b) => a.width - b.width || a.bitrate - b.bitrate);
+    return playableFiles.find(mediaFile => mediaFile.width >= playerWidth) || playableFiles[playableFiles.length - 1];
+  }
+
+  /**
+   * Gets the ad video element, creates it if needed.
+   * @returns {HTMLVideoElement} - The ad video element.
+   * @private
+   */
+  _getAdVideoElement(): HTMLVideoElement {
+    let adVideoElement = this._adVideoElement;
+    if (!adVideoElement) {
+      adVideoElement = this._adVideoElement = Utils.Dom.createElement('video');
+      Utils.Dom.addClassName(adVideoElement, AD_VIDEO_CLASS_NAME);
+      Utils.Dom.setAttribute(adVideoElement, 'playsinline', '');
+      Utils.Dom.setStyle(adVideoElement, 'display', 'none');
+      Utils.Dom.appendChild(this._player.getView(), adVideoElement);
+    }
+    return adVideoElement;
+  }
+
+  /**
+   * Shows the ad video element.
+   * @returns {void}
+   * @private
+   */
+  _showAdVideo(): void {
+    Utils.Dom.setStyle(this._getAdVideoElement(), 'display', '');
+  }
+
+  /**
+   * Hides the ad video element.
+   * @returns {void}
+   * @private
+   */
+  _hideAdVideo(): void {
+    if (this._adVideoElement) {
+      Utils.Dom.setStyle(this._adVideoElement, 'display', 'none');
+    }
+  }
+
+  /**
+   * Gets the ad break info to expose to the application.
+   * @param {ScheduledAdBreak} adBreak - The ad break.
+   * @returns {PKAdBreakOptions} - The ad break options.
+   * @private
+   */
+  _getAdBreakOptions(adBreak: ScheduledAdBreak): PKAdBreakOptions {
+    let type = AdBreakType.MID;
+    if (adBreak.position === 0) {
+      type = AdBreakType.PRE;
+    } else if (adBreak.position === POSTROLL_POSITION) {
+      type = AdBreakType.POST;
+    }
+    return {type, position: adBreak.position, numAds: adBreak.ads.length};
+  }
+
+  /**
+   * Sends the VAST tracking pixels.
+   * @param {?Array<string>} urls - The tracking urls.
+   * @returns {void}
+   * @private
+   */
+  _track(urls: ?Array<string>): void {
+    (urls || []).forEach(url => (new Image().src = url));
+  }
+
+  /**
+   * Dispatches an ad error.
+   * @param {Error} error - The error.
+   * @returns {void}
+   * @private
+   */
+  _onAdError(error: Error): void {
+    this._dispatchAdEvent(AdEventType.AD_ERROR, error);
+  }
+
+  /**
+   * Dispatches an ad event on the player.
+   * @param {string} type - The event type.
+   * @param {any} payload - The event payload.
+   * @returns {void}
+   * @private
+   */
+  _dispatchAdEvent(type: string, payload: any): void {
+    this._player.dispatchEvent(new FakeEvent(type, payload));
+  }
+}
+
+export {AdScheduler};
@@ -0,0 +1,208 @@
+//@flow
+import Error from '../error/error';
+
+/**
+ * The VAST tracking events which are reported by the player.
+ * @type {Array<string>}
+ * @const
+ */
+const TRACKING_EVENTS: Array<string> = [
+  'start',
+  'firstQuartile',
+  'midpoint',
+  'thirdQuartile',
+  'complete',
+  'pause',
+  'resume',
+  'skip',
+  'mute',
+  'unmute'
+];
+
+/**
+ * Parses an XML string into a document.
+ * @param {string} xml - The XML string.
+ * @returns {Document} - The parsed document.
+ * @throws {Error} - XML_PARSING_ERROR in case the string is not a valid XML document.
+ */
+function parseXml(xml: string): Document {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (!doc || !doc.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.XML_PARSING_ERROR, {xml});
+  }
+  return doc;
+}
+
+/**
+ * Parses a time offset of the form HH:MM:SS[.mmm] into seconds.
+ * @param {?string} offset - The time offset.
+ * @returns {number} - The offset in seconds, NaN if the offset is not valid.
+ */
+function parseTimeOffset(offset: ?string): number {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec((offset || '').trim());
+  if (!match) {
+    return NaN;
+  }
+  return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Gets the trimmed text content of the first descendant element with the given tag name.
+ * @param {Element} parent - The parent element.
+ * @param {string} tagName - The tag name.
+ * @returns {string} - The text content, empty string if no such element.
+ */
+function getChildText(parent: Element, tagName: string): string {
+  const el = parent.getElementsByTagName(tagName)[0];
+  return el && el.textContent ? el.textContent.trim() : '';
+}
+
+/**
+ * Gets the trimmed text contents of all the descendant elements with the given tag name.
+ * @param {Element} parent - The parent element.
+ * @param {string} tagName - The tag name.
+ * @returns {Array<string>} - The non empty text contents.
+ */
+function getChildrenText(parent: Element, tagName: string): Array<string> {
+  return Array.from(parent.getElementsByTagName(tagName))
+    .map(el => (el.textContent || '').trim())
+    .filter(text => !!text);
+}
+
+/**
+ * Parses the skip offset of a linear creative.
+ * @param {?string} skipOffset - The skipoffset attribute, time or percentage.
+ * @param {number} duration - The creative duration.
+ * @returns {number} - The skip offset in seconds, -1 if the ad is not skippable.
+ */
+function parseSkipOffset(skipOffset: ?string, duration: number): number {
+  if (!skipOffset) {
+    return -1;
+  }
+  const percentMatch = /^(\d+(?:\.\d+)?)%$/.exec(skipOffset.trim());
+  if (percentMatch) {
+    return (parseFloat(percentMatch[1]) / 100) * duration;
+  }
+  const offset = parseTimeOffset(skipOffset);
+  return isNaN(offset) ? -1 : offset;
+}
+
+/**
+ * Parses the tracking events of a linear creative.
+ * @param {Element} linear - The linear element.
+ * @returns {Object} - Map of tracking event name to its URLs.
+ */
+function parseTracking(linear: Element): {[event: string]: Array<string>} {
+  const tracking = {};
+  Array.from(linear.getElementsByTagName('Tracking')).forEach(el => {
+    const event = el.getAttribute('event');
+    const url = (el.textContent || '').trim();
+    if (event && url && TRACKING_EVENTS.includes(event)) {
+      tracking[event] = (tracking[event] || []).concat(url);
+    }
+  });
+  return tracking;
+}
+
+/**
+ * Parses the media files of a linear creative.
+ * @param {Element} linear - The linear element.
+ * @returns {Array<PKVastMediaFileObject>} - The progressive media files.
+ */
+function parseMediaFiles(linear: Element): Array<PKVastMediaFileObject> {
+  return Array.from(linear.getElementsByTagName('MediaFile'))
+    .filter(el => el.getAttribute('delivery') !== 'streaming' && !!(el.textContent || '').trim())
+    .map(el => ({
+      url: (el.textContent || '').trim(),
+      contentType: el.getAttribute('type') || '',
+      width: parseInt(el.getAttribute('width')) || 0,
+      height: parseInt(el.getAttribute('height')) || 0,
+      bitrate: parseInt(el.getAttribute('bitrate')) || 0
+    }));
+}
+
+/**
+ * Parses a single VAST ad element.
+ * @param {Element} adEl - The Ad element.
+ * @returns {?PKVastAdObject} - The parsed ad, null if the ad has no linear creative or wrapper.
+ */
+function parseAd(adEl: Element): ?PKVastAdObject {
+  const inLine = adEl.getElementsByTagName('InLine')[0];
+  const wrapper = adEl.getElementsByTagName('Wrapper')[0];
+  const container = inLine || wrapper;
+  if (!container) {
+    return null;
+  }
+  const linear = container.getElementsByTagName('Linear')[0];
+  const ad: PKVastAdObject = {
+    id: adEl.getAttribute('id') || '',
+    sequence: parseInt(adEl.getAttribute('sequence')) || 0,
+    adSystem: getChildText(container, 'AdSystem'),
+    title: getChildText(container, 'AdTitle'),
+    duration: 0,
+    skipOffset: -1,
+    clickThroughUrl: '',
+    mediaFiles: [],
+    impressions: getChildrenText(container, 'Impression'),
+    errors: getChildrenText(container, 'Error'),
+    tracking: {}
+  };
+  if (linear) {
+    ad.duration = parseTimeOffset(getChildText(linear, 'Duration')) || 0;
+    ad.skipOffset = parseSkipOffset(linear.getAttribute('skipoffset'), ad.duration);
+    ad.clickThroughUrl = getChildText(linear, 'ClickThrough');
+    ad.mediaFiles = parseMediaFiles(linear);
+    ad.tracking = parseTracking(linear);
+  }
+  if (wrapper) {
+    ad.wrapperUrl = getChildText(wrapper, 'VASTAdTagURI');
+  } else if (!linear) {
+    return null;
+  }
+  return ad;
+}
+
+/**
+ * Parses a VAST document into its linear ads, ordered by their sequence.
+ * Wrapper ads are returned with their wrapperUrl and should be resolved by the caller.
+ * @param {string | Document} vast - The VAST XML string or document.
+ * @returns {Array<PKVastAdObject>} - The parsed ads.
+ * @throws {Error} - XML_PARSING_ERROR or VAST_SCHEMA_VALIDATION_ERROR in case the document is not a valid VAST.
+ */
+function parseVast(vast: string | Document): Array<PKVastAdObject> {
+  const doc = typeof vast === 'string' ? parseXml(vast) : vast;
+  const root = doc.documentElement;
+  if (!root || root.nodeName !== 'VAST') {
+    throw new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.VAST_SCHEMA_VALIDATION_ERROR, {root: root && root.nodeName});
+  }
+  const ads = [];
+  Array.from(root.children).forEach(adEl => {
+    if (adEl.nodeName === 'Ad') {
+      const ad = parseAd(adEl);
+      if (ad) {
+        ads.push(ad);
+      }
+    }
+  });
+  // ads with a sequence are an ad pod and played by their order, standalone ads (no sequence) are played after
+  return ads.sort((a, b) => (a.sequence || Infinity) - (b.sequence || Infinity));
+}
+
+/**
+ * Merges the tracking data of a wrapper ad into the ad it wraps.
+ * @param {PKVastAdObject} wrapperAd - The wrapper ad.
+ * @param {PKVastAdObject} ad - The wrapped ad.
+ * @returns {PKVastAdObject} - The wrapped ad, including the wrapper tracking.
+ */
+function mergeWrapperAd(wrapperAd: PKVastAdObject, ad: PKVastAdObject): PKVastAdObject {
+  const tracking = Object.assign({}, ad.tracking);
+  Object.keys(wrapperAd.tracking).forEach(event => (tracking[event] = (tracking[event] || []).concat(wrapperAd.tracking[event])));
+  return Object.assign({}, ad, {
+    impressions: ad.impressions.concat(wrapperAd.impressions),
+    errors: ad.errors.concat(wrapperAd.errors),
+    tracking,
+    clickThroughUrl: ad.clickThroughUrl || wrapperAd.clickThroughUrl
+  });
+}
+
+export {parseVast, parseXml, parseTimeOffset, mergeWrapperAd};
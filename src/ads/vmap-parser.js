@@ -0,0 +1,100 @@
+//@flow
+import Error from '../error/error';
+import getLogger from '../utils/logger';
+import {parseTimeOffset, parseXml} from './vast-parser';
+
+const _logger = getLogger('VmapParser');
+
+/**
+ * The position of a postroll ad break.
+ * @type {number}
+ * @const
+ */
+const POSTROLL_POSITION: number = -1;
+
+/**
+ * Gets the descendant elements with the given local name, regardless of their namespace prefix.
+ * @param {Document | Element} parent - The parent node.
+ * @param {string} localName - The local name.
+ * @returns {Array<Element>} - The matched elements.
+ */
+function getElementsByLocalName(parent: Document | Element, localName: string): Array<Element> {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Parses the ad source of a VMAP ad break.
+ * @param {Element} adSource - The AdSource element.
+ * @returns {?PKAdSourceObject} - The ad source, null if it has no supported data.
+ */
+function parseAdSource(adSource: Element): ?PKAdSourceObject {
+  const adTagUri = getElementsByLocalName(adSource, 'AdTagURI')[0];
+  if (adTagUri && adTagUri.textContent && adTagUri.textContent.trim()) {
+    return {url: adTagUri.textContent.trim()};
+  }
+  const vastAdData = getElementsByLocalName(adSource, 'VASTAdData')[0];
+  const vast = vastAdData && vastAdData.getElementsByTagName('VAST')[0];
+  if (vast) {
+    return {response: new XMLSerializer().serializeToString(vast)};
+  }
+  return null;
+}
+
+/**
+ * Parses a VMAP time offset into a position.
+ * @param {string} timeOffset - The timeOffset attribute (start, end, HH:MM:SS.mmm or n%).
+ * @returns {?Object} - The break position (and percent), null if the offset isn't supported.
+ */
+function parsePosition(timeOffset: string): ?{position: number, percent?: number} {
+  if (timeOffset === 'start') {
+    return {position: 0};
+  }
+  if (timeOffset === 'end') {
+    return {position: POSTROLL_POSITION};
+  }
+  const percentMatch = /^(\d+(?:\.\d+)?)%$/.exec(timeOffset);
+  if (percentMatch) {
+    const percent = parseFloat(percentMatch[1]);
+    return percent >= 100 ? {position: POSTROLL_POSITION} : {position: NaN, percent};
+  }
+  const position = parseTimeOffset(timeOffset);
+  return isNaN(position) ? null : {position};
+}
+
+/**
+ * Parses a VMAP document into its linear ad breaks.
+ * @param {string} vmap - The VMAP XML string.
+ * @returns {Array<PKAdBreakObject>} - The ad breaks.
+ * @throws {Error} - XML_PARSING_ERROR or VAST_SCHEMA_VALIDATION_ERROR in case the string is not a valid VMAP.
+ */
+function parseVmap(vmap: string): Array<PKAdBreakObject> {
+  const doc = parseXml(vmap);
+  if (!doc.documentElement || doc.documentElement.localName !== 'VMAP') {
+    throw new Error(Error.Severity.RECOVERABLE, Error.Category.ADS, Error.Code.VAST_SCHEMA_VALIDATION_ERROR, {
+      root: doc.documentElement && doc.documentElement.nodeName
+    });
+  }
+  const adBreaks = [];
+  getElementsByLocalName(doc, 'AdBreak').forEach(adBreakEl => {
+    const breakType = adBreakEl.getAttribute('breakType') || '';
+    const timeOffset = (adBreakEl.getAttribute('timeOffset') || '').trim();
+    const position = parsePosition(timeOffset);
+    if (!breakType.split(',').includes('linear')) {
+      _logger.debug('Non linear ad break is not supported', adBreakEl.getAttribute('breakId'));
+    } else if (!position) {
+      _logger.warn(`Unsupported ad break time offset ${timeOffset}`);
+    } else {
+      const ads = getElementsByLocalName(adBreakEl, 'AdSource').map(parseAdSource).filter(Boolean);
+      if (ads.length) {
+        const adBreak: PKAdBreakObject = {id: adBreakEl.getAttribute('breakId') || '', position: position.position, ads};
+        if (typeof position.percent === 'number') {
+          adBreak.percent = position.percent;
+        }
+        adBreaks.push(adBreak);
+      }
+    }
+  });
+  return adBreaks;
+}
+
+export {parseVmap, POSTROLL_POSITION};
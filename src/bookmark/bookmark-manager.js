@@ -0,0 +1,269 @@
+//@flow
+import Player from '../player';
+import BaseMiddleware from '../middleware/base-middleware';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import Error from '../error/error';
+import getLogger from '../utils/logger';
+import {LocalStorageAdapter} from '../preferences/local-storage-adapter';
+import {MemoryStorageAdapter} from '../preferences/memory-storage-adapter';
+
+/**
+ * The start time value which means no start time was configured.
+ * @type {number}
+ * @const
+ */
+const NO_START_TIME: number = -1;
+
+/**
+ * Records the last watched position per entry id, and resumes from it when the same entry loads again.
+ * The bookmark is loaded as part of the load middleware chain, which passes the bookmarked position on as the start time of the load.
+ * @class BookmarkManager
+ * @param {Player} player - The player.
+ */
+class BookmarkManager extends BaseMiddleware {
+  /**
+   * The bookmark manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('BookmarkManager');
+  /**
+   * Id of the middleware instance.
+   * @type {string}
+   * @public
+   */
+  id: string = 'BookmarkManager';
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the bookmark manager.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The default backend storage.
+   * @type {IStorageAdapter}
+   * @private
+   */
+  _storage: IStorageAdapter;
+  /**
+   * The entry id of the current media.
+   * @type {string}
+   * @private
+   */
+  _entryId: string = '';
+  /**
+   * The last known playback position of the current media.
+   * @type {?PKBookmarkObject}
+   * @private
+   */
+  _bookmark: ?PKBookmarkObject = null;
+  /**
+   * The last saved position of the current media.
+   * @type {number}
+   * @private
+   */
+  _lastSavedPosition: number = NaN;
+  /**
+   * The time of the last save, in ms.
+   * @type {number}
+   * @private
+   */
+  _lastSaveTime: number = 0;
+  /**
+   * The bookmark load of the current media, resolved with the position to resume from, shared by repeated load requests.
+   * @type {?Promise<?number>}
+   * @private
+   */
+  _loadPromise: ?Promise<?number> = null;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    super();
+    this._player = player;
+    this._eventManager = new EventManager();
+    this._storage = LocalStorageAdapter.isSupported() ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+    this._eventManager.listen(this._player, CustomEventType.PLAYER_RESET, () => this.reset());
+    this._eventManager.listen(this._player, CustomEventType.SOURCE_SELECTED, () => (this._entryId = this._player.config.sources.id || ''));
+    this._eventManager.listen(this._player, Html5EventType.TIME_UPDATE, () => this._onTimeUpdate());
+    this._eventManager.listen(this._player, Html5EventType.PAUSE, () => this._save());
+    this._eventManager.listen(this._player, Html5EventType.ENDED, () => this._save());
+  }
+
+  /**
+   * Load middleware handler. Loads the bookmark of the entry and passes its position on as the start time of the load.
+   * @param {Function} next - The next handler in the middleware chain.
+   * @returns {?Promise<void>} - Resolved once the bookmark is loaded.
+   * @public
+   */
+  load(next: Function): ?Promise<void> {
+    const startTime = this._player.config.playback.startTime;
+    const hasConfiguredStartTime = typeof startTime === 'number' && startTime !== NO_START_TIME;
+    if (!this._isEnabled() || !this._entryId || hasConfiguredStartTime) {
+      this.callNext(next);
+      return;
+    }
+    if (!this._loadPromise) {
+      const entryId = this._entryId;
+      this._loadPromise = this._getBackend()
+        .load(entryId)
+        .then(bookmark => (entryId === this._entryId ? this._getResumePosition(bookmark) : null))
+        .catch(error => {
+          this._onError(Error.Code.BOOKMARK_LOAD_FAILED, entryId, error);
+          return null;
+        });
+    }
+    return this._loadPromise.then(position => (typeof position === 'number' ? this.callNext(next, position) : this.callNext(next)));
+  }
+
+  /**
+   * Saves the bookmark of the current media, and resets the manager before a media change.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._save();
+    this._entryId = '';
+    this._bookmark = null;
+    this._lastSavedPosition = NaN;
+    this._lastSaveTime = 0;
+    this._loadPromise = null;
+  }
+
+  /**
+   * Saves the bookmark of the current media and destroys the manager.
+   * Called when the player is being destroyed, before the engine is destroyed.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._save();
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Gets the position to resume from, unless the media was watched till (nearly) its end.
+   * @param {?PKBookmarkObject} bookmark - The loaded bookmark.
+   * @returns {?number} - The bookmark position, null to start as configured.
+   * @private
+   */
+  _getResumePosition(bookmark: ?PKBookmarkObject): ?number {
+    if (bookmark && bookmark.position > 0 && !this._isNearEnd(bookmark)) {
+      BookmarkManager._logger.debug(`Resume entry ${this._entryId} from ${bookmark.position}`);
+      return bookmark.position;
+    }
+    return null;
+  }
+
+  /**
+   * Keeps the current position and saves it periodically.
+   * @returns {void}
+   * @private
+   */
+  _onTimeUpdate(): void {
+    const position = this._player.currentTime;
+    const duration = this._player.duration;
+    if (typeof position === 'number' && typeof duration === 'number' && duration > 0 && !this._player.isLive()) {
+      this._bookmark = {position, duration, timestamp: Date.now()};
+      const {saveInterval} = this._player.config.bookmark;
+      if (saveInterval > 0 && !this._player.paused && Date.now() - this._lastSaveTime >= saveInterval * 1000) {
+        this._save();
+      }
+    }
+  }
+
+  /**
+   * Saves the last known position of the current media.
+   * A media which was watched till (nearly) its end is saved with position 0, so it will start over next time.
+   * @returns {void}
+   * @private
+   */
+  _save(): void {
+    const bookmark = this._bookmark;
+    if (!this._isEnabled() || !this._entryId || !bookmark) {
+      return;
+    }
+    const entryId = this._entryId;
+    const toSave = this._isNearEnd(bookmark) ? {...bookmark, position: 0} : bookmark;
+    this._lastSaveTime = Date.now();
+    if (toSave.position !== this._lastSavedPosition) {
+      this._lastSavedPosition = toSave.position;
+      this._getBackend()
+        .save(entryId, toSave)
+        .catch(error => this._onError(Error.Code.BOOKMARK_SAVE_FAILED, entryId, error));
+    }
+  }
+
+  /**
+   * Checks whether the bookmark is at the (near) end of the media.
+   * @param {PKBookmarkObject} bookmark - The bookmark.
+   * @returns {boolean} - Whether the bookmark is at the (near) end of the media.
+   * @private
+   */
+  _isNearEnd(bookmark: PKBookmarkObject): boolean {
+    const {nearEndSeconds, nearEndPercent} = this._player.config.bookmark;
+    return bookmark.duration - bookmark.position <= nearEndSeconds || bookmark.position >= (bookmark.duration * nearEndPercent) / 100;
+  }
+
+  /**
+   * Whether bookmarks are enabled.
+   * @returns {boolean} - Whether bookmarks are enabled.
+   * @private
+   */
+  _isEnabled(): boolean {
+    const config = this._player.config.bookmark;
+    return !!(config && config.enabled);
+  }
+
+  /**
+   * Gets the bookmarks backend, the configured one or the default storage backend.
+   * @returns {PKBookmarkBackendObject} - The backend.
+   * @private
+   */
+  _getBackend(): PKBookmarkBackendObject {
+    const {backend, storageKeyPrefix} = this._player.config.bookmark;
+    if (backend && typeof backend.load === 'function' && typeof backend.save === 'function') {
+      return {
+        load: (entryId: string) => Promise.resolve().then(() => backend.load(entryId)),
+        save: (entryId: string, bookmark: PKBookmarkObject) => Promise.resolve().then(() => backend.save(entryId, bookmark))
+      };
+    }
+    return {
+      load: (entryId: string) =>
+        Promise.resolve().then(() => {
+          const value = this._storage.getItem(storageKeyPrefix + entryId);
+          return value ? JSON.parse(value) : null;
+        }),
+      save: (entryId: string, bookmark: PKBookmarkObject) =>
+        Promise.resolve().then(() => this._storage.setItem(storageKeyPrefix + entryId, JSON.stringify(bookmark)))
+    };
+  }
+
+  /**
+   * Dispatches a bookmark error.
+   * @param {number} code - The error code.
+   * @param {string} entryId - The entry id of the bookmark.
+   * @param {any} error - The backend error.
+   * @returns {void}
+   * @private
+   */
+  _onError(code: number, entryId: string, error: any): void {
+    BookmarkManager._logger.warn(`Bookmark of entry ${entryId} failed`, error);
+    this._player.dispatchEvent(
+      new FakeEvent(CustomEventType.BOOKMARK_ERROR, new Error(Error.Severity.RECOVERABLE, Error.Category.STORAGE, code, {entryId, error}))
+    );
+  }
+}
+
+export {BookmarkManager};
@@ -0,0 +1,240 @@
+//@flow
+import Player from '../player';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import Error from '../error/error';
+import * as Utils from '../utils/util';
+import getLogger from '../utils/logger';
+import {Parser, StringDecoder} from '../track/text-track-display';
+import {CueTimeline} from '../metadata/cue-timeline';
+
+/**
+ * Parses a WebVTT chapters file (kind=chapters) into chapter configs, one per cue.
+ * @param {string} vttStr - The WebVTT file.
+ * @returns {Promise<Array<PKChapterConfigObject>>} - Resolves with the chapter configs, in the order of the file.
+ * Rejects with the parsing error if the file has no valid chapter.
+ */
+function parseVttChapters(vttStr: string): Promise<Array<PKChapterConfigObject>> {
+  return new Promise((resolve, reject) => {
+    const parser = new Parser(window, StringDecoder());
+    const chapters = [];
+    let parsingError = null;
+    parser.oncue = cue => {
+      const chapter: PKChapterConfigObject = {title: cue.text, startTime: cue.startTime, endTime: cue.endTime};
+      if (cue.id) {
+        chapter.id = cue.id;
+      }
+      chapters.push(chapter);
+    };
+    // a malformed cue is skipped, and a file without any chapter is rejected with the parsing error
+    parser.onparsingerror = e => {
+      parsingError = parsingError || e;
+    };
+    parser.onflush = () => (parsingError && !chapters.length ? reject(parsingError) : resolve(chapters));
+    parser.parse(vttStr);
+    parser.flush();
+  });
+}
+
+/**
+ * Creates the chapters of the chapter configs, sorted by their start time.
+ * A chapter without an ID is identified by its position, and a chapter without an end ends at the start of the next one
+ * (the last one has no end, for live streams and media of an unknown duration).
+ * @param {Array<PKChapterConfigObject>} configs - The chapter configs.
+ * @returns {Array<PKChapterObject>} - The chapters.
+ */
+function createChapters(configs: Array<PKChapterConfigObject>): Array<PKChapterObject> {
+  const sortedConfigs = configs.filter(config => Utils.Number.isNumber(config.startTime)).sort((a, b) => a.startTime - b.startTime);
+  return sortedConfigs.map((config, index) => {
+    const next = sortedConfigs[index + 1];
+    const endTime = typeof config.endTime === 'number' && config.endTime > config.startTime ? config.endTime : next ? next.startTime : Infinity;
+    return {
+      id: config.id || `${index + 1}`,
+      title: config.title || '',
+      startTime: config.startTime,
+      endTime
+    };
+  });
+}
+
+/**
+ * Keeps the chapters of the media, configured by `sources.chapters` as a WebVTT chapters file or an inline array,
+ * and fires the chapter changed event as the playback moves between the chapters.
+ * @class ChaptersManager
+ * @param {Player} player - The player.
+ */
+class ChaptersManager {
+  /**
+   * The chapters manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('ChaptersManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The timeline of the chapters.
+   * @type {CueTimeline<PKChapterObject>}
+   * @private
+   */
+  _timeline: CueTimeline<PKChapterObject>;
+  /**
+   * The chapter of the playback time.
+   * @type {?PKChapterObject}
+   * @private
+   */
+  _currentChapter: ?PKChapterObject = null;
+  /**
+   * The number of the chapters loads, to drop a chapters file which arrives after the media changed.
+   * @type {number}
+   * @private
+   */
+  _loadCount: number = 0;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._timeline = new CueTimeline(
+      player,
+      () => this._updateCurrentChapter(),
+      () => this._updateCurrentChapter()
+    );
+  }
+
+  /**
+   * Loads the chapters of the media, and fires the chapters loaded event.
+   * @param {string|Array<PKChapterConfigObject>} chapters - The url of a WebVTT chapters file, or the chapter configs.
+   * @returns {Promise<Array<PKChapterObject>>} - Resolves with the chapters, or with no chapters and a recoverable error fired if the file cannot be loaded.
+   * @public
+   */
+  load(chapters: string | Array<PKChapterConfigObject>): Promise<Array<PKChapterObject>> {
+    const loadCount = ++this._loadCount;
+    const configsPromise = typeof chapters === 'string' ? this._loadVttChapters(chapters) : Promise.resolve(chapters);
+    return configsPromise
+      .then(configs => {
+        if (loadCount !== this._loadCount) {
+          return [];
+        }
+        const loadedChapters = this._timeline.add(createChapters(configs));
+        ChaptersManager._logger.debug(`${loadedChapters.length} chapters loaded`);
+        this._player.dispatchEvent(new FakeEvent(CustomEventType.CHAPTERS_LOADED, {chapters: this.getChapters()}));
+        this._timeline.refresh();
+        return loadedChapters;
+      })
+      .catch(error => {
+        if (loadCount === this._loadCount) {
+          this._player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
+        }
+        return [];
+      });
+  }
+
+  /**
+   * Gets the chapters.
+   * @returns {Array<PKChapterObject>} - The chapters, sorted by their start time.
+   * @public
+   */
+  getChapters(): Array<PKChapterObject> {
+    return this._timeline.cues.slice();
+  }
+
+  /**
+   * Gets the chapter of the playback time.
+   * @returns {?PKChapterObject} - The current chapter, null if the playback time is out of the chapters.
+   * @public
+   */
+  getCurrentChapter(): ?PKChapterObject {
+    return this._currentChapter;
+  }
+
+  /**
+   * Seeks to the start of a chapter. The start of a chapter which began before the DVR window is out of the window,
+   * so the playback seeks to the start of the window.
+   * @param {string} id - The chapter ID.
+   * @returns {boolean} - Whether the chapter can be seeked to.
+   * @public
+   */
+  seekToChapter(id: string): boolean {
+    const chapter = this._timeline.getCue(id);
+    if (!chapter) {
+      ChaptersManager._logger.warn(`No chapter with the ID ${id}`);
+      return false;
+    }
+    let startTime = chapter.startTime;
+    if (this._player.isLive()) {
+      const dvrWindowStart = this._player.getStartTimeOfDvrWindow();
+      if (!this._player.isDvr() || chapter.endTime <= dvrWindowStart) {
+        ChaptersManager._logger.warn(`The chapter ${id} is out of the seekable range`);
+        return false;
+      }
+      startTime = Math.max(startTime, dvrWindowStart);
+    }
+    this._player.currentTime = startTime;
+    return true;
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._loadCount++;
+    this._timeline.reset();
+    this._currentChapter = null;
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._timeline.destroy();
+  }
+
+  /**
+   * Downloads and parses a WebVTT chapters file.
+   * @param {string} url - The file url.
+   * @returns {Promise<Array<PKChapterConfigObject>>} - Resolves with the chapter configs.
+   * @private
+   */
+  _loadVttChapters(url: string): Promise<Array<PKChapterConfigObject>> {
+    return Utils.Http.execute(url, {}, 'GET')
+      .catch(() => {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.HTTP_ERROR, {url});
+      })
+      .then(response =>
+        parseVttChapters(response).catch(e => {
+          throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.INVALID_TEXT_HEADER, {url, error: e});
+        })
+      );
+  }
+
+  /**
+   * Updates the chapter of the playback time, and fires the chapter changed event if the chapter changed.
+   * Consecutive chapters change once, as the playback exits the previous chapter and enters the next one on the same update.
+   * @returns {void}
+   * @private
+   */
+  _updateCurrentChapter(): void {
+    const activeChapters = this._timeline.activeCues;
+    const currentChapter = activeChapters.length ? activeChapters[activeChapters.length - 1] : null;
+    if (currentChapter !== this._currentChapter) {
+      const previousChapter = this._currentChapter;
+      this._currentChapter = currentChapter;
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.CHAPTER_CHANGED, {chapter: currentChapter, previousChapter}));
+    }
+  }
+}
+
+export {ChaptersManager, createChapters, parseVttChapters};
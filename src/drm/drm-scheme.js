@@ -2,5 +2,6 @@
 export const DrmScheme = {
   WIDEVINE: 'com.widevine.alpha',
   PLAYREADY: 'com.microsoft.playready',
-  FAIRPLAY: 'com.apple.fairplay'
+  FAIRPLAY: 'com.apple.fairplay',
+  CLEARKEY: 'org.w3.clearkey'
 };
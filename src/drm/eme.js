@@ -0,0 +1,55 @@
+// @flow
+import type {EmeDrmConfigType} from '../engines/html5/media-source/adapters/eme-drm-handler';
+import getLogger from '../utils/logger';
+import {DrmScheme} from './drm-scheme';
+
+const _logger = getLogger('Eme');
+
+const Eme: IDrmProtocol = class Eme {
+  /**
+   * The configured key system is played with EME, if it's in the drm data.
+   * @param {Array<Object>} drmData - The drm data.
+   * @param {PKDrmConfigObject} drmConfig - The drm config.
+   * @return {boolean} - Whether the configured key system is played with EME.
+   */
+  static isConfigured(drmData: Array<Object>, drmConfig: PKDrmConfigObject): boolean {
+    return Eme.isSupported() && DrmScheme.FAIRPLAY !== drmConfig.keySystem && !!drmData.find(drmEntry => drmEntry.scheme === drmConfig.keySystem);
+  }
+
+  /**
+   * EME playback supports in case 2 conditions are met:
+   * 1. The environment supports the encrypted media extensions.
+   * 2. The drm data of the source object contains an entry of a key system other than FairPlay, which has its own protocol.
+   * Whether the environment supports the key system itself is only known once its access is requested.
+   * @param {Array<Object>} drmData - The drm data to check.
+   * @return {boolean} - Whether EME can be played on the current environment.
+   */
+  static canPlayDrm(drmData: Array<Object>): boolean {
+    _logger.debug('Can play DRM schemes of: ' + drmData.map(drmEntry => drmEntry.scheme).join(', '));
+    return Eme.isSupported() && !!drmData.find(drmEntry => drmEntry.scheme !== DrmScheme.FAIRPLAY);
+  }
+
+  /**
+   * Checks whether the environment supports the encrypted media extensions.
+   * @return {boolean} - Whether EME is supported.
+   */
+  static isSupported(): boolean {
+    return !!window.navigator && typeof window.navigator.requestMediaKeySystemAccess === 'function' && !!window.MediaKeys;
+  }
+
+  /**
+   * Sets the EME playback. The key systems are requested by the order of the drm data, starting with the configured one.
+   * @param {EmeDrmConfigType} config - The config to manipulate.
+   * @param {Array<Object>} drmData - The drm data.
+   * @returns {void}
+   */
+  static setDrmPlayback(config: EmeDrmConfigType, drmData: Array<Object>): void {
+    _logger.debug('Sets drm playback');
+    const drmEntries = drmData.filter(drmEntry => drmEntry.scheme !== DrmScheme.FAIRPLAY);
+    config.drmEntries = drmEntries
+      .filter(drmEntry => drmEntry.scheme === config.keySystem)
+      .concat(drmEntries.filter(drmEntry => drmEntry.scheme !== config.keySystem));
+  }
+};
+
+export default Eme;
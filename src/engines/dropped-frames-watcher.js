@@ -7,6 +7,22 @@ import FakeEvent from '../event/fake-event';
 
 const NOT_SUPPORTED: number = -1;
 
+/**
+ * Gets the dropped and decoded frames count of a video element.
+ * @param {HTMLVideoElement} videoElement - The video element.
+ * @returns {[number, number]} - The dropped and decoded frames, -1 for each if not supported.
+ */
+function getDroppedAndDecodedFrames(videoElement: HTMLVideoElement): [number, number] {
+  if (typeof videoElement.getVideoPlaybackQuality === 'function') {
+    const videoPlaybackQuality = videoElement.getVideoPlaybackQuality();
+    return [videoPlaybackQuality.droppedVideoFrames, videoPlaybackQuality.totalVideoFrames];
+  } else if (typeof videoElement.webkitDroppedFrameCount == 'number' && typeof videoElement.webkitDecodedFrameCount == 'number') {
+    return [videoElement.webkitDroppedFrameCount, videoElement.webkitDecodedFrameCount];
+  } else {
+    return [NOT_SUPPORTED, NOT_SUPPORTED];
+  }
+}
+
 class DroppedFramesWatcher extends FakeEventTarget {
   _droppedFramesInterval: ?IntervalID = null;
   _lastDroppedFrames: number = 0;
@@ -50,14 +66,7 @@ class DroppedFramesWatcher extends FakeEventTarget {
   }
 
   _getDroppedAndDecodedFrames(): [number, number] {
-    if (typeof this._videoElement.getVideoPlaybackQuality === 'function') {
-      const videoPlaybackQuality = this._videoElement.getVideoPlaybackQuality();
-      return [videoPlaybackQuality.droppedVideoFrames, videoPlaybackQuality.totalVideoFrames];
-    } else if (typeof this._videoElement.webkitDroppedFrameCount == 'number' && typeof this._videoElement.webkitDecodedFrameCount == 'number') {
-      return [this._videoElement.webkitDroppedFrameCount, this._videoElement.webkitDecodedFrameCount];
-    } else {
-      return [NOT_SUPPORTED, NOT_SUPPORTED];
-    }
+    return getDroppedAndDecodedFrames(this._videoElement);
   }
 
   _checkFPS(): void {
@@ -100,4 +109,4 @@ class DroppedFramesWatcher extends FakeEventTarget {
   }
 }
 
-export {DroppedFramesWatcher};
+export {DroppedFramesWatcher, getDroppedAndDecodedFrames, NOT_SUPPORTED};
@@ -13,6 +13,8 @@ import Html5AutoPlayCapability from './capabilities/html5-autoplay';
 import Error from '../../error/error';
 import getLogger from '../../utils/logger';
 import {DroppedFramesWatcher} from '../dropped-frames-watcher';
+import {createNativeMetadataCue} from '../../metadata/metadata-cue';
+import {createNativeDateRangeCuePoints, isNativeDateRangeCue} from '../../metadata/date-range-parser';
 
 /**
  * Html5 engine for playback.
@@ -50,6 +52,12 @@ export default class Html5 extends FakeEventTarget implements IEngine {
    */
   _canLoadMediaSourceAdapterPromise: Promise<*>;
   _droppedFramesWatcher: ?DroppedFramesWatcher;
+  /**
+   * The native metadata cues which were normalized.
+   * @type {WeakSet<Object>}
+   * @private
+   */
+  _nativeMetadataCues: WeakSet<Object> = new WeakSet();
 
   /**
    * The html5 class logger.
@@ -308,6 +316,9 @@ export default class Html5 extends FakeEventTarget implements IEngine {
       this._eventManager.listen(mediaSourceAdapter, Html5EventType.WAITING, (event: FakeEvent) => this.dispatchEvent(event));
       this._eventManager.listen(mediaSourceAdapter, CustomEventType.MEDIA_RECOVERED, (event: FakeEvent) => this.dispatchEvent(event));
       this._eventManager.listen(mediaSourceAdapter, 'hlsFragParsingMetadata', (event: FakeEvent) => this.dispatchEvent(event));
+      this._eventManager.listen(mediaSourceAdapter, CustomEventType.TIMED_METADATA_ADDED, (event: FakeEvent) => this.dispatchEvent(event));
+      this._eventManager.listen(mediaSourceAdapter, CustomEventType.CUE_POINTS_ADDED, (event: FakeEvent) => this.dispatchEvent(event));
+      this._eventManager.listen(mediaSourceAdapter, CustomEventType.THUMBNAIL_SETS_ADDED, (event: FakeEvent) => this.dispatchEvent(event));
       if (this._droppedFramesWatcher) {
         this._eventManager.listen(this._droppedFramesWatcher, CustomEventType.FPS_DROP, (event: FakeEvent) => this.dispatchEvent(event));
       }
@@ -413,6 +424,27 @@ export default class Html5 extends FakeEventTarget implements IEngine {
     return false;
   }
 
+  /**
+   * Checks whether the media source adapter applies the target video track of the ABR controller.
+   * @returns {boolean} - Whether the ABR target is supported.
+   * @public
+   */
+  isAbrTargetSupported(): boolean {
+    return !!this._mediaSourceAdapter && !!this._mediaSourceAdapter.capabilities.abrTarget;
+  }
+
+  /**
+   * Switches to the target video track of the ABR controller, while the adaptive bitrate stays enabled.
+   * @param {VideoTrack} videoTrack - The target video track.
+   * @returns {void}
+   * @public
+   */
+  setAbrTarget(videoTrack: VideoTrack): void {
+    if (this._mediaSourceAdapter) {
+      this._mediaSourceAdapter.setAbrTarget(videoTrack);
+    }
+  }
+
   /**
    * Seeking to live edge.
    * @function seekToLiveEdge
@@ -997,8 +1029,10 @@ export default class Html5 extends FakeEventTarget implements IEngine {
    */
   _loadMediaSourceAdapter(source: PKMediaSourceObject): void {
     this._mediaSourceAdapter = MediaSourceProvider.getMediaSourceAdapter(this.getVideoElement(), source, this._config);
-    if (this._mediaSourceAdapter) {
-      this._droppedFramesWatcher = new DroppedFramesWatcher(this._mediaSourceAdapter, this._config.abr, this._el);
+    const mediaSourceAdapter = this._mediaSourceAdapter;
+    // the ABR controller of the player caps the bitrate on a frames drop of the adapters which apply its target
+    if (mediaSourceAdapter && (!mediaSourceAdapter.capabilities.abrTarget || mediaSourceAdapter.capabilities.fpsControl)) {
+      this._droppedFramesWatcher = new DroppedFramesWatcher(mediaSourceAdapter, this._config.abr, this._el);
     }
   }
 
@@ -1115,8 +1149,12 @@ export default class Html5 extends FakeEventTarget implements IEngine {
     const listenToCueChange = track => {
       track.mode = 'hidden';
       this._eventManager.listen(track, 'cuechange', () => {
+        this._addNativeMetadataCues(track);
         this.dispatchEvent(new FakeEvent(CustomEventType.TIMED_METADATA, {cues: Array.from(track.activeCues)}));
       });
+      // the upcoming cues are added before they become active
+      this._eventManager.listen(this._el, Html5EventType.TIME_UPDATE, () => this._addNativeMetadataCues(track));
+      this._addNativeMetadataCues(track);
     };
     const metadataTrack = Array.from(this._el.textTracks).find((track: TextTrack) => track.kind === 'metadata');
     if (metadataTrack) {
@@ -1136,6 +1174,36 @@ export default class Html5 extends FakeEventTarget implements IEngine {
     });
   }
 
+  /**
+   * Normalizes the new cues of a native metadata track, and fires them in a timed metadata added event.
+   * The date range cues are fired as cue points.
+   * @param {TextTrack} track - The metadata track.
+   * @returns {void}
+   * @private
+   */
+  _addNativeMetadataCues(track: TextTrack): void {
+    const cues = [];
+    const dateRangeCues = [];
+    Array.from(track.cues || []).forEach(cue => {
+      if (!this._nativeMetadataCues.has(cue)) {
+        this._nativeMetadataCues.add(cue);
+        if (isNativeDateRangeCue(cue)) {
+          dateRangeCues.push(cue);
+        } else {
+          const metadataCue = createNativeMetadataCue(cue);
+          metadataCue && cues.push(metadataCue);
+        }
+      }
+    });
+    if (cues.length) {
+      this.dispatchEvent(new FakeEvent(CustomEventType.TIMED_METADATA_ADDED, {cues}));
+    }
+    const cuePoints = createNativeDateRangeCuePoints(dateRangeCues);
+    if (cuePoints.length) {
+      this.dispatchEvent(new FakeEvent(CustomEventType.CUE_POINTS_ADDED, {cuePoints}));
+    }
+  }
+
   get targetBuffer(): number {
     if (this._mediaSourceAdapter) {
       return this._mediaSourceAdapter.targetBuffer;
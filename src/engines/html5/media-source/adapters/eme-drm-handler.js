@@ -0,0 +1,412 @@
+// @flow
+import Error from '../../../../error/error';
+import getLogger from '../../../../utils/logger';
+import * as Utils from '../../../../utils/util';
+import {RequestType} from '../../../../request-type';
+import {DrmScheme} from '../../../../drm/drm-scheme';
+import EventManager from '../../../../event/event-manager';
+
+type EmeDrmConfigType = {keySystem: string, drmEntries: Array<PKDrmDataObject>, network: {requestFilter?: Function, responseFilter?: Function}};
+
+const KEY_SYSTEM_CONFIGS: Array<Object> = [
+  {
+    initDataTypes: ['cenc', 'keyids', 'webm'],
+    videoCapabilities: [{contentType: 'video/mp4; codecs="avc1.42E01E"'}, {contentType: 'video/webm; codecs="vp8"'}],
+    audioCapabilities: [{contentType: 'audio/mp4; codecs="mp4a.40.2"'}, {contentType: 'audio/webm; codecs="vorbis"'}]
+  }
+];
+
+/**
+ * Plays encrypted media with the encrypted media extensions, for any key system of the drm data.
+ * The media keys are created on the first encrypted event, from the first drm entry whose key system is accessible,
+ * and a temporary session is created per distinct init data.
+ * @class EmeDrmHandler
+ * @param {HTMLVideoElement} videoElement - The video element.
+ * @param {EmeDrmConfigType} config - The drm entries, by their priority, and the network config.
+ * @param {Function} errorCallback - The error callback.
+ * @param {Function} drmResponseCallback - The license response callback.
+ */
+class EmeDrmHandler {
+  /**
+   * The EME DRM handler logger.
+   * @type {any}
+   * @private
+   */
+  _logger: any = getLogger('EmeDrmHandler');
+  /**
+   * The event manager of the handler.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The video element.
+   * @type {HTMLVideoElement}
+   * @private
+   */
+  _videoElement: HTMLVideoElement;
+  /**
+   * The handler config.
+   * @type {EmeDrmConfigType}
+   * @private
+   */
+  _config: EmeDrmConfigType;
+  /**
+   * The error callback.
+   * @type {Function}
+   * @private
+   */
+  _errorCallback: Function;
+  /**
+   * The license response callback.
+   * @type {Function}
+   * @private
+   */
+  _drmResponseCallback: Function;
+  /**
+   * The promise of the media keys attached to the video element, with the drm entry of their key system.
+   * @type {?Promise<PKDrmDataObject>}
+   * @private
+   */
+  _mediaKeysPromise: ?Promise<PKDrmDataObject> = null;
+  /**
+   * The key sessions.
+   * @type {Array<any>}
+   * @private
+   */
+  _sessions: Array<any> = [];
+  /**
+   * The init data the sessions were created for, to ignore their repeated encrypted events.
+   * @type {Array<string>}
+   * @private
+   */
+  _initDataKeys: Array<string> = [];
+  /**
+   * The pending license requests.
+   * @type {Array<XMLHttpRequest>}
+   * @private
+   */
+  _requests: Array<XMLHttpRequest> = [];
+  /**
+   * Whether the handler was destroyed.
+   * @type {boolean}
+   * @private
+   */
+  _destroyed: boolean = false;
+
+  /**
+   * @constructor
+   * @param {HTMLVideoElement} videoElement - The video element.
+   * @param {EmeDrmConfigType} config - The drm entries, by their priority, and the network config.
+   * @param {Function} errorCallback - The error callback.
+   * @param {Function} drmResponseCallback - The license response callback.
+   */
+  constructor(videoElement: HTMLVideoElement, config: EmeDrmConfigType, errorCallback: Function, drmResponseCallback: Function) {
+    this._videoElement = videoElement;
+    this._config = config;
+    this._errorCallback = errorCallback;
+    this._drmResponseCallback = drmResponseCallback;
+    this._eventManager = new EventManager();
+    this._eventManager.listen(this._videoElement, 'encrypted', (event: any) => this._onEncrypted(event));
+  }
+
+  /**
+   * Destroys the handler: aborts the license requests, closes the sessions and detaches the media keys.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._destroyed = true;
+    this._eventManager.destroy();
+    this._requests.forEach(request => request.abort());
+    this._requests = [];
+    this._sessions.forEach(session => session.close().catch(() => {}));
+    this._sessions = [];
+    this._initDataKeys = [];
+    if (this._mediaKeysPromise) {
+      this._mediaKeysPromise = null;
+      const videoElement: any = this._videoElement;
+      videoElement.mediaKeys && videoElement.setMediaKeys(null).catch(() => {});
+    }
+  }
+
+  /**
+   * Creates a session for the init data of the encrypted event, unless one was already created for it.
+   * @param {any} event - The encrypted event.
+   * @returns {void}
+   * @private
+   */
+  _onEncrypted(event: any): void {
+    const {initDataType, initData} = event;
+    if (!initData) {
+      this._onError(Error.Code.ENCRYPTED_CONTENT_WITHOUT_DRM_INFO);
+      return;
+    }
+    const initDataKey = `${initDataType}:${new Uint8Array(initData).join(',')}`;
+    if (this._initDataKeys.includes(initDataKey)) {
+      return;
+    }
+    this._logger.debug(`Encrypted event triggered, init data type: ${initDataType}`);
+    this._initDataKeys.push(initDataKey);
+    this._setMediaKeys()
+      .then(drmEntry => this._createSession(drmEntry, initDataType, initData))
+      .catch(error => this._errorCallback(error));
+  }
+
+  /**
+   * Requests the access to the first accessible key system of the drm entries, and attaches its media keys to the video element.
+   * @returns {Promise<PKDrmDataObject>} - The drm entry of the attached media keys.
+   * @private
+   */
+  _setMediaKeys(): Promise<PKDrmDataObject> {
+    if (!this._mediaKeysPromise) {
+      this._mediaKeysPromise = this._config.drmEntries
+        .reduce(
+          (promise, drmEntry) =>
+            promise.catch(() =>
+              navigator.requestMediaKeySystemAccess(drmEntry.scheme, KEY_SYSTEM_CONFIGS).then(keySystemAccess => [drmEntry, keySystemAccess])
+            ),
+          Promise.reject()
+        )
+        .catch(error => {
+          throw this._createError(Error.Code.REQUESTED_KEY_SYSTEM_CONFIG_UNAVAILABLE, {
+            keySystems: this._config.drmEntries.map(drmEntry => drmEntry.scheme),
+            error
+          });
+        })
+        .then(([drmEntry, keySystemAccess]) => {
+          this._logger.debug(`Key system ${drmEntry.scheme} is accessible`);
+          return keySystemAccess
+            .createMediaKeys()
+            .catch(error => {
+              throw this._createError(Error.Code.FAILED_TO_CREATE_CDM, error);
+            })
+            .then(mediaKeys => this._setServerCertificate(mediaKeys, drmEntry))
+            .then(mediaKeys => {
+              const videoElement: any = this._videoElement;
+              return videoElement.setMediaKeys(mediaKeys).catch(error => {
+                throw this._createError(Error.Code.FAILED_TO_ATTACH_TO_VIDEO, error);
+              });
+            })
+            .then(() => drmEntry);
+        });
+    }
+    return this._mediaKeysPromise;
+  }
+
+  /**
+   * Sets the server certificate of the drm entry, if it has one.
+   * @param {any} mediaKeys - The media keys.
+   * @param {PKDrmDataObject} drmEntry - The drm entry.
+   * @returns {Promise<any>} - The media keys.
+   * @private
+   */
+  _setServerCertificate(mediaKeys: any, drmEntry: PKDrmDataObject): Promise<any> {
+    if (!drmEntry.certificate) {
+      return Promise.resolve(mediaKeys);
+    }
+    let certificate;
+    try {
+      certificate = EmeDrmHandler._base64ToUint8Array(drmEntry.certificate);
+    } catch (error) {
+      return Promise.reject(this._createError(Error.Code.INVALID_SERVER_CERTIFICATE, error));
+    }
+    return mediaKeys
+      .setServerCertificate(certificate)
+      .catch(error => {
+        throw this._createError(Error.Code.INVALID_SERVER_CERTIFICATE, error);
+      })
+      .then(() => mediaKeys);
+  }
+
+  /**
+   * Creates a temporary session for the init data, and generates its license request.
+   * @param {PKDrmDataObject} drmEntry - The drm entry of the media keys.
+   * @param {string} initDataType - The init data type.
+   * @param {ArrayBuffer} initData - The init data.
+   * @returns {Promise<void>} - Resolved once the license request is generated.
+   * @private
+   */
+  _createSession(drmEntry: PKDrmDataObject, initDataType: string, initData: ArrayBuffer): Promise<void> {
+    if (this._destroyed) {
+      return Promise.resolve();
+    }
+    let session;
+    try {
+      session = (this._videoElement: any).mediaKeys.createSession('temporary');
+    } catch (error) {
+      return Promise.reject(this._createError(Error.Code.FAILED_TO_CREATE_SESSION, error));
+    }
+    this._sessions.push(session);
+    this._eventManager.listen(session, 'message', (event: any) => this._onMessage(drmEntry, session, event.message));
+    this._eventManager.listen(session, 'keystatuseschange', () => this._onKeyStatusesChange(session));
+    return session.generateRequest(initDataType, initData).catch(error => {
+      throw this._createError(Error.Code.FAILED_TO_GENERATE_LICENSE_REQUEST, error);
+    });
+  }
+
+  /**
+   * Requests the license of the session message from the license server of the drm entry, and updates the session with it.
+   * @param {PKDrmDataObject} drmEntry - The drm entry of the media keys.
+   * @param {any} session - The session.
+   * @param {ArrayBuffer} message - The session message.
+   * @returns {void}
+   * @private
+   */
+  _onMessage(drmEntry: PKDrmDataObject, session: any, message: ArrayBuffer): void {
+    this._logger.debug('Session message triggered');
+    if (!drmEntry.licenseUrl) {
+      this._onError(Error.Code.NO_LICENSE_SERVER_GIVEN, {scheme: drmEntry.scheme});
+      return;
+    }
+    const pkRequest: PKRequestObject =
+      drmEntry.scheme === DrmScheme.PLAYREADY
+        ? EmeDrmHandler._getPlayReadyRequest(drmEntry.licenseUrl, message)
+        : {url: drmEntry.licenseUrl, body: message, headers: {}};
+    const requestFilter = this._config.network.requestFilter;
+    let requestFilterPromise;
+    try {
+      requestFilterPromise = requestFilter && requestFilter(RequestType.LICENSE, pkRequest);
+    } catch (error) {
+      requestFilterPromise = Promise.reject(error);
+    }
+    Promise.resolve(requestFilterPromise || pkRequest)
+      .catch(error => {
+        throw new Error(Error.Severity.CRITICAL, Error.Category.NETWORK, Error.Code.REQUEST_FILTER_ERROR, error);
+      })
+      .then(updatedRequest => this._sendLicenseRequest(drmEntry, updatedRequest))
+      .then(license => {
+        if (!this._destroyed) {
+          return session.update(license).catch(error => {
+            throw this._createError(Error.Code.LICENSE_RESPONSE_REJECTED, error);
+          });
+        }
+      })
+      .catch(error => !this._destroyed && this._errorCallback(error));
+  }
+
+  /**
+   * Sends the license request, and applies the response filter on its response.
+   * @param {PKDrmDataObject} drmEntry - The drm entry of the media keys.
+   * @param {PKRequestObject} pkRequest - The license request.
+   * @returns {Promise<ArrayBuffer>} - The license.
+   * @private
+   */
+  _sendLicenseRequest(drmEntry: PKDrmDataObject, pkRequest: PKRequestObject): Promise<ArrayBuffer> {
+    return new Promise((resolve, reject) => {
+      const request = new XMLHttpRequest();
+      this._requests.push(request);
+      request.open('POST', pkRequest.url, true);
+      request.responseType = 'arraybuffer';
+      Object.entries(pkRequest.headers || {}).forEach(([header, value]) => {
+        typeof value === 'string' && request.setRequestHeader(header, value);
+      });
+      const licenseRequestTime = Date.now();
+      request.onload = () => {
+        this._requests = this._requests.filter(pendingRequest => pendingRequest !== request);
+        if (request.status < 200 || request.status > 299) {
+          reject(this._createError(Error.Code.LICENSE_REQUEST_FAILED, {url: pkRequest.url, status: request.status}));
+          return;
+        }
+        this._drmResponseCallback({licenseTime: (Date.now() - licenseRequestTime) / 1000, scheme: drmEntry.scheme});
+        const pkResponse: PKResponseObject = {
+          url: request.responseURL,
+          originalUrl: pkRequest.url,
+          data: request.response,
+          headers: Utils.Http.convertHeadersToDictionary(request.getAllResponseHeaders())
+        };
+        const responseFilter = this._config.network.responseFilter;
+        let responseFilterPromise;
+        try {
+          responseFilterPromise = responseFilter && responseFilter(RequestType.LICENSE, pkResponse);
+        } catch (error) {
+          responseFilterPromise = Promise.reject(error);
+        }
+        Promise.resolve(responseFilterPromise || pkResponse)
+          .then(updatedResponse => resolve(updatedResponse.data))
+          .catch(error => reject(new Error(Error.Severity.CRITICAL, Error.Category.NETWORK, Error.Code.RESPONSE_FILTER_ERROR, error)));
+      };
+      request.onerror = () => {
+        this._requests = this._requests.filter(pendingRequest => pendingRequest !== request);
+        reject(this._createError(Error.Code.LICENSE_REQUEST_FAILED, {url: pkRequest.url, status: request.status}));
+      };
+      request.send(pkRequest.body);
+    });
+  }
+
+  /**
+   * Fails the playback once a key of the session expires.
+   * @param {any} session - The session.
+   * @returns {void}
+   * @private
+   */
+  _onKeyStatusesChange(session: any): void {
+    let expired = false;
+    session.keyStatuses.forEach(status => (expired = expired || status === 'expired'));
+    if (expired) {
+      this._onError(Error.Code.EXPIRED, {sessionId: session.sessionId});
+    }
+  }
+
+  /**
+   * Triggers a critical DRM error.
+   * @param {number} code - The error code.
+   * @param {any} [data] - The error data.
+   * @returns {void}
+   * @private
+   */
+  _onError(code: number, data?: any): void {
+    this._errorCallback(this._createError(code, data));
+  }
+
+  /**
+   * Creates a critical DRM error.
+   * @param {number} code - The error code.
+   * @param {any} [data] - The error data.
+   * @returns {Error} - The error.
+   * @private
+   */
+  _createError(code: number, data?: any): Error {
+    return new Error(Error.Severity.CRITICAL, Error.Category.DRM, code, data);
+  }
+
+  /**
+   * Unwraps the license challenge and the headers of a PlayReady message, which is a UTF-16 XML document.
+   * @param {string} licenseUrl - The license server URL.
+   * @param {ArrayBuffer} message - The PlayReady message.
+   * @returns {PKRequestObject} - The license request.
+   * @private
+   */
+  static _getPlayReadyRequest(licenseUrl: string, message: ArrayBuffer): PKRequestObject {
+    const xml = new window.DOMParser().parseFromString(String.fromCharCode.apply(null, new Uint16Array(message)), 'application/xml');
+    const challenge = xml.getElementsByTagName('Challenge')[0];
+    if (!challenge) {
+      return {url: licenseUrl, body: message, headers: {'Content-Type': 'text/xml; charset=utf-8'}};
+    }
+    const headers = {};
+    Array.from(xml.getElementsByTagName('HttpHeader')).forEach(header => {
+      const name = header.getElementsByTagName('name')[0];
+      const value = header.getElementsByTagName('value')[0];
+      name && value && (headers[name.textContent] = value.textContent);
+    });
+    return {url: licenseUrl, body: EmeDrmHandler._base64ToUint8Array(challenge.textContent), headers};
+  }
+
+  /**
+   * Decodes a base64 string.
+   * @param {string} input - The base64 string.
+   * @returns {Uint8Array} - The decoded bytes.
+   * @private
+   */
+  static _base64ToUint8Array(input: string): Uint8Array {
+    const raw = window.atob(input);
+    const array = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+      array[i] = raw.charCodeAt(i);
+    }
+    return array;
+  }
+}
+
+export {EmeDrmHandler};
+export type {EmeDrmConfigType};
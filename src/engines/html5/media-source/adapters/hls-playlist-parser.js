@@ -0,0 +1,164 @@
+//@flow
+import Error from '../../../../error/error';
+import {parseAttributes, resolveUrl} from '../../../../utils/m3u8';
+
+export type HlsVariant = {
+  url: string,
+  bandwidth: number,
+  width: number,
+  height: number,
+  codecs: string,
+  audioGroup: ?string
+};
+
+export type HlsRendition = {
+  url: string,
+  groupId: string,
+  name: string,
+  language: string,
+  isDefault: boolean
+};
+
+export type HlsMasterPlaylist = {
+  variants: Array<HlsVariant>,
+  audioRenditions: Array<HlsRendition>
+};
+
+export type HlsSegment = {
+  url: string,
+  sequence: number,
+  start: number,
+  duration: number,
+  byteRange: ?[number, number]
+};
+
+export type HlsInitSegment = {
+  url: string,
+  byteRange: ?[number, number]
+};
+
+export type HlsMediaPlaylist = {
+  segments: Array<HlsSegment>,
+  initSegment: ?HlsInitSegment,
+  targetDuration: number,
+  mediaSequence: number,
+  ended: boolean,
+  encrypted: boolean
+};
+
+/**
+ * Parses a BYTERANGE value (length[@offset]).
+ * @param {string} value - The byte range.
+ * @param {number} previousEnd - The end of the previous byte range of the same resource, for a range without an offset.
+ * @returns {Array<number>} - The range start and its exclusive end.
+ */
+function parseByteRange(value: string, previousEnd: number): [number, number] {
+  const [length, offset] = value.split('@').map(number => parseInt(number));
+  const start = isNaN(offset) ? previousEnd : offset;
+  return [start, start + length];
+}
+
+/**
+ * Splits a playlist into its lines, and checks its header.
+ * @param {string} text - The playlist.
+ * @returns {Array<string>} - The trimmed lines.
+ */
+function getLines(text: string): Array<string> {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error(Error.Severity.CRITICAL, Error.Category.MANIFEST, Error.Code.HLS_PLAYLIST_HEADER_MISSING);
+  }
+  return lines;
+}
+
+/**
+ * Checks whether a playlist is a master (multivariant) playlist.
+ * @param {string} text - The playlist.
+ * @returns {boolean} - Whether the playlist has variant streams.
+ */
+function isMasterPlaylist(text: string): boolean {
+  return /^#EXT-X-STREAM-INF:/m.test(text);
+}
+
+/**
+ * Parses a master (multivariant) playlist into its variant streams and its audio renditions.
+ * The audio renditions without a URI are muxed into the variant streams, so they aren't listed.
+ * @param {string} text - The playlist.
+ * @param {string} baseUrl - The playlist URL.
+ * @returns {HlsMasterPlaylist} - The master playlist.
+ */
+function parseMasterPlaylist(text: string, baseUrl: string): HlsMasterPlaylist {
+  const lines = getLines(text);
+  const playlist: HlsMasterPlaylist = {variants: [], audioRenditions: []};
+  lines.forEach((line, index) => {
+    const attributes = parseAttributes(line.substr(line.indexOf(':') + 1));
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const uri = lines.slice(index + 1).find(line => line && !line.startsWith('#'));
+      if (uri) {
+        const [width, height] = (attributes.RESOLUTION || '').split('x').map(dimension => parseInt(dimension) || 0);
+        playlist.variants.push({
+          url: resolveUrl(uri, baseUrl),
+          bandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH) || 0,
+          width: width || 0,
+          height: height || 0,
+          codecs: attributes.CODECS || '',
+          audioGroup: attributes.AUDIO || null
+        });
+      }
+    } else if (line.startsWith('#EXT-X-MEDIA:') && attributes.TYPE === 'AUDIO' && attributes.URI) {
+      playlist.audioRenditions.push({
+        url: resolveUrl(attributes.URI, baseUrl),
+        groupId: attributes['GROUP-ID'] || '',
+        name: attributes.NAME || '',
+        language: attributes.LANGUAGE || '',
+        isDefault: attributes.DEFAULT === 'YES'
+      });
+    }
+  });
+  return playlist;
+}
+
+/**
+ * Parses a media playlist. The segment start times are relative to the first segment of the playlist.
+ * @param {string} text - The playlist.
+ * @param {string} baseUrl - The playlist URL.
+ * @returns {HlsMediaPlaylist} - The media playlist.
+ */
+function parseMediaPlaylist(text: string, baseUrl: string): HlsMediaPlaylist {
+  const playlist: HlsMediaPlaylist = {segments: [], initSegment: null, targetDuration: 0, mediaSequence: 0, ended: false, encrypted: false};
+  let sequence = 0;
+  let start = 0;
+  let duration = 0;
+  let byteRange = null;
+  let byteRangeEnd = 0;
+  getLines(text).forEach(line => {
+    const value = line.substr(line.indexOf(':') + 1);
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      sequence = playlist.mediaSequence = parseInt(value) || 0;
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseFloat(value);
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(value);
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.ended = true;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = parseAttributes(value);
+      playlist.initSegment = {
+        url: resolveUrl(attributes.URI, baseUrl),
+        byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE, 0) : null
+      };
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      playlist.encrypted = playlist.encrypted || parseAttributes(value).METHOD !== 'NONE';
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      byteRange = parseByteRange(value, byteRangeEnd);
+      byteRangeEnd = byteRange[1];
+    } else if (line && !line.startsWith('#')) {
+      playlist.segments.push({url: resolveUrl(line, baseUrl), sequence: sequence++, start, duration, byteRange});
+      start += duration;
+      byteRange = null;
+    }
+  });
+  return playlist;
+}
+
+export {isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist};
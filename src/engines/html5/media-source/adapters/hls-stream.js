@@ -0,0 +1,641 @@
+//@flow
+import Error from '../../../../error/error';
+import EventManager from '../../../../event/event-manager';
+import {RequestType} from '../../../../request-type';
+import {findBox, findBoxes} from '../../../../track/cea/mp4-parser';
+import {parseMediaPlaylist} from './hls-playlist-parser';
+import type {HlsMediaPlaylist, HlsSegment} from './hls-playlist-parser';
+
+export type HlsResponse = {
+  data: any,
+  bytes: number,
+  miliSeconds: number
+};
+
+export type HlsRequest = (type: number, url: string, responseType: string, range?: ?[number, number]) => Promise<HlsResponse>;
+
+export type HlsStreamConfig = {
+  maxBufferLength: number,
+  backBufferLength: number,
+  liveSyncDurationCount: number,
+  fragLoadingMaxRetry: number,
+  fragLoadingRetryDelay: number
+};
+
+export type HlsStreamHandlers = {
+  onFragLoaded: (payload: {miliSeconds: number, bytes: number, url: string}) => void,
+  onPlaylistUpdated: () => void,
+  onEnded: () => void,
+  onError: (error: Error) => void
+};
+
+/**
+ * The gap in seconds between buffered ranges which is still considered continuous.
+ * @type {number}
+ * @const
+ */
+const MAX_BUFFER_HOLE: number = 0.5;
+
+/**
+ * The tolerance in seconds of the buffered end when looking up the segment which follows it, as the media and the playlist durations
+ * may slightly differ.
+ * @type {number}
+ * @const
+ */
+const SEGMENT_LOOKUP_TOLERANCE: number = 0.25;
+
+/**
+ * Gets the start time of a movie fragment, by the decode time of its first track fragment and the timescale of that track.
+ * @param {Uint8Array} init - The initialization segment, with the movie box.
+ * @param {Uint8Array} fragment - The fragment, with the movie fragment box.
+ * @returns {?number} - The start time in seconds, null if the fragment has no track fragment decode time.
+ */
+function getFragmentStartTime(init: Uint8Array, fragment: Uint8Array): ?number {
+  const traf = findBox(fragment, ['moof', 'traf']);
+  const tfhd = traf && findBox(traf, ['tfhd']);
+  const tfdt = traf && findBox(traf, ['tfdt']);
+  const moov = findBox(init, ['moov']);
+  if (!tfhd || !tfdt || !moov) {
+    return null;
+  }
+  const trackId = new DataView(tfhd.buffer, tfhd.byteOffset, tfhd.byteLength).getUint32(4);
+  const trak = findBoxes(moov, 0, moov.length, 'trak').find(trak => {
+    const tkhd = findBox(trak, ['tkhd']);
+    return !!tkhd && new DataView(tkhd.buffer, tkhd.byteOffset, tkhd.byteLength).getUint32(tkhd[0] === 1 ? 20 : 12) === trackId;
+  });
+  const mdhd = trak && findBox(trak, ['mdia', 'mdhd']);
+  if (!mdhd) {
+    return null;
+  }
+  const timescale = new DataView(mdhd.buffer, mdhd.byteOffset, mdhd.byteLength).getUint32(mdhd[0] === 1 ? 20 : 12);
+  const view = new DataView(tfdt.buffer, tfdt.byteOffset, tfdt.byteLength);
+  const decodeTime = tfdt[0] === 1 ? view.getUint32(4) * 4294967296 + view.getUint32(8) : view.getUint32(4);
+  return timescale ? decodeTime / timescale : null;
+}
+
+/**
+ * Loads the segments of an HLS media playlist into a source buffer, ahead of the playback time.
+ * The playlist is refreshed by its target duration while it's live. The segments are mapped to the media time by the decode time
+ * of the first loaded fragment.
+ * @class HlsStream
+ * @param {HTMLVideoElement} videoElement - The video element.
+ * @param {SourceBuffer} sourceBuffer - The source buffer of the stream.
+ * @param {HlsRequest} request - The request function.
+ * @param {HlsStreamConfig} config - The stream config.
+ * @param {HlsStreamHandlers} handlers - The stream handlers.
+ */
+class HlsStream {
+  /**
+   * The video element.
+   * @type {HTMLVideoElement}
+   * @private
+   */
+  _videoElement: HTMLVideoElement;
+  /**
+   * The source buffer of the stream.
+   * @type {SourceBuffer}
+   * @private
+   */
+  _sourceBuffer: SourceBuffer;
+  /**
+   * The request function.
+   * @type {HlsRequest}
+   * @private
+   */
+  _request: HlsRequest;
+  /**
+   * The stream config.
+   * @type {HlsStreamConfig}
+   * @private
+   */
+  _config: HlsStreamConfig;
+  /**
+   * The stream handlers.
+   * @type {HlsStreamHandlers}
+   * @private
+   */
+  _handlers: HlsStreamHandlers;
+  /**
+   * The event manager of the stream.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The media playlist URL.
+   * @type {string}
+   * @private
+   */
+  _url: string = '';
+  /**
+   * The media playlist.
+   * @type {?HlsMediaPlaylist}
+   * @private
+   */
+  _playlist: ?HlsMediaPlaylist = null;
+  /**
+   * The segments of the playlist by their sequence, timed on the timeline of the first loaded playlist.
+   * @type {Map<number, HlsSegment>}
+   * @private
+   */
+  _segments: Map<number, HlsSegment> = new Map();
+  /**
+   * The media time of the playlist timeline start, null before the first fragment is loaded.
+   * @type {?number}
+   * @private
+   */
+  _timeOffset: ?number = null;
+  /**
+   * The key of the appended initialization segment.
+   * @type {string}
+   * @private
+   */
+  _initKey: string = '';
+  /**
+   * The appended initialization segment.
+   * @type {?Uint8Array}
+   * @private
+   */
+  _initData: ?Uint8Array = null;
+  /**
+   * The sequence of the segment to load next, null to look it up by the buffered end.
+   * @type {?number}
+   * @private
+   */
+  _nextSequence: ?number = null;
+  /**
+   * Increased on a seek and on a flush, to drop the segments which were requested before.
+   * @type {number}
+   * @private
+   */
+  _generation: number = 0;
+  /**
+   * The queue of the source buffer operations.
+   * @type {Promise<void>}
+   * @private
+   */
+  _operations: Promise<void> = Promise.resolve();
+  /**
+   * Whether a segment is being loaded.
+   * @type {boolean}
+   * @private
+   */
+  _isLoading: boolean = false;
+  /**
+   * Whether the last segment of an ended playlist is loaded.
+   * @type {boolean}
+   * @private
+   */
+  _isEnded: boolean = false;
+  /**
+   * The failed attempts to load the current segment or to refresh the playlist.
+   * @type {number}
+   * @private
+   */
+  _retries: number = 0;
+  /**
+   * The timeout of the next segment load retry.
+   * @type {?TimeoutID}
+   * @private
+   */
+  _retryTimeoutId: ?TimeoutID = null;
+  /**
+   * The timeout of the next live playlist refresh.
+   * @type {?TimeoutID}
+   * @private
+   */
+  _refreshTimeoutId: ?TimeoutID = null;
+
+  /**
+   * @constructor
+   * @param {HTMLVideoElement} videoElement - The video element.
+   * @param {SourceBuffer} sourceBuffer - The source buffer of the stream.
+   * @param {HlsRequest} request - The request function.
+   * @param {HlsStreamConfig} config - The stream config.
+   * @param {HlsStreamHandlers} handlers - The stream handlers.
+   */
+  constructor(videoElement: HTMLVideoElement, sourceBuffer: SourceBuffer, request: HlsRequest, config: HlsStreamConfig, handlers: HlsStreamHandlers) {
+    this._videoElement = videoElement;
+    this._sourceBuffer = sourceBuffer;
+    this._request = request;
+    this._config = config;
+    this._handlers = handlers;
+    this._eventManager = new EventManager();
+  }
+
+  /**
+   * Whether the playlist is live.
+   * @returns {boolean} - Whether the playlist isn't ended.
+   * @public
+   */
+  get isLive(): boolean {
+    return !!this._playlist && !this._playlist.ended;
+  }
+
+  /**
+   * Whether the last segment of an ended playlist is loaded.
+   * @returns {boolean} - Whether the stream is ended.
+   * @public
+   */
+  get isEnded(): boolean {
+    return this._isEnded;
+  }
+
+  /**
+   * The target duration of the playlist.
+   * @returns {number} - The target duration in seconds.
+   * @public
+   */
+  get targetDuration(): number {
+    return this._playlist ? this._playlist.targetDuration : 0;
+  }
+
+  /**
+   * The media time of the first segment of the playlist.
+   * @returns {number} - The start time in seconds.
+   * @public
+   */
+  get startTime(): number {
+    const first = Array.from(this._segments.values())[0];
+    return (first ? first.start : 0) + (this._timeOffset || 0);
+  }
+
+  /**
+   * The media time of the end of the last segment of the playlist.
+   * @returns {number} - The end time in seconds.
+   * @public
+   */
+  get endTime(): number {
+    const last = Array.from(this._segments.values()).pop();
+    return (last ? last.start + last.duration : 0) + (this._timeOffset || 0);
+  }
+
+  /**
+   * Loads a media playlist, and switches the stream to it. The segments of a switched playlist keep the timeline of the stream,
+   * by their sequence.
+   * @param {string} url - The media playlist URL.
+   * @param {string} [text] - The playlist, if already loaded.
+   * @returns {Promise<void>} - Resolved once the playlist is loaded.
+   * @public
+   */
+  loadPlaylist(url: string, text?: string): Promise<void> {
+    const loadText =
+      typeof text === 'string' ? Promise.resolve(text) : this._request(RequestType.MANIFEST, url, 'text').then(response => response.data);
+    return loadText.then(text => {
+      const playlist = parseMediaPlaylist(text, url);
+      if (playlist.encrypted) {
+        throw new Error(Error.Severity.CRITICAL, Error.Category.MANIFEST, Error.Code.HLS_KEYFORMATS_NOT_SUPPORTED, {url});
+      }
+      if (!playlist.initSegment) {
+        throw new Error(Error.Severity.CRITICAL, Error.Category.MANIFEST, Error.Code.HLS_REQUIRED_TAG_MISSING, {url, tag: 'EXT-X-MAP'});
+      }
+      this._url = url;
+      this._setPlaylist(playlist);
+    });
+  }
+
+  /**
+   * Changes the type of the source buffer, for a playlist of other codecs.
+   * @param {string} mimeType - The mime type, with its codecs.
+   * @returns {void}
+   * @public
+   */
+  changeType(mimeType: string): void {
+    const sourceBuffer: any = this._sourceBuffer;
+    if (typeof sourceBuffer.changeType === 'function') {
+      this._enqueue(() => sourceBuffer.changeType(mimeType), false);
+    }
+  }
+
+  /**
+   * Loads the next segment, unless enough is buffered ahead of the playback time.
+   * @returns {void}
+   * @public
+   */
+  update(): void {
+    if (this._isLoading || this._isEnded || this._retryTimeoutId || !this._playlist) {
+      return;
+    }
+    const position = this._videoElement.currentTime;
+    const bufferedEnd = this._getBufferedEnd(position);
+    if (bufferedEnd - position >= this._config.maxBufferLength) {
+      return;
+    }
+    const segment = this._getNextSegment(bufferedEnd);
+    if (!segment) {
+      if (this._playlist && this._playlist.ended) {
+        this._isEnded = true;
+        this._handlers.onEnded();
+      }
+      return;
+    }
+    this._isLoading = true;
+    this._loadSegment(segment).then(
+      () => {
+        this._isLoading = false;
+        this._retries = 0;
+        this.update();
+      },
+      error => {
+        this._isLoading = false;
+        this._onLoadError(error);
+      }
+    );
+  }
+
+  /**
+   * Looks up the next segment by the new playback time.
+   * @returns {void}
+   * @public
+   */
+  seek(): void {
+    this._generation++;
+    this._nextSequence = null;
+    this._isEnded = false;
+    this.update();
+  }
+
+  /**
+   * Removes the buffered media, and loads the segments again from the playback time.
+   * @returns {Promise<void>} - Resolved once the buffer is removed.
+   * @public
+   */
+  flush(): Promise<void> {
+    this._generation++;
+    this._nextSequence = null;
+    this._isEnded = false;
+    return this._enqueue(() => this._sourceBuffer.remove(0, Infinity)).then(() => this.update());
+  }
+
+  /**
+   * Destroys the stream.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._generation++;
+    this._playlist = null;
+    this._segments.clear();
+    this._initData = null;
+    this._clearTimeouts();
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Sets a loaded playlist, and schedules its refresh while it's live.
+   * @param {HlsMediaPlaylist} playlist - The playlist.
+   * @returns {void}
+   * @private
+   */
+  _setPlaylist(playlist: HlsMediaPlaylist): void {
+    const isSwitched = !!this._playlist;
+    const lastSegment = playlist.segments[playlist.segments.length - 1];
+    const isUpdated = !lastSegment || Array.from(this._segments.keys()).pop() !== lastSegment.sequence;
+    this._playlist = playlist;
+    this._mergeSegments(playlist.segments);
+    if (this._refreshTimeoutId) {
+      clearTimeout(this._refreshTimeoutId);
+      this._refreshTimeoutId = null;
+    }
+    if (!playlist.ended) {
+      // an unchanged playlist is refreshed again after half the target duration
+      const interval = (isUpdated ? playlist.targetDuration : playlist.targetDuration / 2) * 1000;
+      this._refreshTimeoutId = setTimeout(() => this._refreshPlaylist(), interval);
+    }
+    this._handlers.onPlaylistUpdated();
+    // the first playlist is loaded once the stream owner starts the updates
+    if (isSwitched) {
+      this.update();
+    }
+  }
+
+  /**
+   * Refreshes the live playlist.
+   * @returns {void}
+   * @private
+   */
+  _refreshPlaylist(): void {
+    this._refreshTimeoutId = null;
+    const url = this._url;
+    this._request(RequestType.MANIFEST, url, 'text')
+      .then(response => {
+        if (url === this._url && this._playlist) {
+          this._retries = 0;
+          this._setPlaylist(parseMediaPlaylist(response.data, url));
+        }
+      })
+      .catch(error => {
+        if (url === this._url && this._playlist) {
+          if (++this._retries > this._config.fragLoadingMaxRetry) {
+            this._handlers.onError(new Error(Error.Severity.CRITICAL, error.category, error.code, error.data));
+          } else {
+            this._refreshTimeoutId = setTimeout(() => this._refreshPlaylist(), this._config.fragLoadingRetryDelay);
+          }
+        }
+      });
+  }
+
+  /**
+   * Merges the segments of a loaded playlist, keeping the start times of the known segments.
+   * Segments which are no longer in a live playlist are removed.
+   * @param {Array<HlsSegment>} segments - The playlist segments.
+   * @returns {void}
+   * @private
+   */
+  _mergeSegments(segments: Array<HlsSegment>): void {
+    const known = segments.find(segment => this._segments.has(segment.sequence));
+    // the shift of the playlist start times to the timeline of the known segments
+    const knownSegment = known && this._segments.get(known.sequence);
+    let shift = known && knownSegment ? knownSegment.start - known.start : 0;
+    if (!known && this._segments.size && segments.length) {
+      // the playlist moved past the known segments, it's assumed to continue them
+      shift = this.endTime - (this._timeOffset || 0) - segments[0].start;
+    }
+    const merged = new Map();
+    segments.forEach(segment => merged.set(segment.sequence, {...segment, start: segment.start + shift}));
+    this._segments = merged;
+  }
+
+  /**
+   * Gets the segment to load next.
+   * @param {number} bufferedEnd - The end of the buffered range of the playback time.
+   * @returns {?HlsSegment} - The segment, null if there's no such segment yet.
+   * @private
+   */
+  _getNextSegment(bufferedEnd: number): ?HlsSegment {
+    const segments = Array.from(this._segments.values());
+    const last = segments[segments.length - 1];
+    const nextSequence = this._nextSequence;
+    if (!last) {
+      return null;
+    }
+    if (typeof nextSequence === 'number' && nextSequence >= segments[0].sequence) {
+      return this._segments.get(nextSequence) || null;
+    }
+    if (this._timeOffset === null && this.isLive && this._playlist) {
+      // the live playback starts the live sync duration before the end of the playlist
+      const liveSyncDuration = this._config.liveSyncDurationCount * this._playlist.targetDuration;
+      return segments.find(segment => last.start + last.duration - segment.start <= liveSyncDuration) || last;
+    }
+    const time = bufferedEnd - (this._timeOffset || 0) + SEGMENT_LOOKUP_TOLERANCE;
+    return segments.find(segment => segment.start + segment.duration > time) || null;
+  }
+
+  /**
+   * Loads a segment, preceded by its initialization segment if it isn't appended yet, and appends it to the source buffer.
+   * @param {HlsSegment} segment - The segment.
+   * @returns {Promise<void>} - Resolved once the segment is appended.
+   * @private
+   */
+  _loadSegment(segment: HlsSegment): Promise<void> {
+    const generation = this._generation;
+    const initSegment = this._playlist && this._playlist.initSegment;
+    const initKey = initSegment ? `${initSegment.url}|${String(initSegment.byteRange)}` : '';
+    let loadInitSegment = Promise.resolve();
+    if (initSegment && initKey !== this._initKey) {
+      loadInitSegment = this._request(RequestType.SEGMENT, initSegment.url, 'arraybuffer', initSegment.byteRange).then(response => {
+        const data = new Uint8Array(response.data);
+        return this._appendBuffer(data).then(() => {
+          this._initKey = initKey;
+          this._initData = data;
+        });
+      });
+    }
+    return loadInitSegment
+      .then(() => this._request(RequestType.SEGMENT, segment.url, 'arraybuffer', segment.byteRange))
+      .then(response => {
+        this._handlers.onFragLoaded({miliSeconds: response.miliSeconds, bytes: response.bytes, url: segment.url});
+        if (generation !== this._generation) {
+          return;
+        }
+        const data = new Uint8Array(response.data);
+        if (this._timeOffset === null) {
+          const startTime = this._initData ? getFragmentStartTime(this._initData, data) : null;
+          this._timeOffset = typeof startTime === 'number' ? startTime - segment.start : 0;
+        }
+        return this._evictBackBuffer()
+          .then(() => this._appendBuffer(data))
+          .then(() => {
+            if (generation === this._generation) {
+              this._nextSequence = segment.sequence + 1;
+            }
+          });
+      });
+  }
+
+  /**
+   * Handles a failure to load a segment. A network error is retried up to the `fragLoadingMaxRetry` of the config, an aborted request is ignored.
+   * @param {Error} error - The error.
+   * @returns {void}
+   * @private
+   */
+  _onLoadError(error: Error): void {
+    if (!this._playlist || error.code === Error.Code.OPERATION_ABORTED) {
+      return;
+    }
+    if (error.category === Error.Category.NETWORK && ++this._retries <= this._config.fragLoadingMaxRetry) {
+      this._retryTimeoutId = setTimeout(() => {
+        this._retryTimeoutId = null;
+        this.update();
+      }, this._config.fragLoadingRetryDelay);
+    } else {
+      this._handlers.onError(new Error(Error.Severity.CRITICAL, error.category, error.code, error.data));
+    }
+  }
+
+  /**
+   * Appends data to the source buffer. Once the buffer quota is exceeded, the back buffer is removed and the data is appended again.
+   * @param {Uint8Array} data - The data.
+   * @returns {Promise<void>} - Resolved once the data is appended.
+   * @private
+   */
+  _appendBuffer(data: Uint8Array): Promise<void> {
+    return this._enqueue(() => this._sourceBuffer.appendBuffer(data)).catch(error => {
+      const removeEnd = this._videoElement.currentTime - 1;
+      const buffered = this._sourceBuffer.buffered;
+      if (error.code !== Error.Code.QUOTA_EXCEEDED_ERROR || !buffered.length || buffered.start(0) >= removeEnd) {
+        throw error;
+      }
+      return this._enqueue(() => this._sourceBuffer.remove(0, removeEnd)).then(() => this._enqueue(() => this._sourceBuffer.appendBuffer(data)));
+    });
+  }
+
+  /**
+   * Removes the buffer which is longer than the back buffer length of the config behind the playback time.
+   * @returns {Promise<void>} - Resolved once the buffer is removed.
+   * @private
+   */
+  _evictBackBuffer(): Promise<void> {
+    const removeEnd = this._videoElement.currentTime - this._config.backBufferLength;
+    const buffered = this._sourceBuffer.buffered;
+    if (buffered.length && buffered.start(0) < removeEnd) {
+      return this._enqueue(() => this._sourceBuffer.remove(0, removeEnd));
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Queues a source buffer operation after the previous ones.
+   * @param {Function} operation - The operation.
+   * @param {boolean} [isAsync=true] - Whether the operation updates the source buffer, and completes on its update end.
+   * @returns {Promise<void>} - Resolved once the operation is completed.
+   * @private
+   */
+  _enqueue(operation: () => void, isAsync: boolean = true): Promise<void> {
+    const result = this._operations.then(
+      () =>
+        new Promise((resolve, reject) => {
+          if (isAsync) {
+            this._eventManager.listenOnce(this._sourceBuffer, 'updateend', () => resolve());
+          }
+          try {
+            operation();
+            if (!isAsync) {
+              resolve();
+            }
+          } catch (error) {
+            this._eventManager.unlisten(this._sourceBuffer, 'updateend');
+            const code = error.name === 'QuotaExceededError' ? Error.Code.QUOTA_EXCEEDED_ERROR : Error.Code.MEDIA_SOURCE_OPERATION_THREW;
+            reject(new Error(Error.Severity.RECOVERABLE, Error.Category.MEDIA, code, error));
+          }
+        })
+    );
+    this._operations = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Gets the end of the buffered range of a time.
+   * @param {number} time - The time.
+   * @returns {number} - The buffered end, the time itself if it isn't buffered.
+   * @private
+   */
+  _getBufferedEnd(time: number): number {
+    const buffered = this._sourceBuffer.buffered;
+    let end = time;
+    for (let i = 0; i < buffered.length; i++) {
+      if (buffered.start(i) - MAX_BUFFER_HOLE <= end && buffered.end(i) > end) {
+        end = buffered.end(i);
+      }
+    }
+    return end;
+  }
+
+  /**
+   * Clears the retry and the refresh timeouts.
+   * @returns {void}
+   * @private
+   */
+  _clearTimeouts(): void {
+    if (this._retryTimeoutId) {
+      clearTimeout(this._retryTimeoutId);
+      this._retryTimeoutId = null;
+    }
+    if (this._refreshTimeoutId) {
+      clearTimeout(this._refreshTimeoutId);
+      this._refreshTimeoutId = null;
+    }
+  }
+}
+
+export {HlsStream};
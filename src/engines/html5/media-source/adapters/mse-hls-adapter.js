@@ -0,0 +1,878 @@
+//@flow
+import {CustomEventType, Html5EventType} from '../../../../event/event-type';
+import Track from '../../../../track/track';
+import VideoTrack from '../../../../track/video-track';
+import AudioTrack from '../../../../track/audio-track';
+import {RequestType} from '../../../../request-type';
+import {MimeType} from '../../../../mime-type';
+import BaseMediaSourceAdapter from '../base-media-source-adapter';
+import * as Utils from '../../../../utils/util';
+import Error from '../../../../error/error';
+import defaultConfig from './mse-hls-adapter-default-config';
+import {isMasterPlaylist, parseMasterPlaylist} from './hls-playlist-parser';
+import type {HlsRendition, HlsVariant} from './hls-playlist-parser';
+import {HlsStream} from './hls-stream';
+import type {HlsResponse} from './hls-stream';
+
+/**
+ * The codecs of a variant stream which doesn't specify them.
+ * @type {string}
+ * @const
+ */
+const DEFAULT_CODECS: string = 'avc1.42E01E,mp4a.40.2';
+
+/**
+ * The codecs of an audio rendition of a variant stream which doesn't specify them.
+ * @type {string}
+ * @const
+ */
+const DEFAULT_AUDIO_CODECS: string = 'mp4a.40.2';
+
+/**
+ * The audio codecs of the CODECS attribute.
+ * @type {RegExp}
+ * @const
+ */
+const AUDIO_CODECS: RegExp = /^(mp4a|ac-3|ec-3|opus|flac)/i;
+
+/**
+ * A lightweight media source adapter for VOD and live HLS streams of fragmented MP4 (CMAF) segments.
+ * It loads the segments into source buffers of its own media source, and switches the variant streams by the player ABR controller.
+ * It isn't registered by default, since it doesn't play MPEG-TS segments, and the other registered adapters take precedence over it.
+ * @classdesc
+ * @implements {IMediaSourceAdapter}
+ */
+export default class MseHlsAdapter extends BaseMediaSourceAdapter {
+  /**
+   * The id of the Adapter
+   * @member {string} id
+   * @static
+   * @public
+   */
+  static id: string = 'MseHlsAdapter';
+
+  /**
+   * The adapter logger
+   * @member {any} _logger
+   * @private
+   * @static
+   */
+  static _logger = BaseMediaSourceAdapter.getLogger(MseHlsAdapter.id);
+  /**
+   * The media source of the playback.
+   * @type {?MediaSource}
+   * @private
+   */
+  _mediaSource: ?MediaSource = null;
+  /**
+   * The object URL of the media source.
+   * @type {string}
+   * @private
+   */
+  _mediaSourceUrl: string = '';
+  /**
+   * The playable variant streams, sorted by their bandwidth.
+   * @type {Array<HlsVariant>}
+   * @private
+   */
+  _variants: Array<HlsVariant> = [];
+  /**
+   * The audio renditions of the variant streams, which have their own playlists.
+   * @type {Array<HlsRendition>}
+   * @private
+   */
+  _audioRenditions: Array<HlsRendition> = [];
+  /**
+   * The index of the active variant stream.
+   * @type {number}
+   * @private
+   */
+  _variantIndex: number = 0;
+  /**
+   * The index of the active audio rendition.
+   * @type {number}
+   * @private
+   */
+  _audioRenditionIndex: number = 0;
+  /**
+   * The media playlist of a source which isn't a master playlist.
+   * @type {?string}
+   * @private
+   */
+  _mediaPlaylist: ?string = null;
+  /**
+   * The stream of the variant, with its video and its muxed audio.
+   * @type {?HlsStream}
+   * @private
+   */
+  _mainStream: ?HlsStream = null;
+  /**
+   * The stream of the audio rendition.
+   * @type {?HlsStream}
+   * @private
+   */
+  _audioStream: ?HlsStream = null;
+  /**
+   * The player tracks.
+   * @member {Array<Track>} - _playerTracks
+   * @private
+   */
+  _playerTracks: Array<Track> = [];
+  /**
+   * Whether the player ABR controller switches the variant streams (while no video track was selected manually).
+   * @type {boolean}
+   * @private
+   */
+  _isAbrEnabled: boolean = true;
+  /**
+   * The pending requests.
+   * @type {Set<XMLHttpRequest>}
+   * @private
+   */
+  _requests: Set<XMLHttpRequest> = new Set();
+
+  _loadPromiseReject: ?Function;
+
+  /**
+   * The last time detach occurred
+   * @type {number}
+   * @private
+   */
+  _lastTimeDetach: number = NaN;
+
+  /**
+   * The start time after attach
+   * @type {number}
+   * @private
+   */
+  _startTimeAttach: number = NaN;
+
+  /**
+   * Checks if the MSE HLS adapter is supported.
+   * @function isSupported
+   * @returns {boolean} - Whether the media source extensions are supported.
+   * @static
+   */
+  static isSupported(): boolean {
+    return BaseMediaSourceAdapter.isMSESupported();
+  }
+
+  /**
+   * Checks if the MSE HLS adapter can play a given mime type.
+   * @function canPlayType
+   * @param {string} mimeType - The mime type to check
+   * @returns {boolean} - Whether the MSE HLS adapter can play a specific mime type
+   * @static
+   */
+  static canPlayType(mimeType: string): boolean {
+    const canPlayType = typeof mimeType === 'string' && MimeType.HLS.includes(mimeType.toLowerCase()) && MseHlsAdapter.isSupported();
+    MseHlsAdapter._logger.debug('canPlayType result for mimeType:' + mimeType + ' is ' + canPlayType.toString());
+    return canPlayType;
+  }
+
+  /**
+   * Checks if the MSE HLS adapter can play a given drm data. The encrypted streams aren't supported.
+   * @function canPlayDrm
+   * @returns {boolean} - Whether the MSE HLS adapter can play a specific drm data.
+   * @static
+   */
+  static canPlayDrm(): boolean {
+    return false;
+  }
+
+  /**
+   * Factory method to create media source adapter.
+   * @function createAdapter
+   * @param {HTMLVideoElement} videoElement - The video element that the media source adapter work with.
+   * @param {PKMediaSourceObject} source - The source Object.
+   * @param {Object} config - The player configuration.
+   * @returns {IMediaSourceAdapter} - New instance of the run time media source adapter.
+   * @static
+   */
+  static createAdapter(videoElement: HTMLVideoElement, source: PKMediaSourceObject, config: Object): IMediaSourceAdapter {
+    const adapterConfig: Object = {};
+    if (config.playback && Utils.Object.hasPropertyPath(config.playback, 'options.html5.hls')) {
+      // the buffer and the retry options are named as the hls.js ones
+      Object.keys(defaultConfig).forEach(option => {
+        const value = config.playback.options.html5.hls[option];
+        if (typeof value === 'number') {
+          adapterConfig[option] = value;
+        }
+      });
+    }
+    adapterConfig.abr = config.abr;
+    adapterConfig.network = config.network;
+    return new this(videoElement, source, adapterConfig);
+  }
+
+  /**
+   * @constructor
+   * @param {HTMLVideoElement} videoElement - The video element which bind to MseHlsAdapter
+   * @param {PKMediaSourceObject} source - The source object
+   * @param {Object} config - The player configuration
+   */
+  constructor(videoElement: HTMLVideoElement, source: PKMediaSourceObject, config: Object) {
+    MseHlsAdapter._logger.debug('Creating adapter');
+    super(videoElement, source, config);
+    this._config = Utils.Object.mergeDeep({}, defaultConfig, this._config);
+    this._capabilities = {...this._capabilities, abrTarget: true};
+  }
+
+  /**
+   * Load the video source
+   * @param {number} startTime - Optional time to start the video from.
+   * @function load
+   * @returns {Promise<Object>} - The loaded data
+   */
+  load(startTime: ?number): Promise<Object> {
+    if (!this._loadPromise) {
+      this._loadPromise = new Promise((resolve, reject) => {
+        const playbackStartTime = this._startTimeAttach || startTime || 0;
+        this._loadPromiseReject = reject;
+        this._eventManager.listenOnce(this._videoElement, Html5EventType.LOADED_DATA, () => this._onLoadedData(resolve));
+        this._eventManager.listen(this._videoElement, Html5EventType.TIME_UPDATE, () => this._updateStreams());
+        this._eventManager.listen(this._videoElement, Html5EventType.SEEKING, () => this._getStreams().forEach(stream => stream.seek()));
+        this._loadMasterPlaylist()
+          .then(() => this._openMediaSource())
+          .then(mediaSource => this._createStreams(mediaSource))
+          .then(() => this._startStreams(playbackStartTime))
+          .catch(error => this._onError(error));
+      });
+    }
+    return this._loadPromise;
+  }
+
+  /**
+   * Loads the source playlist. A master playlist is parsed into the variant streams which the browser can play and their audio renditions,
+   * and a media playlist is played as a single variant stream.
+   * @returns {Promise<void>} - Resolved once the playlist is loaded.
+   * @private
+   */
+  _loadMasterPlaylist(): Promise<void> {
+    const url = this._sourceObj ? this._sourceObj.url : '';
+    return this._request(RequestType.MANIFEST, url, 'text').then(response => {
+      this._trigger(CustomEventType.MANIFEST_LOADED, {miliSeconds: response.miliSeconds});
+      if (!isMasterPlaylist(response.data)) {
+        this._mediaPlaylist = response.data;
+        this._variants = [{url, bandwidth: 0, width: 0, height: 0, codecs: '', audioGroup: null}];
+        return;
+      }
+      const {variants, audioRenditions} = parseMasterPlaylist(response.data, url);
+      const audioGroup = variants.length ? variants[0].audioGroup : null;
+      this._audioRenditions = audioRenditions.filter(rendition => rendition.groupId === audioGroup);
+      this._variants = variants
+        .filter(variant => variant.audioGroup === audioGroup && window.MediaSource.isTypeSupported(this._getMimeType(variant)))
+        .sort((a, b) => a.bandwidth - b.bandwidth);
+      if (!this._variants.length) {
+        throw new Error(Error.Severity.CRITICAL, Error.Category.MANIFEST, Error.Code.CONTENT_UNSUPPORTED_BY_BROWSER, {url});
+      }
+      this._variantIndex = this._getStartVariantIndex();
+      this._audioRenditionIndex = Math.max(
+        this._audioRenditions.findIndex(rendition => rendition.isDefault),
+        0
+      );
+    });
+  }
+
+  /**
+   * Gets the variant stream to start with, the highest bitrate which fits the default bandwidth estimate and the bitrate restrictions.
+   * @returns {number} - The variant stream index.
+   * @private
+   */
+  _getStartVariantIndex(): number {
+    const {abr} = this._config;
+    if (!abr || !abr.enabled) {
+      return 0;
+    }
+    const {minBitrate, maxBitrate} = abr.restrictions;
+    const index = this._variants
+      .map((variant, index) => ({variant, index}))
+      .filter(({variant}) => variant.bandwidth >= minBitrate && variant.bandwidth <= maxBitrate && variant.bandwidth <= abr.defaultBandwidthEstimate)
+      .map(({index}) => index)
+      .pop();
+    return typeof index === 'number' ? index : 0;
+  }
+
+  /**
+   * Attaches a new media source to the video element.
+   * @returns {Promise<MediaSource>} - Resolved once the media source is open.
+   * @private
+   */
+  _openMediaSource(): Promise<MediaSource> {
+    return new Promise(resolve => {
+      const mediaSource = new window.MediaSource();
+      this._mediaSource = mediaSource;
+      this._eventManager.listenOnce(mediaSource, 'sourceopen', () => resolve(mediaSource));
+      this._mediaSourceUrl = URL.createObjectURL(mediaSource);
+      this._videoElement.src = this._mediaSourceUrl;
+    });
+  }
+
+  /**
+   * Creates the stream of the variant, and the stream of the audio rendition if it has its own playlist, and loads their playlists.
+   * @param {MediaSource} mediaSource - The media source.
+   * @returns {Promise<*>} - Resolved once the playlists are loaded.
+   * @private
+   */
+  _createStreams(mediaSource: MediaSource): Promise<*> {
+    const variant = this._variants[this._variantIndex];
+    const audioRendition = this._audioRenditions[this._audioRenditionIndex];
+    try {
+      this._mainStream = this._createStream(mediaSource.addSourceBuffer(this._getMimeType(variant)));
+      if (audioRendition) {
+        this._audioStream = this._createStream(mediaSource.addSourceBuffer(this._getAudioMimeType(variant)));
+      }
+    } catch (error) {
+      throw new Error(Error.Severity.CRITICAL, Error.Category.MEDIA, Error.Code.MEDIA_SOURCE_OPERATION_THREW, error);
+    }
+    const playlists = [this._mainStream.loadPlaylist(variant.url, this._mediaPlaylist || undefined)];
+    if (this._audioStream && audioRendition) {
+      playlists.push(this._audioStream.loadPlaylist(audioRendition.url));
+    }
+    return Promise.all(playlists);
+  }
+
+  /**
+   * Creates a stream of a source buffer.
+   * @param {SourceBuffer} sourceBuffer - The source buffer.
+   * @returns {HlsStream} - The stream.
+   * @private
+   */
+  _createStream(sourceBuffer: SourceBuffer): HlsStream {
+    // the playback starts once the first segments are appended, which may be after the playback time
+    this._eventManager.listen(sourceBuffer, 'updateend', () => this._maybeSkipStartGap());
+    return new HlsStream(
+      this._videoElement,
+      sourceBuffer,
+      (type, url, responseType, range) => this._request(type, url, responseType, range),
+      this._config,
+      {
+        onFragLoaded: payload => this._trigger(CustomEventType.FRAG_LOADED, payload),
+        onPlaylistUpdated: () => this._onPlaylistUpdated(),
+        onEnded: () => this._maybeEndOfStream(),
+        onError: error => this._onError(error)
+      }
+    );
+  }
+
+  /**
+   * Sets the duration of the media source and the start time, and starts loading the segments.
+   * @param {number} startTime - The time to start the video from.
+   * @returns {void}
+   * @private
+   */
+  _startStreams(startTime: number): void {
+    const mainStream = this._mainStream;
+    const mediaSource = this._mediaSource;
+    if (!mainStream || !mediaSource) {
+      return;
+    }
+    mediaSource.duration = mainStream.isLive ? Infinity : mainStream.endTime;
+    if (!mainStream.isLive && startTime > 0) {
+      this._videoElement.currentTime = startTime;
+    }
+    this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: this.isAdaptiveBitrateEnabled() ? 'auto' : 'manual'});
+    this._updateStreams();
+  }
+
+  /**
+   * Resolves the load once the first frame is loaded.
+   * @param {Function} resolve - The load promise resolve function.
+   * @private
+   * @returns {void}
+   */
+  _onLoadedData(resolve: Function): void {
+    this._playerTracks = this._getParsedTracks();
+    MseHlsAdapter._logger.debug('The source has been loaded successfully');
+    this._loadPromiseReject = null;
+    this._startTimeAttach = NaN;
+    resolve({tracks: this._playerTracks});
+  }
+
+  /**
+   * Moves the playback to the start of the buffer, while the first frame isn't loaded and the buffer starts after the playback time,
+   * like at the live sync point of a live stream or at the first decode time of a VOD stream.
+   * @returns {void}
+   * @private
+   */
+  _maybeSkipStartGap(): void {
+    const buffered = this._videoElement.buffered;
+    if (this._videoElement.readyState < window.HTMLMediaElement.HAVE_CURRENT_DATA && buffered.length) {
+      const start = buffered.start(0);
+      if (this._videoElement.currentTime < start) {
+        this._videoElement.currentTime = start;
+      }
+    }
+  }
+
+  /**
+   * Updates the live seekable range by the main playlist, and dispatches the change of the live duration.
+   * @returns {void}
+   * @private
+   */
+  _onPlaylistUpdated(): void {
+    const mainStream = this._mainStream;
+    const mediaSource: any = this._mediaSource;
+    if (mainStream && mainStream.isLive && mediaSource && mediaSource.readyState === 'open') {
+      if (typeof mediaSource.setLiveSeekableRange === 'function') {
+        mediaSource.setLiveSeekableRange(mainStream.startTime, mainStream.endTime);
+      }
+      this._videoElement.dispatchEvent(new window.Event(Html5EventType.DURATION_CHANGE));
+    }
+  }
+
+  /**
+   * Signals the end of the media once all the streams loaded their last segment.
+   * @returns {void}
+   * @private
+   */
+  _maybeEndOfStream(): void {
+    const mediaSource = this._mediaSource;
+    if (mediaSource && mediaSource.readyState === 'open' && this._getStreams().every(stream => stream.isEnded)) {
+      try {
+        mediaSource.endOfStream();
+      } catch (e) {
+        MseHlsAdapter._logger.debug('endOfStream failed', e);
+      }
+    }
+  }
+
+  /**
+   * Fails the load, or dispatches an error once loaded. The requests which were aborted by a reset are ignored.
+   * @param {Error} error - The error.
+   * @returns {void}
+   * @private
+   */
+  _onError(error: Error): void {
+    if (error.code === Error.Code.OPERATION_ABORTED) {
+      return;
+    }
+    if (this._loadPromiseReject) {
+      this._loadPromiseReject(error);
+      this._loadPromiseReject = null;
+    } else {
+      this._trigger(Html5EventType.ERROR, error);
+    }
+  }
+
+  /**
+   * Gets the active streams.
+   * @returns {Array<HlsStream>} - The streams.
+   * @private
+   */
+  _getStreams(): Array<HlsStream> {
+    const streams = [];
+    this._mainStream && streams.push(this._mainStream);
+    this._audioStream && streams.push(this._audioStream);
+    return streams;
+  }
+
+  /**
+   * Loads the next segments of the streams.
+   * @returns {void}
+   * @private
+   */
+  _updateStreams(): void {
+    this._getStreams().forEach(stream => stream.update());
+  }
+
+  /**
+   * Gets the mime type of the source buffer of a variant stream. The audio codecs are left out if the audio has its own playlist.
+   * @param {HlsVariant} variant - The variant stream.
+   * @returns {string} - The mime type.
+   * @private
+   */
+  _getMimeType(variant: HlsVariant): string {
+    let codecs = (variant.codecs || DEFAULT_CODECS).split(',').map(codec => codec.trim());
+    if (this._audioRenditions.length) {
+      codecs = codecs.filter(codec => !AUDIO_CODECS.test(codec));
+    }
+    const isAudioOnly = codecs.every(codec => AUDIO_CODECS.test(codec));
+    return `${isAudioOnly ? 'audio' : 'video'}/mp4; codecs="${codecs.join(',')}"`;
+  }
+
+  /**
+   * Gets the mime type of the source buffer of the audio renditions of a variant stream.
+   * @param {HlsVariant} variant - The variant stream.
+   * @returns {string} - The mime type.
+   * @private
+   */
+  _getAudioMimeType(variant: HlsVariant): string {
+    const codecs = variant.codecs
+      .split(',')
+      .map(codec => codec.trim())
+      .filter(codec => AUDIO_CODECS.test(codec));
+    return `audio/mp4; codecs="${codecs.join(',') || DEFAULT_AUDIO_CODECS}"`;
+  }
+
+  /**
+   * Requests a resource, with the request and response filters of the network config.
+   * @param {number} type - The request type.
+   * @param {string} url - The URL.
+   * @param {string} responseType - The response type, text or arraybuffer.
+   * @param {?Array<number>} range - The byte range, the end is exclusive.
+   * @returns {Promise<HlsResponse>} - The response data, its size and its download duration.
+   * @private
+   */
+  _request(type: number, url: string, responseType: string, range: ?[number, number]): Promise<HlsResponse> {
+    const network = this._config.network || {};
+    const pkRequest: PKRequestObject = {url, body: null, headers: range ? {Range: `bytes=${range[0]}-${range[1] - 1}`} : {}};
+    let requestFilterPromise;
+    if (typeof network.requestFilter === 'function') {
+      try {
+        requestFilterPromise = network.requestFilter(type, pkRequest);
+      } catch (error) {
+        requestFilterPromise = Promise.reject(error);
+      }
+    }
+    requestFilterPromise = requestFilterPromise || Promise.resolve(pkRequest);
+    return requestFilterPromise
+      .catch(error => {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.REQUEST_FILTER_ERROR, error);
+      })
+      .then(
+        updatedRequest =>
+          new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            const requestTime = Date.now();
+            this._requests.add(request);
+            request.open('GET', updatedRequest.url, true);
+            request.responseType = responseType;
+            Object.entries(updatedRequest.headers || {}).forEach(([header, value]) => {
+              typeof value === 'string' && request.setRequestHeader(header, value);
+            });
+            request.onload = () => {
+              this._requests.delete(request);
+              if (request.status >= 200 && request.status < 300) {
+                resolve({request, miliSeconds: Date.now() - requestTime});
+              } else {
+                reject(new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.BAD_HTTP_STATUS, {url, status: request.status}));
+              }
+            };
+            request.onerror = () => {
+              this._requests.delete(request);
+              reject(new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.HTTP_ERROR, {url}));
+            };
+            // aborted on a reset, the callers ignore it
+            request.onabort = () => {
+              this._requests.delete(request);
+              reject(new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.OPERATION_ABORTED, {url}));
+            };
+            request.send();
+          })
+      )
+      .then(({request, miliSeconds}) => {
+        const pkResponse: PKResponseObject = {
+          url: request.responseURL,
+          originalUrl: url,
+          data: request.response,
+          headers: Utils.Http.convertHeadersToDictionary(request.getAllResponseHeaders())
+        };
+        const bytes = request.response instanceof ArrayBuffer ? request.response.byteLength : (request.responseText || '').length;
+        let responseFilterPromise;
+        if (typeof network.responseFilter === 'function') {
+          try {
+            responseFilterPromise = network.responseFilter(type, pkResponse);
+          } catch (error) {
+            responseFilterPromise = Promise.reject(error);
+          }
+        }
+        responseFilterPromise = responseFilterPromise || Promise.resolve(pkResponse);
+        return responseFilterPromise
+          .catch(error => {
+            throw new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.RESPONSE_FILTER_ERROR, error);
+          })
+          .then(updatedResponse => ({data: updatedResponse.data, bytes, miliSeconds}));
+      });
+  }
+
+  /**
+   * Get the parsed tracks
+   * @function _getParsedTracks
+   * @returns {Array<Track>} - The parsed tracks
+   * @private
+   */
+  _getParsedTracks(): Array<Track> {
+    const videoTracks = this._variants.map(
+      (variant, index) =>
+        new VideoTrack({
+          id: `${index}`,
+          bandwidth: variant.bandwidth,
+          width: variant.width,
+          height: variant.height,
+          active: index === this._variantIndex,
+          index
+        })
+    );
+    const audioTracks = this._audioRenditions.map(
+      (rendition, index) =>
+        new AudioTrack({
+          id: `${index}`,
+          label: rendition.name,
+          language: rendition.language,
+          active: index === this._audioRenditionIndex,
+          index
+        })
+    );
+    return videoTracks.concat(audioTracks);
+  }
+
+  /**
+   * Select a video track, and disables the adaptive bitrate.
+   * @function selectVideoTrack
+   * @param {VideoTrack} videoTrack - the track to select
+   * @returns {void}
+   * @public
+   */
+  selectVideoTrack(videoTrack: VideoTrack): void {
+    if (this._isAbrEnabled) {
+      this._isAbrEnabled = false;
+      this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: 'manual'});
+    }
+    this._switchVariant(videoTrack);
+  }
+
+  /**
+   * Switches to the variant stream of a video track from the end of the buffer.
+   * @param {VideoTrack} videoTrack - The video track.
+   * @returns {void}
+   * @private
+   */
+  _switchVariant(videoTrack: VideoTrack): void {
+    const variant = this._variants[videoTrack.index];
+    const mainStream = this._mainStream;
+    if (!variant || !mainStream || videoTrack.index === this._variantIndex) {
+      return;
+    }
+    const previousVariant = this._variants[this._variantIndex];
+    this._variantIndex = videoTrack.index;
+    mainStream
+      .loadPlaylist(variant.url)
+      .then(() => {
+        if (variant === this._variants[this._variantIndex]) {
+          if (variant.codecs !== previousVariant.codecs) {
+            mainStream.changeType(this._getMimeType(variant));
+          }
+          this._onTrackChanged(videoTrack);
+        }
+      })
+      .catch(error => this._onError(error));
+  }
+
+  /**
+   * Select an audio track, and loads its rendition again from the playback time.
+   * @function selectAudioTrack
+   * @param {AudioTrack} audioTrack - the audio track to select
+   * @returns {void}
+   * @public
+   */
+  selectAudioTrack(audioTrack: AudioTrack): void {
+    const audioRendition = this._audioRenditions[audioTrack.index];
+    const audioStream = this._audioStream;
+    if (!audioRendition || !audioStream || audioTrack.index === this._audioRenditionIndex) {
+      return;
+    }
+    this._audioRenditionIndex = audioTrack.index;
+    audioStream
+      .loadPlaylist(audioRendition.url)
+      .then(() => {
+        if (audioRendition === this._audioRenditions[this._audioRenditionIndex]) {
+          this._onTrackChanged(audioTrack);
+          return audioStream.flush();
+        }
+      })
+      .catch(error => this._onError(error));
+  }
+
+  /**
+   * The MSE HLS adapter doesn't load the subtitles renditions.
+   * @function selectTextTrack
+   * @returns {void}
+   * @public
+   */
+  selectTextTrack(): void {
+    return;
+  }
+
+  /**
+   * The MSE HLS adapter doesn't load the subtitles renditions.
+   * @function hideTextTrack
+   * @returns {void}
+   * @public
+   */
+  hideTextTrack(): void {
+    return;
+  }
+
+  /**
+   * Enables adaptive bitrate
+   * @function enableAdaptiveBitrate
+   * @returns {void}
+   * @public
+   */
+  enableAdaptiveBitrate(): void {
+    if (!this._isAbrEnabled) {
+      this._isAbrEnabled = true;
+      this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: 'auto'});
+    }
+  }
+
+  /**
+   * Checking if adaptive bitrate switching is enabled.
+   * @function isAdaptiveBitrateEnabled
+   * @returns {boolean} - Whether the player ABR controller switches the variant streams.
+   * @public
+   */
+  isAdaptiveBitrateEnabled(): boolean {
+    return this._isAbrEnabled;
+  }
+
+  /**
+   * Switches to the target video track of the player ABR controller.
+   * @function setAbrTarget
+   * @param {VideoTrack} videoTrack - The target video track.
+   * @returns {void}
+   * @public
+   */
+  setAbrTarget(videoTrack: VideoTrack): void {
+    if (this._isAbrEnabled) {
+      this._switchVariant(videoTrack);
+    }
+  }
+
+  /**
+   * Returns the live edge, the live sync duration before the end of the playlist.
+   * @returns {number} - live edge
+   * @private
+   */
+  _getLiveEdge(): number {
+    const mainStream = this._mainStream;
+    if (mainStream && mainStream.isLive) {
+      return Math.max(mainStream.endTime - this._config.liveSyncDurationCount * mainStream.targetDuration, mainStream.startTime);
+    }
+    return this._videoElement.duration;
+  }
+
+  /**
+   * Seeking to live edge.
+   * @function seekToLiveEdge
+   * @returns {void}
+   * @public
+   */
+  seekToLiveEdge(): void {
+    try {
+      this._videoElement.currentTime = this._getLiveEdge();
+    } catch (e) {
+      return;
+    }
+  }
+
+  /**
+   * Checking if the current playback is live.
+   * @function isLive
+   * @returns {boolean} - Whether playback is live.
+   * @public
+   */
+  isLive(): boolean {
+    return !!this._mainStream && this._mainStream.isLive;
+  }
+
+  /**
+   * Get the start time of DVR window in live playback in seconds.
+   * @returns {Number} - start time of DVR window.
+   * @public
+   */
+  getStartTimeOfDvrWindow(): number {
+    return this._mainStream && this._mainStream.isLive ? this._mainStream.startTime : 0;
+  }
+
+  /**
+   * The buffer ahead of the playback time which the adapter loads.
+   * @returns {number} - The target buffer in seconds.
+   * @public
+   */
+  get targetBuffer(): number {
+    return this._config.maxBufferLength;
+  }
+
+  /**
+   * Checks if the adapter can recover from an error triggered by the video element error
+   * @param {?MediaError} error - the html5 video element error
+   * @returns {boolean} - if it can recover or not
+   * @public
+   */
+  handleMediaError(error: ?MediaError): boolean {
+    if (this._loadPromiseReject) {
+      this._onError(new Error(Error.Severity.CRITICAL, Error.Category.MEDIA, Error.Code.MEDIA_SOURCE_OPERATION_FAILED, error));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * attach media - return the media source to handle the video tag
+   * @public
+   * @returns {void}
+   */
+  attachMediaSource(): void {
+    this._startTimeAttach = this._lastTimeDetach;
+    this._lastTimeDetach = NaN;
+  }
+
+  /**
+   * detach media - will remove the media source from handling the video
+   * @public
+   * @returns {void}
+   */
+  detachMediaSource(): void {
+    this._lastTimeDetach = this.currentTime;
+    this._reset();
+    if (this._videoElement && this._videoElement.src) {
+      Utils.Dom.setAttribute(this._videoElement, 'src', '');
+      Utils.Dom.removeAttribute(this._videoElement, 'src');
+    }
+    this._loadPromise = null;
+  }
+
+  /**
+   * Destroys the MSE HLS adapter.
+   * @function destroy
+   * @returns {Promise<*>} - The destroy promise.
+   */
+  destroy(): Promise<*> {
+    MseHlsAdapter._logger.debug('destroy');
+    this._reset();
+    return super.destroy().then(() => {
+      this._variants = [];
+      this._audioRenditions = [];
+      this._variantIndex = 0;
+      this._audioRenditionIndex = 0;
+      this._mediaPlaylist = null;
+      this._playerTracks = [];
+      this._isAbrEnabled = true;
+      this._loadPromise = null;
+      this._lastTimeDetach = NaN;
+      this._startTimeAttach = NaN;
+    });
+  }
+
+  /**
+   * Aborts the requests, and destroys the streams and the media source.
+   * @returns {void}
+   * @private
+   */
+  _reset(): void {
+    this._eventManager.removeAll();
+    this._requests.forEach(request => request.abort());
+    this._requests.clear();
+    this._getStreams().forEach(stream => stream.destroy());
+    this._mainStream = null;
+    this._audioStream = null;
+    if (this._mediaSourceUrl) {
+      URL.revokeObjectURL(this._mediaSourceUrl);
+      this._mediaSourceUrl = '';
+    }
+    this._mediaSource = null;
+    this._loadPromiseReject = null;
+  }
+}
@@ -9,15 +9,25 @@ import BaseMediaSourceAdapter from '../base-media-source-adapter';
 import {getSuitableSourceForResolution} from '../../../../utils/resolution';
 import * as Utils from '../../../../utils/util';
 import FairPlay from '../../../../drm/fairplay';
+import Eme from '../../../../drm/eme';
 import Env from '../../../../utils/env';
 import Error from '../../../../error/error';
 import defaultConfig from './native-adapter-default-config';
 import type {FairPlayDrmConfigType} from './fairplay-drm-handler';
 import {FairPlayDrmHandler} from './fairplay-drm-handler';
+import type {EmeDrmConfigType} from './eme-drm-handler';
+import {EmeDrmHandler} from './eme-drm-handler';
+import {InbandCaptionsExtractor} from '../../../../track/cea/inband-captions-extractor';
 
 const BACK_TO_FOCUS_TIMEOUT: number = 1000;
 const MAX_MEDIA_RECOVERY_ATTEMPTS: number = 3;
 const NUDGE_SEEK_AFTER_FOCUS: number = 0.1;
+/**
+ * The buffer ahead in seconds beyond which the progressive download isn't measured, as the browser may throttle it.
+ * @type {number}
+ * @const
+ */
+const MAX_MEASURED_BUFFER_AHEAD: number = 30;
 
 /**
  * An illustration of media source extension for progressive download
@@ -53,7 +63,7 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    * @private
    * @static
    */
-  static _drmProtocols: Array<Function> = [FairPlay];
+  static _drmProtocols: Array<Function> = [Eme, FairPlay];
   /**
    * The DRM protocol for the current playback.
    * @type {?Function}
@@ -63,10 +73,16 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
   static _drmProtocol: ?Function = null;
   /**
    * The DRM handler playback.
-   * @type {?FairPlayDrmHandler}
+   * @type {?(FairPlayDrmHandler | EmeDrmHandler)}
+   * @private
+   */
+  _drmHandler: ?(FairPlayDrmHandler | EmeDrmHandler);
+  /**
+   * The extractor of the CEA-608/708 captions of the source.
+   * @type {?InbandCaptionsExtractor}
    * @private
    */
-  _drmHandler: ?FairPlayDrmHandler;
+  _inbandCaptionsExtractor: ?InbandCaptionsExtractor = null;
   /**
    * The original progressive sources
    * @member {Array<PKMediaSourceObject>} - _progressiveSources
@@ -131,6 +147,34 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    */
   _startTimeAttach: number = NaN;
 
+  /**
+   * Whether the player ABR controller switches the progressive renditions
+   * @type {boolean}
+   * @private
+   */
+  _isProgressiveAbrEnabled: boolean = false;
+
+  /**
+   * The rendition the player ABR controller targets, to switch to at the next safe point
+   * @type {?VideoTrack}
+   * @private
+   */
+  _pendingAbrTarget: ?VideoTrack = null;
+
+  /**
+   * Whether a progressive rendition is being switched to
+   * @type {boolean}
+   * @private
+   */
+  _isSwitchingRendition: boolean = false;
+
+  /**
+   * The time and the buffered end of the last progressive download measurement
+   * @type {?{time: number, bufferedEnd: number}}
+   * @private
+   */
+  _lastProgress: ?{time: number, bufferedEnd: number} = null;
+
   /**
    * Checks if NativeAdapter can play a given mime type.
    * @function canPlayType
@@ -193,6 +237,9 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
     if (Utils.Object.hasPropertyPath(config, 'sources.progressive')) {
       adapterConfig.progressiveSources = Utils.Object.getPropertyPath(config, 'sources.progressive');
     }
+    if (config.abr) {
+      adapterConfig.abr = config.abr;
+    }
     if (config.playback) {
       adapterConfig.enableCEA708Captions = config.playback.enableCEA708Captions;
       adapterConfig.captionsTextTrack1Label = config.playback.captionsTextTrack1Label;
@@ -203,6 +250,9 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
         Utils.Object.mergeDeep(adapterConfig, config.playback.options.html5.native);
       }
     }
+    if (config.drm) {
+      adapterConfig.drm = config.drm;
+    }
     adapterConfig.network = config.network;
     return new this(videoElement, source, adapterConfig);
   }
@@ -219,6 +269,8 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
     this._config = Utils.Object.mergeDeep({}, defaultConfig, this._config);
     this._progressiveSources = config.progressiveSources;
     this._liveEdge = 0;
+    // the browser chooses the renditions of a native adaptive stream by itself
+    this._capabilities = {...this._capabilities, abrTarget: this._isProgressivePlayback()};
   }
 
   /**
@@ -246,19 +298,27 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    * @returns {void}
    */
   _maybeSetDrmPlayback(): void {
-    if (NativeAdapter._drmProtocol && this._sourceObj && this._sourceObj.drmData) {
-      const drmConfig: FairPlayDrmConfigType = {
-        licenseUrl: '',
-        certificate: '',
-        network: this._config.network
-      };
-      NativeAdapter._drmProtocol.setDrmPlayback(drmConfig, this._sourceObj.drmData);
-      this._drmHandler = new FairPlayDrmHandler(
-        this._videoElement,
-        drmConfig,
-        error => this._dispatchErrorCallback(error),
-        data => this._dispatchDRMLicenseLoaded(data)
-      );
+    const drmData = this._sourceObj && this._sourceObj.drmData;
+    if (NativeAdapter._drmProtocol && drmData && !this._drmHandler) {
+      const errorCallback = error => this._dispatchErrorCallback(error);
+      const drmResponseCallback = data => this._dispatchDRMLicenseLoaded(data);
+      if (NativeAdapter._drmProtocol === Eme) {
+        const drmConfig: EmeDrmConfigType = {
+          keySystem: Utils.Object.getPropertyPath(this._config, 'drm.keySystem') || '',
+          drmEntries: [],
+          network: this._config.network
+        };
+        Eme.setDrmPlayback(drmConfig, drmData);
+        this._drmHandler = new EmeDrmHandler(this._videoElement, drmConfig, errorCallback, drmResponseCallback);
+      } else {
+        const drmConfig: FairPlayDrmConfigType = {
+          licenseUrl: '',
+          certificate: '',
+          network: this._config.network
+        };
+        NativeAdapter._drmProtocol.setDrmPlayback(drmConfig, drmData);
+        this._drmHandler = new FairPlayDrmHandler(this._videoElement, drmConfig, errorCallback, drmResponseCallback);
+      }
     }
   }
 
@@ -269,9 +329,93 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    * @private
    */
   _setProgressiveSource(): void {
-    let suitableTrack = getSuitableSourceForResolution(this._progressiveSources, this._videoElement.offsetWidth, this._videoElement.offsetHeight);
+    let sources = this._progressiveSources;
+    const {abr} = this._config;
+    if (abr && abr.enabled) {
+      // the start rendition fits the bitrate restrictions and the default bandwidth estimate, or is the lowest restricted one
+      const {minBitrate, maxBitrate} = abr.restrictions;
+      const restrictedSources = sources.filter(source => !source.bandwidth || (source.bandwidth >= minBitrate && source.bandwidth <= maxBitrate));
+      const fittingSources = restrictedSources.filter(source => !source.bandwidth || source.bandwidth <= abr.defaultBandwidthEstimate);
+      const lowestSources = restrictedSources.sort((a, b) => (a.bandwidth || 0) - (b.bandwidth || 0)).slice(0, 1);
+      sources = fittingSources.length ? fittingSources : lowestSources.length ? lowestSources : sources;
+    }
+    let suitableTrack = getSuitableSourceForResolution(sources, this._videoElement.offsetWidth, this._videoElement.offsetHeight);
     if (suitableTrack) {
       this._sourceObj = suitableTrack;
+    } else if (!sources.includes(this._sourceObj) && sources.length) {
+      this._sourceObj = sources[0];
+    }
+  }
+
+  /**
+   * Lets the player ABR controller switch the progressive renditions, once there are several renditions,
+   * and measures the download throughput for it.
+   * @function _initProgressiveAbr
+   * @returns {void}
+   * @private
+   */
+  _initProgressiveAbr(): void {
+    const {abr} = this._config;
+    this._isProgressiveAbrEnabled = !!(abr && abr.enabled && this._progressiveSources.length > 1);
+    if (this._isProgressiveAbrEnabled) {
+      this._eventManager.listen(this._videoElement, Html5EventType.PROGRESS, () => this._measureProgressiveDownload());
+      this._eventManager.listen(this._videoElement, Html5EventType.SEEKING, () => this._switchToAbrTarget());
+      this._eventManager.listen(this._videoElement, Html5EventType.PAUSE, () => this._switchToAbrTarget());
+      this._eventManager.listen(this._videoElement, Html5EventType.WAITING, () => {
+        const pendingAbrTarget = this._pendingAbrTarget;
+        const bandwidth = this._sourceObj && this._sourceObj.bandwidth;
+        // a stall is a safe point to switch down only
+        if (pendingAbrTarget && bandwidth && pendingAbrTarget.bandwidth < bandwidth) {
+          this._switchToAbrTarget();
+        }
+      });
+    }
+  }
+
+  /**
+   * Measures the download throughput of the progressive rendition by the growth of its buffer since the last measurement,
+   * and reports the downloaded bytes as a loaded fragment.
+   * @function _measureProgressiveDownload
+   * @returns {void}
+   * @private
+   */
+  _measureProgressiveDownload(): void {
+    const {buffered, currentTime} = this._videoElement;
+    let bufferedEnd = 0;
+    for (let i = 0; i < buffered.length; i++) {
+      if (buffered.start(i) <= currentTime && currentTime <= buffered.end(i)) {
+        bufferedEnd = buffered.end(i);
+      }
+    }
+    const time = Date.now();
+    const lastProgress = this._lastProgress;
+    this._lastProgress = {time, bufferedEnd};
+    const source = this._sourceObj;
+    if (!lastProgress || !source || !source.bandwidth || this._isSwitchingRendition) {
+      return;
+    }
+    const downloadedTime = bufferedEnd - lastProgress.bufferedEnd;
+    if (downloadedTime > 0 && time > lastProgress.time && lastProgress.bufferedEnd - currentTime < MAX_MEASURED_BUFFER_AHEAD) {
+      this._trigger(CustomEventType.FRAG_LOADED, {
+        miliSeconds: time - lastProgress.time,
+        bytes: (downloadedTime * source.bandwidth) / 8,
+        url: source.url
+      });
+    }
+  }
+
+  /**
+   * Switches to the rendition the player ABR controller targets, at a safe point of the playback.
+   * @function _switchToAbrTarget
+   * @returns {void}
+   * @private
+   */
+  _switchToAbrTarget(): void {
+    const pendingAbrTarget = this._pendingAbrTarget;
+    if (pendingAbrTarget && !this._isSwitchingRendition) {
+      this._pendingAbrTarget = null;
+      NativeAdapter._logger.debug(`Switching to the progressive rendition ${pendingAbrTarget.index}`);
+      this._selectProgressiveVideoTrack(pendingAbrTarget);
     }
   }
 
@@ -316,10 +460,11 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
         );
         if (this._isProgressivePlayback()) {
           this._setProgressiveSource();
+          this._initProgressiveAbr();
         }
         if (this._sourceObj && this._sourceObj.url) {
           this._setSrc().then(() => {
-            this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: this._isProgressivePlayback() ? 'manual' : 'auto'});
+            this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: this.isAdaptiveBitrateEnabled() ? 'auto' : 'manual'});
             this._videoElement.load();
           });
         } else {
@@ -429,6 +574,7 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    */
   _onLoadedData(resolve: Function, startTime: ?number): void {
     const parseTracksAndResolve = () => {
+      this._maybeStartInbandCaptionsExtractor();
       this._playerTracks = this._getParsedTracks();
       this._addNativeAudioTrackChangeListener();
       this._addNativeTextTrackChangeListener();
@@ -522,6 +668,11 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
     NativeAdapter._logger.debug('destroy');
     return super.destroy().then(() => {
       this._drmHandler && this._drmHandler.destroy();
+      this._drmHandler = null;
+      if (this._inbandCaptionsExtractor) {
+        this._inbandCaptionsExtractor.destroy();
+        this._inbandCaptionsExtractor = null;
+      }
       this._waitingEventTriggered = false;
       this._progressiveSources = [];
       this._loadPromise = null;
@@ -530,6 +681,10 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
       this._lastTimeUpdate = 0;
       this._lastTimeDetach = NaN;
       this._startTimeAttach = NaN;
+      this._isProgressiveAbrEnabled = false;
+      this._pendingAbrTarget = null;
+      this._isSwitchingRendition = false;
+      this._lastProgress = null;
       this._videoDimensions = null;
       this._clearHeartbeatTimeout();
       if (this._liveDurationChangeInterval) {
@@ -633,6 +788,7 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
           active: audioTracks[i].enabled,
           label: audioTracks[i].label,
           language: audioTracks[i].language,
+          kind: audioTracks[i].kind,
           index: i
         };
         parsedTracks.push(new AudioTrack(settings));
@@ -654,6 +810,22 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
     const parsedTracks = [];
     if (textTracks) {
       for (let i = 0; i < textTracks.length; i++) {
+        if (InbandCaptionsExtractor.isExtractedTextTrack(this._videoElement, textTracks[i])) {
+          const extractedSettings = this._inbandCaptionsExtractor && this._inbandCaptionsExtractor.getTextTrackSettings(textTracks[i]);
+          // a track of a previous source is left on the video element, as tracks can't be removed
+          if (extractedSettings) {
+            parsedTracks.push(
+              new PKTextTrack({
+                kind: 'captions',
+                active: textTracks[i].mode === 'showing',
+                label: extractedSettings.label,
+                language: extractedSettings.language,
+                index: i
+              })
+            );
+          }
+          continue;
+        }
         const settings = {
           kind: textTracks[i].kind,
           active: textTracks[i].mode === 'showing',
@@ -663,7 +835,7 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
         };
         if (settings.kind === 'subtitles') {
           parsedTracks.push(new PKTextTrack(settings));
-        } else if (settings.kind === 'captions' && this._config.enableCEA708Captions) {
+        } else if (settings.kind === 'captions' && this._config.enableCEA708Captions && !this._isExtractingInbandCaptions()) {
           settings.label = settings.label || captionsTextTrackLabels.shift();
           settings.language = settings.language || captionsTextTrackLanguageCodes.shift();
           parsedTracks.push(new PKTextTrack(settings));
@@ -682,6 +854,11 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    */
   selectVideoTrack(videoTrack: VideoTrack): void {
     if (this._isProgressivePlayback()) {
+      this._pendingAbrTarget = null;
+      if (this._isProgressiveAbrEnabled) {
+        this._isProgressiveAbrEnabled = false;
+        this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: 'manual'});
+      }
       this._selectProgressiveVideoTrack(videoTrack);
     } else {
       this.selectAdaptiveVideoTrack(videoTrack);
@@ -701,6 +878,8 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
       let currentTime = this._videoElement.currentTime;
       let paused = this._videoElement.paused;
       this._sourceObj = videoTracks[videoTrack.index];
+      this._isSwitchingRendition = true;
+      this._lastProgress = null;
       this._eventManager.listenOnce(this._videoElement, Html5EventType.LOADED_DATA, () => {
         if (Env.browser.name === 'Android Browser') {
           // In android browser we have to seek only after some playback.
@@ -708,6 +887,7 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
             this._videoElement.currentTime = currentTime;
           });
           this._eventManager.listenOnce(this._videoElement, Html5EventType.SEEKED, () => {
+            this._isSwitchingRendition = false;
             this._onTrackChanged(videoTrack);
             if (paused) {
               this._videoElement.pause();
@@ -716,6 +896,7 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
           this._videoElement.play();
         } else {
           this._eventManager.listenOnce(this._videoElement, Html5EventType.SEEKED, () => {
+            this._isSwitchingRendition = false;
             this._onTrackChanged(videoTrack);
           });
           this._videoElement.currentTime = currentTime;
@@ -886,10 +1067,22 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
   _onNativeTextTrackChange(): void {
     const pkTextTracks = this._getPKTextTracks();
     const pkOffTrack = pkTextTracks.find(track => track.language === 'off');
+    const activePKtextTrack = this._getActivePKTextTrack();
+    const pkIndex = activePKtextTrack ? activePKtextTrack.index : -1;
     const getActiveVidTextTrackIndex = () => {
+      const displayMode = this._getDisplayTextTrackModeString();
+      const activeVidTextTrack = this._videoElement.textTracks[pkIndex];
+      // the active track stays selected while it is displayed, alongside tracks the player hides (such as the secondary text track)
+      if (activeVidTextTrack && activeVidTextTrack.mode === displayMode) {
+        return pkIndex;
+      }
+      // a native selection shows the track, so a hidden track is not a selection
+      if (displayMode === 'hidden') {
+        return -1;
+      }
       for (let i = 0; i < this._videoElement.textTracks.length; i++) {
         const textTrack = this._videoElement.textTracks[i];
-        if (this._getDisplayTextTrackModeString() === textTrack.mode) {
+        if (displayMode === textTrack.mode) {
           return i;
         }
       }
@@ -897,8 +1090,6 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
     };
     NativeAdapter._logger.debug('Video element text track change');
     const vidIndex = getActiveVidTextTrackIndex();
-    const activePKtextTrack = this._getActivePKTextTrack();
-    const pkIndex = activePKtextTrack ? activePKtextTrack.index : -1;
 
     if (vidIndex !== pkIndex) {
       // In case no text track with 'showing' mode
@@ -939,7 +1130,12 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    */
   _addNativeTextTrackAddedListener(): void {
     if (!this._config.displayTextTrack && this._videoElement.textTracks) {
-      this._eventManager.listen(this._videoElement.textTracks, 'addtrack', () => this._onNativeTextTrackAdded());
+      this._eventManager.listen(this._videoElement.textTracks, 'addtrack', (event: Object) => {
+        // the tracks of the extracted captions are reported by the extractor
+        if (!event.track || !InbandCaptionsExtractor.isExtractedTextTrack(this._videoElement, event.track)) {
+          this._onNativeTextTrackAdded();
+        }
+      });
     }
   }
 
@@ -953,6 +1149,30 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
     this._trigger(CustomEventType.TRACKS_CHANGED, {tracks: this._playerTracks});
   }
 
+  /**
+   * Starts extracting the CEA-608/708 captions of the source, when the captions are enabled and the source is supported.
+   * @private
+   * @returns {void}
+   */
+  _maybeStartInbandCaptionsExtractor(): void {
+    if (this._config.enableCEA708Captions && this._config.extractInbandCaptions && InbandCaptionsExtractor.isSupported(this._sourceObj)) {
+      this._inbandCaptionsExtractor && this._inbandCaptionsExtractor.destroy();
+      this._inbandCaptionsExtractor = new InbandCaptionsExtractor(this._videoElement, (this._sourceObj: any), this._config, () =>
+        this._onNativeTextTrackAdded()
+      );
+      this._inbandCaptionsExtractor.start();
+    }
+  }
+
+  /**
+   * Whether the captions of the source are extracted, in which case the captions tracks of the browser are ignored.
+   * @private
+   * @returns {boolean} - Whether the captions are extracted.
+   */
+  _isExtractingInbandCaptions(): boolean {
+    return !!this._inbandCaptionsExtractor && this._inbandCaptionsExtractor.active;
+  }
+
   /**
    * Hide the text track
    * @function hideTextTrack
@@ -970,19 +1190,45 @@ export default class NativeAdapter extends BaseMediaSourceAdapter {
    * @public
    */
   enableAdaptiveBitrate(): void {
-    NativeAdapter._logger.warn('Enabling adaptive bitrate is not supported for native playback');
+    const {abr} = this._config;
+    if (this._isProgressivePlayback() && abr && abr.enabled && this._progressiveSources.length > 1) {
+      if (!this._isProgressiveAbrEnabled) {
+        this._isProgressiveAbrEnabled = true;
+        this._trigger(CustomEventType.ABR_MODE_CHANGED, {mode: 'auto'});
+      }
+    } else {
+      NativeAdapter._logger.warn('Enabling adaptive bitrate is not supported for native playback');
+    }
   }
 
   /**
    * Checking if adaptive bitrate switching is enabled.
-   * For progressive playback will always returns false.
+   * For progressive playback returns whether the player ABR controller switches the renditions (while no rendition was selected manually).
    * For adaptive playback will always returns true.
    * @function isAdaptiveBitrateEnabled
    * @returns {boolean} - Whether adaptive bitrate is enabled.
    * @public
    */
   isAdaptiveBitrateEnabled(): boolean {
-    return !this._isProgressivePlayback();
+    return this._isProgressivePlayback() ? this._isProgressiveAbrEnabled : true;
+  }
+
+  /**
+   * Switches to the target video track of the player ABR controller.
+   * @function setAbrTarget
+   * @param {VideoTrack} videoTrack - The target video track.
+   * @returns {void}
+   * @public
+   */
+  setAbrTarget(videoTrack: VideoTrack): void {
+    if (this._isProgressivePlayback() && this._isProgressiveAbrEnabled) {
+      // switching a rendition reloads the source, so it waits for a safe point: before the playback, a pause or a seek
+      const source = this._progressiveSources[videoTrack.index];
+      this._pendingAbrTarget = source && source !== this._sourceObj ? videoTrack : null;
+      if (this._videoElement.paused) {
+        this._switchToAbrTarget();
+      }
+    }
   }
 
   /**
@@ -41,10 +41,11 @@ export default class BaseMediaSourceAdapter extends FakeEventTarget implements I
   _videoElement: HTMLVideoElement;
 
   /**
-   * The adapter capabilities
+   * The adapter capabilities.
+   * `abrTarget` - whether the adapter applies the target video track of the player ABR controller.
    * @private
    */
-  _capabilities: PKMediaSourceCapabilities = {fpsControl: false};
+  _capabilities: PKMediaSourceCapabilities = {fpsControl: false, abrTarget: false};
 
   /**
    * The event manager of the adapter.
@@ -182,6 +183,16 @@ export default class BaseMediaSourceAdapter extends FakeEventTarget implements I
     return BaseMediaSourceAdapter._throwNotImplementedError('isAdaptiveBitrateEnabled');
   }
 
+  /**
+   * Switches to the target video track of the player ABR controller, without disabling the adaptive bitrate.
+   * The player runs its ABR controller only on adapters with the `abrTarget` capability, the others choose the tracks by their own ABR logic.
+   * @param {VideoTrack} videoTrack - The target video track.
+   * @returns {void}
+   */
+  setAbrTarget(videoTrack: VideoTrack): void {
+    BaseMediaSourceAdapter._throwNotImplementedError('setAbrTarget');
+  }
+
   _getLiveEdge(): number {
     return BaseMediaSourceAdapter._throwNotImplementedError('_getLiveEdge');
   }
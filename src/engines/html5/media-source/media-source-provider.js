@@ -1,5 +1,6 @@
 //@flow
 import NativeAdapter from './adapters/native-adapter';
+import MseHlsAdapter from './adapters/mse-hls-adapter';
 import getLogger from '../../../utils/logger';
 
 /**
@@ -91,6 +92,7 @@ export default class MediaSourceProvider {
 
   /**
    * Orders the media source adapters array according to the preferNative value.
+   * The MSE HLS adapter, once registered, is always the last, so the other registered adapters take precedence over it.
    * @param {boolean} preferNative - Whether to prefer native playback.
    * @private
    * @returns {void}
@@ -102,6 +104,11 @@ export default class MediaSourceProvider {
     } else {
       MediaSourceProvider._mediaSourceAdapters.push(NativeAdapter);
     }
+    const mseHlsAdapterIndex = MediaSourceProvider._mediaSourceAdapters.indexOf(MseHlsAdapter);
+    if (mseHlsAdapterIndex > -1) {
+      MediaSourceProvider._mediaSourceAdapters.splice(mseHlsAdapterIndex, 1);
+      MediaSourceProvider._mediaSourceAdapters.push(MseHlsAdapter);
+    }
   }
 
   /**
@@ -93,6 +93,11 @@ const Code: CodeType = {
    * https://github.com/kaltura/playkit-js/blob/master/docs/configuration.md#configsourcescaptions
    */
   UNKNOWN_LANGUAGE: 2012,
+  /**
+   * The in-band captions of the source cannot be extracted (for instance, an encrypted or a fragmented MP4 HLS stream).
+   * in the data is the reason.
+   */
+  UNSUPPORTED_INBAND_CAPTIONS: 2013,
   /**
    * Some component tried to read past the end of a buffer.  The segment index,
    * init segment, or PSSH may be malformed.
@@ -685,6 +690,16 @@ const Code: CodeType = {
    */
   REMOVE_FAILED: 9018,
 
+  /**
+   * Loading the bookmark of the entry failed.
+   */
+  BOOKMARK_LOAD_FAILED: 9019,
+
+  /**
+   * Saving the bookmark of the entry failed.
+   */
+  BOOKMARK_SAVE_FAILED: 9020,
+
   /**
    * Load media failed.
    */
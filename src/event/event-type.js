@@ -166,6 +166,14 @@ const CustomEventType: PKEventTypes = {
    * Fires when the active text track cue has changed.
    */
   TEXT_CUE_CHANGED: 'textcuechanged',
+  /**
+   * Fires when the timing offset of a text track has changed.
+   */
+  TEXT_TRACK_OFFSET_CHANGED: 'texttrackoffsetchanged',
+  /**
+   * Fires on a transcript cue iterator when the index of its active cue has changed.
+   */
+  TRANSCRIPT_CUE_CHANGED: 'transcriptcuechanged',
   /**
    * Fires when the player tracks have been changed.
    */
@@ -192,16 +200,33 @@ const CustomEventType: PKEventTypes = {
   FIRST_PLAYING: 'firstplaying',
   /**
    * Fires when the playback (includes postrolls) is ended.
+   * The player fires it after a postroll of its ad scheduler, or when a playlist item ends.
    */
   PLAYBACK_ENDED: 'playbackended',
   /**
    * Fires when the player has selected the source to play.
    */
   SOURCE_SELECTED: 'sourceselected',
+  /**
+   * Fires when the player fails over to the next source, after a critical error of the selected source.
+   */
+  SOURCE_FAILOVER: 'sourcefailover',
   /**
    * Fires when the text track style has changed.
    */
   TEXT_STYLE_CHANGED: 'textstylechanged',
+  /**
+   * Fires when the secondary text track has been changed.
+   */
+  SECONDARY_TEXT_TRACK_CHANGED: 'secondarytexttrackchanged',
+  /**
+   * Fires when the active cues of the secondary text track have changed.
+   */
+  SECONDARY_TEXT_CUE_CHANGED: 'secondarytextcuechanged',
+  /**
+   * Fires when the secondary text track style or position has changed.
+   */
+  SECONDARY_TEXT_STYLE_CHANGED: 'secondarytextstylechanged',
   /**
    * Fired when the adapter recovered from a media error
    */
@@ -232,6 +257,42 @@ const CustomEventType: PKEventTypes = {
    * Fired when the timed metadata triggered
    */
   TIMED_METADATA: 'timedmetadata',
+  /**
+   * Fired when timed metadata cues (ID3 tags and event messages) are added to the metadata cue list
+   */
+  TIMED_METADATA_ADDED: 'timedmetadataadded',
+  /**
+   * Fired when the playback enters a timed metadata cue
+   */
+  TIMED_METADATA_ENTER: 'timedmetadataenter',
+  /**
+   * Fired when the playback exits a timed metadata cue
+   */
+  TIMED_METADATA_EXIT: 'timedmetadataexit',
+  /**
+   * Fired when cue points (HLS date ranges and DASH event stream events) are added to the cue point list
+   */
+  CUE_POINTS_ADDED: 'cuepointsadded',
+  /**
+   * Fired when the playback enters a cue point
+   */
+  CUE_POINT_ENTER: 'cuepointenter',
+  /**
+   * Fired when the playback exits a cue point
+   */
+  CUE_POINT_EXIT: 'cuepointexit',
+  /**
+   * Fired when the chapters of the media are loaded
+   */
+  CHAPTERS_LOADED: 'chaptersloaded',
+  /**
+   * Fired when the playback moves to another chapter, or out of the chapters
+   */
+  CHAPTER_CHANGED: 'chapterchanged',
+  /**
+   * Fired when the media source adapter reports thumbnail sets (DASH image adaptation sets and HLS image streams)
+   */
+  THUMBNAIL_SETS_ADDED: 'thumbnailsetsadded',
   /**
    * Fired when a fragment or segment is done loading successfully
    */
@@ -247,7 +308,27 @@ const CustomEventType: PKEventTypes = {
   /**
    * Fired when the drm license is responded from the DRM server
    */
-  DRM_LICENSE_LOADED: 'drmlicenseloaded'
+  DRM_LICENSE_LOADED: 'drmlicenseloaded',
+  /**
+   * Fired when the active playlist item has been changed
+   */
+  PLAYLIST_ITEM_CHANGED: 'playlistitemchanged',
+  /**
+   * Fired when the auto continue countdown to the next playlist item has started
+   */
+  PLAYLIST_COUNTDOWN_START: 'playlistcountdownstart',
+  /**
+   * Fired when the playback of the last playlist item has ended
+   */
+  PLAYLIST_ENDED: 'playlistended',
+  /**
+   * Fired when a middleware has aborted an action (e.g. play)
+   */
+  MIDDLEWARE_ACTION_ABORTED: 'middlewareactionaborted',
+  /**
+   * Fired periodically with the quality of experience report of the current media
+   */
+  QOE_BEACON: 'qoebeacon'
 };
 
 const EventType: PKEventTypes = Utils.Object.merge([Html5EventType, CustomEventType, AdEventType]);
@@ -0,0 +1,129 @@
+//@flow
+import Player from '../player';
+import PKError from '../error/error';
+import getLogger from '../utils/logger';
+
+/**
+ * The categories of the critical errors which the next source may not have.
+ * @type {Array<number>}
+ * @const
+ */
+const FAILOVER_CATEGORIES: Array<number> = [PKError.Category.NETWORK, PKError.Category.MEDIA, PKError.Category.MANIFEST];
+
+/**
+ * Keeps the playable sources of the media, in the order of the stream priority and of the sources of each format,
+ * and picks the source to fail over to after a critical network, media or manifest error, up to the configured number of attempts.
+ * @class FailoverManager
+ * @param {Player} player - The player.
+ */
+class FailoverManager {
+  /**
+   * The failover manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('FailoverManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The playable sources of the media.
+   * @type {Array<PKSourceCandidateObject>}
+   * @private
+   */
+  _candidates: Array<PKSourceCandidateObject> = [];
+  /**
+   * The index of the selected source.
+   * @type {number}
+   * @private
+   */
+  _index: number = 0;
+  /**
+   * The number of the failovers of the media.
+   * @type {number}
+   * @private
+   */
+  _attempts: number = 0;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+  }
+
+  /**
+   * The number of the failovers of the media.
+   * @returns {number} - The number of the failovers.
+   * @public
+   */
+  get attempts(): number {
+    return this._attempts;
+  }
+
+  /**
+   * Sets the playable sources of the media, the first of which is selected.
+   * @param {Array<PKSourceCandidateObject>} candidates - The playable sources.
+   * @returns {void}
+   * @public
+   */
+  setCandidates(candidates: Array<PKSourceCandidateObject>): void {
+    this._candidates = candidates;
+    this._index = 0;
+    this._attempts = 0;
+  }
+
+  /**
+   * Gets the source to fail over to after an error, and selects it.
+   * @param {any} error - The error.
+   * @returns {?PKSourceCandidateObject} - The next source, null if the error is not recoverable by another source,
+   * there is no next source, or the failover attempts are exhausted.
+   * @public
+   */
+  next(error: any): ?PKSourceCandidateObject {
+    const {enabled, maxAttempts} = this._player.config.failover;
+    if (!enabled || !(error instanceof PKError) || error.severity !== PKError.Severity.CRITICAL || !FAILOVER_CATEGORIES.includes(error.category)) {
+      return null;
+    }
+    const candidate = this._candidates[this._index + 1];
+    if (!candidate) {
+      FailoverManager._logger.warn('No source left to fail over to');
+      return null;
+    }
+    if (this._attempts >= maxAttempts) {
+      FailoverManager._logger.warn(`The ${maxAttempts} failover attempts are exhausted`);
+      return null;
+    }
+    this._index++;
+    this._attempts++;
+    FailoverManager._logger.debug(`Failing over to the ${candidate.format} source ${candidate.source.url}, attempt ${this._attempts}`);
+    return candidate;
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._candidates = [];
+    this._index = 0;
+    this._attempts = 0;
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+  }
+}
+
+export {FailoverManager};
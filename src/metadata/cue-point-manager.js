@@ -0,0 +1,184 @@
+//@flow
+import Player from '../player';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType} from '../event/event-type';
+import getLogger from '../utils/logger';
+import {CueTimeline} from './cue-timeline';
+
+/**
+ * Keeps the cue points of the manifest (HLS date ranges and DASH event streams), and fires the enter and exit events
+ * of the cue points as the playback crosses them.
+ * The cue points timed by their dates are mapped onto the media timeline by the program date time of the stream,
+ * and are kept aside until the program date time is known.
+ * @class CuePointManager
+ * @param {Player} player - The player.
+ */
+class CuePointManager {
+  /**
+   * The cue point manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('CuePointManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The timeline of the cue points.
+   * @type {CueTimeline<PKCuePointObject>}
+   * @private
+   */
+  _timeline: CueTimeline<PKCuePointObject>;
+  /**
+   * The cue points timed by their dates, by their ID.
+   * @type {Map<string, PKCuePointObject>}
+   * @private
+   */
+  _dateCuePoints: Map<string, PKCuePointObject> = new Map();
+  /**
+   * The program date time, which maps the dates onto the media timeline.
+   * @type {?PKProgramDateTimeObject}
+   * @private
+   */
+  _programDateTime: ?PKProgramDateTimeObject = null;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._timeline = new CueTimeline(
+      player,
+      cuePoint => this._dispatchCuePointEvent(CustomEventType.CUE_POINT_ENTER, cuePoint),
+      cuePoint => this._dispatchCuePointEvent(CustomEventType.CUE_POINT_EXIT, cuePoint)
+    );
+  }
+
+  /**
+   * Adds cue points, and fires the cue points added event with the cue points which were not added before.
+   * The attributes and the end of an added cue point (such as a date range of a refreshed live playlist) are updated.
+   * @param {Array<PKCuePointObject>} cuePoints - The cue points.
+   * @param {?PKProgramDateTimeObject} [programDateTime] - The program date time of the stream, which maps the dates of the cue points onto the media timeline.
+   * @returns {void}
+   * @public
+   */
+  addCuePoints(cuePoints: Array<PKCuePointObject>, programDateTime?: ?PKProgramDateTimeObject): void {
+    if (programDateTime) {
+      this._programDateTime = programDateTime;
+    }
+    const addedCuePoints = [];
+    cuePoints.forEach(cuePoint => {
+      const existingCuePoint = this._timeline.getCue(cuePoint.id) || this._dateCuePoints.get(cuePoint.id);
+      if (existingCuePoint) {
+        Object.assign(existingCuePoint.attributes, cuePoint.attributes);
+        if (typeof cuePoint.endDate === 'number') {
+          existingCuePoint.endDate = cuePoint.endDate;
+        } else if (!this._dateCuePoints.has(cuePoint.id) && cuePoint.endTime > existingCuePoint.endTime) {
+          existingCuePoint.endTime = cuePoint.endTime;
+        }
+      } else {
+        const addedCuePoint = {...cuePoint, attributes: {...cuePoint.attributes}};
+        if (!isFinite(addedCuePoint.startTime) && typeof addedCuePoint.startDate === 'number') {
+          this._dateCuePoints.set(addedCuePoint.id, addedCuePoint);
+        } else {
+          this._timeline.add([addedCuePoint]);
+        }
+        addedCuePoints.push(addedCuePoint);
+      }
+    });
+    this._mapDateCuePoints();
+    if (addedCuePoints.length) {
+      CuePointManager._logger.debug(`${addedCuePoints.length} cue points added`);
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.CUE_POINTS_ADDED, {cuePoints: addedCuePoints}));
+    }
+    this._timeline.refresh();
+  }
+
+  /**
+   * Gets the cue points, optionally the cue points of a type, a class or a time range.
+   * @param {PKCuePointFilterObject} [filter] - The filter. A cue point is in the time range if it overlaps it.
+   * @returns {Array<PKCuePointObject>} - The cue points, sorted by their start time. The cue points which are not mapped onto the media timeline yet are last.
+   * @public
+   */
+  getCuePoints(filter: PKCuePointFilterObject = {}): Array<PKCuePointObject> {
+    const {type, startTime, endTime} = filter;
+    const pendingCuePoints = Array.from(this._dateCuePoints.values()).filter(cuePoint => !isFinite(cuePoint.startTime));
+    return this._timeline.cues
+      .concat(typeof startTime === 'number' || typeof endTime === 'number' ? [] : pendingCuePoints)
+      .filter(
+        cuePoint =>
+          (!type || cuePoint.type === type) &&
+          (!filter.class || cuePoint.class === filter.class) &&
+          (typeof startTime !== 'number' || cuePoint.endTime >= startTime) &&
+          (typeof endTime !== 'number' || cuePoint.startTime <= endTime)
+      );
+  }
+
+  /**
+   * Gets the active cue points.
+   * @returns {Array<PKCuePointObject>} - The cue points which contain the current time.
+   * @public
+   */
+  getActiveCuePoints(): Array<PKCuePointObject> {
+    return this._timeline.activeCues;
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._timeline.reset();
+    this._dateCuePoints.clear();
+    this._programDateTime = null;
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._timeline.destroy();
+  }
+
+  /**
+   * Maps the dates of the cue points onto the media timeline, and adds the mapped cue points to the timeline.
+   * @returns {void}
+   * @private
+   */
+  _mapDateCuePoints(): void {
+    const programDateTime = this._programDateTime;
+    if (!programDateTime) {
+      return;
+    }
+    const toTime = date => programDateTime.time + (date - programDateTime.date) / 1000;
+    this._dateCuePoints.forEach(cuePoint => {
+      if (typeof cuePoint.startDate === 'number') {
+        cuePoint.startTime = toTime(cuePoint.startDate);
+        cuePoint.endTime = typeof cuePoint.endDate === 'number' ? toTime(cuePoint.endDate) : cuePoint.startTime;
+      }
+      this._timeline.add([cuePoint]);
+    });
+  }
+
+  /**
+   * Fires a cue point event, with the cue point and its attributes.
+   * @param {string} type - The event type.
+   * @param {PKCuePointObject} cuePoint - The cue point.
+   * @returns {void}
+   * @private
+   */
+  _dispatchCuePointEvent(type: string, cuePoint: PKCuePointObject): void {
+    this._player.dispatchEvent(new FakeEvent(type, {cuePoint, attributes: cuePoint.attributes}));
+  }
+}
+
+export {CuePointManager};
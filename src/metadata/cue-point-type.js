@@ -0,0 +1,7 @@
+// @flow
+const CuePointType: PKCuePointTypes = {
+  DATE_RANGE: 'daterange',
+  EVENT_STREAM: 'eventstream'
+};
+
+export {CuePointType};
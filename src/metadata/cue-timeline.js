@@ -0,0 +1,214 @@
+//@flow
+import Player from '../player';
+import EventManager from '../event/event-manager';
+import {Html5EventType} from '../event/event-type';
+
+/**
+ * A cue of a timeline.
+ */
+type TimelineCue = {
+  id: string,
+  startTime: number,
+  endTime: number
+};
+
+/**
+ * Keeps the cues of the media sorted by their start time, and calls the enter and exit callbacks of the cues as the playback crosses them.
+ * A cue without a duration is entered and exited once the playback crosses its start time, and the cues skipped by a seek are not crossed.
+ * @class CueTimeline
+ * @param {Player} player - The player.
+ * @param {Function} onEnter - Called with a cue the playback entered.
+ * @param {Function} onExit - Called with a cue the playback exited.
+ */
+class CueTimeline<T: TimelineCue> {
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The enter callback.
+   * @type {Function}
+   * @private
+   */
+  _onEnter: (cue: T) => void;
+  /**
+   * The exit callback.
+   * @type {Function}
+   * @private
+   */
+  _onExit: (cue: T) => void;
+  /**
+   * The event manager.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The cues, sorted by their start time.
+   * @type {Array<T>}
+   * @private
+   */
+  _cues: Array<T> = [];
+  /**
+   * The cues by their ID.
+   * @type {Map<string, T>}
+   * @private
+   */
+  _cuesById: Map<string, T> = new Map();
+  /**
+   * The active cues.
+   * @type {Array<T>}
+   * @private
+   */
+  _activeCues: Array<T> = [];
+  /**
+   * The playback time of the last update.
+   * @type {number}
+   * @private
+   */
+  _lastTime: number = 0;
+  /**
+   * Whether the player is seeking, in which case the cues between the playback times are not crossed.
+   * @type {boolean}
+   * @private
+   */
+  _seeking: boolean = false;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   * @param {Function} onEnter - The enter callback.
+   * @param {Function} onExit - The exit callback.
+   */
+  constructor(player: Player, onEnter: (cue: T) => void, onExit: (cue: T) => void) {
+    this._player = player;
+    this._onEnter = onEnter;
+    this._onExit = onExit;
+    this._eventManager = new EventManager();
+    this._eventManager.listen(this._player, Html5EventType.TIME_UPDATE, () => {
+      if (!this._seeking) {
+        this.update(false);
+      }
+    });
+    this._eventManager.listen(this._player, Html5EventType.SEEKING, () => {
+      this._seeking = true;
+    });
+    this._eventManager.listen(this._player, Html5EventType.SEEKED, () => {
+      this._seeking = false;
+      this.update(true);
+    });
+  }
+
+  /**
+   * The cues, sorted by their start time.
+   * @returns {Array<T>} - The cues.
+   * @public
+   */
+  get cues(): Array<T> {
+    return this._cues;
+  }
+
+  /**
+   * The active cues.
+   * @returns {Array<T>} - The cues which contain the playback time.
+   * @public
+   */
+  get activeCues(): Array<T> {
+    return this._activeCues.slice();
+  }
+
+  /**
+   * Gets a cue by its ID.
+   * @param {string} id - The cue ID.
+   * @returns {?T} - The cue, undefined if there is no such cue.
+   * @public
+   */
+  getCue(id: string): ?T {
+    return this._cuesById.get(id);
+  }
+
+  /**
+   * Adds the cues which were not added before, by their ID. The added cues are entered by the next refresh or update.
+   * @param {Array<T>} cues - The cues.
+   * @returns {Array<T>} - The added cues.
+   * @public
+   */
+  add(cues: Array<T>): Array<T> {
+    const addedCues = cues.filter(cue => {
+      if (this._cuesById.has(cue.id)) {
+        return false;
+      }
+      this._cuesById.set(cue.id, cue);
+      return true;
+    });
+    if (addedCues.length) {
+      this._cues = this._cues.concat(addedCues).sort((a, b) => a.startTime - b.startTime);
+    }
+    return addedCues;
+  }
+
+  /**
+   * Sorts the cues again and updates the active cues, once the times of the cues have changed.
+   * @returns {void}
+   * @public
+   */
+  refresh(): void {
+    this._cues.sort((a, b) => a.startTime - b.startTime);
+    this.update(true);
+  }
+
+  /**
+   * Updates the active cues by the playback time, and calls the exit callbacks and then the enter callbacks.
+   * @param {boolean} seeked - Whether the playback time jumped, in which case the cues between the playback times are not crossed.
+   * @returns {void}
+   * @public
+   */
+  update(seeked: boolean): void {
+    const time = this._player.currentTime;
+    if (typeof time !== 'number') {
+      return;
+    }
+    const lastTime = this._lastTime;
+    const previousActiveCues = this._activeCues;
+    const activeCues = this._cues.filter(cue => cue.startTime <= time && time < cue.endTime);
+    // the cues which started and ended between the updates
+    const crossedCues = seeked
+      ? []
+      : this._cues.filter(cue => cue.startTime > lastTime && cue.startTime <= time && !activeCues.includes(cue) && !previousActiveCues.includes(cue));
+    this._activeCues = activeCues;
+    this._lastTime = time;
+    previousActiveCues.filter(cue => !activeCues.includes(cue)).forEach(cue => this._onExit(cue));
+    crossedCues.forEach(cue => {
+      this._onEnter(cue);
+      this._onExit(cue);
+    });
+    activeCues.filter(cue => !previousActiveCues.includes(cue)).forEach(cue => this._onEnter(cue));
+  }
+
+  /**
+   * Removes the cues, without calling their exit callbacks.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._cues = [];
+    this._cuesById.clear();
+    this._activeCues = [];
+    this._lastTime = 0;
+    this._seeking = false;
+  }
+
+  /**
+   * Destroys the timeline.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._eventManager.destroy();
+  }
+}
+
+export {CueTimeline};
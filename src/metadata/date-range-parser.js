@@ -0,0 +1,149 @@
+//@flow
+import {CuePointType} from './cue-point-type';
+
+/**
+ * The type of the native cues of the HLS date ranges (Safari).
+ * @type {string}
+ * @const
+ */
+const NATIVE_DATE_RANGE_CUE_TYPE: string = 'com.apple.quicktime.HLS';
+
+/**
+ * Parses an attribute list of a playlist tag. Quoted strings are unquoted, decimal numbers are parsed,
+ * and the rest (hexadecimal sequences and enumerated strings) are kept as strings.
+ * @param {string} list - The attribute list.
+ * @returns {Object} - The attributes by their name.
+ */
+function parseAttributeList(list: string): {[name: string]: any} {
+  const attributes = {};
+  const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = regex.exec(list))) {
+    const [, name, value] = match;
+    if (value.startsWith('"')) {
+      attributes[name] = value.slice(1, -1);
+    } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+      attributes[name] = parseFloat(value);
+    } else {
+      attributes[name] = value;
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Parses the date ranges (EXT-X-DATERANGE) of a media playlist into cue points, such as chapters, ad markers and interstitials
+ * (CLASS="com.apple.hls.interstitial"). The cue points are timed by their dates, and the program date time of the playlist
+ * maps the dates onto the media timeline.
+ * @param {string} playlist - The media playlist.
+ * @param {number} [playlistStartTime=0] - The media time of the first segment of the playlist, in seconds.
+ * @returns {Object} - The cue points, and the program date time of the playlist (null if the playlist has none).
+ */
+function parseDateRanges(
+  playlist: string,
+  playlistStartTime: number = 0
+): {cuePoints: Array<PKCuePointObject>, programDateTime: ?PKProgramDateTimeObject} {
+  const cuePoints = [];
+  let programDateTime = null;
+  let segmentTime = playlistStartTime;
+  let segmentDuration = 0;
+  playlist
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .forEach(line => {
+      const value = line.substr(line.indexOf(':') + 1);
+      if (line.startsWith('#EXTINF:')) {
+        segmentDuration = parseFloat(value) || 0;
+      } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+        const date = Date.parse(value);
+        if (!programDateTime && !isNaN(date)) {
+          programDateTime = {time: segmentTime, date};
+        }
+      } else if (line.startsWith('#EXT-X-DATERANGE:')) {
+        const attributes = parseAttributeList(value);
+        const startDate = Date.parse(attributes['START-DATE']);
+        if (!attributes.ID || isNaN(startDate)) {
+          return;
+        }
+        const duration = typeof attributes.DURATION === 'number' ? attributes.DURATION : attributes['PLANNED-DURATION'];
+        const endDate = attributes['END-DATE']
+          ? Date.parse(attributes['END-DATE'])
+          : typeof duration === 'number'
+          ? startDate + duration * 1000
+          : NaN;
+        const cuePoint: PKCuePointObject = {
+          id: `${CuePointType.DATE_RANGE}:${attributes.ID}`,
+          type: CuePointType.DATE_RANGE,
+          startTime: NaN,
+          endTime: NaN,
+          startDate,
+          attributes
+        };
+        if (attributes.CLASS) {
+          cuePoint.class = attributes.CLASS;
+        }
+        if (!isNaN(endDate)) {
+          cuePoint.endDate = endDate;
+        }
+        cuePoints.push(cuePoint);
+      } else if (line && !line.startsWith('#')) {
+        segmentTime += segmentDuration;
+        segmentDuration = 0;
+      }
+    });
+  // a date range which ends on the next one of its class ends at its start
+  cuePoints.forEach(cuePoint => {
+    if (cuePoint.attributes['END-ON-NEXT'] === 'YES' && typeof cuePoint.endDate !== 'number') {
+      const next = cuePoints.find(next => next.class === cuePoint.class && (next.startDate || 0) > (cuePoint.startDate || 0));
+      if (next) {
+        cuePoint.endDate = next.startDate;
+      }
+    }
+  });
+  return {cuePoints, programDateTime};
+}
+
+/**
+ * Checks whether a native metadata cue is an attribute of a date range (Safari exposes each attribute of a date range as a data cue).
+ * @param {Object} cue - The native cue.
+ * @returns {boolean} - Whether the cue is a date range attribute.
+ */
+function isNativeDateRangeCue(cue: Object): boolean {
+  return cue.type === NATIVE_DATE_RANGE_CUE_TYPE && !!cue.value && typeof cue.value.key === 'string';
+}
+
+/**
+ * Creates the cue points of the native date range cues, which are timed on the media timeline by the browser.
+ * The attribute cues of a date range are grouped by their times.
+ * @param {Array<Object>} cues - The native date range cues.
+ * @returns {Array<PKCuePointObject>} - The cue points of the date ranges with an ID.
+ */
+function createNativeDateRangeCuePoints(cues: Array<Object>): Array<PKCuePointObject> {
+  const groups: Map<string, Array<Object>> = new Map();
+  cues.forEach(cue => {
+    const key = `${cue.startTime}:${cue.endTime}`;
+    groups.set(key, (groups.get(key) || []).concat(cue));
+  });
+  const cuePoints = [];
+  groups.forEach(group => {
+    const attributes = {};
+    group.forEach(cue => (attributes[cue.value.key] = cue.value.data));
+    if (attributes.ID) {
+      const {startTime, endTime} = group[0];
+      const cuePoint: PKCuePointObject = {
+        id: `${CuePointType.DATE_RANGE}:${attributes.ID}`,
+        type: CuePointType.DATE_RANGE,
+        startTime,
+        endTime: typeof endTime === 'number' && endTime > startTime ? endTime : startTime,
+        attributes
+      };
+      if (attributes.CLASS) {
+        cuePoint.class = attributes.CLASS;
+      }
+      cuePoints.push(cuePoint);
+    }
+  });
+  return cuePoints;
+}
+
+export {createNativeDateRangeCuePoints, isNativeDateRangeCue, parseDateRanges};
@@ -0,0 +1,113 @@
+//@flow
+import {MetadataType} from './metadata-type';
+import {parseId3} from './id3-parser';
+import {findBoxes} from '../track/cea/mp4-parser';
+
+/**
+ * The scheme ID URIs of the event messages which carry an ID3 tag.
+ * @type {Array<string>}
+ * @const
+ */
+const ID3_SCHEME_ID_URIS: Array<string> = ['https://aomedia.org/emsg/ID3', 'https://developer.apple.com/streaming/emsg-id3'];
+
+/**
+ * The event duration of an event message of an unknown duration.
+ * @type {number}
+ * @const
+ */
+const UNKNOWN_DURATION: number = 0xffffffff;
+
+/**
+ * Reads a null terminated UTF-8 string.
+ * @param {Uint8Array} data - The data.
+ * @param {number} offset - The string offset.
+ * @returns {Array<any>} - The string and the offset after its terminator.
+ */
+function readString(data: Uint8Array, offset: number): [string, number] {
+  let end = offset;
+  while (end < data.length && data[end] !== 0) {
+    end++;
+  }
+  let text = '';
+  data.subarray(offset, end).forEach(byte => (text += String.fromCharCode(byte)));
+  try {
+    text = decodeURIComponent(escape(text));
+  } catch (e) {
+    // not a UTF-8 string, kept as Latin-1
+  }
+  return [text, end + 1];
+}
+
+/**
+ * Parses the content of an event message box (version 0 or 1).
+ * The time of a version 0 message is relative to its segment, and the time of a version 1 message is on the media timeline.
+ * The message data of an ID3 scheme is parsed into frames.
+ * @param {Uint8Array} data - The box content, after the box header.
+ * @param {number} [segmentStartTime=0] - The start time of the segment of the message, in seconds.
+ * @returns {?PKMetadataCueObject} - The cue, null if the box is invalid.
+ */
+function parseEmsg(data: Uint8Array, segmentStartTime: number = 0): ?PKMetadataCueObject {
+  if (data.length < 4) {
+    return null;
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const version = data[0];
+  let schemeIdUri, value, timescale, startTime, duration, eventId;
+  let offset = 4;
+  try {
+    if (version === 0) {
+      [schemeIdUri, offset] = readString(data, offset);
+      [value, offset] = readString(data, offset);
+      timescale = view.getUint32(offset);
+      startTime = segmentStartTime + view.getUint32(offset + 4) / timescale;
+      duration = view.getUint32(offset + 8);
+      eventId = view.getUint32(offset + 12);
+      offset += 16;
+    } else if (version === 1) {
+      timescale = view.getUint32(offset);
+      startTime = (view.getUint32(offset + 4) * 4294967296 + view.getUint32(offset + 8)) / timescale;
+      duration = view.getUint32(offset + 12);
+      eventId = view.getUint32(offset + 16);
+      [schemeIdUri, offset] = readString(data, offset + 20);
+      [value, offset] = readString(data, offset);
+    } else {
+      return null;
+    }
+  } catch (e) {
+    // the box is shorter than its fields
+    return null;
+  }
+  if (!timescale) {
+    return null;
+  }
+  const messageData = data.slice(Math.min(offset, data.length));
+  const endTime = duration === UNKNOWN_DURATION ? Infinity : startTime + duration / timescale;
+  return {
+    // the messages of the same scheme, value and ID are equivalent
+    id: `${MetadataType.EMSG}:${schemeIdUri}:${value}:${eventId}`,
+    type: MetadataType.EMSG,
+    startTime,
+    endTime,
+    frames: ID3_SCHEME_ID_URIS.includes(schemeIdUri) ? parseId3(messageData) : [],
+    schemeIdUri,
+    value,
+    data: messageData
+  };
+}
+
+/**
+ * Parses the event message boxes of an ISO BMFF segment.
+ * @param {Uint8Array} segment - The segment.
+ * @param {number} [segmentStartTime=0] - The segment start time, in seconds.
+ * @returns {Array<PKMetadataCueObject>} - The cues of the valid messages.
+ */
+function parseEmsgBoxes(segment: Uint8Array, segmentStartTime: number = 0): Array<PKMetadataCueObject> {
+  const cues = [];
+  findBoxes(segment, 0, segment.length, 'emsg').forEach(box => {
+    const cue = parseEmsg(box, segmentStartTime);
+    cue && cues.push(cue);
+  });
+  return cues;
+}
+
+export {parseEmsg, parseEmsgBoxes};
@@ -0,0 +1,79 @@
+//@flow
+import {CuePointType} from './cue-point-type';
+
+/**
+ * Parses an ISO 8601 duration (such as PT1H2M3.5S) of a DASH manifest.
+ * @param {?string} duration - The duration.
+ * @returns {number} - The duration in seconds, NaN if it is invalid.
+ */
+function parseDuration(duration: ?string): number {
+  const match = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(
+    duration || ''
+  );
+  if (!match) {
+    return NaN;
+  }
+  const [, years, months, days, hours, minutes, seconds] = match.map(value => parseFloat(value) || 0);
+  return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Gets the child elements of an element by their local name.
+ * @param {Element} element - The parent element.
+ * @param {string} name - The local name.
+ * @returns {Array<Element>} - The child elements.
+ */
+function getChildren(element: Element, name: string): Array<Element> {
+  return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * Parses the in-manifest event streams (EventStream) of a DASH manifest into cue points.
+ * The events are timed on the presentation timeline, by the start of their period.
+ * @param {string|Document} manifest - The manifest, or its parsed document.
+ * @returns {Array<PKCuePointObject>} - The cue points, with the event attributes and the scheme of their stream.
+ */
+function parseEventStreams(manifest: string | Document): Array<PKCuePointObject> {
+  const document = typeof manifest === 'string' ? new DOMParser().parseFromString(manifest, 'text/xml') : manifest;
+  const mpd = document.documentElement;
+  if (!mpd || mpd.localName !== 'MPD') {
+    return [];
+  }
+  const cuePoints = [];
+  let periodStart = 0;
+  getChildren(mpd, 'Period').forEach((period, periodIndex) => {
+    const start = parseDuration(period.getAttribute('start'));
+    periodStart = isNaN(start) ? periodStart : start;
+    getChildren(period, 'EventStream').forEach(eventStream => {
+      const schemeIdUri = eventStream.getAttribute('schemeIdUri') || '';
+      const value = eventStream.getAttribute('value') || '';
+      const timescale = parseInt(eventStream.getAttribute('timescale')) || 1;
+      const presentationTimeOffset = parseInt(eventStream.getAttribute('presentationTimeOffset')) || 0;
+      getChildren(eventStream, 'Event').forEach((event, eventIndex) => {
+        const attributes: {[name: string]: any} = {schemeIdUri, value};
+        Array.from(event.attributes).forEach(attribute => (attributes[attribute.name] = attribute.value));
+        if (!attributes.messageData && event.textContent.trim()) {
+          attributes.messageData = event.textContent.trim();
+        }
+        const presentationTime = parseInt(event.getAttribute('presentationTime')) || 0;
+        const duration = parseInt(event.getAttribute('duration'));
+        const startTime = periodStart + (presentationTime - presentationTimeOffset) / timescale;
+        const eventId = event.hasAttribute('id') ? event.getAttribute('id') : `${periodIndex}.${eventIndex}`;
+        cuePoints.push({
+          // the events of the same scheme, value and ID are equivalent
+          id: `${CuePointType.EVENT_STREAM}:${schemeIdUri}:${value}:${eventId || ''}`,
+          type: CuePointType.EVENT_STREAM,
+          class: schemeIdUri,
+          startTime,
+          endTime: isNaN(duration) ? startTime : startTime + duration / timescale,
+          attributes
+        });
+      });
+    });
+    const duration = parseDuration(period.getAttribute('duration'));
+    periodStart += isNaN(duration) ? 0 : duration;
+  });
+  return cuePoints;
+}
+
+export {getChildren, parseDuration, parseEventStreams};
@@ -0,0 +1,232 @@
+//@flow
+
+/**
+ * The size of the ID3 tag header (and footer).
+ * @type {number}
+ * @const
+ */
+const HEADER_SIZE: number = 10;
+
+/**
+ * The tag header flags.
+ * @type {Object}
+ * @const
+ */
+const TagFlag: {[flag: string]: number} = {
+  UNSYNCHRONISATION: 0x80,
+  EXTENDED_HEADER: 0x40,
+  FOOTER: 0x10
+};
+
+/**
+ * The ID3v2.4 frame format flags.
+ * @type {Object}
+ * @const
+ */
+const FrameFlag: {[flag: string]: number} = {
+  COMPRESSION: 0x08,
+  ENCRYPTION: 0x04,
+  UNSYNCHRONISATION: 0x02,
+  DATA_LENGTH_INDICATOR: 0x01
+};
+
+/**
+ * The text encodings of the text fields.
+ * @type {Object}
+ * @const
+ */
+const TextEncoding: {[encoding: string]: number} = {
+  ISO_8859_1: 0,
+  UTF_16: 1,
+  UTF_16_BE: 2,
+  UTF_8: 3
+};
+
+/**
+ * Checks whether the data has an ID3v2 tag header at an offset.
+ * @param {Uint8Array} data - The data.
+ * @param {number} offset - The offset.
+ * @returns {boolean} - Whether an ID3v2.3 or ID3v2.4 tag starts at the offset.
+ */
+function isId3Header(data: Uint8Array, offset: number): boolean {
+  return (
+    offset + HEADER_SIZE <= data.length &&
+    data[offset] === 0x49 && // I
+    data[offset + 1] === 0x44 && // D
+    data[offset + 2] === 0x33 && // 3
+    (data[offset + 3] === 3 || data[offset + 3] === 4) &&
+    data[offset + 6] < 0x80 &&
+    data[offset + 7] < 0x80 &&
+    data[offset + 8] < 0x80 &&
+    data[offset + 9] < 0x80
+  );
+}
+
+/**
+ * Reads a 28 bits synchsafe integer (the most significant bit of each byte is zero).
+ * @param {Uint8Array} data - The data.
+ * @param {number} offset - The integer offset.
+ * @returns {number} - The integer.
+ */
+function readSynchsafeInt(data: Uint8Array, offset: number): number {
+  return (data[offset] << 21) | (data[offset + 1] << 14) | (data[offset + 2] << 7) | data[offset + 3];
+}
+
+/**
+ * Reads a 32 bits big endian unsigned integer.
+ * @param {Uint8Array} data - The data.
+ * @param {number} offset - The integer offset.
+ * @returns {number} - The integer.
+ */
+function readUint32(data: Uint8Array, offset: number): number {
+  return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+}
+
+/**
+ * Reverts the unsynchronisation scheme, which inserts a zero byte after every 0xFF byte.
+ * @param {Uint8Array} data - The unsynchronised data.
+ * @returns {Uint8Array} - The data.
+ */
+function removeUnsynchronisation(data: Uint8Array): Uint8Array {
+  const bytes = [];
+  for (let i = 0; i < data.length; i++) {
+    bytes.push(data[i]);
+    if (data[i] === 0xff && data[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decodes a text field.
+ * @param {Uint8Array} data - The encoded text.
+ * @param {number} encoding - The text encoding.
+ * @returns {string} - The text, without its terminating null characters.
+ */
+function decodeText(data: Uint8Array, encoding: number): string {
+  let text = '';
+  if (encoding === TextEncoding.UTF_16 || encoding === TextEncoding.UTF_16_BE) {
+    let littleEndian = false;
+    let offset = 0;
+    if (encoding === TextEncoding.UTF_16 && data.length >= 2) {
+      // the byte order mark
+      littleEndian = data[0] === 0xff && data[1] === 0xfe;
+      offset = (data[0] === 0xff && data[1] === 0xfe) || (data[0] === 0xfe && data[1] === 0xff) ? 2 : 0;
+    }
+    for (let i = offset; i + 1 < data.length; i += 2) {
+      text += String.fromCharCode(littleEndian ? data[i] | (data[i + 1] << 8) : (data[i] << 8) | data[i + 1]);
+    }
+  } else if (encoding === TextEncoding.UTF_8) {
+    for (let i = 0; i < data.length; i++) {
+      const byte = data[i];
+      const length = byte >= 0xf0 ? 3 : byte >= 0xe0 ? 2 : byte >= 0xc0 ? 1 : 0;
+      let codePoint = length ? byte & (0x3f >> length) : byte;
+      for (let j = 0; j < length && i + 1 < data.length; j++) {
+        codePoint = (codePoint << 6) | (data[++i] & 0x3f);
+      }
+      text += String.fromCodePoint(codePoint);
+    }
+  } else {
+    data.forEach(byte => (text += String.fromCharCode(byte)));
+  }
+  return text.replace(/\0+$/, '');
+}
+
+/**
+ * Reads a null terminated text field.
+ * @param {Uint8Array} data - The frame data.
+ * @param {number} offset - The field offset.
+ * @param {number} encoding - The text encoding.
+ * @returns {Array<any>} - The text and the offset after its terminator.
+ */
+function readTerminatedText(data: Uint8Array, offset: number, encoding: number): [string, number] {
+  const wide = encoding === TextEncoding.UTF_16 || encoding === TextEncoding.UTF_16_BE;
+  let end = offset;
+  while (end < data.length && (wide ? end + 1 < data.length && (data[end] !== 0 || data[end + 1] !== 0) : data[end] !== 0)) {
+    end += wide ? 2 : 1;
+  }
+  return [decodeText(data.subarray(offset, end), encoding), Math.min(end + (wide ? 2 : 1), data.length)];
+}
+
+/**
+ * Parses the data of a frame.
+ * The text frames (T***) and the user defined text frame (TXXX) have a text data, the rest have a binary data.
+ * @param {string} key - The frame ID.
+ * @param {Uint8Array} data - The frame data.
+ * @returns {PKId3FrameObject} - The frame.
+ */
+function parseFrame(key: string, data: Uint8Array): PKId3FrameObject {
+  const encoding = data[0];
+  if (key === 'TXXX') {
+    const [description, offset] = readTerminatedText(data, 1, encoding);
+    return {key, description, data: decodeText(data.subarray(offset), encoding)};
+  }
+  if (key[0] === 'T') {
+    // the multiple values of an ID3v2.4 text frame are null separated
+    return {key, data: decodeText(data.subarray(1), encoding).replace(/\0/g, '/')};
+  }
+  if (key === 'PRIV') {
+    const [owner, offset] = readTerminatedText(data, 0, TextEncoding.ISO_8859_1);
+    return {key, owner, data: data.slice(offset)};
+  }
+  if (key === 'GEOB') {
+    let offset = 1;
+    let mimeType, filename, description;
+    [mimeType, offset] = readTerminatedText(data, offset, TextEncoding.ISO_8859_1);
+    [filename, offset] = readTerminatedText(data, offset, encoding);
+    [description, offset] = readTerminatedText(data, offset, encoding);
+    return {key, mimeType, filename, description, data: data.slice(offset)};
+  }
+  return {key, data: data.slice()};
+}
+
+/**
+ * Parses the frames of the ID3v2.3 and ID3v2.4 tags of a data, such as the timed metadata samples of a stream.
+ * Compressed and encrypted frames are skipped.
+ * @param {Uint8Array} data - The data, which starts with an ID3 tag.
+ * @returns {Array<PKId3FrameObject>} - The frames of the consecutive tags of the data.
+ */
+function parseId3(data: Uint8Array): Array<PKId3FrameObject> {
+  const frames = [];
+  let offset = 0;
+  while (isId3Header(data, offset)) {
+    const version = data[offset + 3];
+    const flags = data[offset + 5];
+    const size = readSynchsafeInt(data, offset + 6);
+    const tagEnd = Math.min(offset + HEADER_SIZE + size, data.length);
+    let tag = data.subarray(offset + HEADER_SIZE, tagEnd);
+    if (version === 3 && flags & TagFlag.UNSYNCHRONISATION) {
+      tag = removeUnsynchronisation(tag);
+    }
+    let position = 0;
+    if (flags & TagFlag.EXTENDED_HEADER && tag.length >= 4) {
+      // the ID3v2.4 extended header size includes itself, the ID3v2.3 one does not
+      position = version === 4 ? readSynchsafeInt(tag, 0) : readUint32(tag, 0) + 4;
+    }
+    while (position + HEADER_SIZE <= tag.length && tag[position] !== 0) {
+      const key = String.fromCharCode(tag[position], tag[position + 1], tag[position + 2], tag[position + 3]);
+      const frameSize = version === 4 ? readSynchsafeInt(tag, position + 4) : readUint32(tag, position + 4);
+      const formatFlags = version === 4 ? tag[position + 9] : 0;
+      const frameEnd = Math.min(position + HEADER_SIZE + frameSize, tag.length);
+      let frameData = tag.subarray(position + HEADER_SIZE, frameEnd);
+      position = frameEnd;
+      if (formatFlags & (FrameFlag.COMPRESSION | FrameFlag.ENCRYPTION)) {
+        continue;
+      }
+      if (formatFlags & FrameFlag.DATA_LENGTH_INDICATOR) {
+        frameData = frameData.subarray(4);
+      }
+      if (formatFlags & FrameFlag.UNSYNCHRONISATION || (version === 4 && flags & TagFlag.UNSYNCHRONISATION)) {
+        frameData = removeUnsynchronisation(frameData);
+      }
+      if (frameData.length) {
+        frames.push(parseFrame(key, frameData));
+      }
+    }
+    offset = tagEnd + (flags & TagFlag.FOOTER ? HEADER_SIZE : 0);
+  }
+  return frames;
+}
+
+export {isId3Header, parseId3};
@@ -0,0 +1,76 @@
+//@flow
+import {MetadataType} from './metadata-type';
+import {parseId3} from './id3-parser';
+
+/**
+ * Gets an identifier of the frames, for the ID of a cue without an ID of its own.
+ * @param {Array<PKId3FrameObject>} frames - The frames.
+ * @returns {string} - The frames identifier.
+ */
+function getFramesId(frames: Array<PKId3FrameObject>): string {
+  return frames.map(frame => `${frame.key}=${typeof frame.data === 'string' ? frame.data : frame.data.length}`).join(',');
+}
+
+/**
+ * Gets the end time of a cue, which is its start time if the end time is not known.
+ * @param {number} startTime - The cue start time.
+ * @param {?number} endTime - The cue end time.
+ * @returns {number} - The end time.
+ */
+function getEndTime(startTime: number, endTime: ?number): number {
+  return typeof endTime === 'number' && endTime > startTime ? endTime : startTime;
+}
+
+/**
+ * Creates a cue of an ID3 tag, such as the timed metadata samples of an HLS stream.
+ * @param {Uint8Array} data - The ID3 tag data.
+ * @param {number} startTime - The tag time, in seconds.
+ * @param {number} [endTime] - The end time, in seconds. A cue without an end time is a point in time.
+ * @returns {?PKMetadataCueObject} - The cue, null if the data has no frames.
+ */
+function createId3Cue(data: Uint8Array, startTime: number, endTime?: number): ?PKMetadataCueObject {
+  const frames = parseId3(data);
+  if (!frames.length) {
+    return null;
+  }
+  return {
+    id: `${MetadataType.ID3}:${startTime}:${getFramesId(frames)}`,
+    type: MetadataType.ID3,
+    startTime,
+    endTime: getEndTime(startTime, endTime),
+    frames
+  };
+}
+
+/**
+ * Creates a metadata cue of a native metadata text track cue, of which the payload differs by browser.
+ * A data cue value is a parsed frame (Safari and the MSE libraries), a legacy data cue data is a raw ID3 tag.
+ * @param {Object} cue - The native cue.
+ * @returns {?PKMetadataCueObject} - The cue, null if the cue payload is not recognized.
+ */
+function createNativeMetadataCue(cue: Object): ?PKMetadataCueObject {
+  let frames = [];
+  const value = cue.value;
+  if (value && typeof value.key === 'string') {
+    const frame: PKId3FrameObject = {key: value.key, data: value.data instanceof ArrayBuffer ? new Uint8Array(value.data) : value.data};
+    if (typeof value.info === 'string' && value.info) {
+      // the info of a private frame is its owner, and of the rest its description
+      value.key === 'PRIV' ? (frame.owner = value.info) : (frame.description = value.info);
+    }
+    frames.push(frame);
+  } else if (cue.data instanceof ArrayBuffer) {
+    frames = parseId3(new Uint8Array(cue.data));
+  }
+  if (!frames.length || typeof cue.startTime !== 'number') {
+    return null;
+  }
+  return {
+    id: `${MetadataType.ID3}:${cue.startTime}:${getFramesId(frames)}`,
+    type: MetadataType.ID3,
+    startTime: cue.startTime,
+    endTime: getEndTime(cue.startTime, cue.endTime),
+    frames
+  };
+}
+
+export {createId3Cue, createNativeMetadataCue};
@@ -0,0 +1,119 @@
+//@flow
+import Player from '../player';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType} from '../event/event-type';
+import getLogger from '../utils/logger';
+import {CueTimeline} from './cue-timeline';
+
+/**
+ * Keeps the timed metadata cues of the media (ID3 tags and event messages), and fires the enter and exit events
+ * of the cues as the playback crosses them.
+ * @class MetadataManager
+ * @param {Player} player - The player.
+ */
+class MetadataManager {
+  /**
+   * The metadata manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('MetadataManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The timeline of the cues.
+   * @type {CueTimeline<PKMetadataCueObject>}
+   * @private
+   */
+  _timeline: CueTimeline<PKMetadataCueObject>;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._timeline = new CueTimeline(
+      player,
+      cue => this._dispatchCueEvent(CustomEventType.TIMED_METADATA_ENTER, cue),
+      cue => this._dispatchCueEvent(CustomEventType.TIMED_METADATA_EXIT, cue)
+    );
+  }
+
+  /**
+   * Adds cues, and fires the timed metadata added event with the cues which were not added before.
+   * An added cue of the current time is entered.
+   * @param {Array<PKMetadataCueObject>} cues - The cues.
+   * @returns {void}
+   * @public
+   */
+  addCues(cues: Array<PKMetadataCueObject>): void {
+    const addedCues = this._timeline.add(cues);
+    if (addedCues.length) {
+      MetadataManager._logger.debug(`${addedCues.length} metadata cues added`);
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.TIMED_METADATA_ADDED, {cues: addedCues}));
+      this._timeline.refresh();
+    }
+  }
+
+  /**
+   * Gets the cues, optionally the cues of a type or of a time range.
+   * @param {PKMetadataCueFilterObject} [filter] - The filter. A cue is in the time range if it overlaps it.
+   * @returns {Array<PKMetadataCueObject>} - The cues, sorted by their start time.
+   * @public
+   */
+  getCues(filter: PKMetadataCueFilterObject = {}): Array<PKMetadataCueObject> {
+    const {type, startTime, endTime} = filter;
+    return this._timeline.cues.filter(
+      cue =>
+        (!type || cue.type === type) &&
+        (typeof startTime !== 'number' || cue.endTime >= startTime) &&
+        (typeof endTime !== 'number' || cue.startTime <= endTime)
+    );
+  }
+
+  /**
+   * Gets the active cues.
+   * @returns {Array<PKMetadataCueObject>} - The cues which contain the playback time.
+   * @public
+   */
+  getActiveCues(): Array<PKMetadataCueObject> {
+    return this._timeline.activeCues;
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._timeline.reset();
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._timeline.destroy();
+  }
+
+  /**
+   * Fires a cue event.
+   * @param {string} type - The event type.
+   * @param {PKMetadataCueObject} cue - The cue.
+   * @returns {void}
+   * @private
+   */
+  _dispatchCueEvent(type: string, cue: PKMetadataCueObject): void {
+    this._player.dispatchEvent(new FakeEvent(type, {cue}));
+  }
+}
+
+export {MetadataManager};
@@ -0,0 +1,7 @@
+// @flow
+const MetadataType: PKMetadataTypes = {
+  ID3: 'id3',
+  EMSG: 'emsg'
+};
+
+export {MetadataType};
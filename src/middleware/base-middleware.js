@@ -10,15 +10,34 @@ export default class BaseMiddleware {
    * @public
    */
   id: string;
+  /**
+   * The time (in ms) the middleware may take to handle an action before it's skipped, overriding the timeout of the chain.
+   * 0 means no timeout, for a middleware which is bound to complete the action by itself.
+   * @public
+   */
+  actionTimeout: ?number;
 
   /**
    * Calls the next handler in the middleware chain.
    * @param {Function} next - The next handler in the middleware chain.
+   * @param {...any} params - The action params to pass on, the original params are passed when omitted.
    * @returns {void}
    */
-  callNext(next: Function): void {
+  callNext(next: Function, ...params: Array<any>): void {
     if (next) {
-      next();
+      next(...params);
+    }
+  }
+
+  /**
+   * Aborts the action, the rest of the middleware chain and the action itself won't run.
+   * @param {Function} next - The next handler in the middleware chain.
+   * @param {any} reason - The abort reason.
+   * @returns {void}
+   */
+  abort(next: Function, reason: any): void {
+    if (next && typeof next.abort === 'function') {
+      next.abort(reason);
     }
   }
 }
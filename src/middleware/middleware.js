@@ -2,23 +2,55 @@
 import MultiMap from '../utils/multi-map';
 import BaseMiddleware from './base-middleware';
 import getLogger from '../utils/logger';
+import FakeEvent from '../event/fake-event';
+import FakeEventTarget from '../event/fake-event-target';
+import {CustomEventType} from '../event/event-type';
+
+type MiddlewareHandler = {
+  id: string,
+  priority: number,
+  timeout: ?number,
+  handler: Function
+};
+
+/**
+ * The default time (in ms) a single middleware may take to handle an action before it's skipped.
+ * @type {number}
+ * @const
+ */
+const DEFAULT_ACTION_TIMEOUT: number = 10000;
 
 /**
  * Generic middleware implementation.
+ * A middleware handler is called with the next handler and the action params. It continues the chain by calling `next`
+ * (optionally with changed params) or by returning a promise, and stops the action by calling `next.abort(reason)`
+ * or by throwing / returning a rejected promise.
  */
-export default class Middleware {
+export default class Middleware extends FakeEventTarget {
   /**
    * The registered middlewares.
    * @private
    * @member
    */
-  _middlewares: MultiMap<*>;
+  _middlewares: MultiMap<MiddlewareHandler>;
   /**
    * The actions supported by the middleware.
    * @private
    * @member
    */
   _actions: {[action: string]: string};
+  /**
+   * The timeout (in ms) of a single middleware per action. 0 means no timeout.
+   * @private
+   * @member
+   */
+  _timeouts: {[action: string]: number};
+  /**
+   * The timeout (in ms) of a single middleware for the actions without their own timeout. 0 means no timeout.
+   * @private
+   * @member
+   */
+  _defaultTimeout: number = DEFAULT_ACTION_TIMEOUT;
   /**
    * The logger of the middleware.
    * @private
@@ -31,60 +63,199 @@ export default class Middleware {
    * @param {Object} actions - The actions for the middleware.
    */
   constructor(actions: {[action: string]: string}) {
+    super();
     this._actions = actions;
     this._middlewares = new MultiMap();
+    this._timeouts = {};
     this._logger = getLogger('Middleware');
   }
 
   /**
    * Registers a middleware instance to the middleware chain.
+   * Middlewares with a higher priority run first, middlewares with the same priority run by their registration order.
    * @param {BaseMiddleware} middlewareInstance - The middleware instance.
+   * @param {number} [priority=0] - The priority of the middleware in the chain.
    * @public
    * @returns {void}
    */
-  use(middlewareInstance: BaseMiddleware): void {
+  use(middlewareInstance: BaseMiddleware, priority: number = 0): void {
     for (let action in this._actions) {
       let apiAction = this._actions[action];
       // $FlowFixMe
       if (typeof middlewareInstance[apiAction] === 'function') {
-        this._logger.debug(`Register <${middlewareInstance.id}> for action ${apiAction}`);
-        // $FlowFixMe
-        this._middlewares.push(apiAction, middlewareInstance[apiAction].bind(middlewareInstance));
+        this._logger.debug(`Register <${middlewareInstance.id}> for action ${apiAction} with priority ${priority}`);
+        const middlewares = this._middlewares.get(apiAction);
+        const index = middlewares.findIndex(middleware => middleware.priority < priority);
+        middlewares.splice(index === -1 ? middlewares.length : index, 0, {
+          id: middlewareInstance.id,
+          priority,
+          timeout: middlewareInstance.actionTimeout,
+          // $FlowFixMe
+          handler: middlewareInstance[apiAction].bind(middlewareInstance)
+        });
+        this._middlewares.set(apiAction, middlewares);
       }
     }
   }
 
+  /**
+   * Sets the time a single middleware may take to handle an action before it's skipped.
+   * @param {string} action - The action.
+   * @param {number} timeout - The timeout in ms, 0 for no timeout.
+   * @public
+   * @returns {void}
+   */
+  setActionTimeout(action: string, timeout: number): void {
+    this._timeouts[action] = timeout;
+  }
+
+  /**
+   * Sets the time a single middleware may take to handle the actions which have no timeout of their own before it's skipped.
+   * @param {number} timeout - The timeout in ms, 0 for no timeout.
+   * @public
+   * @returns {void}
+   */
+  setDefaultActionTimeout(timeout: number): void {
+    this._defaultTimeout = timeout;
+  }
+
   /**
    * Runs a middleware chain for a specific action.
+   * The chain runs synchronously as long as the middlewares call next synchronously.
    * @param {string} action - The action to run.
-   * @param {Function} callback - The callback function.
+   * @param {Function} callback - The callback function, called with the (possibly changed) action params.
+   * @param {...any} params - The action params.
    * @public
-   * @returns {void}
+   * @returns {Promise<any>} - Resolved with the callback result, or rejected with the abort reason in case a middleware aborted the action.
+   * An error thrown by the callback is thrown to the caller if the chain ran synchronously, and rejects the promise otherwise.
    */
-  run(action: string, callback: Function): void {
+  run(action: string, callback: Function, ...params: Array<any>): Promise<any> {
     this._logger.debug('Start middleware chain for action ' + action);
-    let middlewares = this._middlewares.get(action);
-    this._executeMiddleware(middlewares, () => {
-      this._logger.debug('Finish middleware chain for action ' + action);
-      callback();
+    const middlewares = this._middlewares.get(action);
+    let resolve: Function = () => {};
+    let reject: Function = () => {};
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
     });
+    let isRunningSync = true;
+    const onAbort = (id: string, reason: any) => {
+      this._logger.debug(`Middleware <${id}> aborted action ${action}`, reason);
+      this.dispatchEvent(new FakeEvent(CustomEventType.MIDDLEWARE_ACTION_ABORTED, {action, id, reason}));
+      // the abort is reported by an event, so callers don't have to handle the rejection
+      promise.catch(() => {});
+      reject(reason);
+    };
+    this._executeMiddleware(
+      action,
+      middlewares,
+      (...finalParams) => {
+        this._logger.debug('Finish middleware chain for action ' + action);
+        let result;
+        try {
+          result = callback(...finalParams);
+        } catch (e) {
+          // an error of the action itself is thrown to the caller of a synchronous chain, and rejects the promise of an asynchronous one
+          if (isRunningSync) {
+            throw e;
+          }
+          reject(e);
+          return;
+        }
+        resolve(result);
+      },
+      onAbort,
+      params
+    );
+    isRunningSync = false;
+    return promise;
   }
 
   /**
    * Executes all the middlewares one by one.
-   * @param {Array<Function>} middlewares - The middlewares for a specific action.
+   * @param {string} action - The action.
+   * @param {Array<MiddlewareHandler>} middlewares - The middlewares for a specific action.
    * @param {Function} callback - The callback function.
+   * @param {Function} onAbort - Called in case a middleware aborts the action.
+   * @param {Array<any>} params - The action params.
    * @private
    * @returns {void}
    */
-  _executeMiddleware(middlewares: Array<Function>, callback: Function): void {
+  _executeMiddleware(action: string, middlewares: Array<MiddlewareHandler>, callback: Function, onAbort: Function, params: Array<any>): void {
     const composition = middlewares.reduceRight(
-      // eslint-disable-next-line no-unused-vars
-      (next, fn) => v => {
-        fn(next);
-      },
+      (next, middleware) => (...args) => this._executeHandler(action, middleware, next, onAbort, args),
       callback
     );
-    composition();
+    composition(...params);
+  }
+
+  /**
+   * Executes a single middleware, and moves on to the next one once it calls next, its promise is resolved or its timeout has passed.
+   * @param {string} action - The action.
+   * @param {MiddlewareHandler} middleware - The middleware.
+   * @param {Function} next - The next handler in the chain.
+   * @param {Function} onAbort - Called in case the middleware aborts the action.
+   * @param {Array<any>} params - The action params.
+   * @private
+   * @returns {void}
+   */
+  _executeHandler(action: string, middleware: MiddlewareHandler, next: Function, onAbort: Function, params: Array<any>): void {
+    let done = false;
+    let timeoutId = null;
+    const finish = () => {
+      done = true;
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+    };
+    const proceed: Function = (...args) => {
+      if (done) {
+        this._logger.debug(`Middleware <${middleware.id}> has already completed action ${action}`);
+        return;
+      }
+      finish();
+      next(...(args.length ? args : params));
+    };
+    proceed.abort = (reason: any) => {
+      if (!done) {
+        finish();
+        onAbort(middleware.id, reason);
+      }
+    };
+    let result;
+    try {
+      result = middleware.handler(proceed, ...params);
+    } catch (e) {
+      if (done) {
+        // thrown by a later handler in the chain
+        throw e;
+      }
+      proceed.abort(e);
+      return;
+    }
+    if (result && typeof result.then === 'function') {
+      result.then(
+        () => !done && proceed(),
+        reason => proceed.abort(reason)
+      );
+    }
+    const timeout = typeof middleware.timeout === 'number' ? middleware.timeout : this._getActionTimeout(action);
+    if (!done && timeout > 0) {
+      timeoutId = setTimeout(() => {
+        this._logger.warn(`Middleware <${middleware.id}> did not complete action ${action} within ${timeout}ms, skipping it`);
+        timeoutId = null;
+        proceed();
+      }, timeout);
+    }
+  }
+
+  /**
+   * Gets the timeout of a single middleware for an action.
+   * @param {string} action - The action.
+   * @private
+   * @returns {number} - The timeout in ms, 0 for no timeout.
+   */
+  _getActionTimeout(action: string): number {
+    return typeof this._timeouts[action] === 'number' ? this._timeouts[action] : this._defaultTimeout;
   }
 }
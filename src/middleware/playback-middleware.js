@@ -1,11 +1,14 @@
 // @flow
 import Middleware from './middleware';
 import BaseMiddleware from './base-middleware';
+import Track from '../track/track';
+import FakeEventTarget from '../event/fake-event-target';
+import {CustomEventType} from '../event/event-type';
 
 /**
  * The playback middleware.
  */
-export default class PlaybackMiddleware {
+export default class PlaybackMiddleware extends FakeEventTarget {
   /**
    * The actions of the playback middleware.
    * @static
@@ -13,7 +16,12 @@ export default class PlaybackMiddleware {
   static Actions: {[action: string]: string} = {
     LOAD: 'load',
     PLAY: 'play',
-    PAUSE: 'pause'
+    PAUSE: 'pause',
+    SEEK: 'seek',
+    SET_VOLUME: 'setVolume',
+    SET_MUTED: 'setMuted',
+    SELECT_TRACK: 'selectTrack',
+    SET_RATE: 'setRate'
   };
   /**
    * The middleware implementation.
@@ -26,46 +34,125 @@ export default class PlaybackMiddleware {
    * @constructor
    */
   constructor() {
+    super();
     this._middleware = new Middleware(PlaybackMiddleware.Actions);
+    this._middleware.addEventListener(CustomEventType.MIDDLEWARE_ACTION_ABORTED, event => this.dispatchEvent(event));
   }
 
   /**
    * Registers a playback middleware instance to the middleware chain.
    * @param {BaseMiddleware} middlewareInstance - The middleware instance.
+   * @param {number} [priority=0] - The priority of the middleware in the chain, higher runs first.
    * @public
    * @returns {void}
    */
-  use(middlewareInstance: BaseMiddleware): void {
-    this._middleware.use(middlewareInstance);
+  use(middlewareInstance: BaseMiddleware, priority: number = 0): void {
+    this._middleware.use(middlewareInstance, priority);
   }
 
   /**
-   * Runs a load chain.
-   * @param {Function} callback - The last load handler in the chain.
+   * Sets the time a single playback middleware may take to handle an action before it's skipped.
+   * @param {string} action - The action, one of PlaybackMiddleware.Actions.
+   * @param {number} timeout - The timeout in ms, 0 for no timeout.
+   * @public
+   * @returns {void}
+   */
+  setActionTimeout(action: string, timeout: number): void {
+    this._middleware.setActionTimeout(action, timeout);
+  }
+
+  /**
+   * Sets the time a single playback middleware may take to handle the actions which have no timeout of their own before it's skipped.
+   * @param {number} timeout - The timeout in ms, 0 for no timeout.
    * @public
    * @returns {void}
    */
-  load(callback: Function): void {
-    this._middleware.run(PlaybackMiddleware.Actions.LOAD, callback);
+  setDefaultActionTimeout(timeout: number): void {
+    this._middleware.setDefaultActionTimeout(timeout);
+  }
+
+  /**
+   * Runs a load chain.
+   * @param {Function} callback - The last load handler in the chain, called with the start time a middleware passed on, if any.
+   * @public
+   * @returns {Promise<any>} - Resolved once the load handler has been called, rejected if a middleware aborted the action.
+   */
+  load(callback: Function): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.LOAD, callback);
   }
 
   /**
    * Runs a play chain.
    * @param {Function} callback - The last play handler in the chain.
    * @public
-   * @returns {void}
+   * @returns {Promise<any>} - Resolved once the play handler has been called, rejected if a middleware aborted the action.
    */
-  play(callback: Function): void {
-    this._middleware.run(PlaybackMiddleware.Actions.PLAY, callback);
+  play(callback: Function): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.PLAY, callback);
   }
 
   /**
    * Runs a pause chain.
    * @param {Function} callback - The last pause handler in the chain.
    * @public
-   * @returns {void}
+   * @returns {Promise<any>} - Resolved once the pause handler has been called, rejected if a middleware aborted the action.
+   */
+  pause(callback: Function): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.PAUSE, callback);
+  }
+
+  /**
+   * Runs a seek chain.
+   * @param {Function} callback - The last seek handler in the chain, called with the (possibly changed) time.
+   * @param {number} to - The requested time in seconds.
+   * @public
+   * @returns {Promise<any>} - Resolved once the seek handler has been called, rejected if a middleware aborted the action.
+   */
+  seek(callback: Function, to: number): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.SEEK, callback, to);
+  }
+
+  /**
+   * Runs a set volume chain.
+   * @param {Function} callback - The last set volume handler in the chain, called with the (possibly changed) volume.
+   * @param {number} volume - The requested volume.
+   * @public
+   * @returns {Promise<any>} - Resolved once the set volume handler has been called, rejected if a middleware aborted the action.
+   */
+  setVolume(callback: Function, volume: number): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.SET_VOLUME, callback, volume);
+  }
+
+  /**
+   * Runs a set muted chain.
+   * @param {Function} callback - The last set muted handler in the chain, called with the (possibly changed) muted state.
+   * @param {boolean} muted - The requested muted state.
+   * @public
+   * @returns {Promise<any>} - Resolved once the set muted handler has been called, rejected if a middleware aborted the action.
+   */
+  setMuted(callback: Function, muted: boolean): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.SET_MUTED, callback, muted);
+  }
+
+  /**
+   * Runs a select track chain.
+   * @param {Function} callback - The last select track handler in the chain, called with the (possibly changed) track.
+   * @param {?Track} track - The requested track.
+   * @public
+   * @returns {Promise<any>} - Resolved once the select track handler has been called, rejected if a middleware aborted the action.
+   */
+  selectTrack(callback: Function, track: ?Track): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.SELECT_TRACK, callback, track);
+  }
+
+  /**
+   * Runs a set playback rate chain.
+   * @param {Function} callback - The last set rate handler in the chain, called with the (possibly changed) rate.
+   * @param {number} rate - The requested playback rate.
+   * @public
+   * @returns {Promise<any>} - Resolved once the set rate handler has been called, rejected if a middleware aborted the action.
    */
-  pause(callback: Function): void {
-    this._middleware.run(PlaybackMiddleware.Actions.PAUSE, callback);
+  setRate(callback: Function, rate: number): Promise<any> {
+    return this._middleware.run(PlaybackMiddleware.Actions.SET_RATE, callback, rate);
   }
 }
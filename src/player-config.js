@@ -11,6 +11,8 @@ const DefaultConfig = {
   playback: {
     audioLanguage: '',
     textLanguage: '',
+    audioDescription: false,
+    audioDescriptionDucking: 0.3,
     useNativeTextTrack: false,
     enableCEA708Captions: false,
     captionsTextTrack1Label: 'English',
@@ -25,6 +27,7 @@ const DefaultConfig = {
     allowMutedAutoPlay: true,
     muted: false,
     pictureInPicture: true,
+    middlewareTimeout: 10000,
     options: {
       html5: {
         hls: {},
@@ -67,12 +70,45 @@ const DefaultConfig = {
     restrictions: {
       minBitrate: 0,
       maxBitrate: Infinity
-    }
+    },
+    controller: 'default'
   },
   drm: {
     keySystem: ''
   },
-  network: {}
+  network: {},
+  playlist: {
+    items: [],
+    options: {
+      autoContinue: true,
+      loop: false,
+      shuffle: false
+    },
+    countdown: {
+      duration: 10
+    }
+  },
+  advertising: {
+    adBreaks: []
+  },
+  qoe: {
+    beaconInterval: 30
+  },
+  preferences: {
+    keys: [],
+    storageKey: 'playkit-preferences'
+  },
+  bookmark: {
+    enabled: false,
+    saveInterval: 10,
+    nearEndSeconds: 10,
+    nearEndPercent: 95,
+    storageKeyPrefix: 'playkit-bookmark-'
+  },
+  failover: {
+    enabled: true,
+    maxAttempts: 3
+  }
 };
 
 export {DefaultConfig};
@@ -35,6 +35,22 @@ import {ResizeWatcher} from './utils/resize-watcher';
 import {FullscreenController} from './fullscreen/fullscreen-controller';
 import {EngineDecorator} from './engines/engine-decorator';
 import {LabelOptions} from './track/label-options';
+import {PlaylistManager} from './playlist/playlist-manager';
+import {AdScheduler} from './ads/ad-scheduler';
+import {QoeCollector} from './qoe/qoe-collector';
+import {PreferencesStore} from './preferences/preferences-store';
+import {BookmarkManager} from './bookmark/bookmark-manager';
+import {FailoverManager} from './failover/failover-manager';
+import {AbrManager} from './abr/abr-manager';
+import {TranscriptManager} from './track/transcript-manager';
+import {AudioDescriptionManager} from './track/audio-description-manager';
+import {AudioTrackKind} from './track/audio-track-kind';
+import {SecondaryTextTrackManager} from './track/secondary-text-track-manager';
+import {TextTrackPosition} from './track/text-track-position';
+import {MetadataManager} from './metadata/metadata-manager';
+import {CuePointManager} from './metadata/cue-point-manager';
+import {ChaptersManager} from './chapters/chapters-manager';
+import {ThumbnailManager} from './thumbnail/thumbnail-manager';
 
 /**
  * The black cover class name.
@@ -370,6 +386,90 @@ export default class Player extends FakeEventTarget {
    * @private
    */
   _fullscreenController: FullscreenController;
+  /**
+   * holds the playlist manager
+   * @type {PlaylistManager}
+   * @private
+   */
+  _playlistManager: PlaylistManager;
+  /**
+   * holds the client side ad scheduler
+   * @type {AdScheduler}
+   * @private
+   */
+  _adScheduler: AdScheduler;
+  /**
+   * holds the quality of experience metrics collector
+   * @type {QoeCollector}
+   * @private
+   */
+  _qoeCollector: QoeCollector;
+  /**
+   * holds the persisted user preferences store
+   * @type {PreferencesStore}
+   * @private
+   */
+  _preferencesStore: PreferencesStore;
+  /**
+   * holds the bookmark (resume from position) manager
+   * @type {BookmarkManager}
+   * @private
+   */
+  _bookmarkManager: BookmarkManager;
+  /**
+   * holds the source failover manager
+   * @type {FailoverManager}
+   * @private
+   */
+  _failoverManager: FailoverManager;
+  /**
+   * holds the ABR controller manager
+   * @type {AbrManager}
+   * @private
+   */
+  _abrManager: AbrManager;
+  /**
+   * holds the transcript (text track cue list) manager
+   * @type {TranscriptManager}
+   * @private
+   */
+  _transcriptManager: TranscriptManager;
+  /**
+   * holds the audio description (text described track) manager
+   * @type {AudioDescriptionManager}
+   * @private
+   */
+  _audioDescriptionManager: AudioDescriptionManager;
+  /**
+   * holds the secondary (dual subtitles) text track manager
+   * @type {SecondaryTextTrackManager}
+   * @private
+   */
+  _secondaryTextTrackManager: SecondaryTextTrackManager;
+  /**
+   * holds the timed metadata cues manager
+   * @type {MetadataManager}
+   * @private
+   */
+  _metadataManager: MetadataManager;
+  /**
+   * holds the manifest cue points manager
+   * @type {CuePointManager}
+   * @private
+   */
+  _cuePointManager: CuePointManager;
+  /**
+   * holds the chapters manager
+   * @type {ChaptersManager}
+   * @private
+   */
+  _chaptersManager: ChaptersManager;
+  /**
+   * holds the thumbnail manager
+   * @type {ThumbnailManager}
+   * @private
+   */
+  _thumbnailManager: ThumbnailManager;
   /**
    * holds the resize observer. Incharge of notifying on resize changes.
    * @type {?AdsController}
@@ -422,12 +522,41 @@ export default class Player extends FakeEventTarget {
     this._stateManager = new StateManager(this);
     this._resizeWatcher = new ResizeWatcher();
     this._playbackMiddleware = new PlaybackMiddleware();
+    this._playbackMiddleware.addEventListener(CustomEventType.MIDDLEWARE_ACTION_ABORTED, event => this.dispatchEvent(event));
     this._textStyle = new TextStyle();
+    this._secondaryTextTrackManager = new SecondaryTextTrackManager(this);
+    this._metadataManager = new MetadataManager(this);
+    this._cuePointManager = new CuePointManager(this);
+    this._chaptersManager = new ChaptersManager(this);
+    this._thumbnailManager = new ThumbnailManager(this);
     this._createReadyPromise();
     this._createPlayerContainer();
     this._appendDomElements();
     this._externalCaptionsHandler = new ExternalCaptionsHandler(this);
     this._fullscreenController = new FullscreenController(this);
+    this._playlistManager = new PlaylistManager(this);
+    this._adScheduler = new AdScheduler(this);
+    this._qoeCollector = new QoeCollector(this);
+    this._preferencesStore = new PreferencesStore(
+      this,
+      (attribute, value) => (this._playbackAttributesState[attribute] = value),
+      () => this._fallbackToMutedAutoPlay
+    );
+    this._bookmarkManager = new BookmarkManager(this);
+    this._failoverManager = new FailoverManager(this);
+    this._abrManager = new AbrManager(
+      this,
+      videoTrack => {
+        if (this._engine) {
+          this._engine.setAbrTarget(videoTrack);
+        }
+      },
+      () => !!this._engine && this._engine.isAbrTargetSupported()
+    );
+    this._transcriptManager = new TranscriptManager(this, textTrack => this._externalCaptionsHandler.getTextTrackCues(textTrack));
+    this._audioDescriptionManager = new AudioDescriptionManager(this);
+    this._playbackMiddleware.use(this._adScheduler);
+    this._playbackMiddleware.use(this._bookmarkManager);
     this.configure(config);
   }
 
@@ -442,6 +571,10 @@ export default class Player extends FakeEventTarget {
    */
   configure(config: Object = {}): void {
     this._setConfigLogLevel(config);
+    if (config.preferences) {
+      Utils.Object.mergeDeep(this._config, {preferences: config.preferences});
+      this._preferencesStore.apply();
+    }
     if (this._hasSources(config.sources)) {
       this.reset();
       this._resizeWatcher.init(Utils.Dom.getElementById(this._playerId));
@@ -454,6 +587,12 @@ export default class Player extends FakeEventTarget {
         this._attachMedia();
         this._handlePlaybackOptions();
         this._posterManager.setSrc(this._config.sources.poster);
+        if (this._config.sources.chapters) {
+          this._chaptersManager.load(this._config.sources.chapters);
+        }
+        if (this._config.sources.thumbnails) {
+          this._thumbnailManager.load(this._config.sources.thumbnails);
+        }
         this._handlePreload();
         this._handleAutoPlay();
         Player._logger.debug('Change source ended');
@@ -475,6 +614,10 @@ export default class Player extends FakeEventTarget {
     } else {
       Utils.Object.mergeDeep(this._config, config);
     }
+    this._playbackMiddleware.setDefaultActionTimeout(this._config.playback.middlewareTimeout);
+    if (config.playlist) {
+      this._playlistManager.configure(config.playlist);
+    }
   }
 
   /**
@@ -492,15 +635,16 @@ export default class Player extends FakeEventTarget {
    * @returns {void}
    */
   load(): void {
-    const loadPlayer = () => {
+    // a load middleware may pass on a start time of its own, like the bookmark position, without changing the configured one
+    const loadPlayer = (startTime?: number) => {
       if (this._engine) {
-        this._load();
+        this._load(startTime);
       } else {
-        this._eventManager.listenOnce(this, CustomEventType.SOURCE_SELECTED, () => this._load());
+        this._eventManager.listenOnce(this, CustomEventType.SOURCE_SELECTED, () => this._load(startTime));
       }
     };
     if (!this.src) {
-      this._playbackMiddleware.load(() => loadPlayer());
+      this._playbackMiddleware.load(startTime => loadPlayer(startTime));
     } else {
       Player._logger.debug('The source has already been loaded. load request ignored');
     }
@@ -575,9 +719,20 @@ export default class Player extends FakeEventTarget {
     this.pause();
     //make sure all services are reset before engine and engine attributes are reset
     this._externalCaptionsHandler.reset();
+    this._adScheduler.reset();
+    this._transcriptManager.reset();
+    this._failoverManager.reset();
+    this._abrManager.reset();
+    this._audioDescriptionManager.reset();
+    this._secondaryTextTrackManager.reset();
+    this._metadataManager.reset();
+    this._cuePointManager.reset();
+    this._chaptersManager.reset();
+    this._thumbnailManager.reset();
     this._posterManager.reset();
     this._stateManager.reset();
     this._config.sources = {};
+    this._config.advertising = Utils.Object.copyDeep(DefaultConfig.advertising);
     this._activeTextCues = [];
     this._updateTextDisplay([]);
     this._tracks = [];
@@ -610,6 +765,20 @@ export default class Player extends FakeEventTarget {
     this._posterManager.destroy();
     this._stateManager.destroy();
     this._fullscreenController.destroy();
+    this._playlistManager.destroy();
+    this._adScheduler.destroy();
+    this._qoeCollector.destroy();
+    this._preferencesStore.destroy();
+    this._bookmarkManager.destroy();
+    this._failoverManager.destroy();
+    this._abrManager.destroy();
+    this._transcriptManager.destroy();
+    this._audioDescriptionManager.destroy();
+    this._secondaryTextTrackManager.destroy();
+    this._metadataManager.destroy();
+    this._cuePointManager.destroy();
+    this._chaptersManager.destroy();
+    this._thumbnailManager.destroy();
     this._clearRepositionTimeout();
     this._activeTextCues = [];
     this._textDisplaySettings = {};
@@ -666,7 +835,7 @@ export default class Player extends FakeEventTarget {
       this._engine.attachMediaSource();
       this._eventManager.listenOnce(this, Html5EventType.CAN_PLAY, () => {
         if (typeof this._playbackAttributesState.rate === 'number') {
-          this.playbackRate = this._playbackAttributesState.rate;
+          this._setPlaybackRate(this._playbackAttributesState.rate);
         }
       });
     }
@@ -712,12 +881,33 @@ export default class Player extends FakeEventTarget {
     return statsObject;
   }
 
+  /**
+   * Get a snapshot of the quality of experience metrics of the current media.
+   * @returns {PKQoeReportObject} - The QoE report.
+   * @public
+   */
+  getQoeReport(): PKQoeReportObject {
+    return this._qoeCollector.getReport();
+  }
+
   /**
    * Set the current time in seconds.
    * @param {Number} to - The number to set in seconds.
    * @public
    */
   set currentTime(to: number): void {
+    if (this._engine) {
+      this._playbackMiddleware.seek(this._seek.bind(this), to);
+    }
+  }
+
+  /**
+   * Seeks to a time in seconds, bounded to the media duration.
+   * @param {Number} to - The number to set in seconds.
+   * @returns {void}
+   * @private
+   */
+  _seek(to: number): void {
     if (this._engine) {
       if (Utils.Number.isNumber(to)) {
         let boundedTo = to;
@@ -765,6 +955,18 @@ export default class Player extends FakeEventTarget {
    * @public
    */
   set volume(vol: number): void {
+    if (this._engine) {
+      this._playbackMiddleware.setVolume(this._setVolume.bind(this), vol);
+    }
+  }
+
+  /**
+   * Sets the playback volume, bounded to [0, 1].
+   * @param {Number} vol - The volume to set.
+   * @returns {void}
+   * @private
+   */
+  _setVolume(vol: number): void {
     if (this._engine) {
       if (Utils.Number.isFloat(vol) || vol === 0 || vol === 1) {
         let boundedVol = vol;
@@ -847,6 +1049,18 @@ export default class Player extends FakeEventTarget {
    * @public
    */
   set muted(mute: boolean): void {
+    if (this._engine) {
+      this._playbackMiddleware.setMuted(this._setMuted.bind(this), mute);
+    }
+  }
+
+  /**
+   * Sets the muted state and notifies about the change.
+   * @param {boolean} mute - The mute value.
+   * @returns {void}
+   * @private
+   */
+  _setMuted(mute: boolean): void {
     if (this._engine) {
       this._engine.muted = mute;
       this.dispatchEvent(new FakeEvent(CustomEventType.MUTE_CHANGE, {mute: mute}));
@@ -905,6 +1119,18 @@ export default class Player extends FakeEventTarget {
    * @param {number} rate - The playback speed of the video.
    */
   set playbackRate(rate: number): void {
+    if (this._engine) {
+      this._playbackMiddleware.setRate(this._setPlaybackRate.bind(this), rate);
+    }
+  }
+
+  /**
+   * Sets the playback rate of the engine.
+   * @param {number} rate - The playback speed of the video.
+   * @returns {void}
+   * @private
+   */
+  _setPlaybackRate(rate: number): void {
     if (this._engine) {
       this._engine.playbackRate = rate;
     }
@@ -1048,6 +1274,38 @@ export default class Player extends FakeEventTarget {
     return this._posterManager;
   }
 
+  /**
+   * Get the playlist manager.
+   * @returns {PlaylistManager} - The playlist manager.
+   */
+  get playlist(): PlaylistManager {
+    return this._playlistManager;
+  }
+
+  /**
+   * Get the persisted user preferences store.
+   * @returns {PreferencesStore} - The preferences store.
+   */
+  get preferences(): PreferencesStore {
+    return this._preferencesStore;
+  }
+
+  /**
+   * Get the transcript manager, which exposes the full cue list of the text tracks.
+   * @returns {TranscriptManager} - The transcript manager.
+   */
+  get transcript(): TranscriptManager {
+    return this._transcriptManager;
+  }
+
+  /**
+   * Get the client side ad scheduler.
+   * @returns {AdScheduler} - The ad scheduler.
+   */
+  get adScheduler(): AdScheduler {
+    return this._adScheduler;
+  }
+
   // </editor-fold>
 
   // <editor-fold desc="Live API">
@@ -1151,6 +1409,18 @@ export default class Player extends FakeEventTarget {
    * @public
    */
   selectTrack(track: ?Track): void {
+    if (this._engine) {
+      this._playbackMiddleware.selectTrack(this._selectTrack.bind(this), track);
+    }
+  }
+
+  /**
+   * Selects a track on the engine or the external captions handler.
+   * @param {?Track} track - the track to select
+   * @returns {void}
+   * @private
+   */
+  _selectTrack(track: ?Track): void {
     if (this._engine) {
       if (track instanceof VideoTrack) {
         if (this._stateManager.currentState.type === StateType.IDLE) {
@@ -1197,6 +1467,202 @@ export default class Player extends FakeEventTarget {
     }
   }
 
+  /**
+   * Sets the timing offset of a text track, to sync external captions which drift by a fixed offset from the stream.
+   * @function setTextTrackOffset
+   * @param {number} offset - The offset in seconds, a positive offset delays the cues.
+   * @param {TextTrack} [track] - The external text track, the active text track if not given.
+   * @returns {void}
+   * @public
+   */
+  setTextTrackOffset(offset: number, track?: TextTrack): void {
+    const textTrack = track || this._getTextTracks().find(track => track.active);
+    if (typeof offset !== 'number' || isNaN(offset) || !textTrack) {
+      return;
+    }
+    if (this._externalCaptionsHandler.setTextTrackOffset(textTrack, offset)) {
+      this.dispatchEvent(new FakeEvent(CustomEventType.TEXT_TRACK_OFFSET_CHANGED, {textTrack, offset}));
+    } else {
+      Player._logger.warn('Text track offset is supported for external text tracks only', textTrack);
+    }
+  }
+
+  /**
+   * Gets the timing offset of a text track.
+   * @function getTextTrackOffset
+   * @param {TextTrack} [track] - The external text track, the active text track if not given.
+   * @returns {number} - The offset in seconds.
+   * @public
+   */
+  getTextTrackOffset(track?: TextTrack): number {
+    const textTrack = track || this._getTextTracks().find(track => track.active);
+    return textTrack ? this._externalCaptionsHandler.getTextTrackOffset(textTrack) : 0;
+  }
+
+  /**
+   * Sets the timing offset of the active text track.
+   * @param {number} offset - The offset in seconds, a positive offset delays the cues.
+   * @returns {void}
+   */
+  set textTrackOffset(offset: number): void {
+    this.setTextTrackOffset(offset);
+  }
+
+  /**
+   * Gets the timing offset of the active text track.
+   * @returns {number} - The offset in seconds.
+   */
+  get textTrackOffset(): number {
+    return this.getTextTrackOffset();
+  }
+
+  /**
+   * Enables or disables the audio description. The described audio track of the active audio language is selected if the media has one,
+   * otherwise the text described track of the media is read aloud.
+   * @param {boolean} enabled - Whether the audio description is enabled.
+   * @returns {void}
+   */
+  set audioDescription(enabled: boolean): void {
+    this._config.playback.audioDescription = enabled;
+    const activeAudioTrack = this._getAudioTracks().find(track => track.active);
+    if (activeAudioTrack) {
+      const kind = enabled ? AudioTrackKind.DESCRIPTION : AudioTrackKind.MAIN;
+      const audioTrack = this._getAudioTracks().find(track => track.kind === kind && Track.langComparer(activeAudioTrack.language, track.language));
+      if (audioTrack && audioTrack !== activeAudioTrack) {
+        this._selectTrack(audioTrack);
+      }
+    }
+    this._audioDescriptionManager.update();
+  }
+
+  /**
+   * Gets whether the audio description is enabled.
+   * @returns {boolean} - Whether the audio description is enabled.
+   */
+  get audioDescription(): boolean {
+    return !!this._config.playback.audioDescription;
+  }
+
+  /**
+   * Selects a secondary text track, displayed alongside the active text track (dual subtitles).
+   * Selecting the off track clears the secondary text track.
+   * @function selectSecondaryTextTrack
+   * @param {TextTrack} track - The text track.
+   * @returns {void}
+   * @public
+   */
+  selectSecondaryTextTrack(track: TextTrack): void {
+    if (track instanceof TextTrack) {
+      this._secondaryTextTrackManager.selectTextTrack(track);
+    }
+  }
+
+  /**
+   * Clears the secondary text track.
+   * @function hideSecondaryTextTrack
+   * @returns {void}
+   * @public
+   */
+  hideSecondaryTextTrack(): void {
+    this._secondaryTextTrackManager.hideTextTrack();
+  }
+
+  /**
+   * Gets the secondary text track.
+   * @function getActiveSecondaryTextTrack
+   * @returns {?TextTrack} - The secondary text track, null if none is selected.
+   * @public
+   */
+  getActiveSecondaryTextTrack(): ?TextTrack {
+    return this._secondaryTextTrackManager.textTrack;
+  }
+
+  /**
+   * Gets the timed metadata cues (ID3 tags and event messages) of the media, the past and the upcoming ones.
+   * @function getMetadataCues
+   * @param {PKMetadataCueFilterObject} [filter] - Filters the cues by their type (MetadataType) or by a time range they overlap.
+   * @returns {Array<PKMetadataCueObject>} - The cues, sorted by their start time.
+   * @public
+   */
+  getMetadataCues(filter?: PKMetadataCueFilterObject): Array<PKMetadataCueObject> {
+    return this._metadataManager.getCues(filter);
+  }
+
+  /**
+   * Gets the active timed metadata cues.
+   * @function getActiveMetadataCues
+   * @returns {Array<PKMetadataCueObject>} - The cues which contain the current time.
+   * @public
+   */
+  getActiveMetadataCues(): Array<PKMetadataCueObject> {
+    return this._metadataManager.getActiveCues();
+  }
+
+  /**
+   * Gets the cue points of the manifest (HLS date ranges and DASH event stream events), such as chapters, ad markers and interstitials.
+   * The times of the date ranges are mapped onto the media timeline (including the DVR window) by the program date time of the stream.
+   * @function getCuePoints
+   * @param {PKCuePointFilterObject} [filter] - Filters the cue points by their type (CuePointType), their class or a time range they overlap.
+   * @returns {Array<PKCuePointObject>} - The cue points, sorted by their start time.
+   * @public
+   */
+  getCuePoints(filter?: PKCuePointFilterObject): Array<PKCuePointObject> {
+    return this._cuePointManager.getCuePoints(filter);
+  }
+
+  /**
+   * Gets the active cue points.
+   * @function getActiveCuePoints
+   * @returns {Array<PKCuePointObject>} - The cue points which contain the current time.
+   * @public
+   */
+  getActiveCuePoints(): Array<PKCuePointObject> {
+    return this._cuePointManager.getActiveCuePoints();
+  }
+
+  /**
+   * Gets the chapters of the media, configured by `sources.chapters`.
+   * @function getChapters
+   * @returns {Array<PKChapterObject>} - The chapters, sorted by their start time.
+   * @public
+   */
+  getChapters(): Array<PKChapterObject> {
+    return this._chaptersManager.getChapters();
+  }
+
+  /**
+   * Gets the chapter of the current time.
+   * @function getCurrentChapter
+   * @returns {?PKChapterObject} - The current chapter, null if the current time is out of the chapters.
+   * @public
+   */
+  getCurrentChapter(): ?PKChapterObject {
+    return this._chaptersManager.getCurrentChapter();
+  }
+
+  /**
+   * Seeks to the start of a chapter. On a DVR source, a chapter which began before the DVR window is seeked to the start of the window.
+   * @function seekToChapter
+   * @param {string} id - The chapter ID.
+   * @returns {boolean} - Whether the chapter can be seeked to (false for an unknown chapter, or a chapter out of the seekable range of a live source).
+   * @public
+   */
+  seekToChapter(id: string): boolean {
+    return this._chaptersManager.seekToChapter(id);
+  }
+
+  /**
+   * Gets the thumbnail of a media time, for a seek bar preview. The thumbnails of the WebVTT thumbnails track of `sources.thumbnails`
+   * take precedence over the DASH image adaptation sets and the HLS image streams the media source adapter reports.
+   * @function getThumbnail
+   * @param {number} time - The media time, in seconds.
+   * @returns {?PKThumbnailObject} - The image url and the sprite coordinates of the thumbnail, null if there is no thumbnail of the time.
+   * @public
+   */
+  getThumbnail(time: number): ?PKThumbnailObject {
+    return this._thumbnailManager.getThumbnail(time);
+  }
+
   /**
    * Enables adaptive bitrate switching.
    * @function enableAdaptiveBitrate
@@ -1282,6 +1748,40 @@ export default class Player extends FakeEventTarget {
     return this._textStyle.clone();
   }
 
+  /**
+   * Sets style attributes for the secondary text track.
+   * @param {TextStyle} style - text styling settings
+   * @returns {void}
+   */
+  set secondaryTextStyle(style: TextStyle): void {
+    this._secondaryTextTrackManager.textStyle = style;
+  }
+
+  /**
+   * Gets style attributes for the secondary text track.
+   * @returns {TextStyle} - the current style attribute
+   */
+  get secondaryTextStyle(): TextStyle {
+    return this._secondaryTextTrackManager.textStyle;
+  }
+
+  /**
+   * Sets the position of the secondary text track cues.
+   * @param {string} position - the position, one of the player TextTrackPosition values
+   * @returns {void}
+   */
+  set secondaryTextPosition(position: string): void {
+    this._secondaryTextTrackManager.position = position;
+  }
+
+  /**
+   * Gets the position of the secondary text track cues.
+   * @returns {string} - the current position
+   */
+  get secondaryTextPosition(): string {
+    return this._secondaryTextTrackManager.position;
+  }
+
   // </editor-fold>
 
   // <editor-fold desc="Fullscreen API">
@@ -1516,6 +2016,8 @@ export default class Player extends FakeEventTarget {
     Utils.Dom.setAttribute(this._textDisplayEl, 'aria-live', 'polite');
     Utils.Dom.addClassName(this._textDisplayEl, SUBTITLES_CLASS_NAME);
     Utils.Dom.appendChild(this._el, this._textDisplayEl);
+    // Append playkit-secondary-subtitles
+    Utils.Dom.appendChild(this._el, this._secondaryTextTrackManager.getElement());
     // Append playkit-black-cover
     this._blackCoverEl = Utils.Dom.createElement('div');
     Utils.Dom.addClassName(this._blackCoverEl, BLACK_COVER_CLASS_NAME);
@@ -1554,28 +2056,105 @@ export default class Player extends FakeEventTarget {
    * @private
    */
   _selectEngineByPriority(): boolean {
+    const candidates = this._getSourceCandidates();
+    const [candidate] = candidates;
+    if (candidate) {
+      const Engine = EngineProvider.getEngines().find(Engine => Engine.id === candidate.engine);
+      if (Engine) {
+        Player._logger.debug('Source selected: ', candidate.source);
+        this._loadEngine(Engine, candidate.source);
+        this._engineType = candidate.engine;
+        this._streamType = candidate.format;
+        this._failoverManager.setCandidates(candidates);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Gets the sources the engines can play, in the order of the stream priority and of the sources of each format.
+   * @return {Array<PKSourceCandidateObject>} - The playable sources.
+   * @private
+   */
+  _getSourceCandidates(): Array<PKSourceCandidateObject> {
     const streamPriority = this._config.playback.streamPriority;
     const preferNative = this._config.playback.preferNative;
     const sources = this._config.sources;
+    const candidates = [];
     for (let priority of streamPriority) {
       const engineId = typeof priority.engine === 'string' ? priority.engine.toLowerCase() : '';
       const format = typeof priority.format === 'string' ? priority.format.toLowerCase() : '';
       const Engine = EngineProvider.getEngines().find(Engine => Engine.id === engineId);
-      if (Engine) {
-        const formatSources = sources[format];
-        if (formatSources && formatSources.length > 0) {
-          const source = formatSources[0];
-          if (Engine.canPlaySource(source, preferNative[format], this._config.drm)) {
-            Player._logger.debug('Source selected: ', formatSources);
-            this._loadEngine(Engine, source);
-            this._engineType = engineId;
-            this._streamType = format;
-            return true;
-          }
-        }
+      const formatSources = sources[format];
+      if (Engine && formatSources) {
+        formatSources
+          .filter(source => Engine.canPlaySource(source, preferNative[format], this._config.drm))
+          .forEach(source => candidates.push({engine: engineId, format, source}));
       }
     }
-    return false;
+    return candidates;
+  }
+
+  /**
+   * Handles an error of the engine: fails over to the next source after a critical network, media or manifest error,
+   * and fires the error otherwise.
+   * @param {FakeEvent} event - The error event.
+   * @returns {void}
+   * @private
+   */
+  _onEngineError(event: FakeEvent): void {
+    const candidate = this._engine ? this._failoverManager.next(event.payload) : null;
+    if (candidate) {
+      this._failover(candidate, event.payload);
+    } else {
+      this.dispatchEvent(event);
+    }
+  }
+
+  /**
+   * Fails over to another source, and restores the position (of a VOD source), the tracks and the play state.
+   * A source of another engine replaces the engine, the same way it is created on a source selection.
+   * @param {PKSourceCandidateObject} candidate - The source.
+   * @param {PKError} error - The error of the failed source.
+   * @returns {void}
+   * @private
+   */
+  _failover(candidate: PKSourceCandidateObject, error: PKError): void {
+    const Engine = EngineProvider.getEngines().find(Engine => Engine.id === candidate.engine);
+    if (!Engine) {
+      return;
+    }
+    const wasPlaying = this._playbackStart && !this.paused;
+    const currentTime = this.currentTime;
+    const startTime = !this.isLive() && typeof currentTime === 'number' && currentTime > 0 ? currentTime : this._config.playback.startTime;
+    Player._logger.warn(`Failing over to the ${candidate.format} source ${candidate.source.url}`, error);
+    this.dispatchEvent(
+      new FakeEvent(CustomEventType.SOURCE_FAILOVER, {
+        error,
+        selectedSource: candidate.source,
+        format: candidate.format,
+        attempt: this._failoverManager.attempts
+      })
+    );
+    const engineChanged = candidate.engine !== this._engineType;
+    if (engineChanged) {
+      this._detachEngine();
+    }
+    this._loadEngine(Engine, candidate.source);
+    this._engineType = candidate.engine;
+    this._streamType = candidate.format;
+    if (engineChanged) {
+      this._attachEngine();
+      this._handlePlaybackOptions();
+    }
+    this._tracks = [];
+    this._loading = false;
+    if (wasPlaying) {
+      // resumed through the play middleware, like any other play
+      this._eventManager.listenOnce(this, CustomEventType.TRACKS_CHANGED, () => this.play());
+    }
+    this._load(startTime);
   }
 
   /**
@@ -1620,45 +2199,7 @@ export default class Player extends FakeEventTarget {
    */
   _attachMedia(): void {
     if (this._engine) {
-      Object.keys(Html5EventType).forEach(html5Event => {
-        this._eventManager.listen(this._engine, Html5EventType[html5Event], (event: FakeEvent) => {
-          return this.dispatchEvent(event);
-        });
-      });
-      this._eventManager.listen(this._engine, Html5EventType.SEEKING, () => {
-        if (this.isLive()) {
-          this._isOnLiveEdge = this.duration && this.currentTime ? this.currentTime >= this.duration - LIVE_EDGE_THRESHOLD && !this.paused : false;
-        }
-      });
-      this._eventManager.listen(this._engine, Html5EventType.SEEKED, () => {
-        const browser = this._env.browser.name;
-        if (browser === 'Edge' || browser === 'IE') {
-          this._removeTextCuePatch();
-        }
-      });
-      this._eventManager.listen(this._engine, CustomEventType.VIDEO_TRACK_CHANGED, (event: FakeEvent) => {
-        this._markActiveTrack(event.payload.selectedVideoTrack);
-        return this.dispatchEvent(event);
-      });
-      this._eventManager.listen(this._engine, CustomEventType.AUDIO_TRACK_CHANGED, (event: FakeEvent) => {
-        this.ready().then(() => (this._playbackAttributesState.audioLanguage = event.payload.selectedAudioTrack.language));
-        this._markActiveTrack(event.payload.selectedAudioTrack);
-        this.dispatchEvent(event);
-      });
-      this._eventManager.listen(this._engine, CustomEventType.TEXT_TRACK_CHANGED, (event: FakeEvent) => this._onTextTrackChanged(event));
-      this._eventManager.listen(this._engine, CustomEventType.TRACKS_CHANGED, (event: FakeEvent) => this._onTracksChanged(event));
-      this._eventManager.listen(this._engine, CustomEventType.TEXT_CUE_CHANGED, (event: FakeEvent) => this._onCueChange(event));
-      this._eventManager.listen(this._engine, CustomEventType.ABR_MODE_CHANGED, (event: FakeEvent) => this.dispatchEvent(event));
-      this._eventManager.listen(this._engine, CustomEventType.TIMED_METADATA, (event: FakeEvent) => this.dispatchEvent(event));
-      this._eventManager.listen(this._engine, CustomEventType.PLAY_FAILED, (event: FakeEvent) => {
-        this.pause();
-        this._onPlayFailed(event);
-        this.dispatchEvent(event);
-      });
-      this._eventManager.listen(this._engine, CustomEventType.FPS_DROP, (event: FakeEvent) => this.dispatchEvent(event));
-      this._eventManager.listen(this._engine, CustomEventType.FRAG_LOADED, (event: FakeEvent) => this.dispatchEvent(event));
-      this._eventManager.listen(this._engine, CustomEventType.DRM_LICENSE_LOADED, (event: FakeEvent) => this.dispatchEvent(event));
-      this._eventManager.listen(this._engine, CustomEventType.MANIFEST_LOADED, (event: FakeEvent) => this.dispatchEvent(event));
+      this._attachEngine();
       this._eventManager.listen(this, Html5EventType.PLAY, this._onPlay.bind(this));
       this._eventManager.listen(this, Html5EventType.PAUSE, this._onPause.bind(this));
       this._eventManager.listen(this, Html5EventType.PLAYING, this._onPlaying.bind(this));
@@ -1678,7 +2219,6 @@ export default class Player extends FakeEventTarget {
         this._resetTextCuesAndReposition();
         this.dispatchEvent(event);
       });
-      this._eventManager.listen(this._engine, CustomEventType.MEDIA_RECOVERED, () => this._handleRecovered());
       this._eventManager.listen(this._externalCaptionsHandler, CustomEventType.TEXT_CUE_CHANGED, (event: FakeEvent) => this._onCueChange(event));
       this._eventManager.listen(this._externalCaptionsHandler, CustomEventType.TEXT_TRACK_CHANGED, (event: FakeEvent) =>
         this._onTextTrackChanged(event)
@@ -1699,6 +2239,77 @@ export default class Player extends FakeEventTarget {
     }
   }
 
+  /**
+   * Listens to the events of the engine.
+   * @private
+   * @returns {void}
+   */
+  _attachEngine(): void {
+    Object.keys(Html5EventType)
+      .filter(html5Event => Html5EventType[html5Event] !== Html5EventType.ERROR)
+      .forEach(html5Event => {
+        this._eventManager.listen(this._engine, Html5EventType[html5Event], (event: FakeEvent) => {
+          return this.dispatchEvent(event);
+        });
+      });
+    this._eventManager.listen(this._engine, Html5EventType.ERROR, (event: FakeEvent) => this._onEngineError(event));
+    this._eventManager.listen(this._engine, Html5EventType.SEEKING, () => {
+      if (this.isLive()) {
+        this._isOnLiveEdge = this.duration && this.currentTime ? this.currentTime >= this.duration - LIVE_EDGE_THRESHOLD && !this.paused : false;
+      }
+    });
+    this._eventManager.listen(this._engine, Html5EventType.SEEKED, () => {
+      const browser = this._env.browser.name;
+      if (browser === 'Edge' || browser === 'IE') {
+        this._removeTextCuePatch();
+      }
+    });
+    this._eventManager.listen(this._engine, CustomEventType.VIDEO_TRACK_CHANGED, (event: FakeEvent) => {
+      this._markActiveTrack(event.payload.selectedVideoTrack);
+      return this.dispatchEvent(event);
+    });
+    this._eventManager.listen(this._engine, CustomEventType.AUDIO_TRACK_CHANGED, (event: FakeEvent) => {
+      this.ready().then(() => (this._playbackAttributesState.audioLanguage = event.payload.selectedAudioTrack.language));
+      this._markActiveTrack(event.payload.selectedAudioTrack);
+      this.dispatchEvent(event);
+    });
+    this._eventManager.listen(this._engine, CustomEventType.TEXT_TRACK_CHANGED, (event: FakeEvent) => this._onTextTrackChanged(event));
+    this._eventManager.listen(this._engine, CustomEventType.TRACKS_CHANGED, (event: FakeEvent) => this._onTracksChanged(event));
+    this._eventManager.listen(this._engine, CustomEventType.TEXT_CUE_CHANGED, (event: FakeEvent) => this._onCueChange(event));
+    this._eventManager.listen(this._engine, CustomEventType.ABR_MODE_CHANGED, (event: FakeEvent) => this.dispatchEvent(event));
+    this._eventManager.listen(this._engine, CustomEventType.TIMED_METADATA, (event: FakeEvent) => this.dispatchEvent(event));
+    this._eventManager.listen(this._engine, CustomEventType.TIMED_METADATA_ADDED, (event: FakeEvent) =>
+      this._metadataManager.addCues(event.payload.cues)
+    );
+    this._eventManager.listen(this._engine, CustomEventType.CUE_POINTS_ADDED, (event: FakeEvent) =>
+      this._cuePointManager.addCuePoints(event.payload.cuePoints, event.payload.programDateTime)
+    );
+    this._eventManager.listen(this._engine, CustomEventType.THUMBNAIL_SETS_ADDED, (event: FakeEvent) =>
+      this._thumbnailManager.addThumbnailSets(event.payload.thumbnailSets)
+    );
+    this._eventManager.listen(this._engine, CustomEventType.PLAY_FAILED, (event: FakeEvent) => {
+      this.pause();
+      this._onPlayFailed(event);
+      this.dispatchEvent(event);
+    });
+    this._eventManager.listen(this._engine, CustomEventType.FPS_DROP, (event: FakeEvent) => this.dispatchEvent(event));
+    this._eventManager.listen(this._engine, CustomEventType.FRAG_LOADED, (event: FakeEvent) => this.dispatchEvent(event));
+    this._eventManager.listen(this._engine, CustomEventType.DRM_LICENSE_LOADED, (event: FakeEvent) => this.dispatchEvent(event));
+    this._eventManager.listen(this._engine, CustomEventType.MANIFEST_LOADED, (event: FakeEvent) => this.dispatchEvent(event));
+    this._eventManager.listen(this._engine, CustomEventType.MEDIA_RECOVERED, () => this._handleRecovered());
+  }
+
+  /**
+   * Removes the listeners of the engine events, before it is replaced.
+   * @private
+   * @returns {void}
+   */
+  _detachEngine(): void {
+    [Html5EventType, CustomEventType].forEach(eventTypes =>
+      Object.keys(eventTypes).forEach(eventType => this._eventManager.unlisten(this._engine, eventTypes[eventType]))
+    );
+  }
+
   /**
    * if the media was recovered (after a media failure) then initiate play again (if that was the state before)
    * @returns {void}
@@ -1777,14 +2388,14 @@ export default class Player extends FakeEventTarget {
   _handlePlaybackOptions(): void {
     this._config.playback = this._config.playback || {};
     if (typeof this._playbackAttributesState.muted === 'boolean') {
-      this.muted = this._playbackAttributesState.muted;
+      this._setMuted(this._playbackAttributesState.muted);
     } else if (typeof this._config.playback.muted === 'boolean') {
-      this.muted = this._config.playback.muted;
+      this._setMuted(this._config.playback.muted);
     }
     if (typeof this._playbackAttributesState.volume === 'number') {
-      this.volume = this._playbackAttributesState.volume;
+      this._setVolume(this._playbackAttributesState.volume);
     } else if (typeof this._config.playback.volume === 'number') {
-      this.volume = this._config.playback.volume;
+      this._setVolume(this._config.playback.volume);
     }
     if (typeof this._config.playback.playsinline === 'boolean') {
       this.playsinline = this._config.playback.playsinline;
@@ -1848,7 +2459,7 @@ export default class Player extends FakeEventTarget {
       // unmute the player and clear the fallback state
       if (this._fallbackToMutedAutoPlay) {
         this._fallbackToMutedAutoPlay = false;
-        this.muted = false;
+        this._setMuted(false);
       }
       this.play();
     };
@@ -1861,7 +2472,7 @@ export default class Player extends FakeEventTarget {
     const onFallbackToMutedAutoPlay = () => {
       Player._logger.debug('Fallback to muted autoplay');
       this._fallbackToMutedAutoPlay = true;
-      this.muted = true;
+      this._setMuted(true);
       this.dispatchEvent(new FakeEvent(CustomEventType.FALLBACK_TO_MUTED_AUTOPLAY));
       this.play();
     };
@@ -1888,18 +2499,30 @@ export default class Player extends FakeEventTarget {
     }
   }
 
-  _load(): void {
+  /**
+   * Loads the engine.
+   * @param {number} [startTime] - The time to start from, the configured start time by default.
+   * @returns {void}
+   * @private
+   */
+  _load(startTime: number = this._config.playback.startTime): void {
     const resetFlags = () => {
       this._loading = false;
       this._reset = false;
     };
     if (this._engine && !this.src && !this._loading) {
       this._loading = true;
-      let startTime = this._config.playback.startTime;
+      // the load of a source the player failed over from is stale
+      const failoverAttempts = this._failoverManager.attempts;
+      const isStale = () => failoverAttempts !== this._failoverManager.attempts;
       this._engine
         .load(startTime)
         .then(data => {
-          if (this.isLive() && (startTime === -1 || startTime >= this.duration)) {
+          if (isStale()) {
+            return;
+          }
+          const duration = this.duration;
+          if (this.isLive() && (startTime === -1 || (typeof duration === 'number' && startTime >= duration))) {
             this._isOnLiveEdge = true;
           }
           this._updateTracks(data.tracks);
@@ -1907,8 +2530,10 @@ export default class Player extends FakeEventTarget {
           resetFlags();
         })
         .catch(error => {
-          this.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
-          resetFlags();
+          if (!isStale()) {
+            resetFlags();
+            this._onEngineError(new FakeEvent(Html5EventType.ERROR, error));
+          }
         });
     }
   }
@@ -1965,7 +2590,7 @@ export default class Player extends FakeEventTarget {
       this._posterManager.hide();
       this.hideBlackCover();
       if (typeof this._playbackAttributesState.rate === 'number') {
-        this.playbackRate = this._playbackAttributesState.rate;
+        this._setPlaybackRate(this._playbackAttributesState.rate);
       }
     }
   }
@@ -2000,6 +2625,8 @@ export default class Player extends FakeEventTarget {
   }
 
   /**
+   * Dispatches the playback ended only when the player owns the ended flow, after its postroll or for a playlist item.
+   * Otherwise, it's left to the wrapper of the player.
    * @function _onEnded
    * @return {void}
    * @private
@@ -2008,6 +2635,11 @@ export default class Player extends FakeEventTarget {
     if (!this.paused) {
       this._pause();
     }
+    if (this._adScheduler.hasPendingPostroll()) {
+      this._adScheduler.playPostroll().then(completed => completed && this.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED)));
+    } else if (this._playlistManager.activeItem) {
+      this.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+    }
   }
   /**
    * Resets the state flags of the player.
@@ -2220,8 +2852,23 @@ export default class Player extends FakeEventTarget {
     const offTextTrack: ?Track = this._getTextTracks().find(track => TextTrack.langComparer(OFF, track.language));
     let currentOrConfiguredTextLang = this._playbackAttributesState.textLanguage || this._getLanguage(playbackConfig.textLanguage, activeTracks.text);
     let currentOrConfiguredAudioLang = this._playbackAttributesState.audioLanguage || playbackConfig.audioLanguage;
+    if (!currentOrConfiguredAudioLang && playbackConfig.audioDescription && activeTracks.audio) {
+      // look for the described audio track of the default audio language
+      currentOrConfiguredAudioLang = activeTracks.audio.language;
+    }
     this._setDefaultTrack<TextTrack>(this._getTextTracks(), currentOrConfiguredTextLang, offTextTrack);
-    this._setDefaultTrack<AudioTrack>(this._getAudioTracks(), currentOrConfiguredAudioLang, activeTracks.audio);
+    this._setDefaultTrack<AudioTrack>(this._getAudioTracksByPreferredKind(), currentOrConfiguredAudioLang, activeTracks.audio);
+  }
+
+  /**
+   * Gets the audio tracks, the tracks of the preferred kind (described or main audio, by the audio description config) first.
+   * @returns {Array<AudioTrack>} - The audio tracks.
+   * @private
+   */
+  _getAudioTracksByPreferredKind(): Array<AudioTrack> {
+    const preferredKind = this._config.playback.audioDescription ? AudioTrackKind.DESCRIPTION : AudioTrackKind.MAIN;
+    const audioTracks = this._getAudioTracks();
+    return audioTracks.filter(track => track.kind === preferredKind).concat(audioTracks.filter(track => track.kind !== preferredKind));
   }
 
   /**
@@ -2259,10 +2906,10 @@ export default class Player extends FakeEventTarget {
   _setDefaultTrack<T: TextTrack | AudioTrack>(tracks: Array<T>, language: string, defaultTrack: ?Track): void {
     const track: ?T = tracks.find(track => Track.langComparer(language, track.language));
     if (track) {
-      this.selectTrack(track);
+      this._selectTrack(track);
       this._markActiveTrack(track);
     } else if (defaultTrack && !defaultTrack.active) {
-      this.selectTrack(defaultTrack);
+      this._selectTrack(defaultTrack);
     }
   }
 
@@ -2371,6 +3018,15 @@ export default class Player extends FakeEventTarget {
     return LogLevel;
   }
 
+  /**
+   * Gets the player secondary text track positions.
+   * @returns {PKTextTrackPositions} - The secondary text track positions of the player.
+   * @public
+   */
+  get TextTrackPosition(): PKTextTrackPositions {
+    return TextTrackPosition;
+  }
+
   /**
    * Gets the player abr modes.
    * @returns {PKAbrModes} - The abr modes of the player.
@@ -2,8 +2,11 @@
 import Player from './player';
 import BaseMediaSourceAdapter from './engines/html5/media-source/base-media-source-adapter';
 import {registerMediaSourceAdapter} from './engines/html5/media-source/media-source-provider';
+import MseHlsAdapter from './engines/html5/media-source/adapters/mse-hls-adapter';
 import {registerEngineDecoratorProvider} from './engines/engine-decorator';
 import {registerEngine, unRegisterEngine} from './engines/engine-provider';
+import {registerAbrController, unRegisterAbrController} from './abr/abr-controller-provider';
+import {DefaultAbrController} from './abr/default-abr-controller';
 import BaseMiddleware from './middleware/base-middleware';
 import State from './state/state';
 import Track from './track/track';
@@ -24,6 +27,8 @@ import {EngineType} from './engines/engine-type';
 import {MediaType} from './media-type';
 import {CustomEventType, EventType, Html5EventType} from './event/event-type';
 import {AbrMode} from './track/abr-mode-type';
+import {AudioTrackKind} from './track/audio-track-kind';
+import {TextTrackPosition} from './track/text-track-position';
 import getLogger, {getLogLevel, LogLevel, LogLevelType, setLogLevel} from './utils/logger';
 import {CorsType} from './engines/html5/cors-types';
 import {DrmScheme} from './drm/drm-scheme';
@@ -32,6 +37,15 @@ import {RequestType} from './request-type';
 import {AdBreakType} from './ads/ad-break-type';
 import {AdTagType} from './ads/ad-tag-type';
 import {AdEventType} from './ads/ad-event-type';
+import {MetadataType} from './metadata/metadata-type';
+import {createId3Cue} from './metadata/metadata-cue';
+import {parseId3} from './metadata/id3-parser';
+import {parseEmsg, parseEmsgBoxes} from './metadata/emsg-parser';
+import {CuePointType} from './metadata/cue-point-type';
+import {parseDateRanges} from './metadata/date-range-parser';
+import {parseEventStreams} from './metadata/event-stream-parser';
+import {parseDashImageSets} from './thumbnail/dash-image-parser';
+import {parseHlsImagePlaylist, parseHlsImageStreams} from './thumbnail/hls-image-parser';
 
 declare var __VERSION__: string;
 declare var __NAME__: string;
@@ -48,7 +62,7 @@ export function loadPlayer(config: ?Object) {
 }
 
 // Export the media source adapters necessary utils
-export {registerMediaSourceAdapter, BaseMediaSourceAdapter};
+export {registerMediaSourceAdapter, BaseMediaSourceAdapter, MseHlsAdapter};
 
 // Export the engine decorator provider register method
 export {registerEngineDecoratorProvider};
@@ -89,9 +103,21 @@ export {getCapabilities, setCapabilities};
 // Export engine framework
 export {registerEngine, unRegisterEngine};
 
+// Export the ABR controller framework
+export {registerAbrController, unRegisterAbrController, DefaultAbrController};
+
 // Export ads framework
 export {AdBreakType, AdTagType, AdEventType};
 
+// Export the timed metadata parsers, for the media source adapters to add the metadata cues of their streams
+export {createId3Cue, parseId3, parseEmsg, parseEmsgBoxes};
+
+// Export the manifest cue point parsers, for the media source adapters to add the cue points of their manifests
+export {parseDateRanges, parseEventStreams};
+
+// Export the thumbnail parsers, for the media source adapters to report the image streams of their manifests
+export {parseDashImageSets, parseHlsImagePlaylist, parseHlsImageStreams};
+
 // Export enums
 export {
   Html5EventType,
@@ -103,11 +129,15 @@ export {
   MediaType,
   StreamType,
   AbrMode,
+  AudioTrackKind,
+  TextTrackPosition,
   LogLevelType,
   CorsType,
   DrmScheme,
   MimeType,
-  RequestType
+  RequestType,
+  MetadataType,
+  CuePointType
 };
 
 // Export logger utils
@@ -0,0 +1,361 @@
+//@flow
+import Player from '../player';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import getLogger from '../utils/logger';
+import * as Utils from '../utils/util';
+
+/**
+ * @class PlaylistManager
+ * @param {Player} player - The player.
+ */
+class PlaylistManager {
+  /**
+   * The playlist manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('PlaylistManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the playlist manager.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The playlist items, by their insertion order.
+   * @type {Array<PKPlaylistItemObject>}
+   * @private
+   */
+  _items: Array<PKPlaylistItemObject> = [];
+  /**
+   * The playlist items, by their playing order (differs from the insertion order in shuffle mode).
+   * @type {Array<PKPlaylistItemObject>}
+   * @private
+   */
+  _order: Array<PKPlaylistItemObject> = [];
+  /**
+   * The currently active item.
+   * @type {?PKPlaylistItemObject}
+   * @private
+   */
+  _activeItem: ?PKPlaylistItemObject = null;
+  /**
+   * Whether the playback of the active item has already been ended.
+   * @type {boolean}
+   * @private
+   */
+  _activeItemEnded: boolean = false;
+  /**
+   * The auto continue countdown timeout id.
+   * @type {?TimeoutID}
+   * @private
+   */
+  _countdownTimeout: ?TimeoutID = null;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._eventManager = new EventManager();
+    this._eventManager.listen(this._player, CustomEventType.PLAYBACK_ENDED, () => this._onPlaybackEnded());
+    this._eventManager.listen(this._player, Html5EventType.PLAYING, () => this._onPlaying());
+  }
+
+  /**
+   * Configures the playlist. Providing items replaces the current playlist and loads its first item.
+   * @param {PKPlaylistConfigObject} config - The playlist configuration.
+   * @returns {void}
+   * @public
+   */
+  configure(config: $Shape<PKPlaylistConfigObject>): void {
+    if (Array.isArray(config.items)) {
+      this.cancelCountdown();
+      this._items = config.items.slice();
+      this._activeItem = null;
+      this._updateOrder();
+      if (this._items.length) {
+        this._setActiveItem(this._order[0], false);
+      }
+    } else if (config.options && typeof config.options.shuffle === 'boolean') {
+      this._updateOrder();
+    }
+  }
+
+  /**
+   * Get the playlist items.
+   * @returns {Array<PKPlaylistItemObject>} - A copy of the playlist items.
+   * @public
+   */
+  get items(): Array<PKPlaylistItemObject> {
+    return Utils.Object.copyDeep(this._items);
+  }
+
+  /**
+   * Get the active item.
+   * @returns {?PKPlaylistItemObject} - The active item.
+   * @public
+   */
+  get activeItem(): ?PKPlaylistItemObject {
+    return this._activeItem;
+  }
+
+  /**
+   * Get the index of the active item.
+   * @returns {number} - The index of the active item, -1 if no item is active.
+   * @public
+   */
+  get activeIndex(): number {
+    return this._activeItem ? this._items.indexOf(this._activeItem) : -1;
+  }
+
+  /**
+   * Get the item which will be played after the active one.
+   * @returns {?PKPlaylistItemObject} - The next item.
+   * @public
+   */
+  get nextItem(): ?PKPlaylistItemObject {
+    const position = this._order.indexOf(this._activeItem);
+    if (position + 1 < this._order.length) {
+      return this._order[position + 1];
+    }
+    return this._options.loop && this._order.length ? this._order[0] : null;
+  }
+
+  /**
+   * Get the item which was played before the active one.
+   * @returns {?PKPlaylistItemObject} - The previous item.
+   * @public
+   */
+  get prevItem(): ?PKPlaylistItemObject {
+    const position = this._order.indexOf(this._activeItem);
+    if (position > 0) {
+      return this._order[position - 1];
+    }
+    return this._options.loop && this._order.length ? this._order[this._order.length - 1] : null;
+  }
+
+  /**
+   * Adds an item to the playlist.
+   * @param {PKPlaylistItemObject} item - The item to add.
+   * @param {number} [index] - The index to insert the item at. If not given, the item is added at the end.
+   * @returns {void}
+   * @public
+   */
+  addItem(item: PKPlaylistItemObject, index?: number): void {
+    const insertIndex = typeof index === 'number' && index >= 0 && index < this._items.length ? index : this._items.length;
+    this._items.splice(insertIndex, 0, item);
+    if (this._options.shuffle) {
+      const position = this._order.indexOf(this._activeItem) + 1;
+      this._order.splice(position + Math.floor(Math.random() * (this._order.length - position + 1)), 0, item);
+    } else {
+      this._order = this._items.slice();
+    }
+  }
+
+  /**
+   * Removes an item from the playlist. The active item cannot be removed.
+   * @param {number} index - The index of the item to remove.
+   * @returns {boolean} - Whether the item has been removed.
+   * @public
+   */
+  removeItem(index: number): boolean {
+    const item = this._items[index];
+    if (!item) {
+      PlaylistManager._logger.warn(`No playlist item in index ${index}`);
+      return false;
+    }
+    if (item === this._activeItem) {
+      PlaylistManager._logger.warn('The active playlist item cannot be removed');
+      return false;
+    }
+    this._items.splice(index, 1);
+    this._order.splice(this._order.indexOf(item), 1);
+    return true;
+  }
+
+  /**
+   * Moves an item to a different position in the playlist.
+   * @param {number} from - The current index of the item.
+   * @param {number} to - The new index of the item.
+   * @returns {boolean} - Whether the item has been moved.
+   * @public
+   */
+  moveItem(from: number, to: number): boolean {
+    if (!this._items[from] || to < 0 || to >= this._items.length) {
+      PlaylistManager._logger.warn(`Cannot move playlist item from index ${from} to index ${to}`);
+      return false;
+    }
+    const [item] = this._items.splice(from, 1);
+    this._items.splice(to, 0, item);
+    if (!this._options.shuffle) {
+      this._order = this._items.slice();
+    }
+    return true;
+  }
+
+  /**
+   * Plays a specific item.
+   * @param {number} index - The index of the item to play.
+   * @returns {boolean} - Whether the item has been found.
+   * @public
+   */
+  playItem(index: number): boolean {
+    const item = this._items[index];
+    if (item) {
+      this._setActiveItem(item, true);
+      return true;
+    }
+    PlaylistManager._logger.warn(`No playlist item in index ${index}`);
+    return false;
+  }
+
+  /**
+   * Plays the next item.
+   * @returns {boolean} - Whether there is a next item.
+   * @public
+   */
+  playNext(): boolean {
+    const nextItem = this.nextItem;
+    if (nextItem) {
+      this._setActiveItem(nextItem, true);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Plays the previous item.
+   * @returns {boolean} - Whether there is a previous item.
+   * @public
+   */
+  playPrev(): boolean {
+    const prevItem = this.prevItem;
+    if (prevItem) {
+      this._setActiveItem(prevItem, true);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Cancels a running auto continue countdown.
+   * @returns {void}
+   * @public
+   */
+  cancelCountdown(): void {
+    if (this._countdownTimeout) {
+      clearTimeout(this._countdownTimeout);
+      this._countdownTimeout = null;
+    }
+  }
+
+  /**
+   * Destroys the playlist manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.cancelCountdown();
+    this._items = [];
+    this._order = [];
+    this._activeItem = null;
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Get the playlist options from the player config.
+   * @returns {PKPlaylistOptionsObject} - The playlist options.
+   * @private
+   */
+  get _options(): PKPlaylistOptionsObject {
+    return this._player.config.playlist.options;
+  }
+
+  /**
+   * Rebuilds the playing order. In shuffle mode, the active item is kept first and the rest are shuffled.
+   * @returns {void}
+   * @private
+   */
+  _updateOrder(): void {
+    if (this._options.shuffle) {
+      const rest = this._items.filter(item => item !== this._activeItem);
+      for (let i = rest.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        const item = rest[i];
+        rest[i] = rest[j];
+        rest[j] = item;
+      }
+      this._order = this._activeItem ? [this._activeItem, ...rest] : rest;
+    } else {
+      this._order = this._items.slice();
+    }
+  }
+
+  /**
+   * Sets the active item and changes the player source to its sources.
+   * @param {PKPlaylistItemObject} item - The item to activate.
+   * @param {boolean} shouldPlay - Whether to start the playback of the item.
+   * @returns {void}
+   * @private
+   */
+  _setActiveItem(item: PKPlaylistItemObject, shouldPlay: boolean): void {
+    this.cancelCountdown();
+    this._activeItem = item;
+    this._activeItemEnded = false;
+    PlaylistManager._logger.debug('Playlist item changed', item);
+    this._player.configure({sources: item.sources});
+    this._player.dispatchEvent(new FakeEvent(CustomEventType.PLAYLIST_ITEM_CHANGED, {index: this.activeIndex, activeItem: item}));
+    if (shouldPlay && !this._player.config.playback.autoplay) {
+      this._player.play();
+    }
+  }
+
+  /**
+   * Handles the end of the active item playback, either by continuing to the next item or by ending the playlist.
+   * @returns {void}
+   * @private
+   */
+  _onPlaybackEnded(): void {
+    if (!this._activeItem || this._activeItemEnded) {
+      return;
+    }
+    this._activeItemEnded = true;
+    const nextItem = this.nextItem;
+    if (!nextItem) {
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.PLAYLIST_ENDED));
+    } else if (this._options.autoContinue) {
+      const duration = this._player.config.playlist.countdown.duration;
+      if (duration > 0) {
+        this._player.dispatchEvent(new FakeEvent(CustomEventType.PLAYLIST_COUNTDOWN_START, {duration, nextItem}));
+        this._countdownTimeout = setTimeout(() => this._setActiveItem(nextItem, true), duration * 1000);
+      } else {
+        this._setActiveItem(nextItem, true);
+      }
+    }
+  }
+
+  /**
+   * Handles a playback of the active item after it ended, like a replay, so its next end is handled again.
+   * @returns {void}
+   * @private
+   */
+  _onPlaying(): void {
+    if (this._activeItemEnded) {
+      this.cancelCountdown();
+      this._activeItemEnded = false;
+    }
+  }
+}
+
+export {PlaylistManager};
@@ -0,0 +1,86 @@
+//@flow
+import getLogger from '../utils/logger';
+
+/**
+ * The key used to check the local storage availability.
+ * @type {string}
+ * @const
+ */
+const TEST_KEY: string = '__playkit_storage_test__';
+
+/**
+ * Storage adapter which keeps the values in the browser local storage, across sessions.
+ * @class LocalStorageAdapter
+ * @implements {IStorageAdapter}
+ */
+class LocalStorageAdapter implements IStorageAdapter {
+  /**
+   * The local storage adapter class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('LocalStorageAdapter');
+
+  /**
+   * Checks whether the local storage is available (it might be disabled or full, e.g. in private browsing).
+   * @returns {boolean} - Whether the local storage can be used.
+   * @static
+   * @public
+   */
+  static isSupported(): boolean {
+    try {
+      window.localStorage.setItem(TEST_KEY, TEST_KEY);
+      window.localStorage.removeItem(TEST_KEY);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets a stored value.
+   * @param {string} key - The key.
+   * @returns {?string} - The value, null if not stored.
+   * @public
+   */
+  getItem(key: string): ?string {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (e) {
+      LocalStorageAdapter._logger.warn(`Failed to read ${key} from the local storage`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a value.
+   * @param {string} key - The key.
+   * @param {string} value - The value.
+   * @returns {void}
+   * @public
+   */
+  setItem(key: string, value: string): void {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (e) {
+      LocalStorageAdapter._logger.warn(`Failed to write ${key} to the local storage`, e);
+    }
+  }
+
+  /**
+   * Removes a stored value.
+   * @param {string} key - The key.
+   * @returns {void}
+   * @public
+   */
+  removeItem(key: string): void {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (e) {
+      LocalStorageAdapter._logger.warn(`Failed to remove ${key} from the local storage`, e);
+    }
+  }
+}
+
+export {LocalStorageAdapter};
@@ -0,0 +1,49 @@
+//@flow
+
+/**
+ * Storage adapter which keeps the values in memory, for the current page only.
+ * @class MemoryStorageAdapter
+ * @implements {IStorageAdapter}
+ */
+class MemoryStorageAdapter implements IStorageAdapter {
+  /**
+   * The stored values.
+   * @type {Map<string, string>}
+   * @private
+   */
+  _items: Map<string, string> = new Map();
+
+  /**
+   * Gets a stored value.
+   * @param {string} key - The key.
+   * @returns {?string} - The value, null if not stored.
+   * @public
+   */
+  getItem(key: string): ?string {
+    const value = this._items.get(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  /**
+   * Stores a value.
+   * @param {string} key - The key.
+   * @param {string} value - The value.
+   * @returns {void}
+   * @public
+   */
+  setItem(key: string, value: string): void {
+    this._items.set(key, value);
+  }
+
+  /**
+   * Removes a stored value.
+   * @param {string} key - The key.
+   * @returns {void}
+   * @public
+   */
+  removeItem(key: string): void {
+    this._items.delete(key);
+  }
+}
+
+export {MemoryStorageAdapter};
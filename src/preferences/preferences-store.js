@@ -0,0 +1,265 @@
+//@flow
+import Player from '../player';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import TextStyle from '../track/text-style';
+import getLogger from '../utils/logger';
+import {LocalStorageAdapter} from './local-storage-adapter';
+import {MemoryStorageAdapter} from './memory-storage-adapter';
+
+/**
+ * The preferences keys which can be persisted.
+ * @type {Object}
+ * @const
+ */
+const PreferenceKey: {[key: string]: string} = {
+  VOLUME: 'volume',
+  MUTED: 'muted',
+  RATE: 'rate',
+  AUDIO_LANGUAGE: 'audioLanguage',
+  TEXT_LANGUAGE: 'textLanguage',
+  TEXT_STYLE: 'textStyle',
+  TEXT_TRACK_OFFSET: 'textTrackOffset'
+};
+
+/**
+ * Persists the user playback preferences across sessions, through a pluggable storage adapter.
+ * @class PreferencesStore
+ * @param {Player} player - The player.
+ * @param {Function} onApply - Sets a saved playback attribute on the player.
+ * @param {Function} isMutedByPlayer - Whether the player muted itself in order to autoplay.
+ */
+class PreferencesStore {
+  /**
+   * The preferences store class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('PreferencesStore');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * Sets a saved playback attribute on the player.
+   * @type {Function}
+   * @private
+   */
+  _onApply: (attribute: string, value: any) => void;
+  /**
+   * Whether the player muted itself in order to autoplay.
+   * @type {Function}
+   * @private
+   */
+  _isMutedByPlayer: () => boolean;
+  /**
+   * The event manager of the preferences store.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The storage adapter.
+   * @type {IStorageAdapter}
+   * @private
+   */
+  _storage: IStorageAdapter;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   * @param {Function} onApply - Sets a saved playback attribute on the player.
+   * @param {Function} isMutedByPlayer - Whether the player muted itself in order to autoplay.
+   */
+  constructor(player: Player, onApply: (attribute: string, value: any) => void, isMutedByPlayer: () => boolean) {
+    this._player = player;
+    this._onApply = onApply;
+    this._isMutedByPlayer = isMutedByPlayer;
+    this._eventManager = new EventManager();
+    this._storage = LocalStorageAdapter.isSupported() ? new LocalStorageAdapter() : new MemoryStorageAdapter();
+    this._eventManager.listen(this._player, CustomEventType.MUTE_CHANGE, () => this._onMuteChange());
+    this._eventManager.listen(this._player, Html5EventType.VOLUME_CHANGE, () => this._save(PreferenceKey.VOLUME, this._player.volume));
+    this._eventManager.listen(this._player, Html5EventType.RATE_CHANGE, () => this._save(PreferenceKey.RATE, this._player.playbackRate));
+    this._eventManager.listen(this._player, CustomEventType.AUDIO_TRACK_CHANGED, (event: FakeEvent) =>
+      this._save(PreferenceKey.AUDIO_LANGUAGE, event.payload.selectedAudioTrack.language)
+    );
+    this._eventManager.listen(this._player, CustomEventType.TEXT_TRACK_CHANGED, (event: FakeEvent) =>
+      this._save(PreferenceKey.TEXT_LANGUAGE, event.payload.selectedTextTrack.language)
+    );
+    this._eventManager.listen(this._player, CustomEventType.TEXT_TRACK_OFFSET_CHANGED, (event: FakeEvent) =>
+      this._saveTextTrackOffset(event.payload.textTrack.language, event.payload.offset)
+    );
+    this._eventManager.listen(this._player, CustomEventType.TEXT_STYLE_CHANGED, () => {
+      const textStyle = this._player.textStyle;
+      if (textStyle) {
+        this._save(PreferenceKey.TEXT_STYLE, textStyle.toJSON());
+      }
+    });
+  }
+
+  /**
+   * Sets the storage adapter to persist the preferences with.
+   * @param {IStorageAdapter} storage - The storage adapter.
+   * @returns {void}
+   * @public
+   */
+  set storageAdapter(storage: IStorageAdapter): void {
+    this._storage = storage;
+  }
+
+  /**
+   * Gets the saved preferences of the persisted keys.
+   * @returns {Object} - The saved preferences.
+   * @public
+   */
+  get(): {[key: string]: any} {
+    const saved = this._load();
+    const preferences = {};
+    this._keys.forEach(key => {
+      if (saved[key] !== undefined) {
+        preferences[key] = saved[key];
+      }
+    });
+    return preferences;
+  }
+
+  /**
+   * Applies the saved preferences to the player playback attributes state and text style.
+   * Called on configure, so the preferences take effect before the media options and default tracks are set.
+   * @returns {void}
+   * @public
+   */
+  apply(): void {
+    const preferences = this.get();
+    Object.keys(preferences).forEach(key => {
+      if (key === PreferenceKey.TEXT_TRACK_OFFSET) {
+        // applied per media, when its external text tracks are created
+        return;
+      } else if (key === PreferenceKey.TEXT_STYLE) {
+        this._player.textStyle = TextStyle.fromJSON(preferences[key]);
+      } else {
+        this._onApply(key, preferences[key]);
+      }
+    });
+    PreferencesStore._logger.debug('Preferences applied', preferences);
+  }
+
+  /**
+   * Gets the saved timing offset of a text track of the current media, which is saved per `sources.id`.
+   * @param {string} language - The text track language.
+   * @returns {?number} - The offset in seconds, null if no offset was saved.
+   * @public
+   */
+  getTextTrackOffset(language: string): ?number {
+    const entryId = this._player.config.sources.id;
+    const offsets = this.get()[PreferenceKey.TEXT_TRACK_OFFSET];
+    const entryOffsets = entryId && offsets && offsets[entryId];
+    return entryOffsets && typeof entryOffsets[language] === 'number' ? entryOffsets[language] : null;
+  }
+
+  /**
+   * Clears the saved preferences.
+   * @returns {void}
+   * @public
+   */
+  clear(): void {
+    this._storage.removeItem(this._storageKey);
+  }
+
+  /**
+   * Destroys the preferences store.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Gets the configured keys to persist.
+   * @returns {Array<string>} - The keys.
+   * @private
+   */
+  get _keys(): Array<string> {
+    const config = this._player.config.preferences;
+    return (config && config.keys) || [];
+  }
+
+  /**
+   * Gets the storage key the preferences are saved under.
+   * @returns {string} - The storage key.
+   * @private
+   */
+  get _storageKey(): string {
+    const config = this._player.config.preferences;
+    return (config && config.storageKey) || '';
+  }
+
+  /**
+   * Saves the muted state, unless it was muted by the player in order to autoplay.
+   * @returns {void}
+   * @private
+   */
+  _onMuteChange(): void {
+    if (!this._isMutedByPlayer()) {
+      this._save(PreferenceKey.MUTED, this._player.muted);
+    }
+  }
+
+  /**
+   * Saves the timing offset of a text track of the current media, under its `sources.id`.
+   * @param {string} language - The text track language.
+   * @param {number} offset - The offset in seconds.
+   * @returns {void}
+   * @private
+   */
+  _saveTextTrackOffset(language: string, offset: number): void {
+    const entryId = this._player.config.sources.id;
+    if (entryId) {
+      const offsets = this._load()[PreferenceKey.TEXT_TRACK_OFFSET] || {};
+      offsets[entryId] = {...offsets[entryId], [language]: offset};
+      this._save(PreferenceKey.TEXT_TRACK_OFFSET, offsets);
+    }
+  }
+
+  /**
+   * Saves a single preference, if its key is persisted.
+   * @param {string} key - The preference key.
+   * @param {any} value - The preference value.
+   * @returns {void}
+   * @private
+   */
+  _save(key: string, value: any): void {
+    if (this._keys.includes(key) && value !== undefined && value !== null) {
+      const preferences = this._load();
+      preferences[key] = value;
+      this._storage.setItem(this._storageKey, JSON.stringify(preferences));
+    }
+  }
+
+  /**
+   * Loads all the saved preferences.
+   * @returns {Object} - The saved preferences, empty in case nothing was saved or the saved value is corrupted.
+   * @private
+   */
+  _load(): {[key: string]: any} {
+    const value = this._storage.getItem(this._storageKey);
+    if (value) {
+      try {
+        const preferences = JSON.parse(value);
+        if (preferences && typeof preferences === 'object') {
+          return preferences;
+        }
+      } catch (e) {
+        PreferencesStore._logger.warn('Failed to parse the saved preferences', e);
+      }
+    }
+    return {};
+  }
+}
+
+export {PreferencesStore, PreferenceKey};
@@ -0,0 +1,372 @@
+//@flow
+import Player from '../player';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import {StateType} from '../state/state-type';
+import {Category} from '../error/category';
+import {AdEventType} from '../ads/ad-event-type';
+import {getDroppedAndDecodedFrames, NOT_SUPPORTED} from '../engines/dropped-frames-watcher';
+import getLogger from '../utils/logger';
+
+/**
+ * Collects quality of experience metrics of the current media.
+ * @class QoeCollector
+ * @param {Player} player - The player.
+ */
+class QoeCollector {
+  /**
+   * The QoE collector class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('QoeCollector');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the QoE collector.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The time the playback has been requested, in ms.
+   * @type {number}
+   * @private
+   */
+  _playbackStartTime: number = NaN;
+  /**
+   * The time from the playback request to the first playing, in ms, without the ad breaks played in between.
+   * @type {number}
+   * @private
+   */
+  _startupTime: number = NaN;
+  /**
+   * The accumulated duration of the ad breaks which ended before the first playing, in ms.
+   * @type {number}
+   * @private
+   */
+  _startupAdBreaksDuration: number = 0;
+  /**
+   * The start time of the ongoing ad break before the first playing, in ms.
+   * @type {number}
+   * @private
+   */
+  _adBreakStartTime: number = NaN;
+  /**
+   * Whether the media has been playing.
+   * @type {boolean}
+   * @private
+   */
+  _firstPlaying: boolean = false;
+  /**
+   * The number of rebuffers.
+   * @type {number}
+   * @private
+   */
+  _rebufferCount: number = 0;
+  /**
+   * The accumulated duration of the ended rebuffers, in ms.
+   * @type {number}
+   * @private
+   */
+  _rebufferDuration: number = 0;
+  /**
+   * The start time of the ongoing rebuffer, in ms.
+   * @type {number}
+   * @private
+   */
+  _rebufferStartTime: number = NaN;
+  /**
+   * The start time of the ongoing seek, in ms.
+   * @type {number}
+   * @private
+   */
+  _seekStartTime: number = NaN;
+  /**
+   * The latencies of the completed seeks, in ms.
+   * @type {Array<number>}
+   * @private
+   */
+  _seekLatencies: Array<number> = [];
+  /**
+   * The video bitrate switches.
+   * @type {Array<PKQoeBitrateSwitchObject>}
+   * @private
+   */
+  _bitrateSwitches: Array<PKQoeBitrateSwitchObject> = [];
+  /**
+   * The number of FPS drop events.
+   * @type {number}
+   * @private
+   */
+  _fpsDropCount: number = 0;
+  /**
+   * The errors count by their category name.
+   * @type {Object}
+   * @private
+   */
+  _errors: {[category: string]: number} = {};
+  /**
+   * The beacon interval id.
+   * @type {?IntervalID}
+   * @private
+   */
+  _beaconInterval: ?IntervalID = null;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._eventManager = new EventManager();
+    this._eventManager.listen(this._player, CustomEventType.PLAYER_RESET, () => this.reset());
+    this._eventManager.listen(this._player, CustomEventType.PLAYBACK_START, () => this._onPlaybackStart());
+    this._eventManager.listen(this._player, CustomEventType.FIRST_PLAYING, () => this._onFirstPlaying());
+    this._eventManager.listen(this._player, AdEventType.AD_BREAK_START, () => this._onAdBreakStart());
+    this._eventManager.listen(this._player, AdEventType.AD_BREAK_END, () => this._onAdBreakEnd());
+    this._eventManager.listen(this._player, CustomEventType.PLAYER_STATE_CHANGED, (event: FakeEvent) => this._onStateChanged(event));
+    this._eventManager.listen(this._player, Html5EventType.SEEKING, () => this._onSeeking());
+    this._eventManager.listen(this._player, Html5EventType.SEEKED, () => this._onSeeked());
+    this._eventManager.listen(this._player, CustomEventType.VIDEO_TRACK_CHANGED, (event: FakeEvent) => this._onVideoTrackChanged(event));
+    this._eventManager.listen(this._player, CustomEventType.FPS_DROP, () => this._fpsDropCount++);
+    this._eventManager.listen(this._player, Html5EventType.ERROR, (event: FakeEvent) => this._onError(event));
+  }
+
+  /**
+   * Gets a snapshot of the QoE metrics of the current media.
+   * @returns {PKQoeReportObject} - The QoE report.
+   * @public
+   */
+  getReport(): PKQoeReportObject {
+    const now = this._now();
+    const seekCount = this._seekLatencies.length;
+    const [droppedFrames, decodedFrames] = this._getFrames();
+    return {
+      startupTime: this._startupTime,
+      rebufferCount: this._rebufferCount,
+      rebufferDuration: this._rebufferDuration + (isNaN(this._rebufferStartTime) ? 0 : now - this._rebufferStartTime),
+      seekCount,
+      averageSeekLatency: seekCount ? this._seekLatencies.reduce((sum, latency) => sum + latency, 0) / seekCount : NaN,
+      lastSeekLatency: seekCount ? this._seekLatencies[seekCount - 1] : NaN,
+      bitrateSwitches: this._bitrateSwitches.slice(),
+      droppedFrames,
+      decodedFrames,
+      fpsDropCount: this._fpsDropCount,
+      errors: Object.assign({}, this._errors)
+    };
+  }
+
+  /**
+   * Resets the metrics before a media change.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._stopBeacon();
+    this._playbackStartTime = NaN;
+    this._startupTime = NaN;
+    this._startupAdBreaksDuration = 0;
+    this._adBreakStartTime = NaN;
+    this._firstPlaying = false;
+    this._rebufferCount = 0;
+    this._rebufferDuration = 0;
+    this._rebufferStartTime = NaN;
+    this._seekStartTime = NaN;
+    this._seekLatencies = [];
+    this._bitrateSwitches = [];
+    this._fpsDropCount = 0;
+    this._errors = {};
+  }
+
+  /**
+   * Destroys the QoE collector.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Starts measuring the startup time and sending beacons.
+   * @returns {void}
+   * @private
+   */
+  _onPlaybackStart(): void {
+    this._playbackStartTime = this._now();
+    this._startBeacon();
+  }
+
+  /**
+   * Pauses the startup time clock while a preroll plays.
+   * @returns {void}
+   * @private
+   */
+  _onAdBreakStart(): void {
+    if (!this._firstPlaying && !isNaN(this._playbackStartTime)) {
+      this._adBreakStartTime = this._now();
+    }
+  }
+
+  /**
+   * Resumes the startup time clock once the preroll ends.
+   * @returns {void}
+   * @private
+   */
+  _onAdBreakEnd(): void {
+    if (!isNaN(this._adBreakStartTime)) {
+      this._startupAdBreaksDuration += this._now() - this._adBreakStartTime;
+      this._adBreakStartTime = NaN;
+    }
+  }
+
+  /**
+   * Sets the startup time.
+   * @returns {void}
+   * @private
+   */
+  _onFirstPlaying(): void {
+    this._firstPlaying = true;
+    if (!isNaN(this._playbackStartTime)) {
+      this._startupTime = this._now() - this._playbackStartTime - this._startupAdBreaksDuration;
+      QoeCollector._logger.debug(`Startup time ${this._startupTime}ms`);
+    }
+  }
+
+  /**
+   * Tracks the rebuffer periods. Buffering before the first playing (startup) or while seeking (seek latency) is not a rebuffer.
+   * @param {FakeEvent} event - The state changed event.
+   * @returns {void}
+   * @private
+   */
+  _onStateChanged(event: FakeEvent): void {
+    const {oldState, newState} = event.payload;
+    if (newState.type === StateType.BUFFERING && this._firstPlaying && isNaN(this._seekStartTime)) {
+      this._rebufferCount++;
+      this._rebufferStartTime = this._now();
+    } else if (oldState && oldState.type === StateType.BUFFERING && !isNaN(this._rebufferStartTime)) {
+      this._rebufferDuration += this._now() - this._rebufferStartTime;
+      this._rebufferStartTime = NaN;
+    }
+  }
+
+  /**
+   * Starts measuring the seek latency.
+   * @returns {void}
+   * @private
+   */
+  _onSeeking(): void {
+    this._seekStartTime = this._now();
+  }
+
+  /**
+   * Adds the seek latency.
+   * @returns {void}
+   * @private
+   */
+  _onSeeked(): void {
+    if (!isNaN(this._seekStartTime)) {
+      this._seekLatencies.push(this._now() - this._seekStartTime);
+      this._seekStartTime = NaN;
+    }
+  }
+
+  /**
+   * Adds a bitrate switch.
+   * @param {FakeEvent} event - The video track changed event.
+   * @returns {void}
+   * @private
+   */
+  _onVideoTrackChanged(event: FakeEvent): void {
+    const track = event.payload.selectedVideoTrack;
+    if (track) {
+      this._bitrateSwitches.push({
+        timestamp: Date.now(),
+        currentTime: this._player.currentTime || 0,
+        bitrate: track.bandwidth,
+        width: track.width,
+        height: track.height
+      });
+    }
+  }
+
+  /**
+   * Counts an error by its category.
+   * @param {FakeEvent} event - The error event.
+   * @returns {void}
+   * @private
+   */
+  _onError(event: FakeEvent): void {
+    const category = Object.keys(Category).find(name => Category[name] === (event.payload && event.payload.category)) || 'UNKNOWN';
+    this._errors[category] = (this._errors[category] || 0) + 1;
+  }
+
+  /**
+   * Starts the periodic beacon.
+   * @returns {void}
+   * @private
+   */
+  _startBeacon(): void {
+    this._stopBeacon();
+    const beaconInterval = this._player.config.qoe && this._player.config.qoe.beaconInterval;
+    if (beaconInterval > 0) {
+      this._beaconInterval = setInterval(() => this._sendBeacon(), beaconInterval * 1000);
+    }
+  }
+
+  /**
+   * Stops the periodic beacon.
+   * @returns {void}
+   * @private
+   */
+  _stopBeacon(): void {
+    if (this._beaconInterval) {
+      clearInterval(this._beaconInterval);
+      this._beaconInterval = null;
+    }
+  }
+
+  /**
+   * Dispatches a beacon with the current report.
+   * @returns {void}
+   * @private
+   */
+  _sendBeacon(): void {
+    this._player.dispatchEvent(new FakeEvent(CustomEventType.QOE_BEACON, {report: this.getReport()}));
+  }
+
+  /**
+   * Gets the dropped and decoded frames of the video element.
+   * @returns {[number, number]} - The dropped and decoded frames, NaN if not available.
+   * @private
+   */
+  _getFrames(): [number, number] {
+    const videoElement = this._player.getVideoElement();
+    if (videoElement) {
+      const [droppedFrames, decodedFrames] = getDroppedAndDecodedFrames(videoElement);
+      if (droppedFrames !== NOT_SUPPORTED) {
+        return [droppedFrames, decodedFrames];
+      }
+    }
+    return [NaN, NaN];
+  }
+
+  /**
+   * Gets a monotonic timestamp.
+   * @returns {number} - The timestamp in ms.
+   * @private
+   */
+  _now(): number {
+    return window.performance && typeof window.performance.now === 'function' ? window.performance.now() : Date.now();
+  }
+}
+
+export {QoeCollector};
@@ -0,0 +1,86 @@
+//@flow
+import {getChildren, parseDuration} from '../metadata/event-stream-parser';
+import {resolveUrl} from './vtt-thumbnail-parser';
+
+/**
+ * The scheme of the tile layout property of a DASH image representation.
+ * @type {string}
+ * @const
+ */
+const THUMBNAIL_TILE_SCHEME: string = 'http://dashif.org/thumbnail_tile';
+
+/**
+ * Resolves the base url of an element by its BaseURL child.
+ * @param {Element} element - The element.
+ * @param {string} baseUrl - The base url of the parent element.
+ * @returns {string} - The base url of the element.
+ */
+function getBaseUrl(element: Element, baseUrl: string): string {
+  const [baseUrlElement] = getChildren(element, 'BaseURL');
+  return baseUrlElement ? resolveUrl(baseUrlElement.textContent.trim(), baseUrl) : baseUrl;
+}
+
+/**
+ * Parses the image adaptation sets (thumbnail tiles, as of the DASH-IF guidelines) of a DASH manifest into thumbnail sets.
+ * Only the number based segment templates are supported, and the representations are kept in the manifest order.
+ * @param {string|Document} manifest - The manifest, or its parsed document.
+ * @param {string} manifestUrl - The manifest url, which the image urls are relative to.
+ * @returns {Array<PKThumbnailSetObject>} - The thumbnail sets.
+ */
+function parseDashImageSets(manifest: string | Document, manifestUrl: string): Array<PKThumbnailSetObject> {
+  const document = typeof manifest === 'string' ? new DOMParser().parseFromString(manifest, 'text/xml') : manifest;
+  const mpd = document.documentElement;
+  if (!mpd || mpd.localName !== 'MPD') {
+    return [];
+  }
+  const thumbnailSets = [];
+  const mpdBaseUrl = getBaseUrl(mpd, manifestUrl);
+  const mediaPresentationDuration = parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+  let periodStart = 0;
+  getChildren(mpd, 'Period').forEach(period => {
+    const start = parseDuration(period.getAttribute('start'));
+    periodStart = isNaN(start) ? periodStart : start;
+    const duration = parseDuration(period.getAttribute('duration'));
+    const periodEnd = !isNaN(duration) ? periodStart + duration : !isNaN(mediaPresentationDuration) ? mediaPresentationDuration : Infinity;
+    const periodBaseUrl = getBaseUrl(period, mpdBaseUrl);
+    getChildren(period, 'AdaptationSet')
+      .filter(adaptationSet => adaptationSet.getAttribute('contentType') === 'image' || /^image\//.test(adaptationSet.getAttribute('mimeType') || ''))
+      .forEach(adaptationSet => {
+        const adaptationSetBaseUrl = getBaseUrl(adaptationSet, periodBaseUrl);
+        const [adaptationSetTemplate] = getChildren(adaptationSet, 'SegmentTemplate');
+        getChildren(adaptationSet, 'Representation').forEach(representation => {
+          const [template = adaptationSetTemplate] = getChildren(representation, 'SegmentTemplate');
+          const tileProperty = getChildren(representation, 'EssentialProperty')
+            .concat(getChildren(adaptationSet, 'EssentialProperty'))
+            .find(property => property.getAttribute('schemeIdUri') === THUMBNAIL_TILE_SCHEME);
+          const layout = /^(\d+)x(\d+)$/.exec(tileProperty ? tileProperty.getAttribute('value') || '' : '1x1');
+          const media = template && template.getAttribute('media');
+          const segmentDuration = template ? parseInt(template.getAttribute('duration')) / (parseInt(template.getAttribute('timescale')) || 1) : NaN;
+          if (!layout || !media || !media.includes('$Number') || !(segmentDuration > 0)) {
+            return;
+          }
+          const [columns, rows] = layout.slice(1).map(value => parseInt(value));
+          const startNumber = parseInt(template.getAttribute('startNumber'));
+          const urlTemplate = media
+            .replace(/\$RepresentationID\$/g, representation.getAttribute('id') || '')
+            .replace(/\$Bandwidth\$/g, representation.getAttribute('bandwidth') || '');
+          thumbnailSets.push({
+            startTime: periodStart,
+            endTime: periodEnd,
+            imageDuration: segmentDuration,
+            tileDuration: segmentDuration / (columns * rows),
+            columns,
+            rows,
+            width: Math.floor((parseInt(representation.getAttribute('width')) || 0) / columns),
+            height: Math.floor((parseInt(representation.getAttribute('height')) || 0) / rows),
+            urlTemplate: resolveUrl(urlTemplate, getBaseUrl(representation, adaptationSetBaseUrl)),
+            startNumber: isNaN(startNumber) ? 1 : startNumber
+          });
+        });
+      });
+    periodStart = periodEnd;
+  });
+  return thumbnailSets;
+}
+
+export {parseDashImageSets};
@@ -0,0 +1,94 @@
+//@flow
+import {resolveUrl} from './vtt-thumbnail-parser';
+
+/**
+ * Parses the attribute list of a playlist tag, keeping the values as strings.
+ * @param {string} list - The attribute list.
+ * @returns {Object} - The attributes by their name.
+ */
+function parseAttributes(list: string): {[name: string]: string} {
+  const attributes = {};
+  const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = regex.exec(list))) {
+    const [, name, value] = match;
+    attributes[name] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attributes;
+}
+
+/**
+ * Parses a RESOLUTION or a LAYOUT attribute (such as 320x180).
+ * @param {string} [value] - The attribute value.
+ * @returns {Array<number>} - The two dimensions, zeros if the attribute is invalid.
+ */
+function parseDimensions(value: ?string): [number, number] {
+  const match = /^(\d+)x(\d+)$/.exec(value || '');
+  return match ? [parseInt(match[1]), parseInt(match[2])] : [0, 0];
+}
+
+/**
+ * Parses the image streams (EXT-X-IMAGE-STREAM-INF) of an HLS multivariant playlist.
+ * @param {string} playlist - The multivariant playlist.
+ * @param {string} playlistUrl - The playlist url, which the image playlist urls are relative to.
+ * @returns {Array<PKImageStreamObject>} - The image streams, in the playlist order.
+ */
+function parseHlsImageStreams(playlist: string, playlistUrl: string): Array<PKImageStreamObject> {
+  return playlist
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('#EXT-X-IMAGE-STREAM-INF:'))
+    .map(line => parseAttributes(line.substr(line.indexOf(':') + 1)))
+    .filter(attributes => attributes.URI)
+    .map(attributes => {
+      const [width, height] = parseDimensions(attributes.RESOLUTION);
+      return {url: resolveUrl(attributes.URI, playlistUrl), width, height, bandwidth: parseInt(attributes.BANDWIDTH) || 0};
+    });
+}
+
+/**
+ * Parses an HLS image playlist (EXT-X-IMAGES-ONLY) into thumbnail sets, one per image.
+ * The EXT-X-TILES tag of an image gives its tile layout, the size of a tile and the duration of a tile.
+ * @param {string} playlist - The image playlist.
+ * @param {string} playlistUrl - The playlist url, which the image urls are relative to.
+ * @param {number} [playlistStartTime=0] - The media time of the first image of the playlist, in seconds.
+ * @returns {Array<PKThumbnailSetObject>} - The thumbnail sets, sorted by their start time.
+ */
+function parseHlsImagePlaylist(playlist: string, playlistUrl: string, playlistStartTime: number = 0): Array<PKThumbnailSetObject> {
+  const thumbnailSets = [];
+  let startTime = playlistStartTime;
+  let imageDuration = 0;
+  let tiles = {};
+  playlist
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .forEach(line => {
+      const value = line.substr(line.indexOf(':') + 1);
+      if (line.startsWith('#EXTINF:')) {
+        imageDuration = parseFloat(value) || 0;
+      } else if (line.startsWith('#EXT-X-TILES:')) {
+        tiles = parseAttributes(value);
+      } else if (line && !line.startsWith('#')) {
+        const [width, height] = parseDimensions(tiles.RESOLUTION);
+        const [columns, rows] = tiles.LAYOUT ? parseDimensions(tiles.LAYOUT) : [1, 1];
+        if (imageDuration > 0 && columns > 0 && rows > 0) {
+          thumbnailSets.push({
+            startTime,
+            endTime: startTime + imageDuration,
+            imageDuration,
+            tileDuration: parseFloat(tiles.DURATION) || imageDuration / (columns * rows),
+            columns,
+            rows,
+            width,
+            height,
+            urls: [resolveUrl(line, playlistUrl)]
+          });
+        }
+        startTime += imageDuration;
+        imageDuration = 0;
+        tiles = {};
+      }
+    });
+  return thumbnailSets;
+}
+
+export {parseHlsImagePlaylist, parseHlsImageStreams};
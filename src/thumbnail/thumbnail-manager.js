@@ -0,0 +1,256 @@
+//@flow
+import Player from '../player';
+import FakeEvent from '../event/fake-event';
+import {Html5EventType} from '../event/event-type';
+import Error from '../error/error';
+import * as Utils from '../utils/util';
+import getLogger from '../utils/logger';
+import {parseVttThumbnails} from './vtt-thumbnail-parser';
+
+/**
+ * The maximum number of the sprite sheets kept in the image cache.
+ * @type {number}
+ * @const
+ */
+const MAX_CACHED_IMAGES: number = 20;
+
+/**
+ * Gets the url of an image of a thumbnail set.
+ * @param {PKThumbnailSetObject} thumbnailSet - The thumbnail set.
+ * @param {number} index - The image index in the set.
+ * @returns {?string} - The image url, null if the set has no such image.
+ */
+function getImageUrl(thumbnailSet: PKThumbnailSetObject, index: number): ?string {
+  if (thumbnailSet.urls) {
+    return thumbnailSet.urls[index] || null;
+  }
+  const number = (thumbnailSet.startNumber || 0) + index;
+  return thumbnailSet.urlTemplate
+    ? thumbnailSet.urlTemplate.replace(/\$Number(?:%0(\d+)d)?\$/g, (match, width) => `${number}`.padStart(parseInt(width) || 0, '0'))
+    : null;
+}
+
+/**
+ * Resolves the thumbnails of the media time, from a WebVTT thumbnails track (`sources.thumbnails`) or from the thumbnail sets
+ * the media source adapter reports (DASH image adaptation sets and HLS image streams).
+ * The sprite sheets of the requested thumbnails, and of the thumbnails which follow them, are prefetched and cached.
+ * @class ThumbnailManager
+ * @param {Player} player - The player.
+ */
+class ThumbnailManager {
+  /**
+   * The thumbnail manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('ThumbnailManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The thumbnails of the WebVTT thumbnails track, sorted by their start time.
+   * @type {Array<PKThumbnailObject>}
+   * @private
+   */
+  _vttThumbnails: Array<PKThumbnailObject> = [];
+  /**
+   * The thumbnail sets of the media source adapter, by their key.
+   * @type {Map<string, PKThumbnailSetObject>}
+   * @private
+   */
+  _thumbnailSets: Map<string, PKThumbnailSetObject> = new Map();
+  /**
+   * The cached sprite sheets by their url, from the least recently used.
+   * @type {Map<string, Image>}
+   * @private
+   */
+  _images: Map<string, Image> = new Map();
+  /**
+   * The number of the thumbnails track loads, to drop a track which arrives after the media changed.
+   * @type {number}
+   * @private
+   */
+  _loadCount: number = 0;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+  }
+
+  /**
+   * Loads a WebVTT thumbnails track, which takes precedence over the thumbnail sets of the media source adapter.
+   * @param {string} url - The track url.
+   * @returns {Promise<Array<PKThumbnailObject>>} - Resolves with the thumbnails, or with no thumbnails and a recoverable error fired if the track cannot be loaded.
+   * @public
+   */
+  load(url: string): Promise<Array<PKThumbnailObject>> {
+    const loadCount = ++this._loadCount;
+    return Utils.Http.execute(url, {}, 'GET')
+      .catch(() => {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.HTTP_ERROR, {url});
+      })
+      .then(response =>
+        parseVttThumbnails(response, url).catch(e => {
+          throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.INVALID_TEXT_HEADER, {url, error: e});
+        })
+      )
+      .then(thumbnails => {
+        if (loadCount !== this._loadCount) {
+          return [];
+        }
+        ThumbnailManager._logger.debug(`${thumbnails.length} thumbnails loaded`);
+        this._vttThumbnails = thumbnails;
+        this._prefetch(thumbnails[0]);
+        return thumbnails;
+      })
+      .catch(error => {
+        if (loadCount === this._loadCount) {
+          this._player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
+        }
+        return [];
+      });
+  }
+
+  /**
+   * Adds the thumbnail sets of the media source adapter. A set which was added before (such as an image of a refreshed live playlist) is replaced.
+   * @param {Array<PKThumbnailSetObject>} thumbnailSets - The thumbnail sets.
+   * @returns {void}
+   * @public
+   */
+  addThumbnailSets(thumbnailSets: Array<PKThumbnailSetObject>): void {
+    const isFirst = !this._thumbnailSets.size;
+    thumbnailSets.forEach(thumbnailSet => {
+      const url = thumbnailSet.urlTemplate || (thumbnailSet.urls || []).join(',');
+      this._thumbnailSets.set(`${url}:${thumbnailSet.startTime}`, thumbnailSet);
+    });
+    if (isFirst && thumbnailSets.length) {
+      this._prefetch(this._findThumbnail(thumbnailSets[0].startTime));
+    }
+  }
+
+  /**
+   * Gets the thumbnail of a media time, and prefetches its sprite sheet and the next one.
+   * @param {number} time - The media time, in seconds.
+   * @returns {?PKThumbnailObject} - The thumbnail, null if there is no thumbnail of the time.
+   * @public
+   */
+  getThumbnail(time: number): ?PKThumbnailObject {
+    const thumbnail = this._findThumbnail(time);
+    this._prefetch(thumbnail);
+    return thumbnail;
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._loadCount++;
+    this._vttThumbnails = [];
+    this._thumbnailSets.clear();
+    this._images.clear();
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+  }
+
+  /**
+   * Finds the thumbnail of a media time.
+   * @param {number} time - The media time, in seconds.
+   * @returns {?PKThumbnailObject} - The thumbnail, null if there is no thumbnail of the time.
+   * @private
+   */
+  _findThumbnail(time: number): ?PKThumbnailObject {
+    if (this._vttThumbnails.length) {
+      // binary search the last thumbnail which starts before the time
+      let low = 0;
+      let high = this._vttThumbnails.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (this._vttThumbnails[middle].startTime <= time) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      const thumbnail = this._vttThumbnails[low];
+      return thumbnail.startTime <= time && time < thumbnail.endTime ? thumbnail : null;
+    }
+    const thumbnailSet = Array.from(this._thumbnailSets.values()).find(thumbnailSet => thumbnailSet.startTime <= time && time < thumbnailSet.endTime);
+    if (!thumbnailSet) {
+      return null;
+    }
+    const {columns, rows, width, height, imageDuration, tileDuration} = thumbnailSet;
+    const imageIndex = Math.floor((time - thumbnailSet.startTime) / imageDuration);
+    const imageStartTime = thumbnailSet.startTime + imageIndex * imageDuration;
+    const tileIndex = Math.min(Math.floor((time - imageStartTime) / tileDuration), columns * rows - 1);
+    const url = getImageUrl(thumbnailSet, imageIndex);
+    if (!url) {
+      return null;
+    }
+    const startTime = imageStartTime + tileIndex * tileDuration;
+    return {
+      url,
+      x: (tileIndex % columns) * width,
+      y: Math.floor(tileIndex / columns) * height,
+      width,
+      height,
+      startTime,
+      endTime: Math.min(startTime + tileDuration, thumbnailSet.endTime)
+    };
+  }
+
+  /**
+   * Prefetches the sprite sheet of a thumbnail, and the sprite sheet of the thumbnail which follows it.
+   * @param {?PKThumbnailObject} thumbnail - The thumbnail.
+   * @returns {void}
+   * @private
+   */
+  _prefetch(thumbnail: ?PKThumbnailObject): void {
+    if (thumbnail) {
+      this._loadImage(thumbnail.url);
+      const next = this._findThumbnail(thumbnail.endTime);
+      if (next && next.url !== thumbnail.url) {
+        this._loadImage(next.url);
+      }
+    }
+  }
+
+  /**
+   * Loads a sprite sheet into the cache, and drops the least recently used sprite sheet once the cache is full.
+   * @param {string} url - The sprite sheet url.
+   * @returns {void}
+   * @private
+   */
+  _loadImage(url: string): void {
+    const cachedImage = this._images.get(url);
+    this._images.delete(url);
+    if (cachedImage) {
+      this._images.set(url, cachedImage);
+      return;
+    }
+    const image = new Image();
+    image.src = url;
+    this._images.set(url, image);
+    if (this._images.size > MAX_CACHED_IMAGES) {
+      const [leastRecentlyUsedUrl] = Array.from(this._images.keys());
+      this._images.delete(leastRecentlyUsedUrl);
+    }
+  }
+}
+
+export {ThumbnailManager};
@@ -0,0 +1,65 @@
+//@flow
+import {Parser, StringDecoder} from '../track/text-track-display';
+
+/**
+ * Resolves a url relative to the url of the file it appears in.
+ * @param {string} url - The url.
+ * @param {string} baseUrl - The url of the file.
+ * @returns {string} - The absolute url, or the url as is if it cannot be resolved.
+ */
+function resolveUrl(url: string, baseUrl: string): string {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Creates the thumbnail of a cue text of a WebVTT thumbnails track, which is an image url with an optional
+ * media fragment of the sprite coordinates (such as sprite.jpg#xywh=160,0,160,90).
+ * @param {string} text - The cue text.
+ * @param {number} startTime - The cue start time.
+ * @param {number} endTime - The cue end time.
+ * @param {string} baseUrl - The url of the track.
+ * @returns {?PKThumbnailObject} - The thumbnail, null if the cue has no url. A thumbnail without coordinates is the whole image, with no size.
+ */
+function parseThumbnailCue(text: string, startTime: number, endTime: number, baseUrl: string): ?PKThumbnailObject {
+  const [url, fragment] = text.trim().split('#');
+  if (!url) {
+    return null;
+  }
+  const match = /xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)/.exec(fragment || '');
+  const [x, y, width, height] = match ? match.slice(1).map(value => parseInt(value)) : [0, 0, 0, 0];
+  return {url: resolveUrl(url, baseUrl), x, y, width, height, startTime, endTime};
+}
+
+/**
+ * Parses a WebVTT thumbnails track into thumbnails, one per cue.
+ * @param {string} vttStr - The WebVTT file.
+ * @param {string} baseUrl - The url of the file, which the image urls are relative to.
+ * @returns {Promise<Array<PKThumbnailObject>>} - Resolves with the thumbnails sorted by their start time.
+ * Rejects with the parsing error if the file has no valid cue.
+ */
+function parseVttThumbnails(vttStr: string, baseUrl: string): Promise<Array<PKThumbnailObject>> {
+  return new Promise((resolve, reject) => {
+    const parser = new Parser(window, StringDecoder());
+    const thumbnails = [];
+    let parsingError = null;
+    parser.oncue = cue => {
+      const thumbnail = parseThumbnailCue(cue.text, cue.startTime, cue.endTime, baseUrl);
+      if (thumbnail) {
+        thumbnails.push(thumbnail);
+      }
+    };
+    parser.onparsingerror = e => {
+      parsingError = parsingError || e;
+    };
+    parser.onflush = () =>
+      parsingError && !thumbnails.length ? reject(parsingError) : resolve(thumbnails.sort((a, b) => a.startTime - b.startTime));
+    parser.parse(vttStr);
+    parser.flush();
+  });
+}
+
+export {parseVttThumbnails, resolveUrl};
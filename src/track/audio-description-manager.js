@@ -0,0 +1,342 @@
+//@flow
+import Player from '../player';
+import AudioTrack from './audio-track';
+import Track from './track';
+import {AudioTrackKind} from './audio-track-kind';
+import {Parser, StringDecoder} from './text-track-display';
+import {getPlainText} from './transcript-manager';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import Error from '../error/error';
+import * as Utils from '../utils/util';
+import getLogger from '../utils/logger';
+import {CueTimeline} from '../metadata/cue-timeline';
+
+/**
+ * The kind of the captions which describe the video.
+ * @type {string}
+ * @const
+ */
+const DESCRIPTIONS_KIND: string = 'descriptions';
+
+/**
+ * A cue of a text described track.
+ */
+type DescriptionCue = {
+  id: string,
+  startTime: number,
+  endTime: number,
+  text: string
+};
+
+/**
+ * Reads aloud the cues of a text described track (a WebVTT captions source of the `descriptions` kind) with the Web Speech API,
+ * and ducks the volume of the media while a description is read.
+ * The descriptions are read while the audio description is enabled (`playback.audioDescription`) and the active audio track doesn't describe the video itself.
+ * @class AudioDescriptionManager
+ * @param {Player} player - The player.
+ */
+class AudioDescriptionManager {
+  /**
+   * The audio description manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('AudioDescriptionManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the audio description manager.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The timeline of the description cues.
+   * @type {CueTimeline<DescriptionCue>}
+   * @private
+   */
+  _timeline: CueTimeline<DescriptionCue>;
+  /**
+   * The text described track which is read, null if no track is read.
+   * @type {?PKExternalCaptionObject}
+   * @private
+   */
+  _descriptionTrack: ?PKExternalCaptionObject = null;
+  /**
+   * The number of the text described track loads, to drop a track which arrives after another track was selected.
+   * @type {number}
+   * @private
+   */
+  _loadCount: number = 0;
+  /**
+   * The number of the descriptions which are read or queued.
+   * @type {number}
+   * @private
+   */
+  _pendingDescriptions: number = 0;
+  /**
+   * The volume of the media before the ducking, null if the volume isn't ducked.
+   * @type {?number}
+   * @private
+   */
+  _volume: ?number = null;
+
+  /**
+   * Checks whether the browser can read the descriptions aloud.
+   * @returns {boolean} - Whether the Web Speech API is supported.
+   * @static
+   * @public
+   */
+  static isSupported(): boolean {
+    return typeof window.speechSynthesis === 'object' && typeof window.SpeechSynthesisUtterance === 'function';
+  }
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._eventManager = new EventManager();
+    this._timeline = new CueTimeline(
+      player,
+      cue => this._speak(cue),
+      () => {}
+    );
+    this._eventManager.listen(this._player, CustomEventType.TRACKS_CHANGED, () => this.update());
+    this._eventManager.listen(this._player, CustomEventType.AUDIO_TRACK_CHANGED, () => this.update());
+    this._eventManager.listen(this._player, Html5EventType.PAUSE, () => this._pause());
+    this._eventManager.listen(this._player, Html5EventType.PLAY, () => this._resume());
+    this._eventManager.listen(this._player, Html5EventType.SEEKING, () => this._cancel());
+    this._eventManager.listen(this._player, Html5EventType.VOLUME_CHANGE, () => this._onVolumeChange());
+  }
+
+  /**
+   * Selects the text described track to read by the audio description config and the active audio track,
+   * and loads its cues.
+   * @returns {void}
+   * @public
+   */
+  update(): void {
+    const descriptionTrack = this._getDescriptionTrack();
+    const getUrl = track => (track ? track.url : null);
+    if (getUrl(descriptionTrack) === getUrl(this._descriptionTrack)) {
+      return;
+    }
+    this._unload();
+    this._descriptionTrack = descriptionTrack;
+    if (descriptionTrack) {
+      this._load(descriptionTrack);
+    }
+  }
+
+  /**
+   * Resets the manager, for the next media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._unload();
+    this._descriptionTrack = null;
+  }
+
+  /**
+   * Destroys the manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+    this._timeline.destroy();
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Gets the text described track to read: the track of the language of the active audio track, or the first track.
+   * @returns {?PKExternalCaptionObject} - The track, null if the descriptions aren't read.
+   * @private
+   */
+  _getDescriptionTrack(): ?PKExternalCaptionObject {
+    const {playback, sources} = this._player.config;
+    const activeAudioTrack: ?AudioTrack = this._player.getActiveTracks().audio;
+    if (
+      !playback.audioDescription ||
+      !AudioDescriptionManager.isSupported() ||
+      (activeAudioTrack && activeAudioTrack.kind === AudioTrackKind.DESCRIPTION)
+    ) {
+      return null;
+    }
+    const descriptionTracks = (sources.captions || []).filter(caption => caption.kind === DESCRIPTIONS_KIND);
+    const language = activeAudioTrack ? activeAudioTrack.language : playback.audioLanguage;
+    return descriptionTracks.find(caption => Track.langComparer(language, caption.language)) || descriptionTracks[0] || null;
+  }
+
+  /**
+   * Downloads and parses the cues of a text described track.
+   * @param {PKExternalCaptionObject} descriptionTrack - The track.
+   * @returns {Promise<void>} - Resolves once the cues are added, or a recoverable error fired if the track cannot be loaded.
+   * @private
+   */
+  _load(descriptionTrack: PKExternalCaptionObject): Promise<void> {
+    const loadCount = ++this._loadCount;
+    const {url} = descriptionTrack;
+    return Utils.Http.execute(url, {}, 'GET')
+      .catch(() => {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.HTTP_ERROR, {url});
+      })
+      .then(response => this._parseCues(response))
+      .then(cues => {
+        if (loadCount === this._loadCount) {
+          AudioDescriptionManager._logger.debug(`${cues.length} descriptions loaded, language: ${descriptionTrack.language}`);
+          this._timeline.add(cues);
+          this._timeline.refresh();
+        }
+      })
+      .catch(error => {
+        if (loadCount === this._loadCount) {
+          this._player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
+        }
+      });
+  }
+
+  /**
+   * Parses the cues of a WebVTT text described track.
+   * @param {string} vttStr - The WebVTT file.
+   * @returns {Promise<Array<DescriptionCue>>} - Resolves with the cues.
+   * @private
+   */
+  _parseCues(vttStr: string): Promise<Array<DescriptionCue>> {
+    return new Promise(resolve => {
+      const parser = new Parser(window, StringDecoder());
+      const cues = [];
+      parser.oncue = cue => {
+        const text = getPlainText(cue);
+        if (text) {
+          cues.push({id: `${cues.length}`, startTime: cue.startTime, endTime: cue.endTime, text});
+        }
+      };
+      parser.onflush = () => resolve(cues);
+      parser.parse(vttStr);
+      parser.flush();
+    });
+  }
+
+  /**
+   * Stops reading the descriptions of the current track, and removes its cues.
+   * @returns {void}
+   * @private
+   */
+  _unload(): void {
+    this._loadCount++;
+    this._timeline.reset();
+    this._cancel();
+  }
+
+  /**
+   * Reads a description aloud, and ducks the volume of the media while it is read.
+   * @param {DescriptionCue} cue - The description cue.
+   * @returns {void}
+   * @private
+   */
+  _speak(cue: DescriptionCue): void {
+    const {speechSynthesis, SpeechSynthesisUtterance} = window;
+    const utterance = new SpeechSynthesisUtterance(cue.text);
+    if (this._descriptionTrack) {
+      utterance.lang = this._descriptionTrack.language;
+    }
+    utterance.onend = utterance.onerror = () => {
+      this._pendingDescriptions = Math.max(this._pendingDescriptions - 1, 0);
+      if (!this._pendingDescriptions) {
+        this._restoreVolume();
+      }
+    };
+    this._pendingDescriptions++;
+    this._duckVolume();
+    speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Pauses the description which is read, along with the media.
+   * @returns {void}
+   * @private
+   */
+  _pause(): void {
+    if (this._pendingDescriptions) {
+      window.speechSynthesis.pause();
+    }
+  }
+
+  /**
+   * Resumes the description which is read, along with the media.
+   * @returns {void}
+   * @private
+   */
+  _resume(): void {
+    if (this._pendingDescriptions) {
+      window.speechSynthesis.resume();
+    }
+  }
+
+  /**
+   * Cancels the descriptions which are read or queued, and restores the volume of the media.
+   * @returns {void}
+   * @private
+   */
+  _cancel(): void {
+    if (this._pendingDescriptions) {
+      this._pendingDescriptions = 0;
+      window.speechSynthesis.cancel();
+    }
+    this._restoreVolume();
+  }
+
+  /**
+   * Ducks the volume of the media by the configured ratio.
+   * @returns {void}
+   * @private
+   */
+  _duckVolume(): void {
+    const volume = this._player.volume;
+    if (this._volume === null && typeof volume === 'number') {
+      this._volume = volume;
+      this._player.volume = volume * this._player.config.playback.audioDescriptionDucking;
+    }
+  }
+
+  /**
+   * Restores the volume of the media, if it is ducked.
+   * @returns {void}
+   * @private
+   */
+  _restoreVolume(): void {
+    const volume = this._volume;
+    if (typeof volume === 'number') {
+      this._volume = null;
+      this._player.volume = volume;
+    }
+  }
+
+  /**
+   * Keeps the volume the user set while the volume is ducked, instead of restoring the volume before the ducking.
+   * @returns {void}
+   * @private
+   */
+  _onVolumeChange(): void {
+    const volume = this._player.volume;
+    if (typeof this._volume === 'number' && typeof volume === 'number') {
+      const duckedVolume = this._volume * this._player.config.playback.audioDescriptionDucking;
+      if (Math.abs(volume - duckedVolume) > 0.01) {
+        this._volume = null;
+      }
+    }
+  }
+}
+
+export {AudioDescriptionManager, DESCRIPTIONS_KIND};
@@ -0,0 +1,7 @@
+// @flow
+const AudioTrackKind: PKAudioTrackKinds = {
+  MAIN: 'main',
+  DESCRIPTION: 'description'
+};
+
+export {AudioTrackKind};
@@ -1,10 +1,46 @@
 //@flow
 import Track from './track';
+import {AudioTrackKind} from './audio-track-kind';
+
+/**
+ * The kinds of the audio tracks which describe the video, as named by the video element (main-desc and descriptions)
+ * and by the DASH Role and HLS CHARACTERISTICS of the stream (description).
+ * @type {Array<string>}
+ * @const
+ */
+const DESCRIPTION_KINDS: Array<string> = ['description', 'descriptions', 'main-desc', 'public.accessibility.describes-video'];
 
 /**
  * Audio track representation of the player.
  * @classdesc
  */
-const AudioTrack: AudioTrack = class AudioTrack extends Track {};
+const AudioTrack: AudioTrack = class AudioTrack extends Track {
+  /**
+   * The kind of the audio track:
+   * main/description.
+   * @member
+   * @type {string}
+   * @private
+   */
+  _kind: string;
+
+  /**
+   * Getter for the kind of the audio track.
+   * @public
+   * @returns {string} - The kind of the audio track.
+   */
+  get kind(): string {
+    return this._kind;
+  }
+
+  /**
+   * @constructor
+   * @param {Object} settings - The track settings object.
+   */
+  constructor(settings: Object = {}) {
+    super(settings);
+    this._kind = DESCRIPTION_KINDS.includes(settings.kind) ? AudioTrackKind.DESCRIPTION : AudioTrackKind.MAIN;
+  }
+};
 
 export default AudioTrack;
@@ -0,0 +1,73 @@
+//@flow
+
+/**
+ * A caption character with its pen style.
+ */
+export type StyledChar = {
+  char: string,
+  italic: boolean,
+  underline: boolean,
+  color: string
+};
+
+/**
+ * The default caption color, which is rendered with no color class.
+ * @type {string}
+ * @const
+ */
+const DEFAULT_COLOR: string = 'white';
+
+/**
+ * Escapes the characters which are markup in cue text.
+ * @param {string} char - The character.
+ * @returns {string} - The escaped character.
+ */
+function escapeChar(char: string): string {
+  return char === '&' ? '&amp;' : char === '<' ? '&lt;' : char === '>' ? '&gt;' : char;
+}
+
+/**
+ * Converts a row of styled characters into cue text markup, with italic, underline and color class (<c.yellow>) tags.
+ * Empty cells are rendered as spaces, and the trailing spaces are removed.
+ * @param {Array<?StyledChar>} row - The row cells.
+ * @param {number} [from=0] - The first cell to convert.
+ * @returns {string} - The cue text of the row.
+ */
+function getRowText(row: Array<?StyledChar>, from: number = 0): string {
+  let end = row.length;
+  while (end > from) {
+    const cell = row[end - 1];
+    if (cell && cell.char.trim()) {
+      break;
+    }
+    end--;
+  }
+  let text = '';
+  let style = {italic: false, underline: false, color: DEFAULT_COLOR};
+  const closeTags = () => {
+    text += (style.color !== DEFAULT_COLOR ? '</c>' : '') + (style.underline ? '</u>' : '') + (style.italic ? '</i>' : '');
+  };
+  for (let i = from; i < end; i++) {
+    const cell = row[i] || {char: ' ', italic: style.italic, underline: style.underline, color: style.color};
+    if (cell.italic !== style.italic || cell.underline !== style.underline || cell.color !== style.color) {
+      closeTags();
+      text += (cell.italic ? '<i>' : '') + (cell.underline ? '<u>' : '') + (cell.color !== DEFAULT_COLOR ? `<c.${cell.color}>` : '');
+      style = cell;
+    }
+    text += escapeChar(cell.char);
+  }
+  closeTags();
+  return text;
+}
+
+/**
+ * Gets the index of the first non empty cell of a row.
+ * @param {Array<?StyledChar>} row - The row cells.
+ * @returns {number} - The index, the row length if the row is empty.
+ */
+function getRowIndent(row: Array<?StyledChar>): number {
+  const index = row.findIndex(cell => !!cell && !!cell.char.trim());
+  return index < 0 ? row.length : index;
+}
+
+export {DEFAULT_COLOR, getRowText, getRowIndent};
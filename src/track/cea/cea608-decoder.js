@@ -0,0 +1,540 @@
+//@flow
+import {Cue} from '../vtt-cue';
+import type {StyledChar} from './caption-text';
+import {DEFAULT_COLOR, getRowIndent, getRowText} from './caption-text';
+
+/**
+ * The caption rows of the CEA-608 screen.
+ * @type {number}
+ * @const
+ */
+const ROWS: number = 15;
+
+/**
+ * The caption columns of the CEA-608 screen.
+ * @type {number}
+ * @const
+ */
+const COLUMNS: number = 32;
+
+/**
+ * The caption modes.
+ * @type {Object}
+ * @const
+ */
+const CaptionMode: {[mode: string]: string} = {
+  POP_ON: 'popOn',
+  ROLL_UP: 'rollUp',
+  PAINT_ON: 'paintOn'
+};
+
+/**
+ * The characters of the basic character set which differ from ASCII.
+ * @type {Map<number, string>}
+ * @const
+ */
+const BASIC_CHARS: Map<number, string> = new Map([
+  [0x2a, 'á'],
+  [0x5c, 'é'],
+  [0x5e, 'í'],
+  [0x5f, 'ó'],
+  [0x60, 'ú'],
+  [0x7b, 'ç'],
+  [0x7c, '÷'],
+  [0x7d, 'Ñ'],
+  [0x7e, 'ñ'],
+  [0x7f, '█']
+]);
+
+/**
+ * The special characters (0x11 0x30 - 0x11 0x3F). The transparent space is rendered as a space.
+ * @type {Array<string>}
+ * @const
+ */
+const SPECIAL_CHARS: Array<string> = ['®', '°', '½', '¿', '™', '¢', '£', '♪', 'à', ' ', 'è', 'â', 'ê', 'î', 'ô', 'û'];
+
+/**
+ * The extended Spanish, miscellaneous and French characters (0x12 0x20 - 0x12 0x3F).
+ * @type {Array<string>}
+ * @const
+ */
+// prettier-ignore
+const EXTENDED_CHARS_1: Array<string> = [
+  'Á', 'É', 'Ó', 'Ú', 'Ü', 'ü', '‘', '¡', '*', '’', '—', '©', '℠', '•', '“', '”',
+  'À', 'Â', 'Ç', 'È', 'Ê', 'Ë', 'ë', 'Î', 'Ï', 'ï', 'Ô', 'Ù', 'ù', 'Û', '«', '»'
+];
+
+/**
+ * The extended Portuguese, German and Danish characters (0x13 0x20 - 0x13 0x3F).
+ * @type {Array<string>}
+ * @const
+ */
+// prettier-ignore
+const EXTENDED_CHARS_2: Array<string> = [
+  'Ã', 'ã', 'Í', 'Ì', 'ì', 'Ò', 'ò', 'Õ', 'õ', '{', '}', '\\', '^', '_', '|', '~',
+  'Ä', 'ä', 'Ö', 'ö', 'ß', '¥', '¤', '│', 'Å', 'å', 'Ø', 'ø', '┌', '┐', '└', '┘'
+];
+
+/**
+ * The rows of the preamble address codes, by the 3 lower bits of their first byte.
+ * @type {Array<number>}
+ * @const
+ */
+const PAC_ROWS: Array<number> = [11, 1, 3, 12, 14, 5, 7, 9];
+
+/**
+ * The pen colors of the preamble address and mid-row codes, as WebVTT color classes.
+ * @type {Array<string>}
+ * @const
+ */
+const COLORS: Array<string> = [DEFAULT_COLOR, 'lime', 'blue', 'cyan', 'red', 'yellow', 'magenta'];
+
+/**
+ * A caption memory (the displayed or the non-displayed one) of a caption channel.
+ * @class CaptionMemory
+ */
+class CaptionMemory {
+  /**
+   * The rows of the memory, the first one is row 1.
+   * @type {Array<Array<?StyledChar>>}
+   */
+  rows: Array<Array<?StyledChar>> = [];
+  /**
+   * The cursor row, 1 to 15.
+   * @type {number}
+   */
+  row: number = ROWS;
+  /**
+   * The cursor column, 0 to 31.
+   * @type {number}
+   */
+  column: number = 0;
+  /**
+   * The current pen style.
+   * @type {Object}
+   */
+  style: {italic: boolean, underline: boolean, color: string} = {italic: false, underline: false, color: DEFAULT_COLOR};
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Erases the memory.
+   * @returns {void}
+   */
+  clear(): void {
+    this.rows = [];
+    for (let i = 0; i < ROWS; i++) {
+      this.rows.push(new Array(COLUMNS).fill(null));
+    }
+  }
+
+  /**
+   * Writes a character at the cursor, and advances the cursor.
+   * @param {string} char - The character.
+   * @returns {void}
+   */
+  insert(char: string): void {
+    this.rows[this.row - 1][this.column] = {char, italic: this.style.italic, underline: this.style.underline, color: this.style.color};
+    this.column = Math.min(this.column + 1, COLUMNS - 1);
+  }
+
+  /**
+   * Erases the character before the cursor, and moves the cursor back.
+   * @returns {void}
+   */
+  backspace(): void {
+    if (this.column > 0) {
+      this.column--;
+      this.rows[this.row - 1][this.column] = null;
+    }
+  }
+
+  /**
+   * Erases the characters from the cursor to the end of its row.
+   * @returns {void}
+   */
+  deleteToEndOfRow(): void {
+    this.rows[this.row - 1].fill(null, this.column);
+  }
+
+  /**
+   * Scrolls the roll-up rows up by a row, and clears the base row.
+   * @param {number} rowCount - The number of roll-up rows.
+   * @returns {void}
+   */
+  rollUp(rowCount: number): void {
+    const top = Math.max(this.row - rowCount, 0);
+    this.rows.forEach((row, index) => {
+      if (index < top || index >= this.row) {
+        row.fill(null);
+      }
+    });
+    this.rows.splice(top, 1);
+    this.rows.splice(this.row - 1, 0, new Array(COLUMNS).fill(null));
+    this.column = 0;
+  }
+
+  /**
+   * Moves the roll-up rows to a new base row.
+   * @param {number} row - The new base row.
+   * @param {number} rowCount - The number of roll-up rows.
+   * @returns {void}
+   */
+  moveBaseRow(row: number, rowCount: number): void {
+    if (row !== this.row) {
+      const rollUpRows = this.rows.slice(Math.max(this.row - rowCount, 0), this.row);
+      this.clear();
+      rollUpRows.reverse().forEach((rollUpRow, index) => {
+        if (row - 1 - index >= 0) {
+          this.rows[row - 1 - index] = rollUpRow;
+        }
+      });
+      this.row = row;
+    }
+  }
+}
+
+/**
+ * A caption channel (CC1 - CC4) state.
+ * @class CaptionChannel
+ */
+class CaptionChannel {
+  /**
+   * The caption mode, empty until the first mode command.
+   * @type {string}
+   */
+  mode: string = '';
+  /**
+   * Whether the channel is in text mode (TR/RTD), which has no captions.
+   * @type {boolean}
+   */
+  textMode: boolean = false;
+  /**
+   * The number of roll-up rows.
+   * @type {number}
+   */
+  rollUpRows: number = 2;
+  /**
+   * The displayed memory.
+   * @type {CaptionMemory}
+   */
+  displayed: CaptionMemory = new CaptionMemory();
+  /**
+   * The non-displayed memory, which pop-on captions are loaded into.
+   * @type {CaptionMemory}
+   */
+  nonDisplayed: CaptionMemory = new CaptionMemory();
+  /**
+   * The displayed caption, not ended yet.
+   * @type {?Object}
+   */
+  openCue: ?{startTime: number, key: string, cue: Cue} = null;
+  /**
+   * The time of the first character written to the displayed memory since the last display update, null if none.
+   * @type {?number}
+   */
+  changeTime: ?number = null;
+
+  /**
+   * The memory which the characters and the cursor commands apply to.
+   * @returns {CaptionMemory} - The memory.
+   */
+  get memory(): CaptionMemory {
+    return this.mode === CaptionMode.POP_ON ? this.nonDisplayed : this.displayed;
+  }
+}
+
+/**
+ * Decodes CEA-608 caption byte pairs into cues of the four caption channels (CC1 - CC4).
+ * Pop-on captions are displayed at the end of caption command; roll-up and paint-on captions change on every control code.
+ * @class Cea608Decoder
+ * @param {Function} onCue - Called with the channel name (CC1 - CC4) and the cue, once a displayed caption ends.
+ */
+class Cea608Decoder {
+  /**
+   * The cue callback.
+   * @type {Function}
+   * @private
+   */
+  _onCue: (channel: string, cue: Cue) => void;
+  /**
+   * The channels, CC1 - CC4.
+   * @type {Array<CaptionChannel>}
+   * @private
+   */
+  _channels: Array<CaptionChannel> = [];
+  /**
+   * The data channel (0 or 1) the characters of each field are for, by the last control code.
+   * @type {Array<number>}
+   * @private
+   */
+  _dataChannels: Array<number> = [0, 0];
+  /**
+   * The last control code of each field, as control codes are transmitted twice.
+   * @type {Array<number>}
+   * @private
+   */
+  _lastControlCodes: Array<number> = [-1, -1];
+
+  /**
+   * @constructor
+   * @param {Function} onCue - The cue callback.
+   */
+  constructor(onCue: (channel: string, cue: Cue) => void) {
+    this._onCue = onCue;
+    this.reset();
+  }
+
+  /**
+   * Decodes a byte pair.
+   * @param {number} time - The presentation time of the pair, in seconds.
+   * @param {number} field - The field, 1 or 2.
+   * @param {number} data1 - The first byte, with its parity bit.
+   * @param {number} data2 - The second byte, with its parity bit.
+   * @returns {void}
+   * @public
+   */
+  decode(time: number, field: number, data1: number, data2: number): void {
+    const byte1 = data1 & 0x7f;
+    const byte2 = data2 & 0x7f;
+    const fieldIndex = field === 2 ? 1 : 0;
+    if (byte1 === 0 && byte2 === 0) {
+      return;
+    }
+    if (byte1 >= 0x10 && byte1 <= 0x1f) {
+      const code = (byte1 << 8) | byte2;
+      if (code === this._lastControlCodes[fieldIndex]) {
+        // the redundant transmission of the previous control code
+        this._lastControlCodes[fieldIndex] = -1;
+        return;
+      }
+      this._lastControlCodes[fieldIndex] = code;
+      this._dataChannels[fieldIndex] = byte1 & 0x08 ? 1 : 0;
+      const channelIndex = fieldIndex * 2 + this._dataChannels[fieldIndex];
+      this._decodeControlCode(this._channels[channelIndex], byte1 & 0x17, byte2);
+      this._updateDisplay(channelIndex, time);
+    } else {
+      this._lastControlCodes[fieldIndex] = -1;
+      const channel = this._channels[fieldIndex * 2 + this._dataChannels[fieldIndex]];
+      if (channel.mode && !channel.textMode) {
+        [byte1, byte2].filter(byte => byte >= 0x20).forEach(byte => channel.memory.insert(BASIC_CHARS.get(byte) || String.fromCharCode(byte)));
+        if (channel.memory === channel.displayed && channel.changeTime === null) {
+          // the display is updated by the next control code, as of the first written character
+          channel.changeTime = time;
+        }
+      }
+    }
+  }
+
+  /**
+   * Ends the displayed captions.
+   * @param {number} time - The end time, in seconds.
+   * @returns {void}
+   * @public
+   */
+  flush(time: number): void {
+    this._channels.forEach((channel, index) => {
+      if (channel.changeTime !== null) {
+        this._updateDisplay(index, time);
+      }
+      this._closeCue(index, time);
+    });
+  }
+
+  /**
+   * Resets the channels, dropping the displayed captions.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._channels = [0, 1, 2, 3].map(() => new CaptionChannel());
+    this._dataChannels = [0, 0];
+    this._lastControlCodes = [-1, -1];
+  }
+
+  /**
+   * Decodes a control code of a channel.
+   * @param {CaptionChannel} channel - The channel.
+   * @param {number} byte1 - The first byte, without the channel bit.
+   * @param {number} byte2 - The second byte.
+   * @returns {void}
+   * @private
+   */
+  _decodeControlCode(channel: CaptionChannel, byte1: number, byte2: number): void {
+    if ((byte1 === 0x14 || byte1 === 0x15) && byte2 >= 0x20 && byte2 <= 0x2f) {
+      this._decodeMiscellaneousCode(channel, byte2);
+    } else if (byte2 >= 0x40) {
+      this._decodePreambleAddressCode(channel, byte1, byte2);
+    } else if (channel.textMode || !channel.mode) {
+      return;
+    } else if (byte1 === 0x11 && byte2 >= 0x20 && byte2 <= 0x2f) {
+      // mid-row code
+      const attribute = (byte2 & 0x0e) >> 1;
+      channel.memory.style = {
+        italic: attribute === 7,
+        underline: (byte2 & 0x01) !== 0,
+        color: attribute === 7 ? channel.memory.style.color : COLORS[attribute]
+      };
+      channel.memory.insert(' ');
+    } else if (byte1 === 0x11 && byte2 >= 0x30 && byte2 <= 0x3f) {
+      channel.memory.insert(SPECIAL_CHARS[byte2 - 0x30]);
+    } else if ((byte1 === 0x12 || byte1 === 0x13) && byte2 >= 0x20 && byte2 <= 0x3f) {
+      // an extended character replaces the basic character sent before it, for decoders which do not support it
+      channel.memory.backspace();
+      channel.memory.insert((byte1 === 0x12 ? EXTENDED_CHARS_1 : EXTENDED_CHARS_2)[byte2 - 0x20]);
+    } else if (byte1 === 0x17 && byte2 >= 0x21 && byte2 <= 0x23) {
+      // tab offset
+      channel.memory.column = Math.min(channel.memory.column + byte2 - 0x20, COLUMNS - 1);
+    }
+  }
+
+  /**
+   * Decodes a miscellaneous control code of a channel.
+   * @param {CaptionChannel} channel - The channel.
+   * @param {number} command - The command, the second byte.
+   * @returns {void}
+   * @private
+   */
+  _decodeMiscellaneousCode(channel: CaptionChannel, command: number): void {
+    switch (command) {
+      case 0x20: // RCL - resume caption loading
+        channel.mode = CaptionMode.POP_ON;
+        channel.textMode = false;
+        break;
+      case 0x25: // RU2 - roll-up captions
+      case 0x26: // RU3
+      case 0x27: // RU4
+        if (channel.mode !== CaptionMode.ROLL_UP) {
+          channel.displayed.clear();
+          channel.nonDisplayed.clear();
+          channel.displayed.row = ROWS;
+          channel.displayed.column = 0;
+        }
+        channel.mode = CaptionMode.ROLL_UP;
+        channel.textMode = false;
+        channel.rollUpRows = command - 0x23;
+        break;
+      case 0x29: // RDC - resume direct captioning
+        channel.mode = CaptionMode.PAINT_ON;
+        channel.textMode = false;
+        break;
+      case 0x2a: // TR - text restart
+      case 0x2b: // RTD - resume text display
+        channel.textMode = true;
+        break;
+      case 0x2c: // EDM - erase displayed memory
+        channel.displayed.clear();
+        break;
+      case 0x2e: // ENM - erase non-displayed memory
+        channel.nonDisplayed.clear();
+        break;
+      case 0x2f: {
+        // EOC - end of caption
+        const displayed = channel.displayed;
+        channel.displayed = channel.nonDisplayed;
+        channel.nonDisplayed = displayed;
+        channel.mode = CaptionMode.POP_ON;
+        break;
+      }
+      default:
+        if (channel.mode && !channel.textMode) {
+          if (command === 0x21) {
+            // BS - backspace
+            channel.memory.backspace();
+          } else if (command === 0x24) {
+            // DER - delete to end of row
+            channel.memory.deleteToEndOfRow();
+          } else if (command === 0x2d && channel.mode === CaptionMode.ROLL_UP) {
+            // CR - carriage return
+            channel.displayed.rollUp(channel.rollUpRows);
+          }
+        }
+    }
+  }
+
+  /**
+   * Decodes a preamble address code, which moves the cursor to a row and an indent and sets the pen style.
+   * @param {CaptionChannel} channel - The channel.
+   * @param {number} byte1 - The first byte, without the channel bit.
+   * @param {number} byte2 - The second byte.
+   * @returns {void}
+   * @private
+   */
+  _decodePreambleAddressCode(channel: CaptionChannel, byte1: number, byte2: number): void {
+    if (byte1 < 0x10 || byte1 > 0x17 || channel.textMode || !channel.mode) {
+      return;
+    }
+    const row = PAC_ROWS[byte1 & 0x07] + (byte1 !== 0x10 && byte2 & 0x20 ? 1 : 0);
+    const memory = channel.memory;
+    if (channel.mode === CaptionMode.ROLL_UP) {
+      memory.moveBaseRow(row, channel.rollUpRows);
+    } else {
+      memory.row = row;
+    }
+    const attribute = byte2 & 0x1f;
+    const underline = (attribute & 0x01) !== 0;
+    if (attribute >= 0x10) {
+      memory.column = ((attribute & 0x0e) >> 1) * 4;
+      memory.style = {italic: false, underline, color: DEFAULT_COLOR};
+    } else {
+      const color = (attribute & 0x0e) >> 1;
+      memory.column = 0;
+      memory.style = {italic: color === 7, underline, color: color === 7 ? DEFAULT_COLOR : COLORS[color]};
+    }
+  }
+
+  /**
+   * Starts a new cue once the displayed memory of a channel has changed, and ends the previous one.
+   * @param {number} channelIndex - The channel index.
+   * @param {number} time - The time of the update, in seconds. The characters written before it change the display as of their own time.
+   * @returns {void}
+   * @private
+   */
+  _updateDisplay(channelIndex: number, time: number): void {
+    const channel = this._channels[channelIndex];
+    const changeTime = typeof channel.changeTime === 'number' ? channel.changeTime : time;
+    channel.changeTime = null;
+    const rows = channel.displayed.rows.map((row, index) => ({row, index})).filter(({row}) => getRowIndent(row) < COLUMNS);
+    const indent = Math.min(...rows.map(({row}) => getRowIndent(row)));
+    const text = rows.map(({row}) => getRowText(row, indent)).join('\n');
+    const key = rows.length ? `${rows[0].index}:${indent}:${text}` : '';
+    if (channel.openCue && channel.openCue.key === key) {
+      return;
+    }
+    this._closeCue(channelIndex, changeTime);
+    if (key) {
+      const cue = new Cue(changeTime, changeTime, text);
+      cue.snapToLines = false;
+      // the caption screen is the 80% safe area of the video
+      cue.line = Math.round((10 + (rows[0].index * 80) / ROWS) * 100) / 100;
+      cue.lineAlign = 'start';
+      cue.align = 'left';
+      cue.position = Math.round((10 + (indent * 80) / COLUMNS) * 100) / 100;
+      cue.size = 100 - cue.position;
+      channel.openCue = {startTime: changeTime, key, cue};
+    }
+  }
+
+  /**
+   * Ends the displayed cue of a channel.
+   * @param {number} channelIndex - The channel index.
+   * @param {number} time - The end time, in seconds.
+   * @returns {void}
+   * @private
+   */
+  _closeCue(channelIndex: number, time: number): void {
+    const openCue = this._channels[channelIndex].openCue;
+    this._channels[channelIndex].openCue = null;
+    if (openCue && time > openCue.startTime) {
+      openCue.cue.endTime = time;
+      this._onCue(`CC${channelIndex + 1}`, openCue.cue);
+    }
+  }
+}
+
+export {Cea608Decoder};
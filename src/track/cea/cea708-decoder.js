@@ -0,0 +1,616 @@
+//@flow
+import {Cue} from '../vtt-cue';
+import type {StyledChar} from './caption-text';
+import {DEFAULT_COLOR, getRowIndent, getRowText} from './caption-text';
+
+/**
+ * The maximal number of rows of a window.
+ * @type {number}
+ * @const
+ */
+const MAX_ROWS: number = 15;
+
+/**
+ * The maximal number of columns of a window.
+ * @type {number}
+ * @const
+ */
+const MAX_COLUMNS: number = 42;
+
+/**
+ * The number of windows of a service.
+ * @type {number}
+ * @const
+ */
+const WINDOWS: number = 8;
+
+/**
+ * The number of the parameter bytes of the C1 commands, 0x80 - 0x9F.
+ * @type {Array<number>}
+ * @const
+ */
+// prettier-ignore
+const C1_PARAMETER_LENGTHS: Array<number> = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0,
+  2, 3, 2, 0, 0, 0, 0, 4, 6, 6, 6, 6, 6, 6, 6, 6
+];
+
+/**
+ * The characters of the G2 character set (after the EXT1 code) which have a text representation.
+ * @type {Map<number, string>}
+ * @const
+ */
+const G2_CHARS: Map<number, string> = new Map([
+  [0x20, ' '],
+  [0x21, ' '],
+  [0x25, '…'],
+  [0x2a, 'Š'],
+  [0x2c, 'Œ'],
+  [0x30, '█'],
+  [0x31, '‘'],
+  [0x32, '’'],
+  [0x33, '“'],
+  [0x34, '”'],
+  [0x35, '•'],
+  [0x39, '™'],
+  [0x3a, 'š'],
+  [0x3c, 'œ'],
+  [0x3d, '℠'],
+  [0x3f, 'Ÿ'],
+  [0x76, '⅛'],
+  [0x77, '⅜'],
+  [0x78, '⅝'],
+  [0x79, '⅞'],
+  [0x7a, '│'],
+  [0x7b, '┐'],
+  [0x7c, '└'],
+  [0x7d, '─'],
+  [0x7e, '┘'],
+  [0x7f, '┌']
+]);
+
+/**
+ * The WebVTT color classes, by whether the red, green and blue components of a pen color are set.
+ * @type {Object}
+ * @const
+ */
+const COLORS: {[rgb: string]: string} = {
+  '000': DEFAULT_COLOR,
+  '100': 'red',
+  '010': 'lime',
+  '001': 'blue',
+  '110': 'yellow',
+  '101': 'magenta',
+  '011': 'cyan',
+  '111': DEFAULT_COLOR
+};
+
+/**
+ * A caption window of a service.
+ * @class CaptionWindow
+ */
+class CaptionWindow {
+  /**
+   * Whether the window is displayed.
+   * @type {boolean}
+   */
+  visible: boolean = false;
+  /**
+   * The display priority, 0 is the highest.
+   * @type {number}
+   */
+  priority: number = 0;
+  /**
+   * Whether the anchor is a percentage of the screen.
+   * @type {boolean}
+   */
+  relative: boolean = false;
+  /**
+   * The vertical anchor, a percentage or a row of the 75 rows screen.
+   * @type {number}
+   */
+  anchorVertical: number = 0;
+  /**
+   * The horizontal anchor, a percentage or a column of the 210 columns screen.
+   * @type {number}
+   */
+  anchorHorizontal: number = 0;
+  /**
+   * The anchor point of the window, 0 - 8 from the top left to the bottom right.
+   * @type {number}
+   */
+  anchorPoint: number = 0;
+  /**
+   * The number of rows.
+   * @type {number}
+   */
+  rowCount: number = 1;
+  /**
+   * The text alignment, left, right or center.
+   * @type {string}
+   */
+  align: string = 'left';
+  /**
+   * The window text.
+   * @type {Array<Array<?StyledChar>>}
+   */
+  rows: Array<Array<?StyledChar>> = [];
+  /**
+   * The pen row.
+   * @type {number}
+   */
+  row: number = 0;
+  /**
+   * The pen column.
+   * @type {number}
+   */
+  column: number = 0;
+  /**
+   * The pen style.
+   * @type {Object}
+   */
+  style: {italic: boolean, underline: boolean, color: string} = {italic: false, underline: false, color: DEFAULT_COLOR};
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Erases the window text, and moves the pen to its origin.
+   * @returns {void}
+   */
+  clear(): void {
+    this.rows = [];
+    for (let i = 0; i < MAX_ROWS; i++) {
+      this.rows.push(new Array(MAX_COLUMNS).fill(null));
+    }
+    this.row = 0;
+    this.column = 0;
+  }
+
+  /**
+   * Writes a character at the pen, and advances the pen.
+   * @param {string} char - The character.
+   * @returns {void}
+   */
+  insert(char: string): void {
+    if (this.column < MAX_COLUMNS) {
+      this.rows[this.row][this.column++] = {char, italic: this.style.italic, underline: this.style.underline, color: this.style.color};
+    }
+  }
+
+  /**
+   * Moves the pen to the start of the next row, scrolling the window up from its last row.
+   * @returns {void}
+   */
+  carriageReturn(): void {
+    this.column = 0;
+    if (this.row + 1 < this.rowCount) {
+      this.row++;
+    } else {
+      this.rows.splice(0, 1);
+      this.rows.splice(this.row, 0, new Array(MAX_COLUMNS).fill(null));
+    }
+  }
+
+  /**
+   * Gets the rows of the window which have text.
+   * @returns {Array<Array<?StyledChar>>} - The rows.
+   */
+  getTextRows(): Array<Array<?StyledChar>> {
+    return this.rows.slice(0, this.rowCount).filter(row => getRowIndent(row) < MAX_COLUMNS);
+  }
+}
+
+/**
+ * A caption service state.
+ * @class CaptionService
+ */
+class CaptionService {
+  /**
+   * The windows of the service.
+   * @type {Array<?CaptionWindow>}
+   */
+  windows: Array<?CaptionWindow> = new Array(WINDOWS).fill(null);
+  /**
+   * The current window index, -1 if none was defined.
+   * @type {number}
+   */
+  currentWindow: number = -1;
+  /**
+   * The displayed caption, not ended yet.
+   * @type {?Object}
+   */
+  openCue: ?{startTime: number, key: string, cue: Cue} = null;
+
+  /**
+   * The current window.
+   * @returns {?CaptionWindow} - The window, null if it is not defined.
+   */
+  get window(): ?CaptionWindow {
+    return this.currentWindow >= 0 ? this.windows[this.currentWindow] : null;
+  }
+}
+
+/**
+ * Decodes CEA-708 (DTVCC) caption packets into cues of the caption services.
+ * The displayed windows of a service make up its cue, which changes on the window and pen commands.
+ * @class Cea708Decoder
+ * @param {Function} onCue - Called with the service name (SERVICE1 - SERVICE63) and the cue, once a displayed caption ends.
+ */
+class Cea708Decoder {
+  /**
+   * The cue callback.
+   * @type {Function}
+   * @private
+   */
+  _onCue: (service: string, cue: Cue) => void;
+  /**
+   * The services, by their number.
+   * @type {Map<number, CaptionService>}
+   * @private
+   */
+  _services: Map<number, CaptionService> = new Map();
+  /**
+   * The bytes of the packet being received.
+   * @type {?Array<number>}
+   * @private
+   */
+  _packet: ?Array<number> = null;
+
+  /**
+   * @constructor
+   * @param {Function} onCue - The cue callback.
+   */
+  constructor(onCue: (service: string, cue: Cue) => void) {
+    this._onCue = onCue;
+  }
+
+  /**
+   * Decodes the DTVCC bytes of a cc_data construct.
+   * @param {number} time - The presentation time of the bytes, in seconds.
+   * @param {boolean} packetStart - Whether the bytes start a packet (cc_type 3) or continue it (cc_type 2).
+   * @param {number} data1 - The first byte.
+   * @param {number} data2 - The second byte.
+   * @returns {void}
+   * @public
+   */
+  decode(time: number, packetStart: boolean, data1: number, data2: number): void {
+    if (packetStart) {
+      this._processPacket(time);
+      this._packet = [data1, data2];
+    } else if (this._packet) {
+      this._packet.push(data1, data2);
+    }
+    const packet = this._packet;
+    if (packet) {
+      const sizeCode = packet[0] & 0x3f;
+      if (packet.length >= (sizeCode === 0 ? 128 : sizeCode * 2)) {
+        this._processPacket(time);
+      }
+    }
+  }
+
+  /**
+   * Ends the displayed captions.
+   * @param {number} time - The end time, in seconds.
+   * @returns {void}
+   * @public
+   */
+  flush(time: number): void {
+    this._services.forEach((service, number) => this._closeCue(number, time));
+  }
+
+  /**
+   * Resets the services, dropping the displayed captions.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._services.clear();
+    this._packet = null;
+  }
+
+  /**
+   * Decodes the service blocks of the received packet.
+   * @param {number} time - The presentation time, in seconds.
+   * @returns {void}
+   * @private
+   */
+  _processPacket(time: number): void {
+    const packet = this._packet;
+    this._packet = null;
+    if (!packet) {
+      return;
+    }
+    const sizeCode = packet[0] & 0x3f;
+    const size = Math.min(sizeCode === 0 ? 128 : sizeCode * 2, packet.length);
+    let offset = 1;
+    while (offset < size) {
+      let serviceNumber = packet[offset] >> 5;
+      const blockSize = packet[offset] & 0x1f;
+      offset++;
+      if (serviceNumber === 7 && offset < size) {
+        serviceNumber = packet[offset++] & 0x3f;
+      }
+      if (serviceNumber === 0 || offset + blockSize > size) {
+        // a null service block is the padding of the packet
+        break;
+      }
+      this._decodeServiceBlock(serviceNumber, packet.slice(offset, offset + blockSize), time);
+      offset += blockSize;
+    }
+  }
+
+  /**
+   * Decodes a service block.
+   * @param {number} serviceNumber - The service number.
+   * @param {Array<number>} data - The service block data.
+   * @param {number} time - The presentation time, in seconds.
+   * @returns {void}
+   * @private
+   */
+  _decodeServiceBlock(serviceNumber: number, data: Array<number>, time: number): void {
+    let service = this._services.get(serviceNumber);
+    if (!service) {
+      service = new CaptionService();
+      this._services.set(serviceNumber, service);
+    }
+    let offset = 0;
+    while (offset < data.length) {
+      const code = data[offset++];
+      const captionWindow = service.window;
+      if (code === 0x10) {
+        offset = this._decodeExtendedCode(service, data, offset);
+      } else if (code < 0x20) {
+        // C0 codes, 0x11 - 0x17 have a parameter byte and 0x18 - 0x1F have two
+        offset += code >= 0x18 ? 2 : code >= 0x11 ? 1 : 0;
+        captionWindow && this._decodeC0Code(captionWindow, code);
+      } else if (code >= 0x80 && code <= 0x9f) {
+        const length = C1_PARAMETER_LENGTHS[code - 0x80];
+        if (offset + length > data.length) {
+          break;
+        }
+        this._decodeC1Code(service, code, data.slice(offset, offset + length));
+        offset += length;
+      } else if (captionWindow) {
+        // G0 (ASCII, with a music note for 0x7F) and G1 (Latin-1)
+        captionWindow.insert(code === 0x7f ? '♪' : String.fromCharCode(code));
+      }
+    }
+    // the commands of a block are decoded at the same time, so the display is updated once
+    this._updateDisplay(serviceNumber, time);
+  }
+
+  /**
+   * Decodes a C0 code.
+   * @param {CaptionWindow} captionWindow - The current window.
+   * @param {number} code - The code.
+   * @returns {void}
+   * @private
+   */
+  _decodeC0Code(captionWindow: CaptionWindow, code: number): void {
+    switch (code) {
+      case 0x08: // BS - backspace
+        if (captionWindow.column > 0) {
+          captionWindow.rows[captionWindow.row][--captionWindow.column] = null;
+        }
+        break;
+      case 0x0c: // FF - form feed
+        captionWindow.clear();
+        break;
+      case 0x0d: // CR - carriage return
+        captionWindow.carriageReturn();
+        break;
+      case 0x0e: // HCR - horizontal carriage return
+        captionWindow.rows[captionWindow.row].fill(null);
+        captionWindow.column = 0;
+        break;
+    }
+  }
+
+  /**
+   * Decodes an extended code (after the EXT1 code), of which the G2 characters are inserted and the rest is skipped.
+   * @param {CaptionService} service - The service.
+   * @param {Array<number>} data - The service block data.
+   * @param {number} offset - The offset of the extended code.
+   * @returns {number} - The offset after the extended code and its parameters.
+   * @private
+   */
+  _decodeExtendedCode(service: CaptionService, data: Array<number>, offset: number): number {
+    if (offset >= data.length) {
+      return offset;
+    }
+    const code = data[offset++];
+    if (code < 0x20) {
+      // C2 codes
+      return offset + (code >= 0x18 ? 3 : code >= 0x10 ? 2 : code >= 0x08 ? 1 : 0);
+    }
+    if (code >= 0x80 && code <= 0x9f) {
+      // C3 codes, 0x90 - 0x9F have a variable length
+      return code >= 0x90 ? offset + 1 + (offset < data.length ? data[offset] & 0x3f : 0) : offset + (code >= 0x88 ? 5 : 4);
+    }
+    const captionWindow = service.window;
+    const char = G2_CHARS.get(code);
+    if (captionWindow && char) {
+      captionWindow.insert(char);
+    }
+    return offset;
+  }
+
+  /**
+   * Decodes a C1 (window and pen) command.
+   * @param {CaptionService} service - The service.
+   * @param {number} code - The command code.
+   * @param {Array<number>} params - The parameter bytes.
+   * @returns {void}
+   * @private
+   */
+  _decodeC1Code(service: CaptionService, code: number, params: Array<number>): void {
+    const captionWindow = service.window;
+    const forEachWindow = (callback: (captionWindow: CaptionWindow, index: number) => void) => {
+      service.windows.forEach((captionWindow, index) => {
+        if (captionWindow && params[0] & (1 << index)) {
+          callback(captionWindow, index);
+        }
+      });
+    };
+    if (code <= 0x87) {
+      // CW0 - CW7, set the current window
+      if (service.windows[code - 0x80]) {
+        service.currentWindow = code - 0x80;
+      }
+    } else if (code >= 0x98) {
+      this._defineWindow(service, code - 0x98, params);
+    } else {
+      switch (code) {
+        case 0x88: // CLW - clear windows
+          forEachWindow(captionWindow => captionWindow.clear());
+          break;
+        case 0x89: // DSW - display windows
+          forEachWindow(captionWindow => {
+            captionWindow.visible = true;
+          });
+          break;
+        case 0x8a: // HDW - hide windows
+          forEachWindow(captionWindow => {
+            captionWindow.visible = false;
+          });
+          break;
+        case 0x8b: // TGW - toggle windows
+          forEachWindow(captionWindow => {
+            captionWindow.visible = !captionWindow.visible;
+          });
+          break;
+        case 0x8c: // DLW - delete windows
+          forEachWindow((captionWindow, index) => {
+            service.windows[index] = null;
+            if (service.currentWindow === index) {
+              service.currentWindow = -1;
+            }
+          });
+          break;
+        case 0x8f: // RST - reset
+          service.windows = new Array(WINDOWS).fill(null);
+          service.currentWindow = -1;
+          break;
+        case 0x90: // SPA - set pen attributes
+          if (captionWindow) {
+            captionWindow.style = {...window.style, italic: (params[1] & 0x80) !== 0, underline: (params[1] & 0x40) !== 0};
+          }
+          break;
+        case 0x91: {
+          // SPC - set pen color
+          const rgb = [4, 2, 0].map(shift => (((params[0] >> shift) & 0x03) >= 2 ? '1' : '0')).join('');
+          if (captionWindow) {
+            captionWindow.style = {...window.style, color: COLORS[rgb]};
+          }
+          break;
+        }
+        case 0x92: // SPL - set pen location
+          if (captionWindow) {
+            captionWindow.row = Math.min(params[0] & 0x0f, MAX_ROWS - 1);
+            captionWindow.column = Math.min(params[1] & 0x3f, MAX_COLUMNS - 1);
+          }
+          break;
+        case 0x97: // SWA - set window attributes
+          if (captionWindow) {
+            captionWindow.align = ['left', 'right', 'center', 'left'][params[2] & 0x03];
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * Defines (or updates) a window, and makes it the current window.
+   * @param {CaptionService} service - The service.
+   * @param {number} index - The window index.
+   * @param {Array<number>} params - The define window parameters.
+   * @returns {void}
+   * @private
+   */
+  _defineWindow(service: CaptionService, index: number, params: Array<number>): void {
+    const captionWindow = service.windows[index] || new CaptionWindow();
+    captionWindow.visible = (params[0] & 0x20) !== 0;
+    captionWindow.priority = params[0] & 0x07;
+    captionWindow.relative = (params[1] & 0x80) !== 0;
+    captionWindow.anchorVertical = params[1] & 0x7f;
+    captionWindow.anchorHorizontal = params[2];
+    captionWindow.anchorPoint = Math.min(params[3] >> 4, 8);
+    captionWindow.rowCount = Math.min((params[3] & 0x0f) + 1, MAX_ROWS);
+    captionWindow.row = Math.min(captionWindow.row, captionWindow.rowCount - 1);
+    service.windows[index] = captionWindow;
+    service.currentWindow = index;
+  }
+
+  /**
+   * Starts a new cue once the displayed windows of a service have changed, and ends the previous one.
+   * The cue is positioned by the anchor of the displayed window with the highest priority.
+   * @param {number} serviceNumber - The service number.
+   * @param {number} time - The time of the change, in seconds.
+   * @returns {void}
+   * @private
+   */
+  _updateDisplay(serviceNumber: number, time: number): void {
+    const service = this._services.get(serviceNumber);
+    if (!service) {
+      return;
+    }
+    const windows = service.windows
+      .filter(captionWindow => !!captionWindow && captionWindow.visible && captionWindow.getTextRows().length > 0)
+      .sort((a, b) => (a && b ? a.priority - b.priority : 0));
+    const text = windows
+      .map(captionWindow => {
+        const rows = captionWindow ? captionWindow.getTextRows() : [];
+        const indent = Math.min(...rows.map(row => getRowIndent(row)));
+        return rows.map(row => getRowText(row, indent)).join('\n');
+      })
+      .join('\n');
+    const captionWindow = windows[0];
+    const key = captionWindow
+      ? `${captionWindow.anchorVertical}:${captionWindow.anchorHorizontal}:${captionWindow.anchorPoint}:${captionWindow.align}:${text}`
+      : '';
+    if (service.openCue && service.openCue.key === key) {
+      return;
+    }
+    this._closeCue(serviceNumber, time);
+    if (captionWindow) {
+      const cue = new Cue(time, time, text);
+      // the anchor is mapped into the 80% safe area of the video
+      const vertical = captionWindow.relative ? captionWindow.anchorVertical : (captionWindow.anchorVertical * 100) / 75;
+      const horizontal = captionWindow.relative ? captionWindow.anchorHorizontal : (captionWindow.anchorHorizontal * 100) / 210;
+      cue.snapToLines = false;
+      cue.line = Math.round((10 + Math.min(vertical, 100) * 0.8) * 100) / 100;
+      cue.lineAlign = ['start', 'center', 'end'][Math.floor(captionWindow.anchorPoint / 3)];
+      cue.align = captionWindow.align;
+      cue.position = Math.round((10 + Math.min(horizontal, 100) * 0.8) * 100) / 100;
+      cue.size = cue.align === 'left' ? 100 - cue.position : cue.align === 'right' ? cue.position : 2 * Math.min(cue.position, 100 - cue.position);
+      service.openCue = {startTime: time, key, cue};
+    }
+  }
+
+  /**
+   * Ends the displayed cue of a service.
+   * @param {number} serviceNumber - The service number.
+   * @param {number} time - The end time, in seconds.
+   * @returns {void}
+   * @private
+   */
+  _closeCue(serviceNumber: number, time: number): void {
+    const service = this._services.get(serviceNumber);
+    const openCue = service && service.openCue;
+    if (service && openCue) {
+      service.openCue = null;
+      if (time > openCue.startTime) {
+        openCue.cue.endTime = time;
+        this._onCue(`SERVICE${serviceNumber}`, openCue.cue);
+      }
+    }
+  }
+}
+
+export {Cea708Decoder};
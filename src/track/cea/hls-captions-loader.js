@@ -0,0 +1,310 @@
+//@flow
+import Error from '../../error/error';
+import {RequestType} from '../../request-type';
+import {CLOCK_RATE, demuxVideoPackets} from './ts-demuxer';
+import {getAnnexBNalUnits} from './sei-parser';
+import type {CaptionsFragment, CaptionsRequest} from './inband-captions-extractor';
+import {parseAttributes, resolveUrl} from '../../utils/m3u8';
+
+type HlsSegment = {
+  uri: string,
+  sequence: number,
+  discontinuity: number,
+  start: number,
+  duration: number,
+  byteRange: ?[number, number]
+};
+
+type HlsMediaPlaylist = {
+  segments: Array<HlsSegment>,
+  targetDuration: number,
+  ended: boolean,
+  encrypted: boolean,
+  fragmented: boolean
+};
+
+/**
+ * The 33 bits PTS wrap around.
+ * @type {number}
+ * @const
+ */
+const PTS_WRAP: number = 8589934592;
+
+/**
+ * Gets the media playlist of the lowest bandwidth video variant of a master playlist, as the captions of all variants are the same.
+ * @param {string} text - The playlist.
+ * @param {string} baseUrl - The playlist URL.
+ * @returns {?string} - The media playlist URL, null if the playlist is a media playlist.
+ */
+function getVariantUrl(text: string, baseUrl: string): ?string {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const variants = [];
+  lines.forEach((line, index) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attributes = parseAttributes(line.substr(line.indexOf(':') + 1));
+      const uri = lines.slice(index + 1).find(line => line && !line.startsWith('#'));
+      if (uri) {
+        const video = !attributes.CODECS || /avc1|avc3/.test(attributes.CODECS) || !!attributes.RESOLUTION;
+        variants.push({uri: resolveUrl(uri, baseUrl), bandwidth: parseInt(attributes.BANDWIDTH) || 0, video});
+      }
+    }
+  });
+  const videoVariants = variants.filter(variant => variant.video);
+  const candidates = videoVariants.length ? videoVariants : variants;
+  return candidates.length ? candidates.sort((a, b) => a.bandwidth - b.bandwidth)[0].uri : null;
+}
+
+/**
+ * Parses a media playlist. The segment start times are relative to the first segment of the playlist.
+ * @param {string} text - The playlist.
+ * @param {string} baseUrl - The playlist URL.
+ * @returns {HlsMediaPlaylist} - The media playlist.
+ */
+function parseMediaPlaylist(text: string, baseUrl: string): HlsMediaPlaylist {
+  const playlist = {segments: [], targetDuration: 0, ended: false, encrypted: false, fragmented: false};
+  let sequence = 0;
+  let discontinuity = 0;
+  let start = 0;
+  let duration = 0;
+  let byteRange = null;
+  let byteRangeEnd = 0;
+  text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .forEach(line => {
+      const value = line.substr(line.indexOf(':') + 1);
+      if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+        sequence = parseInt(value);
+      } else if (line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:')) {
+        discontinuity = parseInt(value);
+      } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+        playlist.targetDuration = parseFloat(value);
+      } else if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(value);
+      } else if (line === '#EXT-X-DISCONTINUITY') {
+        discontinuity++;
+      } else if (line === '#EXT-X-ENDLIST') {
+        playlist.ended = true;
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        playlist.fragmented = true;
+      } else if (line.startsWith('#EXT-X-KEY:')) {
+        playlist.encrypted = parseAttributes(value).METHOD !== 'NONE';
+      } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+        const [length, offset] = value.split('@').map(number => parseInt(number));
+        const rangeStart = isNaN(offset) ? byteRangeEnd : offset;
+        byteRange = [rangeStart, rangeStart + length];
+        byteRangeEnd = rangeStart + length;
+      } else if (line && !line.startsWith('#')) {
+        playlist.segments.push({uri: resolveUrl(line, baseUrl), sequence: sequence++, discontinuity, start, duration, byteRange});
+        start += duration;
+        byteRange = null;
+      }
+    });
+  return playlist;
+}
+
+/**
+ * Loads the MPEG-TS segments of an HLS stream around the playback time, and demuxes their video samples.
+ * The samples are timed by the playlist, as the native player times the stream by its first segment.
+ * @class HlsCaptionsLoader
+ * @param {string} url - The master or media playlist URL.
+ * @param {CaptionsRequest} request - The request function.
+ */
+class HlsCaptionsLoader {
+  /**
+   * The playlist URL.
+   * @type {string}
+   * @private
+   */
+  _url: string;
+  /**
+   * The request function.
+   * @type {CaptionsRequest}
+   * @private
+   */
+  _request: CaptionsRequest;
+  /**
+   * The media playlist URL, null until the master playlist is loaded.
+   * @type {?string}
+   * @private
+   */
+  _mediaPlaylistUrl: ?string = null;
+  /**
+   * The segments of the media playlist, by their media sequence number.
+   * @type {Map<number, HlsSegment>}
+   * @private
+   */
+  _segments: Map<number, HlsSegment> = new Map();
+  /**
+   * The media sequence numbers of the loaded segments.
+   * @type {Set<number>}
+   * @private
+   */
+  _loadedSegments: Set<number> = new Set();
+  /**
+   * The PTS of the playback time 0 of each discontinuity sequence, in clock ticks.
+   * @type {Map<number, number>}
+   * @private
+   */
+  _basePts: Map<number, number> = new Map();
+  /**
+   * The last loaded segment.
+   * @type {?HlsSegment}
+   * @private
+   */
+  _lastSegment: ?HlsSegment = null;
+  /**
+   * Whether the playlist has ended (a VOD or an ended event playlist).
+   * @type {boolean}
+   * @private
+   */
+  _ended: boolean = false;
+  /**
+   * The refresh interval of a live playlist, in milliseconds.
+   * @type {number}
+   * @private
+   */
+  _refreshInterval: number = 0;
+  /**
+   * The time the media playlist was last loaded at.
+   * @type {number}
+   * @private
+   */
+  _playlistLoadTime: number = 0;
+
+  /**
+   * @constructor
+   * @param {string} url - The playlist URL.
+   * @param {CaptionsRequest} request - The request function.
+   */
+  constructor(url: string, request: CaptionsRequest) {
+    this._url = url;
+    this._request = request;
+  }
+
+  /**
+   * Loads the next segment which is not loaded yet, of the segments in the loading window.
+   * @param {number} time - The playback time, the start of the loading window.
+   * @param {number} lookahead - The duration of the loading window, in seconds.
+   * @returns {Promise<?CaptionsFragment>} - The video samples of the segment, null if all the segments in the window are loaded.
+   * @public
+   */
+  loadNext(time: number, lookahead: number): Promise<?CaptionsFragment> {
+    return this._updatePlaylist().then(() => {
+      const segment = Array.from(this._segments.values()).find(
+        segment => !this._loadedSegments.has(segment.sequence) && segment.start + segment.duration > time && segment.start < time + lookahead
+      );
+      if (!segment) {
+        return null;
+      }
+      this._loadedSegments.add(segment.sequence);
+      return this._request(RequestType.SEGMENT, segment.uri, 'arraybuffer', segment.byteRange)
+        .then(response => this._parseSegment(segment, new Uint8Array(response.data)))
+        .catch(error => {
+          // the segment is loaded again by the next call
+          this._loadedSegments.delete(segment.sequence);
+          throw error;
+        });
+    });
+  }
+
+  /**
+   * Loads the media playlist, once for an ended playlist and by its target duration for a live one.
+   * @returns {Promise<void>} - Resolved once the playlist is updated.
+   * @private
+   */
+  _updatePlaylist(): Promise<void> {
+    if (this._playlistLoadTime && (this._ended || Date.now() - this._playlistLoadTime < this._refreshInterval)) {
+      return Promise.resolve();
+    }
+    const mediaPlaylistUrl = this._mediaPlaylistUrl;
+    const loadMediaPlaylist = mediaPlaylistUrl
+      ? this._request(RequestType.MANIFEST, mediaPlaylistUrl, 'text').then(response => ({url: mediaPlaylistUrl, text: response.data}))
+      : this._request(RequestType.MANIFEST, this._url, 'text').then(response => {
+          const variantUrl = getVariantUrl(response.data, this._url);
+          return variantUrl
+            ? this._request(RequestType.MANIFEST, variantUrl, 'text').then(response => ({url: variantUrl, text: response.data}))
+            : {url: this._url, text: response.data};
+        });
+    return loadMediaPlaylist.then(({url, text}) => {
+      this._mediaPlaylistUrl = url;
+      const playlist = parseMediaPlaylist(text, url);
+      if (playlist.encrypted || playlist.fragmented) {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNSUPPORTED_INBAND_CAPTIONS, {
+          reason: playlist.encrypted ? 'encrypted segments' : 'fragmented MP4 segments'
+        });
+      }
+      this._playlistLoadTime = Date.now();
+      this._ended = playlist.ended;
+      this._refreshInterval = playlist.targetDuration * 1000;
+      this._mergeSegments(playlist.segments);
+    });
+  }
+
+  /**
+   * Merges the segments of a loaded playlist, keeping the start times of the known segments.
+   * Segments which are no longer in a live playlist are removed.
+   * @param {Array<HlsSegment>} segments - The playlist segments.
+   * @returns {void}
+   * @private
+   */
+  _mergeSegments(segments: Array<HlsSegment>): void {
+    const known = segments.find(segment => this._segments.has(segment.sequence));
+    // the shift of the playlist start times to the timeline of the known segments
+    const knownSegment = known && this._segments.get(known.sequence);
+    const shift = known && knownSegment ? knownSegment.start - known.start : 0;
+    const merged = new Map();
+    segments.forEach(segment => merged.set(segment.sequence, this._segments.get(segment.sequence) || {...segment, start: segment.start + shift}));
+    this._segments = merged;
+    Array.from(this._loadedSegments)
+      .filter(sequence => !merged.has(sequence))
+      .forEach(sequence => this._loadedSegments.delete(sequence));
+  }
+
+  /**
+   * Demuxes the video samples of a segment, and times them by the playlist.
+   * @param {HlsSegment} segment - The segment.
+   * @param {Uint8Array} data - The segment data.
+   * @returns {CaptionsFragment} - The samples.
+   * @private
+   */
+  _parseSegment(segment: HlsSegment, data: Uint8Array): CaptionsFragment {
+    const packets = demuxVideoPackets(data);
+    let basePts = this._basePts.get(segment.discontinuity);
+    if (basePts === undefined && packets.length) {
+      basePts = Math.min(...packets.map(packet => packet.pts)) - segment.start * CLOCK_RATE;
+      this._basePts.set(segment.discontinuity, basePts);
+    }
+    const samples = packets.map(packet => {
+      let pts = packet.pts;
+      if (typeof basePts === 'number' && pts - basePts < -PTS_WRAP / 2) {
+        pts += PTS_WRAP;
+      }
+      return {time: (pts - (basePts || 0)) / CLOCK_RATE, nalUnits: getAnnexBNalUnits(packet.data)};
+    });
+    const lastSegment = this._lastSegment;
+    const discontinuity = !lastSegment || lastSegment.sequence + 1 !== segment.sequence || lastSegment.discontinuity !== segment.discontinuity;
+    this._lastSegment = segment;
+    const sequences = Array.from(this._segments.keys());
+    return {
+      samples,
+      discontinuity,
+      endTime: segment.start + segment.duration,
+      last: this._ended && segment.sequence === sequences[sequences.length - 1]
+    };
+  }
+
+  /**
+   * Destroys the loader.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._segments.clear();
+    this._loadedSegments.clear();
+    this._basePts.clear();
+    this._lastSegment = null;
+  }
+}
+
+export {HlsCaptionsLoader, getVariantUrl, parseMediaPlaylist};
@@ -0,0 +1,495 @@
+//@flow
+import EventManager from '../../event/event-manager';
+import {Html5EventType} from '../../event/event-type';
+import Error from '../../error/error';
+import * as Utils from '../../utils/util';
+import getLogger from '../../utils/logger';
+import {Cue} from '../vtt-cue';
+import {extractCcData} from './sei-parser';
+import {Cea608Decoder} from './cea608-decoder';
+import {Cea708Decoder} from './cea708-decoder';
+import {HlsCaptionsLoader} from './hls-captions-loader';
+import {Mp4CaptionsLoader} from './mp4-captions-loader';
+
+/**
+ * A video access unit, with its presentation time in seconds.
+ */
+export type VideoSample = {
+  time: number,
+  nalUnits: Array<Uint8Array>
+};
+
+/**
+ * The video samples of a loaded segment (or a group of samples of a progressive file).
+ */
+export type CaptionsFragment = {
+  samples: Array<VideoSample>,
+  discontinuity: boolean,
+  endTime: number,
+  last: boolean
+};
+
+/**
+ * Requests a resource for the loaders, with the player request and response filters.
+ */
+export type CaptionsRequest = (type: number, url: string, responseType: string, range?: ?[number, number]) => Promise<{status: number, data: any}>;
+
+/**
+ * The duration ahead of the playback time to extract the captions of, in seconds.
+ * @type {number}
+ * @const
+ */
+const LOOKAHEAD: number = 30;
+
+/**
+ * The delay before retrying a failed request, in milliseconds.
+ * @type {number}
+ * @const
+ */
+const RETRY_DELAY: number = 5000;
+
+/**
+ * The mime types of the HLS sources.
+ * @type {Array<string>}
+ * @const
+ */
+const HLS_MIME_TYPES: Array<string> = ['application/x-mpegurl', 'application/vnd.apple.mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+
+/**
+ * The mime types of the progressive sources.
+ * @type {Array<string>}
+ * @const
+ */
+const PROGRESSIVE_MIME_TYPES: Array<string> = ['video/mp4'];
+
+/**
+ * The text tracks created by the extractors of each video element, by their channel. The tracks of a video element
+ * can't be removed, so they are reused by the next extractor of the element.
+ * @type {WeakMap<HTMLVideoElement, Map<string, TextTrack>>}
+ * @const
+ */
+const extractedTextTracks: WeakMap<HTMLVideoElement, Map<string, TextTrack>> = new WeakMap();
+
+/**
+ * Extracts the CEA-608/708 captions carried in the H.264 SEI NAL units of a native playback source (progressive MP4 or MPEG-TS HLS).
+ * The video samples around the playback time are loaded alongside the video element, and the decoded channels are added to the
+ * video element as captions text tracks, so they are listed, selected and rendered as any other native text track.
+ * @class InbandCaptionsExtractor
+ * @param {HTMLVideoElement} videoElement - The video element.
+ * @param {PKMediaSourceObject} source - The source.
+ * @param {Object} config - The adapter config, with the network config and the captions labels.
+ * @param {Function} onTextTracksChanged - Called once a text track is added, or once the extraction is stopped.
+ */
+class InbandCaptionsExtractor {
+  /**
+   * The inband captions extractor class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('InbandCaptionsExtractor');
+
+  /**
+   * Checks whether the captions of a source can be extracted, by its mime type.
+   * @param {?PKMediaSourceObject} source - The source.
+   * @returns {boolean} - Whether the source is supported.
+   * @static
+   * @public
+   */
+  static isSupported(source: ?PKMediaSourceObject): boolean {
+    const mimetype = source && source.mimetype ? source.mimetype.toLowerCase() : '';
+    return !!source && !!source.url && (HLS_MIME_TYPES.includes(mimetype) || PROGRESSIVE_MIME_TYPES.includes(mimetype));
+  }
+
+  /**
+   * Checks whether a text track of a video element was created by an extractor.
+   * @param {HTMLVideoElement} videoElement - The video element.
+   * @param {TextTrack} textTrack - The text track.
+   * @returns {boolean} - Whether the track is an extracted captions track.
+   * @static
+   * @public
+   */
+  static isExtractedTextTrack(videoElement: HTMLVideoElement, textTrack: TextTrack): boolean {
+    const textTracks = extractedTextTracks.get(videoElement);
+    return !!textTracks && Array.from(textTracks.values()).includes(textTrack);
+  }
+
+  /**
+   * The video element.
+   * @type {HTMLVideoElement}
+   * @private
+   */
+  _videoElement: HTMLVideoElement;
+  /**
+   * The adapter config.
+   * @type {Object}
+   * @private
+   */
+  _config: Object;
+  /**
+   * The text tracks changed callback.
+   * @type {Function}
+   * @private
+   */
+  _onTextTracksChanged: () => void;
+  /**
+   * The source loader.
+   * @type {HlsCaptionsLoader|Mp4CaptionsLoader}
+   * @private
+   */
+  _loader: HlsCaptionsLoader | Mp4CaptionsLoader;
+  /**
+   * The event manager.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The CEA-608 decoder.
+   * @type {Cea608Decoder}
+   * @private
+   */
+  _cea608Decoder: Cea608Decoder;
+  /**
+   * The CEA-708 decoder.
+   * @type {Cea708Decoder}
+   * @private
+   */
+  _cea708Decoder: Cea708Decoder;
+  /**
+   * The text tracks of the decoded channels, by their channel.
+   * @type {Map<string, TextTrack>}
+   * @private
+   */
+  _textTracks: Map<string, TextTrack> = new Map();
+  /**
+   * The pending requests, aborted on destroy.
+   * @type {Set<XMLHttpRequest>}
+   * @private
+   */
+  _requests: Set<XMLHttpRequest> = new Set();
+  /**
+   * Whether a fragment is being loaded.
+   * @type {boolean}
+   * @private
+   */
+  _loading: boolean = false;
+  /**
+   * Whether the extraction is active, false once it is stopped or destroyed.
+   * @type {boolean}
+   * @private
+   */
+  _active: boolean = true;
+  /**
+   * The time a failed request may be retried at.
+   * @type {number}
+   * @private
+   */
+  _retryTime: number = 0;
+  /**
+   * The end time of the last decoded fragment, in seconds.
+   * @type {number}
+   * @private
+   */
+  _lastEndTime: number = 0;
+
+  /**
+   * @constructor
+   * @param {HTMLVideoElement} videoElement - The video element.
+   * @param {PKMediaSourceObject} source - The source.
+   * @param {Object} config - The adapter config.
+   * @param {Function} onTextTracksChanged - The text tracks changed callback.
+   */
+  constructor(videoElement: HTMLVideoElement, source: PKMediaSourceObject, config: Object, onTextTracksChanged: () => void) {
+    this._videoElement = videoElement;
+    this._config = config;
+    this._onTextTracksChanged = onTextTracksChanged;
+    this._eventManager = new EventManager();
+    const request = (type, url, responseType, range) => this._request(type, url, responseType, range);
+    this._loader = HLS_MIME_TYPES.includes(source.mimetype.toLowerCase())
+      ? new HlsCaptionsLoader(source.url, request)
+      : new Mp4CaptionsLoader(source.url, request);
+    this._cea608Decoder = new Cea608Decoder((channel, cue) => this._addCue(channel, cue));
+    this._cea708Decoder = new Cea708Decoder((service, cue) => this._addCue(service, cue));
+  }
+
+  /**
+   * Whether the extraction is active. An inactive extractor has no text tracks.
+   * @returns {boolean} - Whether the extraction is active.
+   * @public
+   */
+  get active(): boolean {
+    return this._active;
+  }
+
+  /**
+   * Starts extracting the captions around the playback time.
+   * @returns {void}
+   * @public
+   */
+  start(): void {
+    InbandCaptionsExtractor._logger.debug('Start extracting the inband captions');
+    this._eventManager.listen(this._videoElement, Html5EventType.TIME_UPDATE, () => this._loadNext());
+    this._eventManager.listen(this._videoElement, Html5EventType.SEEKING, () => this._loadNext());
+    this._loadNext();
+  }
+
+  /**
+   * Gets the label and the language of an extracted text track.
+   * @param {TextTrack} textTrack - The text track.
+   * @returns {?Object} - The label and the language, null if the track is not a track of the extractor or the extractor is inactive.
+   * @public
+   */
+  getTextTrackSettings(textTrack: TextTrack): ?{label: string, language: string} {
+    if (!this._active) {
+      return null;
+    }
+    const channel = Array.from(this._textTracks.keys()).find(channel => this._textTracks.get(channel) === textTrack);
+    return channel ? this._getChannelSettings(channel) : null;
+  }
+
+  /**
+   * Destroys the extractor, and removes the cues of its text tracks.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._active = false;
+    this._eventManager.destroy();
+    this._requests.forEach(request => request.abort());
+    this._requests.clear();
+    this._loader.destroy();
+    this._cea608Decoder.reset();
+    this._cea708Decoder.reset();
+    this._textTracks.forEach(textTrack => {
+      const mode = textTrack.mode;
+      // the cues of a disabled track are not available
+      textTrack.mode = 'hidden';
+      Array.from(textTrack.cues || []).forEach(cue => textTrack.removeCue(cue));
+      textTrack.mode = mode;
+    });
+    this._textTracks.clear();
+  }
+
+  /**
+   * Loads and decodes the next fragment in the loading window, until all of its fragments are loaded.
+   * @returns {void}
+   * @private
+   */
+  _loadNext(): void {
+    if (!this._active || this._loading || Date.now() < this._retryTime) {
+      return;
+    }
+    this._loading = true;
+    this._loader
+      .loadNext(this._videoElement.currentTime, LOOKAHEAD)
+      .then(fragment => {
+        this._loading = false;
+        if (this._active && fragment) {
+          this._decode(fragment);
+          this._loadNext();
+        }
+      })
+      .catch(error => {
+        this._loading = false;
+        if (!this._active) {
+          return;
+        }
+        if (error instanceof Error && error.code === Error.Code.UNSUPPORTED_INBAND_CAPTIONS) {
+          InbandCaptionsExtractor._logger.warn('The inband captions of the source cannot be extracted', error.data);
+          this._stop();
+        } else {
+          InbandCaptionsExtractor._logger.warn('Failed to load the inband captions, retrying later', error);
+          this._retryTime = Date.now() + RETRY_DELAY;
+        }
+      });
+  }
+
+  /**
+   * Decodes the caption data of a fragment, in the presentation order of its samples.
+   * @param {CaptionsFragment} fragment - The fragment.
+   * @returns {void}
+   * @private
+   */
+  _decode(fragment: CaptionsFragment): void {
+    if (fragment.discontinuity) {
+      this._cea608Decoder.flush(this._lastEndTime);
+      this._cea708Decoder.flush(this._lastEndTime);
+      this._cea608Decoder.reset();
+      this._cea708Decoder.reset();
+    }
+    fragment.samples
+      .slice()
+      .sort((a, b) => a.time - b.time)
+      .forEach(sample => {
+        extractCcData(sample.nalUnits).forEach(ccData => {
+          if (ccData.type < 2) {
+            this._cea608Decoder.decode(sample.time, ccData.type + 1, ccData.data1, ccData.data2);
+          } else {
+            this._cea708Decoder.decode(sample.time, ccData.type === 3, ccData.data1, ccData.data2);
+          }
+        });
+      });
+    this._lastEndTime = fragment.endTime;
+    if (fragment.last) {
+      this._cea608Decoder.flush(fragment.endTime);
+      this._cea708Decoder.flush(fragment.endTime);
+    }
+  }
+
+  /**
+   * Adds a decoded cue to the text track of its channel.
+   * @param {string} channel - The channel (CC1 - CC4) or the service (SERVICE1 - SERVICE63).
+   * @param {Cue} cue - The cue.
+   * @returns {void}
+   * @private
+   */
+  _addCue(channel: string, cue: Cue): void {
+    const textTrack = this._getTextTrack(channel);
+    if (textTrack) {
+      try {
+        textTrack.addCue(cue);
+      } catch (e) {
+        InbandCaptionsExtractor._logger.warn('Failed to add a cue', channel, e);
+      }
+    }
+  }
+
+  /**
+   * Gets the text track of a channel, and creates it once its first cue is decoded.
+   * The CEA-708 services are not added when the stream has CEA-608 captions, as they are usually the same captions.
+   * @param {string} channel - The channel.
+   * @returns {?TextTrack} - The text track, null if the channel is not added.
+   * @private
+   */
+  _getTextTrack(channel: string): ?TextTrack {
+    let textTrack = this._textTracks.get(channel);
+    if (textTrack) {
+      return textTrack;
+    }
+    if (channel.startsWith('SERVICE') && Array.from(this._textTracks.keys()).some(channel => channel.startsWith('CC'))) {
+      return null;
+    }
+    let textTracks = extractedTextTracks.get(this._videoElement);
+    if (!textTracks) {
+      textTracks = new Map();
+      extractedTextTracks.set(this._videoElement, textTracks);
+    }
+    textTrack = textTracks.get(channel);
+    if (!textTrack) {
+      const {label, language} = this._getChannelSettings(channel);
+      textTrack = this._videoElement.addTextTrack('captions', label, language);
+      textTracks.set(channel, textTrack);
+    }
+    textTrack.mode = 'disabled';
+    this._textTracks.set(channel, textTrack);
+    InbandCaptionsExtractor._logger.debug(`Captions channel ${channel} found`);
+    this._onTextTracksChanged();
+    return textTrack;
+  }
+
+  /**
+   * Gets the label and the language of a channel. The first and the second language channels (CC1 and CC3, or services 1 and 2)
+   * are labelled by the captions text track config.
+   * @param {string} channel - The channel.
+   * @returns {Object} - The label and the language.
+   * @private
+   */
+  _getChannelSettings(channel: string): {label: string, language: string} {
+    const trackNumber = ['CC1', 'SERVICE1'].includes(channel) ? 1 : ['CC3', 'SERVICE2'].includes(channel) ? 2 : 0;
+    if (trackNumber) {
+      return {
+        label: this._config[`captionsTextTrack${trackNumber}Label`] || channel,
+        language: this._config[`captionsTextTrack${trackNumber}LanguageCode`] || ''
+      };
+    }
+    return {label: channel.replace('SERVICE', 'Service '), language: ''};
+  }
+
+  /**
+   * Stops the extraction, once the source is found to be unsupported.
+   * @returns {void}
+   * @private
+   */
+  _stop(): void {
+    this._active = false;
+    this._eventManager.removeAll();
+    this._onTextTracksChanged();
+  }
+
+  /**
+   * Requests a resource, with the request and response filters of the network config.
+   * @param {number} type - The request type.
+   * @param {string} url - The URL.
+   * @param {string} responseType - The response type, text or arraybuffer.
+   * @param {?Array<number>} range - The byte range, the end is exclusive.
+   * @returns {Promise<Object>} - The response status and data.
+   * @private
+   */
+  _request(type: number, url: string, responseType: string, range: ?[number, number]): Promise<{status: number, data: any}> {
+    const network = this._config.network || {};
+    const pkRequest: PKRequestObject = {url, body: null, headers: range ? {Range: `bytes=${range[0]}-${range[1] - 1}`} : {}};
+    let requestFilterPromise;
+    if (typeof network.requestFilter === 'function') {
+      try {
+        requestFilterPromise = network.requestFilter(type, pkRequest);
+      } catch (error) {
+        requestFilterPromise = Promise.reject(error);
+      }
+    }
+    requestFilterPromise = requestFilterPromise || Promise.resolve(pkRequest);
+    return requestFilterPromise
+      .catch(error => {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.REQUEST_FILTER_ERROR, error);
+      })
+      .then(
+        updatedRequest =>
+          new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            this._requests.add(request);
+            request.open('GET', updatedRequest.url, true);
+            request.responseType = responseType;
+            Object.entries(updatedRequest.headers || {}).forEach(([header, value]) => {
+              typeof value === 'string' && request.setRequestHeader(header, value);
+            });
+            request.onload = () => {
+              this._requests.delete(request);
+              if (request.status >= 200 && request.status < 300) {
+                resolve(request);
+              } else {
+                reject(new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.BAD_HTTP_STATUS, {url, status: request.status}));
+              }
+            };
+            request.onerror = () => {
+              this._requests.delete(request);
+              reject(new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.HTTP_ERROR, {url}));
+            };
+            request.send();
+          })
+      )
+      .then(request => {
+        const pkResponse: PKResponseObject = {
+          url: request.responseURL,
+          originalUrl: url,
+          data: request.response,
+          headers: Utils.Http.convertHeadersToDictionary(request.getAllResponseHeaders())
+        };
+        let responseFilterPromise;
+        if (typeof network.responseFilter === 'function') {
+          try {
+            responseFilterPromise = network.responseFilter(type, pkResponse);
+          } catch (error) {
+            responseFilterPromise = Promise.reject(error);
+          }
+        }
+        responseFilterPromise = responseFilterPromise || Promise.resolve(pkResponse);
+        return responseFilterPromise
+          .catch(error => {
+            throw new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.RESPONSE_FILTER_ERROR, error);
+          })
+          .then(updatedResponse => ({status: request.status, data: updatedResponse.data}));
+      });
+  }
+}
+
+export {InbandCaptionsExtractor};
@@ -0,0 +1,238 @@
+//@flow
+import Error from '../../error/error';
+import {RequestType} from '../../request-type';
+import {parseVideoTrack, readBoxHeader} from './mp4-parser';
+import {getLengthPrefixedNalUnits} from './sei-parser';
+import type {Mp4Sample, Mp4VideoTrack} from './mp4-parser';
+import type {CaptionsFragment, CaptionsRequest} from './inband-captions-extractor';
+
+type SampleGroup = {
+  samples: Array<Mp4Sample>,
+  start: number,
+  end: number
+};
+
+/**
+ * The size of the first range request, which usually contains the movie box of a file optimized for streaming.
+ * @type {number}
+ * @const
+ */
+const HEAD_SIZE: number = 65536;
+
+/**
+ * The maximal number of top level boxes to look for the movie box in.
+ * @type {number}
+ * @const
+ */
+const MAX_TOP_LEVEL_BOXES: number = 16;
+
+/**
+ * The minimal duration of a group of samples loaded by a single request, in seconds. A group ends at a sync sample.
+ * @type {number}
+ * @const
+ */
+const GROUP_DURATION: number = 10;
+
+/**
+ * Loads the video samples of a progressive MP4 file around the playback time, by range requests.
+ * The samples are loaded in groups which start at sync samples, so the captions of a group are in presentation order.
+ * @class Mp4CaptionsLoader
+ * @param {string} url - The file URL.
+ * @param {CaptionsRequest} request - The request function.
+ */
+class Mp4CaptionsLoader {
+  /**
+   * The file URL.
+   * @type {string}
+   * @private
+   */
+  _url: string;
+  /**
+   * The request function.
+   * @type {CaptionsRequest}
+   * @private
+   */
+  _request: CaptionsRequest;
+  /**
+   * The promise of the video track, parsed from the movie box.
+   * @type {?Promise<Mp4VideoTrack>}
+   * @private
+   */
+  _trackPromise: ?Promise<Mp4VideoTrack> = null;
+  /**
+   * The sample groups.
+   * @type {Array<SampleGroup>}
+   * @private
+   */
+  _groups: Array<SampleGroup> = [];
+  /**
+   * The indexes of the loaded groups.
+   * @type {Set<number>}
+   * @private
+   */
+  _loadedGroups: Set<number> = new Set();
+  /**
+   * The index of the last loaded group.
+   * @type {number}
+   * @private
+   */
+  _lastGroup: number = -1;
+
+  /**
+   * @constructor
+   * @param {string} url - The file URL.
+   * @param {CaptionsRequest} request - The request function.
+   */
+  constructor(url: string, request: CaptionsRequest) {
+    this._url = url;
+    this._request = request;
+  }
+
+  /**
+   * Loads the next group which is not loaded yet, of the groups in the loading window.
+   * @param {number} time - The playback time, the start of the loading window.
+   * @param {number} lookahead - The duration of the loading window, in seconds.
+   * @returns {Promise<?CaptionsFragment>} - The video samples of the group, null if all the groups in the window are loaded.
+   * @public
+   */
+  loadNext(time: number, lookahead: number): Promise<?CaptionsFragment> {
+    return this._getTrack().then(track => {
+      const index = this._groups.findIndex((group, index) => !this._loadedGroups.has(index) && group.end > time && group.start < time + lookahead);
+      if (index < 0) {
+        return null;
+      }
+      const group = this._groups[index];
+      const start = Math.min(...group.samples.map(sample => sample.offset));
+      const end = Math.max(...group.samples.map(sample => sample.offset + sample.size));
+      this._loadedGroups.add(index);
+      return this._requestRange(start, end)
+        .then(data => {
+          const samples = group.samples.map(sample => ({
+            time: sample.time,
+            nalUnits: getLengthPrefixedNalUnits(data.subarray(sample.offset - start, sample.offset - start + sample.size), track.lengthSize)
+          }));
+          const discontinuity = this._lastGroup + 1 !== index;
+          this._lastGroup = index;
+          return {samples, discontinuity, endTime: group.end, last: index === this._groups.length - 1};
+        })
+        .catch(error => {
+          // the group is loaded again by the next call
+          this._loadedGroups.delete(index);
+          throw error;
+        });
+    });
+  }
+
+  /**
+   * Gets the video track, and groups its samples once it is parsed.
+   * @returns {Promise<Mp4VideoTrack>} - The video track.
+   * @private
+   */
+  _getTrack(): Promise<Mp4VideoTrack> {
+    if (this._trackPromise) {
+      return this._trackPromise;
+    }
+    const trackPromise = this._findMovieBox(0, 0).then(moov => {
+      const track = parseVideoTrack(moov);
+      if (!track) {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNSUPPORTED_INBAND_CAPTIONS, {reason: 'no H.264 video track'});
+      }
+      this._groups = this._groupSamples(track.samples);
+      return track;
+    });
+    trackPromise.catch(() => {
+      this._trackPromise = null;
+    });
+    this._trackPromise = trackPromise;
+    return trackPromise;
+  }
+
+  /**
+   * Finds and loads the movie box, by reading the top level box headers.
+   * @param {number} offset - The offset of the top level box to start from.
+   * @param {number} count - The number of the top level boxes read so far.
+   * @returns {Promise<Uint8Array>} - The movie box content.
+   * @private
+   */
+  _findMovieBox(offset: number, count: number): Promise<Uint8Array> {
+    if (count >= MAX_TOP_LEVEL_BOXES) {
+      return Promise.reject(
+        new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNSUPPORTED_INBAND_CAPTIONS, {reason: 'movie box not found'})
+      );
+    }
+    return this._requestRange(offset, offset + (count === 0 ? HEAD_SIZE : 16)).then(data => {
+      let position = 0;
+      let header = readBoxHeader(data, position);
+      while (header && header.type !== 'moov' && header.size >= header.headerSize && position + header.size + 8 <= data.length) {
+        position += header.size;
+        count++;
+        header = readBoxHeader(data, position);
+      }
+      if (!header || header.size < header.headerSize) {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNSUPPORTED_INBAND_CAPTIONS, {reason: 'movie box not found'});
+      }
+      if (header.type !== 'moov') {
+        return this._findMovieBox(offset + position + header.size, count + 1);
+      }
+      if (position + header.size <= data.length) {
+        return data.subarray(position + header.headerSize, position + header.size);
+      }
+      return this._requestRange(offset + position + header.headerSize, offset + position + header.size);
+    });
+  }
+
+  /**
+   * Groups the samples by their decoding order, starting a group at a sync sample once the group is long enough.
+   * @param {Array<Mp4Sample>} samples - The samples, in their decoding order.
+   * @returns {Array<SampleGroup>} - The groups.
+   * @private
+   */
+  _groupSamples(samples: Array<Mp4Sample>): Array<SampleGroup> {
+    const groups = [];
+    let group: ?SampleGroup = null;
+    samples.forEach(sample => {
+      const duration = group ? sample.time - group.start : 0;
+      // a group of a file with rare sync samples is split anyway
+      if (!group || (sample.sync && duration >= GROUP_DURATION) || duration >= GROUP_DURATION * 3) {
+        group = {samples: [], start: sample.time, end: sample.time};
+        groups.push(group);
+      }
+      group.samples.push(sample);
+      group.start = Math.min(group.start, sample.time);
+      group.end = Math.max(group.end, sample.time);
+    });
+    return groups;
+  }
+
+  /**
+   * Requests a byte range of the file.
+   * @param {number} start - The range start.
+   * @param {number} end - The range end (exclusive).
+   * @returns {Promise<Uint8Array>} - The range data.
+   * @private
+   */
+  _requestRange(start: number, end: number): Promise<Uint8Array> {
+    return this._request(RequestType.SEGMENT, this._url, 'arraybuffer', [start, end]).then(response => {
+      if (response.status !== 206) {
+        throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNSUPPORTED_INBAND_CAPTIONS, {
+          reason: 'range requests are not supported'
+        });
+      }
+      return new Uint8Array(response.data);
+    });
+  }
+
+  /**
+   * Destroys the loader.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._groups = [];
+    this._loadedGroups.clear();
+    this._lastGroup = -1;
+    this._trackPromise = null;
+  }
+}
+
+export {Mp4CaptionsLoader};
@@ -0,0 +1,214 @@
+//@flow
+
+/**
+ * A sample of the video track of an MP4 file.
+ */
+export type Mp4Sample = {
+  offset: number,
+  size: number,
+  time: number,
+  sync: boolean
+};
+
+/**
+ * The H.264 video track of an MP4 file.
+ */
+export type Mp4VideoTrack = {
+  lengthSize: number,
+  samples: Array<Mp4Sample>
+};
+
+/**
+ * Reads the header of a box.
+ * @param {Uint8Array} data - The data.
+ * @param {number} offset - The box offset in the data.
+ * @returns {?Object} - The box type, its size (0 if it extends to the end of the file) and its header size, null if the data is too short.
+ */
+function readBoxHeader(data: Uint8Array, offset: number): ?{type: string, size: number, headerSize: number} {
+  if (offset + 8 > data.length) {
+    return null;
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+  const size = view.getUint32(offset);
+  if (size === 1) {
+    if (offset + 16 > data.length) {
+      return null;
+    }
+    return {type, size: view.getUint32(offset + 8) * 4294967296 + view.getUint32(offset + 12), headerSize: 16};
+  }
+  return {type, size, headerSize: 8};
+}
+
+/**
+ * Finds the child boxes of a type.
+ * @param {Uint8Array} data - The data.
+ * @param {number} start - The offset of the first child box.
+ * @param {number} end - The end offset of the parent box content.
+ * @param {string} type - The box type.
+ * @returns {Array<Uint8Array>} - The contents of the boxes.
+ */
+function findBoxes(data: Uint8Array, start: number, end: number, type: string): Array<Uint8Array> {
+  const boxes = [];
+  let offset = start;
+  while (offset < end) {
+    const header = readBoxHeader(data, offset);
+    if (!header || header.size < header.headerSize) {
+      break;
+    }
+    const boxEnd = Math.min(offset + header.size, end);
+    if (header.type === type) {
+      boxes.push(data.subarray(offset + header.headerSize, boxEnd));
+    }
+    offset += header.size;
+  }
+  return boxes;
+}
+
+/**
+ * Finds a descendant box by its path.
+ * @param {Uint8Array} data - The content of the ancestor box.
+ * @param {Array<string>} path - The box types path.
+ * @returns {?Uint8Array} - The content of the first matching box, null if not found.
+ */
+function findBox(data: Uint8Array, path: Array<string>): ?Uint8Array {
+  let box = data;
+  for (let type of path) {
+    box = findBoxes(box, 0, box.length, type)[0];
+    if (!box) {
+      return null;
+    }
+  }
+  return box;
+}
+
+/**
+ * Parses the entries of a full box table.
+ * @param {?Uint8Array} box - The box content, after its version and flags.
+ * @param {number} entrySize - The entry size in 32 bits fields.
+ * @param {number} [headerFields=1] - The number of 32 bits fields before the entries, the last one is the entry count.
+ * @returns {Array<Array<number>>} - The entries fields.
+ */
+function parseTable(box: ?Uint8Array, entrySize: number, headerFields: number = 1): Array<Array<number>> {
+  if (!box) {
+    return [];
+  }
+  const view = new DataView(box.buffer, box.byteOffset, box.byteLength);
+  const entries = [];
+  const count = Math.min(view.getUint32(4 + (headerFields - 1) * 4), Math.floor((box.length - 4 - headerFields * 4) / (entrySize * 4)));
+  for (let i = 0, offset = 4 + headerFields * 4; i < count; i++, offset += entrySize * 4) {
+    const entry = [];
+    for (let j = 0; j < entrySize; j++) {
+      entry.push(view.getUint32(offset + j * 4));
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Gets the time shift of the edit list of a track, which maps the media time to the presentation time.
+ * @param {?Uint8Array} elst - The edit list box content.
+ * @param {number} movieTimescale - The movie timescale, of the edit durations.
+ * @param {number} mediaTimescale - The media timescale, of the edit media times.
+ * @returns {number} - The time shift, in seconds.
+ */
+function getEditShift(elst: ?Uint8Array, movieTimescale: number, mediaTimescale: number): number {
+  if (!elst) {
+    return 0;
+  }
+  const view = new DataView(elst.buffer, elst.byteOffset, elst.byteLength);
+  const version = elst[0];
+  const count = view.getUint32(4);
+  let emptyDuration = 0;
+  for (let i = 0, offset = 8; i < count && offset + (version === 1 ? 20 : 12) <= elst.length; i++, offset += version === 1 ? 20 : 12) {
+    const duration = version === 1 ? view.getUint32(offset) * 4294967296 + view.getUint32(offset + 4) : view.getUint32(offset);
+    const mediaTime = version === 1 ? view.getInt32(offset + 8) * 4294967296 + view.getUint32(offset + 12) : view.getInt32(offset + 4);
+    if (mediaTime < 0) {
+      emptyDuration += duration;
+    } else {
+      return emptyDuration / movieTimescale - mediaTime / mediaTimescale;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Parses the H.264 video track of a movie box, and builds its sample table.
+ * @param {Uint8Array} moov - The movie box content.
+ * @returns {?Mp4VideoTrack} - The video track, null if the movie has no H.264 video track.
+ */
+function parseVideoTrack(moov: Uint8Array): ?Mp4VideoTrack {
+  const mvhd = findBox(moov, ['mvhd']);
+  const movieTimescale = mvhd ? new DataView(mvhd.buffer, mvhd.byteOffset, mvhd.byteLength).getUint32(mvhd[0] === 1 ? 20 : 12) : 1;
+  const trak = findBoxes(moov, 0, moov.length, 'trak').find(trak => {
+    const hdlr = findBox(trak, ['mdia', 'hdlr']);
+    return !!hdlr && String.fromCharCode(hdlr[8], hdlr[9], hdlr[10], hdlr[11]) === 'vide';
+  });
+  const mdhd = trak && findBox(trak, ['mdia', 'mdhd']);
+  const stbl = trak && findBox(trak, ['mdia', 'minf', 'stbl']);
+  const stsd = stbl && findBox(stbl, ['stsd']);
+  if (!trak || !mdhd || !stbl || !stsd) {
+    return null;
+  }
+  // the sample entry follows the version, flags and entry count, its avcC box follows its 78 bytes of visual sample entry fields
+  const sampleEntry = readBoxHeader(stsd, 8);
+  if (!sampleEntry || !['avc1', 'avc3'].includes(sampleEntry.type)) {
+    return null;
+  }
+  const avcC = findBoxes(stsd, 8 + sampleEntry.headerSize + 78, 8 + sampleEntry.size, 'avcC')[0];
+  if (!avcC) {
+    return null;
+  }
+  const timescale = new DataView(mdhd.buffer, mdhd.byteOffset, mdhd.byteLength).getUint32(mdhd[0] === 1 ? 20 : 12);
+  const shift = getEditShift(findBox(trak, ['edts', 'elst']), movieTimescale, timescale);
+  const stsz = findBox(stbl, ['stsz']);
+  const fixedSize = stsz ? new DataView(stsz.buffer, stsz.byteOffset, stsz.byteLength).getUint32(4) : 0;
+  const sizes = fixedSize ? [] : parseTable(stsz, 1, 2).map(([size]) => size);
+  const co64 = findBox(stbl, ['co64']);
+  const chunkOffsets = co64
+    ? parseTable(co64, 2).map(([high, low]) => high * 4294967296 + low)
+    : parseTable(findBox(stbl, ['stco']), 1).map(([offset]) => offset);
+  const chunkRuns = parseTable(findBox(stbl, ['stsc']), 3);
+  const decodeDeltas = parseTable(findBox(stbl, ['stts']), 2);
+  const compositionOffsets = parseTable(findBox(stbl, ['ctts']), 2);
+  const stss = findBox(stbl, ['stss']);
+  const syncSamples = stss ? new Set(parseTable(stss, 1).map(([number]) => number - 1)) : null;
+  const samples = [];
+  let runIndex = 0;
+  chunkOffsets.forEach((chunkOffset, chunkIndex) => {
+    while (runIndex + 1 < chunkRuns.length && chunkRuns[runIndex + 1][0] <= chunkIndex + 1) {
+      runIndex++;
+    }
+    const samplesPerChunk = chunkRuns.length ? chunkRuns[runIndex][1] : 0;
+    let offset = chunkOffset;
+    for (let i = 0; i < samplesPerChunk; i++) {
+      const size = fixedSize || sizes[samples.length];
+      if (typeof size !== 'number') {
+        return;
+      }
+      samples.push({offset, size, time: 0, sync: !syncSamples || syncSamples.has(samples.length)});
+      offset += size;
+    }
+  });
+  let decodeTime = 0;
+  let sampleIndex = 0;
+  decodeDeltas.forEach(([count, delta]) => {
+    for (let i = 0; i < count && sampleIndex < samples.length; i++, sampleIndex++) {
+      samples[sampleIndex].time = decodeTime;
+      decodeTime += delta;
+    }
+  });
+  sampleIndex = 0;
+  compositionOffsets.forEach(([count, offset]) => {
+    // a version 1 offset is signed, and a version 0 offset is in practice too
+    const compositionOffset = offset | 0;
+    for (let i = 0; i < count && sampleIndex < samples.length; i++, sampleIndex++) {
+      samples[sampleIndex].time += compositionOffset;
+    }
+  });
+  samples.forEach(sample => (sample.time = sample.time / timescale + shift));
+  return {lengthSize: (avcC[4] & 0x03) + 1, samples};
+}
+
+export {findBox, findBoxes, parseVideoTrack, readBoxHeader};
@@ -0,0 +1,191 @@
+//@flow
+
+/**
+ * A closed caption data construct of a picture, as defined by ATSC A/53 (cc_data).
+ * The type is 0 or 1 for the CEA-608 field 1 or field 2 bytes, 2 or 3 for the CEA-708 (DTVCC) packet data or packet start.
+ */
+export type CcData = {
+  type: number,
+  data1: number,
+  data2: number
+};
+
+/**
+ * The H.264 SEI NAL unit type.
+ * @type {number}
+ * @const
+ */
+const NAL_UNIT_TYPE_SEI: number = 6;
+
+/**
+ * The SEI payload type of registered ITU-T T.35 user data.
+ * @type {number}
+ * @const
+ */
+const PAYLOAD_TYPE_USER_DATA_REGISTERED: number = 4;
+
+/**
+ * The ITU-T T.35 country code of the United States.
+ * @type {number}
+ * @const
+ */
+const COUNTRY_CODE_USA: number = 0xb5;
+
+/**
+ * The ITU-T T.35 provider code of ATSC.
+ * @type {number}
+ * @const
+ */
+const PROVIDER_CODE_ATSC: number = 0x31;
+
+/**
+ * The ATSC user identifier, 'GA94'.
+ * @type {number}
+ * @const
+ */
+const USER_IDENTIFIER_GA94: number = 0x47413934;
+
+/**
+ * The ATSC user data type code of cc_data.
+ * @type {number}
+ * @const
+ */
+const USER_DATA_TYPE_CC_DATA: number = 0x03;
+
+/**
+ * Removes the emulation prevention bytes (the 0x03 of every 0x000003 sequence) of a NAL unit.
+ * @param {Uint8Array} data - The NAL unit.
+ * @returns {Uint8Array} - The raw byte sequence payload.
+ */
+function removeEmulationPreventionBytes(data: Uint8Array): Uint8Array {
+  const result = new Uint8Array(data.length);
+  let length = 0;
+  let zeros = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (zeros >= 2 && data[i] === 0x03) {
+      zeros = 0;
+      continue;
+    }
+    zeros = data[i] === 0 ? zeros + 1 : 0;
+    result[length++] = data[i];
+  }
+  return result.subarray(0, length);
+}
+
+/**
+ * Splits an Annex B byte stream (as carried in MPEG-TS) into NAL units.
+ * @param {Uint8Array} data - The byte stream.
+ * @returns {Array<Uint8Array>} - The NAL units, without their start codes.
+ */
+function getAnnexBNalUnits(data: Uint8Array): Array<Uint8Array> {
+  const nalUnits = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start >= 0) {
+        // a 4 bytes start code leaves a trailing zero on the previous unit
+        const end = data[i - 1] === 0 ? i - 1 : i;
+        nalUnits.push(data.subarray(start, end));
+      }
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) {
+    nalUnits.push(data.subarray(start));
+  }
+  return nalUnits;
+}
+
+/**
+ * Splits an ISO BMFF sample into its length prefixed NAL units.
+ * @param {Uint8Array} data - The sample.
+ * @param {number} lengthSize - The size in bytes of the NAL unit length fields, from the avcC box.
+ * @returns {Array<Uint8Array>} - The NAL units.
+ */
+function getLengthPrefixedNalUnits(data: Uint8Array, lengthSize: number): Array<Uint8Array> {
+  const nalUnits = [];
+  let offset = 0;
+  while (offset + lengthSize <= data.length) {
+    let length = 0;
+    for (let i = 0; i < lengthSize; i++) {
+      length = length * 256 + data[offset + i];
+    }
+    offset += lengthSize;
+    if (length === 0 || offset + length > data.length) {
+      break;
+    }
+    nalUnits.push(data.subarray(offset, offset + length));
+    offset += length;
+  }
+  return nalUnits;
+}
+
+/**
+ * Parses the cc_data of an ATSC A/53 registered user data SEI payload.
+ * @param {Uint8Array} payload - The SEI payload.
+ * @returns {Array<CcData>} - The valid cc_data constructs, empty if the payload is not ATSC caption data.
+ */
+function parseUserDataRegistered(payload: Uint8Array): Array<CcData> {
+  if (payload.length < 10 || payload[0] !== COUNTRY_CODE_USA || ((payload[1] << 8) | payload[2]) !== PROVIDER_CODE_ATSC) {
+    return [];
+  }
+  const userIdentifier = ((payload[3] << 24) | (payload[4] << 16) | (payload[5] << 8) | payload[6]) >>> 0;
+  const processCcData = (payload[8] & 0x40) !== 0;
+  if (userIdentifier !== USER_IDENTIFIER_GA94 || payload[7] !== USER_DATA_TYPE_CC_DATA || !processCcData) {
+    return [];
+  }
+  const ccCount = payload[8] & 0x1f;
+  const ccData = [];
+  // the cc constructs start after the em_data byte
+  for (let i = 0, offset = 10; i < ccCount && offset + 2 < payload.length; i++, offset += 3) {
+    const valid = (payload[offset] & 0x04) !== 0;
+    if (valid) {
+      ccData.push({type: payload[offset] & 0x03, data1: payload[offset + 1], data2: payload[offset + 2]});
+    }
+  }
+  return ccData;
+}
+
+/**
+ * Extracts the closed caption data of the SEI NAL units of a picture.
+ * @param {Array<Uint8Array>} nalUnits - The NAL units of the picture.
+ * @returns {Array<CcData>} - The cc_data constructs, in their transmission order.
+ */
+function extractCcData(nalUnits: Array<Uint8Array>): Array<CcData> {
+  let ccData = [];
+  nalUnits
+    .filter(nalUnit => nalUnit.length > 1 && (nalUnit[0] & 0x1f) === NAL_UNIT_TYPE_SEI)
+    .forEach(nalUnit => {
+      const rbsp = removeEmulationPreventionBytes(nalUnit.subarray(1));
+      let offset = 0;
+      // the last byte is the rbsp trailing bits
+      while (offset < rbsp.length - 1) {
+        let payloadType = 0;
+        let payloadSize = 0;
+        while (offset < rbsp.length && rbsp[offset] === 0xff) {
+          payloadType += 0xff;
+          offset++;
+        }
+        payloadType += rbsp[offset++];
+        while (offset < rbsp.length && rbsp[offset] === 0xff) {
+          payloadSize += 0xff;
+          offset++;
+        }
+        payloadSize += rbsp[offset++];
+        if (offset + payloadSize > rbsp.length) {
+          break;
+        }
+        if (payloadType === PAYLOAD_TYPE_USER_DATA_REGISTERED) {
+          ccData = ccData.concat(parseUserDataRegistered(rbsp.subarray(offset, offset + payloadSize)));
+        }
+        offset += payloadSize;
+      }
+    });
+  return ccData;
+}
+
+export {extractCcData, getAnnexBNalUnits, getLengthPrefixedNalUnits, removeEmulationPreventionBytes};
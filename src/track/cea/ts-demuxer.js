@@ -0,0 +1,120 @@
+//@flow
+
+/**
+ * The MPEG-TS packet size.
+ * @type {number}
+ * @const
+ */
+const PACKET_SIZE: number = 188;
+
+/**
+ * The MPEG-TS sync byte.
+ * @type {number}
+ * @const
+ */
+const SYNC_BYTE: number = 0x47;
+
+/**
+ * The PMT stream type of H.264 video.
+ * @type {number}
+ * @const
+ */
+const STREAM_TYPE_H264: number = 0x1b;
+
+/**
+ * The MPEG-TS clock rate.
+ * @type {number}
+ * @const
+ */
+const CLOCK_RATE: number = 90000;
+
+/**
+ * Parses the PTS of a PES header.
+ * @param {Uint8Array} data - The PES packet.
+ * @returns {number} - The PTS in clock ticks, NaN if the packet has no PTS.
+ */
+function parsePts(data: Uint8Array): number {
+  if (data.length < 14 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1 || !(data[7] & 0x80)) {
+    return NaN;
+  }
+  // the 33 bits PTS exceeds the 32 bits integers of the bitwise operators
+  return (data[9] & 0x0e) * 536870912 + data[10] * 4194304 + (data[11] & 0xfe) * 16384 + data[12] * 128 + (data[13] >> 1);
+}
+
+/**
+ * Demuxes the H.264 access units of an MPEG-TS segment.
+ * @param {Uint8Array} data - The segment.
+ * @returns {Array<Object>} - The access units of the video PES packets, with their PTS in clock ticks, in their decoding order.
+ */
+function demuxVideoPackets(data: Uint8Array): Array<{pts: number, data: Uint8Array}> {
+  let pmtPid = -1;
+  let videoPid = -1;
+  const packets = [];
+  let chunks: Array<Uint8Array> = [];
+  const flush = () => {
+    if (chunks.length) {
+      const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+      const pes = new Uint8Array(length);
+      chunks.reduce((offset, chunk) => {
+        pes.set(chunk, offset);
+        return offset + chunk.length;
+      }, 0);
+      const pts = parsePts(pes);
+      if (!isNaN(pts)) {
+        packets.push({pts, data: pes.subarray(9 + pes[8])});
+      }
+      chunks = [];
+    }
+  };
+  for (let offset = data.indexOf(SYNC_BYTE); offset >= 0 && offset + PACKET_SIZE <= data.length; offset += PACKET_SIZE) {
+    if (data[offset] !== SYNC_BYTE) {
+      break;
+    }
+    const payloadStart = (data[offset + 1] & 0x40) !== 0;
+    const pid = ((data[offset + 1] & 0x1f) << 8) | data[offset + 2];
+    const adaptationField = (data[offset + 3] & 0x30) >> 4;
+    let start = offset + 4;
+    if (adaptationField === 2 || adaptationField === 0) {
+      continue;
+    } else if (adaptationField === 3) {
+      start += data[start] + 1;
+    }
+    const end = offset + PACKET_SIZE;
+    if (start >= end) {
+      continue;
+    }
+    if (pid === 0 || pid === pmtPid) {
+      if (payloadStart) {
+        // the pointer field
+        start += data[start] + 1;
+      }
+      const sectionLength = ((data[start + 1] & 0x0f) << 8) | data[start + 2];
+      const sectionEnd = Math.min(start + 3 + sectionLength - 4, end);
+      if (pid === 0) {
+        // the PAT, the map of the first program (program 0 is the network information)
+        for (let i = start + 8; i + 4 <= sectionEnd && pmtPid < 0; i += 4) {
+          if ((data[i] << 8) | data[i + 1]) {
+            pmtPid = ((data[i + 2] & 0x1f) << 8) | data[i + 3];
+          }
+        }
+      } else {
+        const programInfoLength = ((data[start + 10] & 0x0f) << 8) | data[start + 11];
+        for (let i = start + 12 + programInfoLength; i + 4 < sectionEnd; i += 5 + (((data[i + 3] & 0x0f) << 8) | data[i + 4])) {
+          if (data[i] === STREAM_TYPE_H264) {
+            videoPid = ((data[i + 1] & 0x1f) << 8) | data[i + 2];
+            break;
+          }
+        }
+      }
+    } else if (pid === videoPid) {
+      if (payloadStart) {
+        flush();
+      }
+      chunks.push(data.subarray(start, end));
+    }
+  }
+  flush();
+  return packets;
+}
+
+export {CLOCK_RATE, demuxVideoPackets, parsePts};
@@ -0,0 +1,139 @@
+//@flow
+import Player from '../player';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import FakeEventTarget from '../event/fake-event-target';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import {Cue} from './vtt-cue';
+
+/**
+ * The active cue index when no cue is active.
+ * @type {number}
+ * @const
+ */
+const NO_ACTIVE_CUE: number = -1;
+
+/**
+ * Follows the playback position over the cues of a text track, and emits the index of the active cue.
+ * Meant for an interactive transcript panel, which highlights the active cue of the full cue list.
+ * @class CueIterator
+ * @param {Player} player - The player.
+ * @param {Array<Cue>} cues - The cues, sorted by their start time.
+ */
+class CueIterator extends FakeEventTarget {
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the iterator.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The cues, sorted by their start time.
+   * @type {Array<Cue>}
+   * @private
+   */
+  _cues: Array<Cue>;
+  /**
+   * The index of the active cue.
+   * @type {number}
+   * @private
+   */
+  _activeIndex: number = NO_ACTIVE_CUE;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   * @param {Array<Cue>} cues - The cues, sorted by their start time.
+   */
+  constructor(player: Player, cues: Array<Cue>) {
+    super();
+    this._player = player;
+    this._cues = cues;
+    this._eventManager = new EventManager();
+    this._eventManager.listen(this._player, Html5EventType.TIME_UPDATE, () => this._update());
+    this._eventManager.listen(this._player, Html5EventType.SEEKED, () => this._update());
+  }
+
+  /**
+   * The cues the iterator goes over.
+   * @returns {Array<Cue>} - The cues.
+   * @public
+   */
+  get cues(): Array<Cue> {
+    return this._cues;
+  }
+
+  /**
+   * The index of the active cue.
+   * @returns {number} - The index, -1 if no cue is active.
+   * @public
+   */
+  get activeIndex(): number {
+    return this._activeIndex;
+  }
+
+  /**
+   * The active cue.
+   * @returns {?Cue} - The cue, null if no cue is active.
+   * @public
+   */
+  get activeCue(): ?Cue {
+    return this._activeIndex === NO_ACTIVE_CUE ? null : this._cues[this._activeIndex];
+  }
+
+  /**
+   * Stops following the playback position.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._eventManager.destroy();
+  }
+
+  /**
+   * Updates the active cue index by the current time, and emits it if it has changed.
+   * @returns {void}
+   * @private
+   */
+  _update(): void {
+    const index = this._getActiveIndex(this._player.currentTime || 0);
+    if (index !== this._activeIndex) {
+      this._activeIndex = index;
+      this.dispatchEvent(new FakeEvent(CustomEventType.TRANSCRIPT_CUE_CHANGED, {index, cue: this.activeCue}));
+    }
+  }
+
+  /**
+   * Gets the index of the cue which is active at a time. Of overlapping cues, the one which started last is active.
+   * @param {number} time - The time.
+   * @returns {number} - The index, -1 if no cue is active.
+   * @private
+   */
+  _getActiveIndex(time: number): number {
+    // the last cue which starts at or before the time
+    let low = 0;
+    let high = this._cues.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (this._cues[middle].startTime <= time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    for (let i = low - 1; i >= 0; i--) {
+      if (time < this._cues[i].endTime) {
+        return i;
+      }
+    }
+    return NO_ACTIVE_CUE;
+  }
+}
+
+export {CueIterator};
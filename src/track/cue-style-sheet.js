@@ -0,0 +1,234 @@
+//@flow
+
+type CueSelector = {
+  type: string,
+  id: string,
+  classes: Array<string>,
+  attributes: Array<{name: string, value: ?string}>,
+  lang: string
+};
+
+type CueStyleRule = {
+  selector: CueSelector,
+  specificity: number,
+  declarations: Array<{property: string, value: string}>
+};
+
+/**
+ * The CSS properties which apply to cues, or a prefix of such properties.
+ * https://www.w3.org/TR/webvtt1/#the-cue-pseudo-element
+ * @type {Array<string>}
+ * @const
+ */
+const CUE_PROPERTIES: Array<string> = [
+  'color',
+  'opacity',
+  'visibility',
+  'text-decoration',
+  'text-shadow',
+  'background',
+  'outline',
+  'font',
+  'line-height',
+  'white-space',
+  'text-combine-upright',
+  'ruby-position'
+];
+
+/**
+ * The VTT attribute names which are represented by a different DOM attribute in the rendered cue.
+ * @type {Object}
+ * @const
+ */
+const ATTRIBUTE_NAMES: {[name: string]: string} = {
+  voice: 'title'
+};
+
+/**
+ * Splits a selector list by its top level commas.
+ * @param {string} selectorList - The selector list.
+ * @returns {Array<string>} - The selectors.
+ */
+function splitSelectors(selectorList: string): Array<string> {
+  const selectors = [''];
+  let depth = 0;
+  for (let i = 0; i < selectorList.length; i++) {
+    const char = selectorList[i];
+    depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+    if (char === ',' && depth === 0) {
+      selectors.push('');
+    } else {
+      selectors[selectors.length - 1] += char;
+    }
+  }
+  return selectors.map(selector => selector.trim());
+}
+
+/**
+ * Parses the argument of a ::cue pseudo element into a compound selector.
+ * Complex selectors (with combinators) and pseudo classes other than :lang() are not supported.
+ * @param {string} text - The selector, an empty string for the ::cue pseudo element with no argument.
+ * @returns {?CueSelector} - The selector, null if not supported.
+ */
+function parseSelector(text: string): ?CueSelector {
+  const selector: CueSelector = {type: '', id: '', classes: [], attributes: [], lang: ''};
+  const token = /^(?:([a-z]+)|\*|\.([\w-]+)|#([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([\w-]+))\s*)?\]|:lang\(\s*([\w-]+)\s*\))/i;
+  let rest = text.trim();
+  while (rest) {
+    const match = token.exec(rest);
+    if (!match) {
+      return null;
+    }
+    const [, type, className, id, attribute, doubleQuoted, singleQuoted, unquoted, lang] = match;
+    if (type) {
+      selector.type = type.toLowerCase();
+    } else if (className) {
+      selector.classes.push(className);
+    } else if (id) {
+      selector.id = id;
+    } else if (attribute) {
+      const value = [doubleQuoted, singleQuoted, unquoted].find(value => typeof value === 'string');
+      selector.attributes.push({name: attribute.toLowerCase(), value: typeof value === 'string' ? value : null});
+    } else if (lang) {
+      selector.lang = lang.toLowerCase();
+    }
+    rest = rest.substr(match[0].length);
+  }
+  return selector;
+}
+
+/**
+ * Gets the VTT tag a rendered cue element was created from.
+ * @param {HTMLElement} element - The rendered element.
+ * @returns {string} - The VTT tag name.
+ */
+function getTagName(element: HTMLElement): string {
+  const localName = element.localName;
+  if (localName !== 'span') {
+    return localName;
+  }
+  // voice and language spans are created with their annotation, class spans have none
+  return element.hasAttribute('title') ? 'v' : element.hasAttribute('lang') ? 'lang' : 'c';
+}
+
+/**
+ * The style sheet of a WebVTT track, parsed from its STYLE blocks.
+ * Applies the ::cue rules to the cues rendered by the custom text display.
+ * @class CueStyleSheet
+ */
+class CueStyleSheet {
+  /**
+   * The rules of the style sheet, sorted by their specificity.
+   * @type {Array<CueStyleRule>}
+   * @private
+   */
+  _rules: Array<CueStyleRule> = [];
+
+  /**
+   * Adds the ::cue rules of a STYLE block. Other rules (such as ::cue-region) are ignored.
+   * @param {string} css - The STYLE block content.
+   * @returns {void}
+   * @public
+   */
+  addRules(css: string): void {
+    const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let match;
+    while ((match = rulePattern.exec(text))) {
+      const declarations = match[2]
+        .split(';')
+        .map(declaration => {
+          const separator = declaration.indexOf(':');
+          return {property: declaration.substr(0, separator).trim().toLowerCase(), value: declaration.substr(separator + 1).trim()};
+        })
+        .filter(({property, value}) => property && value && CUE_PROPERTIES.some(name => property === name || property.startsWith(name + '-')));
+      splitSelectors(match[1]).forEach(selectorText => {
+        const cueMatch = /^::cue(?:\((.*)\))?$/.exec(selectorText);
+        const selector = cueMatch && parseSelector(cueMatch[1] || '');
+        if (selector && declarations.length) {
+          const specificity =
+            (selector.id ? 100 : 0) + (selector.classes.length + selector.attributes.length + (selector.lang ? 1 : 0)) * 10 + (selector.type ? 1 : 0);
+          this._rules.push({selector, specificity, declarations});
+        }
+      });
+    }
+    // rules with a higher specificity are applied later, rules with the same specificity keep their order
+    this._rules = this._rules
+      .map((rule, index) => ({rule, index}))
+      .sort((a, b) => a.rule.specificity - b.rule.specificity || a.index - b.index)
+      .map(({rule}) => rule);
+  }
+
+  /**
+   * Whether the style sheet has any rules.
+   * @returns {boolean} - Whether the style sheet is empty.
+   * @public
+   */
+  isEmpty(): boolean {
+    return this._rules.length === 0;
+  }
+
+  /**
+   * Applies the matching rules to a rendered cue, as inline styles of the cue root and its class, voice and language spans.
+   * @param {Object} cue - The cue.
+   * @param {HTMLElement} cueRoot - The rendered cue root element.
+   * @param {Array<string>} [excludedProperties=[]] - Properties not to apply, as they are overridden by the user text style.
+   * @returns {void}
+   * @public
+   */
+  applyTo(cue: Object, cueRoot: HTMLElement, excludedProperties: Array<string> = []): void {
+    const elements = [cueRoot].concat(Array.from(cueRoot.querySelectorAll('*')));
+    elements.forEach(element => {
+      this._rules
+        .filter(rule => this._matches(rule.selector, element, cue, cueRoot))
+        .forEach(rule =>
+          rule.declarations
+            .filter(({property}) => !excludedProperties.some(excluded => property === excluded || property.startsWith(excluded + '-')))
+            .forEach(({property, value}) => element.style.setProperty(property, value.replace(/\s*!important$/i, '')))
+        );
+    });
+  }
+
+  /**
+   * Checks whether a selector matches a rendered cue element.
+   * The cue root is matched by a selector with no type, class or attributes (::cue or ::cue(#id)).
+   * @param {CueSelector} selector - The selector.
+   * @param {HTMLElement} element - The rendered element.
+   * @param {Object} cue - The cue.
+   * @param {HTMLElement} cueRoot - The rendered cue root element.
+   * @returns {boolean} - Whether the selector matches.
+   * @private
+   */
+  _matches(selector: CueSelector, element: HTMLElement, cue: Object, cueRoot: HTMLElement): boolean {
+    if (element === cueRoot) {
+      return !selector.type && !selector.classes.length && !selector.attributes.length && !selector.lang && (!selector.id || selector.id === cue.id);
+    }
+    if (selector.id && selector.id !== cue.id) {
+      return false;
+    }
+    if (!selector.type && !selector.classes.length && !selector.attributes.length && !selector.lang) {
+      return false;
+    }
+    if (selector.type && selector.type !== getTagName(element)) {
+      return false;
+    }
+    if (selector.classes.some(className => !element.classList.contains(className))) {
+      return false;
+    }
+    const attributesMatch = selector.attributes.every(({name, value}) => {
+      const domName = ATTRIBUTE_NAMES[name] || name;
+      return element.hasAttribute(domName) && (value === null || element.getAttribute(domName) === value);
+    });
+    if (!attributesMatch) {
+      return false;
+    }
+    if (selector.lang) {
+      const langElement = element.closest('[lang]');
+      const lang = langElement && cueRoot.contains(langElement) ? (langElement.getAttribute('lang') || '').toLowerCase() : '';
+      return lang === selector.lang || lang.startsWith(selector.lang + '-');
+    }
+    return true;
+  }
+}
+
+export {CueStyleSheet};
@@ -10,7 +10,12 @@ import getLogger from '../utils/logger';
 import EventManager from '../event/event-manager';
 import FakeEventTarget from '../event/fake-event-target';
 import {Cue} from './vtt-cue';
+import {parseTtml} from './ttml-parser';
+import {parseSsa} from './ssa-parser';
+import {parseSrt} from './srt-parser';
+import {CueStyleSheet} from './cue-style-sheet';
 import Player from '../player';
+import {DESCRIPTIONS_KIND} from './audio-description-manager';
 
 type CueStatusType = {[status: string]: number};
 
@@ -29,6 +34,10 @@ const SRT_POSTFIX: string = 'srt';
 
 const VTT_POSTFIX: string = 'vtt';
 
+const TTML_POSTFIXES: Array<string> = ['ttml', 'dfxp', 'xml'];
+
+const SSA_POSTFIXES: Array<string> = ['ass', 'ssa'];
+
 class ExternalCaptionsHandler extends FakeEventTarget {
   /**
    * The external captions handler class logger.
@@ -118,15 +127,18 @@ class ExternalCaptionsHandler extends FakeEventTarget {
     const playerTextTracks = tracks.filter(track => track instanceof TextTrack);
     let textTracksLength = playerTextTracks.length || 0;
     const newTextTracks = [];
-    captions.forEach(caption => {
-      if (!caption.language) {
-        const error = new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNKNOWN_LANGUAGE, {caption: caption});
-        this.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
-      } else {
-        const track = this._createTextTrack(caption, textTracksLength++);
-        this._maybeAddTrack(track, caption, playerTextTracks, newTextTracks);
-      }
-    });
+    // the text described tracks are read aloud by the audio description manager, rather than displayed
+    captions
+      .filter(caption => caption.kind !== DESCRIPTIONS_KIND)
+      .forEach(caption => {
+        if (!caption.language) {
+          const error = new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNKNOWN_LANGUAGE, {caption: caption});
+          this.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
+        } else {
+          const track = this._createTextTrack(caption, textTracksLength++);
+          this._maybeAddTrack(track, caption, playerTextTracks, newTextTracks);
+        }
+      });
     return newTextTracks;
   }
 
@@ -177,11 +189,14 @@ class ExternalCaptionsHandler extends FakeEventTarget {
    * @private
    */
   _updateTextTracksModel(caption: PKExternalCaptionObject): void {
+    const savedOffset = this._player.preferences.getTextTrackOffset(caption.language);
     this._textTrackModel[caption.language] = {
       cuesStatus: CuesStatus.NOT_DOWNLOADED,
       cues: [],
+      cuesPromise: null,
       url: caption.url,
-      type: caption.type
+      type: caption.type,
+      offset: typeof savedOffset === 'number' ? savedOffset : caption.offset || 0
     };
   }
 
@@ -218,6 +233,67 @@ class ExternalCaptionsHandler extends FakeEventTarget {
     }
   }
 
+  /**
+   * Gets the cues of an external text track, downloading and parsing them if they were not downloaded yet.
+   * The downloaded cues are kept in the text track model, so a later selection of the track does not download them again.
+   * @param {TextTrack} textTrack - The external text track.
+   * @returns {Promise<Array<Cue>>} - Resolves with the cues of the track, an empty array if it is not an external track.
+   * @public
+   */
+  getTextTrackCues(textTrack: TextTrack): Promise<Array<Cue>> {
+    const track = this._textTrackModel[textTrack.language];
+    if (!track) {
+      return Promise.resolve([]);
+    }
+    if (track.cuesStatus === CuesStatus.DOWNLOADED) {
+      return Promise.resolve(track.cues);
+    }
+    // the cues status is not set to downloading, so a selection of the track in the meantime isn't ignored
+    return this._loadCues(textTrack).then(cues => {
+      track.cuesStatus = CuesStatus.DOWNLOADED;
+      return cues;
+    });
+  }
+
+  /**
+   * Sets the timing offset of an external text track. The cues are shifted by the offset, so they are matched
+   * to the playback time, inserted to the native text track and listed in the transcript by their shifted times.
+   * @param {TextTrack} textTrack - The external text track.
+   * @param {number} offset - The offset in seconds, a positive offset delays the cues.
+   * @returns {boolean} - Whether the offset was set, false if the track is not an external track.
+   * @public
+   */
+  setTextTrackOffset(textTrack: TextTrack, offset: number): boolean {
+    const track = this._textTrackModel[textTrack.language];
+    if (!track) {
+      return false;
+    }
+    const delta = offset - (track.offset || 0);
+    track.offset = offset;
+    if (delta) {
+      this._shiftCues(track.cues, delta);
+      // resync the active cues, as in a seek
+      if (this._isTextTrackActive && textTrack.active) {
+        this._activeTextCues = [];
+        this._maybeSetExternalCueIndex();
+        this._maybeAddToActiveCues(textTrack);
+        this.dispatchEvent(new FakeEvent(CustomEventType.TEXT_CUE_CHANGED, {cues: this._activeTextCues}));
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Gets the timing offset of an external text track.
+   * @param {TextTrack} textTrack - The external text track.
+   * @returns {number} - The offset in seconds, 0 if the track is not an external track.
+   * @public
+   */
+  getTextTrackOffset(textTrack: TextTrack): number {
+    const track = this._textTrackModel[textTrack.language];
+    return (track && track.offset) || 0;
+  }
+
   /**
    * set hasBeenReset to true for all the cues.
    * @returns {void}
@@ -272,13 +348,13 @@ class ExternalCaptionsHandler extends FakeEventTarget {
     return new Promise((resolve, reject) => {
       const track = this._textTrackModel[textTrack.language];
       const captionType = track.type || this._getFileType(track.url);
-      if (![SRT_POSTFIX, VTT_POSTFIX].includes(captionType)) {
+      if (![SRT_POSTFIX, VTT_POSTFIX, ...TTML_POSTFIXES, ...SSA_POSTFIXES].includes(captionType)) {
         this._textTrackModel[textTrack.language].cuesStatus = CuesStatus.NOT_DOWNLOADED;
         reject(new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.UNKNOWN_FILE_TYPE, {captionType: captionType}));
       }
       Utils.Http.execute(track.url, {}, 'GET')
         .then(response => {
-          resolve(captionType === SRT_POSTFIX ? this._convertSrtToVtt(response) : response);
+          resolve(response);
         })
         .catch(() => {
           this._textTrackModel[textTrack.language].cuesStatus = CuesStatus.NOT_DOWNLOADED;
@@ -301,9 +377,14 @@ class ExternalCaptionsHandler extends FakeEventTarget {
     return new Promise((resolve, reject) => {
       const parser = new Parser(window, StringDecoder());
       const cues = [];
+      const styleSheet = new CueStyleSheet();
       parser.oncue = cue => cues.push(cue);
+      parser.onstyle = css => styleSheet.addRules(css);
       parser.onflush = () => {
         ExternalCaptionsHandler._logger.debug('finished parsing external cues');
+        if (!styleSheet.isEmpty()) {
+          cues.forEach(cue => (cue.styleSheet = styleSheet));
+        }
         resolve(cues);
       };
       parser.parse(vttStr);
@@ -313,16 +394,65 @@ class ExternalCaptionsHandler extends FakeEventTarget {
   }
 
   /**
-   * converts a .SRT string into .VTT string
-   * @param {string} str - a string in a .SRT format
-   * @returns {string} - a string in a .VTT format
+   * parses a TTML (DFXP / IMSC1) captions string into cues
+   * @param {string} ttmlStr - a string in a TTML format
+   * @returns {Promise<*>} - parsed cues array
    * @private
    */
-  _convertSrtToVtt(str: string): string {
-    const vttStr = str.replace(/(\d\d:\d\d:\d\d),(\d\d\d) --> (\d\d:\d\d:\d\d),(\d\d\d)/g, (match, part1, part2, part3, part4) => {
-      return `${part1}.${part2} --> ${part3}.${part4}`;
+  _parseTtmlCues(ttmlStr: string): Promise<*> {
+    return new Promise(resolve => {
+      const cues = parseTtml(ttmlStr);
+      ExternalCaptionsHandler._logger.debug('finished parsing external TTML cues');
+      resolve(cues);
+    });
+  }
+
+  /**
+   * parses a SubStation Alpha (.ass / .ssa) captions string into cues
+   * @param {string} ssaStr - a string in a SubStation Alpha format
+   * @returns {Promise<*>} - parsed cues array
+   * @private
+   */
+  _parseSsaCues(ssaStr: string): Promise<*> {
+    return new Promise(resolve => {
+      const cues = parseSsa(ssaStr);
+      ExternalCaptionsHandler._logger.debug('finished parsing external SubStation Alpha cues');
+      resolve(cues);
+    });
+  }
+
+  /**
+   * parses a captions string into cues by its caption type
+   * @param {string} captionType - the caption type
+   * @param {string} cuesStr - the captions string
+   * @returns {Promise<*>} - parsed cues array
+   * @private
+   */
+  _parseCuesByType(captionType: string, cuesStr: string): Promise<*> {
+    if (captionType === SRT_POSTFIX) {
+      return this._parseSrtCues(cuesStr);
+    } else if (TTML_POSTFIXES.includes(captionType)) {
+      return this._parseTtmlCues(cuesStr);
+    } else if (SSA_POSTFIXES.includes(captionType)) {
+      return this._parseSsaCues(cuesStr);
+    }
+    return this._parseCues(cuesStr);
+  }
+
+  /**
+   * parses a .SRT captions string into cues. malformed cues are reported as recoverable errors.
+   * @param {string} srtStr - a string in a .SRT format
+   * @returns {Promise<*>} - parsed cues array
+   * @private
+   */
+  _parseSrtCues(srtStr: string): Promise<*> {
+    return new Promise(resolve => {
+      const cues = parseSrt(srtStr, error => {
+        this.dispatchEvent(new FakeEvent(Html5EventType.ERROR, error));
+      });
+      ExternalCaptionsHandler._logger.debug('finished parsing external SRT cues');
+      resolve(cues);
     });
-    return `WEBVTT\n\n${vttStr}`;
   }
 
   /**
@@ -335,15 +465,51 @@ class ExternalCaptionsHandler extends FakeEventTarget {
    */
   _downloadAndParseCues(textTrack: TextTrack): Promise<*> {
     this._textTrackModel[textTrack.language].cuesStatus = CuesStatus.DOWNLOADING;
-    return new Promise((resolve, reject) => {
-      this._getCuesString(textTrack)
-        .then(vttString => this._parseCues(vttString))
-        .then(cuesArray => {
-          this._textTrackModel[textTrack.language].cues = cuesArray;
-          resolve();
+    return this._loadCues(textTrack);
+  }
+
+  /**
+   * Downloads and parses the cues of an external text track into the text track model.
+   * A pending load is shared by the track selection and by the cues requests, so both hold the same cues array.
+   * @param {TextTrack} textTrack - The external text track.
+   * @returns {Promise<Array<Cue>>} - Resolves with the cues of the track.
+   * @private
+   */
+  _loadCues(textTrack: TextTrack): Promise<Array<Cue>> {
+    const track = this._textTrackModel[textTrack.language];
+    if (!track.cuesPromise) {
+      const captionType = track.type || this._getFileType(track.url);
+      track.cuesPromise = this._getCuesString(textTrack)
+        .then(cuesString => this._parseCuesByType(captionType, cuesString))
+        .then(cues => {
+          // shifted by the offset at the time of the load, which may have changed while the cues were loading
+          this._shiftCues(cues, track.offset || 0);
+          track.cues = cues;
+          return cues;
         })
-        .catch(error => reject(error));
-    });
+        .catch(error => {
+          track.cuesPromise = null;
+          track.cuesStatus = CuesStatus.NOT_DOWNLOADED;
+          throw error;
+        });
+    }
+    return track.cuesPromise;
+  }
+
+  /**
+   * Shifts the times of cues.
+   * @param {Array<Cue>} cues - The cues.
+   * @param {number} delta - The shift in seconds.
+   * @returns {void}
+   * @private
+   */
+  _shiftCues(cues: Array<Cue>, delta: number): void {
+    if (delta) {
+      cues.forEach(cue => {
+        cue.startTime += delta;
+        cue.endTime += delta;
+      });
+    }
   }
 
   /**
@@ -0,0 +1,480 @@
+//@flow
+import Player from '../player';
+import EventManager from '../event/event-manager';
+import FakeEvent from '../event/fake-event';
+import {CustomEventType, Html5EventType} from '../event/event-type';
+import PKError from '../error/error';
+import TextTrack from './text-track';
+import TextStyle from './text-style';
+import {Cue} from './vtt-cue';
+import {processCues} from './text-track-display';
+import {getNativeTextTrack} from './transcript-manager';
+import {TextTrackPosition} from './text-track-position';
+import * as Utils from '../utils/util';
+import getLogger from '../utils/logger';
+
+/**
+ * The secondary subtitles class name.
+ * @type {string}
+ * @const
+ */
+const SECONDARY_SUBTITLES_CLASS_NAME: string = 'playkit-secondary-subtitles';
+
+/**
+ * The subtitles class name, shared with the primary text display.
+ * @type {string}
+ * @const
+ */
+const SUBTITLES_CLASS_NAME: string = 'playkit-subtitles';
+
+/**
+ * The timeout to reposition the cues after a resize, for the screen to finish rendering.
+ * @type {number}
+ * @const
+ */
+const REPOSITION_CUES_TIMEOUT: number = 1000;
+
+/**
+ * The cue settings copied into the display cues.
+ * @type {Array<string>}
+ * @const
+ */
+const CUE_SETTINGS: Array<string> = [
+  'id',
+  'region',
+  'vertical',
+  'snapToLines',
+  'line',
+  'lineAlign',
+  'positionAlign',
+  'align',
+  'textStyle',
+  'styleSheet'
+];
+
+/**
+ * Displays a second text track alongside the active one, such as a translation of the original captions.
+ * The cues are rendered in their own overlay, with their own text style, at the top or at the bottom of the video.
+ * @class SecondaryTextTrackManager
+ * @param {Player} player - The player.
+ */
+class SecondaryTextTrackManager {
+  /**
+   * The secondary text track manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('SecondaryTextTrackManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * The event manager of the playback listeners, active while a track is selected.
+   * @type {EventManager}
+   * @private
+   */
+  _eventManager: EventManager;
+  /**
+   * The event manager of the display listeners.
+   * @type {EventManager}
+   * @private
+   */
+  _displayEventManager: EventManager;
+  /**
+   * The overlay element of the secondary cues.
+   * @type {HTMLDivElement}
+   * @private
+   */
+  _el: HTMLDivElement;
+  /**
+   * The selected secondary text track.
+   * @type {?TextTrack}
+   * @private
+   */
+  _textTrack: ?TextTrack = null;
+  /**
+   * The video element text track of a selected native track, which is kept hidden while selected so its in-band cues keep arriving.
+   * @type {?Object}
+   * @private
+   */
+  _nativeTextTrack: ?Object = null;
+  /**
+   * The mode of the video element text track before it was selected, restored once it is cleared.
+   * @type {string}
+   * @private
+   */
+  _nativeTextTrackMode: string = '';
+  /**
+   * The cues of the selected track.
+   * @type {Array<Cue>}
+   * @private
+   */
+  _cues: Array<Cue> = [];
+  /**
+   * The active cues of the selected track.
+   * @type {Array<Cue>}
+   * @private
+   */
+  _activeCues: Array<Cue> = [];
+  /**
+   * The display copies of the cues, positioned by the secondary position. The track cues are not changed,
+   * as they may be displayed by the primary text display as well.
+   * @type {Map<Cue, Cue>}
+   * @private
+   */
+  _displayCues: Map<Cue, Cue> = new Map();
+  /**
+   * The text style of the secondary cues.
+   * @type {TextStyle}
+   * @private
+   */
+  _textStyle: TextStyle = new TextStyle();
+  /**
+   * The position of the secondary cues.
+   * @type {string}
+   * @private
+   */
+  _position: string = TextTrackPosition.TOP;
+  /**
+   * The reposition timeout id.
+   * @type {?TimeoutID}
+   * @private
+   */
+  _repositionTimeout: ?TimeoutID = null;
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   */
+  constructor(player: Player) {
+    this._player = player;
+    this._eventManager = new EventManager();
+    this._displayEventManager = new EventManager();
+    this._el = Utils.Dom.createElement('div');
+    Utils.Dom.setAttribute(this._el, 'aria-live', 'polite');
+    Utils.Dom.addClassName(this._el, SUBTITLES_CLASS_NAME);
+    Utils.Dom.addClassName(this._el, SECONDARY_SUBTITLES_CLASS_NAME);
+    this._displayEventManager.listen(this._player, CustomEventType.ENTER_FULLSCREEN, () => this._repositionCues());
+    this._displayEventManager.listen(this._player, CustomEventType.EXIT_FULLSCREEN, () => this._repositionCues());
+    this._displayEventManager.listen(this._player, CustomEventType.RESIZE, () => this._repositionCues());
+  }
+
+  /**
+   * Gets the overlay element of the secondary cues.
+   * @returns {HTMLDivElement} - The overlay element.
+   * @public
+   */
+  getElement(): HTMLDivElement {
+    return this._el;
+  }
+
+  /**
+   * The selected secondary text track.
+   * @returns {?TextTrack} - The text track, null if no secondary track is selected.
+   * @public
+   */
+  get textTrack(): ?TextTrack {
+    return this._textTrack;
+  }
+
+  /**
+   * Sets the text style of the secondary cues.
+   * @param {TextStyle} style - The text style.
+   * @public
+   */
+  set textStyle(style: TextStyle): void {
+    if (!(style instanceof TextStyle)) {
+      throw new Error('Style must be instance of TextStyle');
+    }
+    this._textStyle = style;
+    this._updateDisplay(true);
+    this._player.dispatchEvent(new FakeEvent(CustomEventType.SECONDARY_TEXT_STYLE_CHANGED));
+  }
+
+  /**
+   * Gets the text style of the secondary cues.
+   * @returns {TextStyle} - A copy of the text style.
+   * @public
+   */
+  get textStyle(): TextStyle {
+    return this._textStyle.clone();
+  }
+
+  /**
+   * Sets the position of the secondary cues. Cues with an explicit line setting keep it.
+   * @param {string} position - The position, one of {@link TextTrackPosition}.
+   * @public
+   */
+  set position(position: string): void {
+    if (!Object.values(TextTrackPosition).includes(position)) {
+      throw new Error(`Position must be one of ${Object.values(TextTrackPosition).join(', ')}`);
+    }
+    this._position = position;
+    this._displayCues.clear();
+    this._updateDisplay();
+    this._player.dispatchEvent(new FakeEvent(CustomEventType.SECONDARY_TEXT_STYLE_CHANGED));
+  }
+
+  /**
+   * Gets the position of the secondary cues.
+   * @returns {string} - The position, one of {@link TextTrackPosition}.
+   * @public
+   */
+  get position(): string {
+    return this._position;
+  }
+
+  /**
+   * Selects the secondary text track. Selecting the off track clears it.
+   * @param {TextTrack} textTrack - The text track.
+   * @returns {void}
+   * @public
+   */
+  selectTextTrack(textTrack: TextTrack): void {
+    if (textTrack.language === 'off') {
+      this.hideTextTrack();
+      return;
+    }
+    if (textTrack === this._textTrack) {
+      return;
+    }
+    this._clear();
+    this._textTrack = textTrack;
+    SecondaryTextTrackManager._logger.debug('Secondary text track changed', textTrack);
+    this._player.dispatchEvent(new FakeEvent(CustomEventType.SECONDARY_TEXT_TRACK_CHANGED, {selectedTextTrack: textTrack}));
+    if (!textTrack.external) {
+      this._selectNativeTextTrack(textTrack);
+      return;
+    }
+    this._player.transcript
+      .getCues(textTrack)
+      .then(cues => {
+        if (textTrack === this._textTrack) {
+          this._cues = cues;
+          this._listenToTimeUpdates();
+        }
+      })
+      .catch(error => {
+        const code = error instanceof PKError ? error.code : PKError.Code.UNABLE_TO_CREATE_TEXT_CUE;
+        const pkError = new PKError(PKError.Severity.RECOVERABLE, PKError.Category.TEXT, code, {textTrack, error});
+        this._player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, pkError));
+      });
+  }
+
+  /**
+   * Clears the secondary text track.
+   * @returns {void}
+   * @public
+   */
+  hideTextTrack(): void {
+    if (this._textTrack) {
+      this._clear();
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.SECONDARY_TEXT_TRACK_CHANGED, {selectedTextTrack: null}));
+    }
+  }
+
+  /**
+   * Clears the secondary text track before a media change, keeping the style and the position.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    if (this._textTrack) {
+      this.hideTextTrack();
+    } else {
+      this._clear();
+    }
+  }
+
+  /**
+   * Destroys the secondary text track manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this._clear();
+    this._eventManager.destroy();
+    this._displayEventManager.destroy();
+  }
+
+  /**
+   * Clears the selected track, its cues and the display.
+   * @returns {void}
+   * @private
+   */
+  _clear(): void {
+    const hadActiveCues = this._activeCues.length > 0;
+    this._eventManager.removeAll();
+    this._clearRepositionTimeout();
+    this._restoreNativeTextTrack();
+    this._textTrack = null;
+    this._cues = [];
+    this._activeCues = [];
+    this._displayCues.clear();
+    processCues(window, [], this._el, this._textStyle);
+    if (hadActiveCues) {
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.SECONDARY_TEXT_CUE_CHANGED, {cues: []}));
+    }
+  }
+
+  /**
+   * Updates the active cues by the current time, and displays them if they have changed.
+   * @returns {void}
+   * @private
+   */
+  _onTimeUpdate(): void {
+    if (this._nativeTextTrack && this._nativeTextTrack.cues) {
+      // the engine keeps adding in-band cues while the media loads
+      this._cues = Array.from(this._nativeTextTrack.cues);
+    }
+    const currentTime = this._player.currentTime || 0;
+    const activeCues = this._cues.filter(cue => cue.startTime <= currentTime && currentTime < cue.endTime);
+    const changed = activeCues.length !== this._activeCues.length || activeCues.some((cue, index) => cue !== this._activeCues[index]);
+    if (changed) {
+      this._activeCues = activeCues;
+      this._updateDisplay();
+      this._player.dispatchEvent(new FakeEvent(CustomEventType.SECONDARY_TEXT_CUE_CHANGED, {cues: activeCues}));
+    }
+  }
+
+  /**
+   * Listens to the playback progress and displays the active cues.
+   * @returns {void}
+   * @private
+   */
+  _listenToTimeUpdates(): void {
+    this._eventManager.listen(this._player, Html5EventType.TIME_UPDATE, () => this._onTimeUpdate());
+    this._eventManager.listen(this._player, Html5EventType.SEEKED, () => this._onTimeUpdate());
+    this._onTimeUpdate();
+  }
+
+  /**
+   * Selects a native text track, by hiding its video element text track till it is cleared.
+   * @param {TextTrack} textTrack - The native text track.
+   * @returns {void}
+   * @private
+   */
+  _selectNativeTextTrack(textTrack: TextTrack): void {
+    const videoElement = this._player.getVideoElement();
+    const nativeTextTrack = videoElement && getNativeTextTrack(videoElement, textTrack);
+    if (!nativeTextTrack) {
+      SecondaryTextTrackManager._logger.warn('The video element text track of the secondary text track was not found', textTrack);
+      return;
+    }
+    this._nativeTextTrack = nativeTextTrack;
+    this._nativeTextTrackMode = nativeTextTrack.mode;
+    this._hideNativeTextTrack();
+    this._eventManager.listen(nativeTextTrack, 'cuechange', () => this._onTimeUpdate());
+    // the engine disables the other text tracks once the text track is changed
+    this._eventManager.listen(this._player, CustomEventType.TEXT_TRACK_CHANGED, () => this._hideNativeTextTrack());
+    this._listenToTimeUpdates();
+  }
+
+  /**
+   * Sets the video element text track of the selected native track to hidden mode, so it has cues without displaying them.
+   * @returns {void}
+   * @private
+   */
+  _hideNativeTextTrack(): void {
+    if (this._nativeTextTrack && this._nativeTextTrack.mode === 'disabled') {
+      this._nativeTextTrack.mode = 'hidden';
+    }
+  }
+
+  /**
+   * Restores the mode of the video element text track of the selected native track, unless it has become the active text track.
+   * @returns {void}
+   * @private
+   */
+  _restoreNativeTextTrack(): void {
+    const nativeTextTrack = this._nativeTextTrack;
+    const textTrack = this._textTrack;
+    if (nativeTextTrack && textTrack) {
+      const activeTextTrack = this._player.getActiveTracks().text;
+      const isActive = activeTextTrack && !activeTextTrack.external && activeTextTrack.index === textTrack.index;
+      if (!isActive && nativeTextTrack.mode === 'hidden') {
+        nativeTextTrack.mode = this._nativeTextTrackMode;
+      }
+    }
+    this._nativeTextTrack = null;
+    this._nativeTextTrackMode = '';
+  }
+
+  /**
+   * Renders the active cues in the secondary overlay.
+   * @param {boolean} [recompute=false] - Whether to recompute the layout of the cues, which were already displayed.
+   * @returns {void}
+   * @private
+   */
+  _updateDisplay(recompute: boolean = false): void {
+    const displayCues = this._activeCues.map(cue => this._getDisplayCue(cue));
+    if (recompute) {
+      displayCues.forEach(cue => (cue.hasBeenReset = true));
+    }
+    processCues(window, displayCues, this._el, this._textStyle);
+  }
+
+  /**
+   * Recomputes the layout of the displayed cues once the player size has changed.
+   * @returns {void}
+   * @private
+   */
+  _repositionCues(): void {
+    processCues(window, [], this._el, this._textStyle);
+    this._clearRepositionTimeout();
+    this._repositionTimeout = setTimeout(() => {
+      this._repositionTimeout = null;
+      this._updateDisplay(true);
+    }, REPOSITION_CUES_TIMEOUT);
+  }
+
+  /**
+   * Clears the reposition timeout.
+   * @returns {void}
+   * @private
+   */
+  _clearRepositionTimeout(): void {
+    if (this._repositionTimeout) {
+      clearTimeout(this._repositionTimeout);
+      this._repositionTimeout = null;
+    }
+  }
+
+  /**
+   * Gets the display copy of a cue. Cues with an automatic line are moved to the first line for the top position.
+   * @param {Cue} cue - The track cue.
+   * @returns {Cue} - The display cue.
+   * @private
+   */
+  _getDisplayCue(cue: Cue): Cue {
+    let displayCue = this._displayCues.get(cue);
+    if (!displayCue) {
+      displayCue = new Cue(cue.startTime, cue.endTime, cue.text);
+      CUE_SETTINGS.forEach(setting => {
+        try {
+          // $FlowFixMe
+          displayCue[setting] = cue[setting];
+        } catch (e) {
+          // a setting value the custom renderer doesn't support (of a native cue) keeps its default
+        }
+      });
+      ['position', 'size'].forEach(setting => {
+        if (typeof cue[setting] === 'number') {
+          // $FlowFixMe
+          displayCue[setting] = cue[setting];
+        }
+      });
+      if (this._position === TextTrackPosition.TOP && cue.snapToLines !== false && cue.line === 'auto') {
+        displayCue.line = 0;
+      }
+      this._displayCues.set(cue, displayCue);
+    }
+    return displayCue;
+  }
+}
+
+export {SecondaryTextTrackManager};
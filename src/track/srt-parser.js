@@ -0,0 +1,129 @@
+//@flow
+import Error from '../error/error';
+import getLogger from '../utils/logger';
+import TextStyle from './text-style';
+import {Cue} from './vtt-cue';
+
+const logger = getLogger('SrtParser');
+
+/**
+ * A timing line, such as `00:00:01,000 --> 00:00:02,500`. Hours, milliseconds and the arrow length are optional,
+ * and trailing display coordinates (X1:... Y2:...) are ignored.
+ * @type {RegExp}
+ * @const
+ */
+const TIMING_REGEX: RegExp = /^((?:\d+:)?\d{1,2}:\d{1,2}(?:[,.]\d{1,3})?)\s*-+>\s*((?:\d+:)?\d{1,2}:\d{1,2}(?:[,.]\d{1,3})?)(?:\s.*)?$/;
+
+/**
+ * Parses an SRT timestamp into seconds. The hours and the milliseconds are optional, and both `,` and `.` separate the milliseconds.
+ * @param {string} value - The timestamp.
+ * @returns {number} - The time in seconds, NaN if the timestamp is not valid.
+ */
+function parseTimestamp(value: string): number {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/.exec(value.trim());
+  if (!match) {
+    return NaN;
+  }
+  const [, hours, minutes, seconds, millis] = match;
+  // a fraction of less than 3 digits is a fraction of a second (00:00:01,5 is 1.5 seconds)
+  const fraction = millis ? parseInt(millis) / Math.pow(10, millis.length) : 0;
+  return parseInt(hours || '0') * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + fraction;
+}
+
+/**
+ * Parses an HTML font colour (#RRGGBB, #RGB or a standard colour name).
+ * @param {string} value - The colour.
+ * @returns {?Array<number>} - The RGB values, null if the colour is not supported.
+ */
+function parseFontColor(value: string): ?Array<number> {
+  const color = value.trim().toLowerCase();
+  const hex = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/(.)/g, '$1$1') : hex[1];
+    return [0, 2, 4].map(index => parseInt(digits.substr(index, 2), 16));
+  }
+  return TextStyle.StandardColors[color.toUpperCase()] || null;
+}
+
+/**
+ * Converts SRT cue text into VTT cue text markup.
+ * `{b}`, `{i}` and `{u}` tags are converted into their HTML form, font tags and other override tags are removed.
+ * @param {string} text - The SRT cue text.
+ * @returns {string} - The VTT cue text.
+ */
+function convertText(text: string): string {
+  return text
+    .replace(/\{(\/?[biu])\}/gi, (match, tag) => `<${tag.toLowerCase()}>`)
+    .replace(/<\/?font[^>]*>/gi, '')
+    .replace(/\{\\[^}]*\}/g, '');
+}
+
+/**
+ * Parses an SRT file into cues.
+ * Malformed cues are skipped and reported by the error callback, with the line number they start at.
+ * @param {string} text - The file content.
+ * @param {Function} [onError] - Called with a recoverable text error per malformed cue.
+ * @returns {Array<Cue>} - The cues, sorted by their start time.
+ */
+function parseSrt(text: string, onError?: (error: Error) => void): Array<Cue> {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const cues = [];
+  const isTimingLine = (index: number): boolean => index < lines.length && TIMING_REGEX.test(lines[index].trim());
+  const isNumberLine = (index: number): boolean => index < lines.length && /^\d+$/.test(lines[index].trim());
+  // a new cue starts at a timing line, or at a cue number followed by a timing line
+  const isCueStart = (index: number): boolean => isTimingLine(index) || (isNumberLine(index) && isTimingLine(index + 1));
+  const reportError = (index: number, reason: string) => {
+    const data = {line: index + 1, text: lines[index], reason};
+    logger.warn(`Invalid cue at line ${index + 1}: ${reason}`);
+    if (onError) {
+      onError(new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.INVALID_TEXT_CUE, data));
+    }
+  };
+  let index = 0;
+  while (index < lines.length) {
+    if (!lines[index].trim() || (isNumberLine(index) && !isCueStart(index))) {
+      // an empty line or a stray cue number
+      index++;
+      continue;
+    }
+    if (!isCueStart(index)) {
+      reportError(index, 'missing cue timing');
+      // skip the malformed block
+      while (index < lines.length && lines[index].trim() && !isCueStart(index)) {
+        index++;
+      }
+      continue;
+    }
+    const id = isNumberLine(index) ? lines[index++].trim() : '';
+    const timingIndex = index;
+    const match = TIMING_REGEX.exec(lines[index++].trim()) || [];
+    const startTime = parseTimestamp(match[1]);
+    const endTime = parseTimestamp(match[2]);
+    const textLines = [];
+    while (index < lines.length && lines[index].trim() && !isCueStart(index)) {
+      textLines.push(lines[index++].trim());
+    }
+    if (isNaN(startTime) || isNaN(endTime) || endTime < startTime) {
+      reportError(timingIndex, 'invalid cue timing');
+      continue;
+    }
+    const rawText = textLines.join('\n');
+    const cueText = convertText(rawText);
+    if (cueText.trim()) {
+      const cue = new Cue(startTime, endTime, cueText);
+      cue.id = id;
+      const fontColor = /<font[^>]*\scolor\s*=\s*["']?([^"'\s>]+)/i.exec(rawText);
+      const rgb = fontColor && parseFontColor(fontColor[1]);
+      if (rgb) {
+        const textStyle = new TextStyle();
+        textStyle.fontColor = rgb;
+        cue.textStyle = textStyle;
+      }
+      cues.push(cue);
+    }
+  }
+  logger.debug(`Parsed ${cues.length} cues`);
+  return cues.sort((a, b) => a.startTime - b.startTime);
+}
+
+export {parseSrt, parseTimestamp};
@@ -0,0 +1,530 @@
+//@flow
+import Error from '../error/error';
+import getLogger from '../utils/logger';
+import TextStyle from './text-style';
+import {Cue} from './vtt-cue';
+
+type SsaColor = {rgb: Array<number>, opacity: number};
+
+type SsaStyle = {
+  name: string,
+  fontName: string,
+  bold: boolean,
+  italic: boolean,
+  underline: boolean,
+  primaryColor: SsaColor,
+  outlineColor: SsaColor,
+  backColor: SsaColor,
+  borderStyle: number,
+  outline: number,
+  shadow: number,
+  alignment: number,
+  marginL: number,
+  marginR: number,
+  marginV: number
+};
+
+type SsaState = {
+  bold: boolean,
+  italic: boolean,
+  underline: boolean,
+  fontName: string,
+  primaryColor: SsaColor,
+  alignment: number,
+  position: ?{x: number, y: number},
+  drawing: boolean
+};
+
+type SsaSegment = {
+  text: string,
+  bold: boolean,
+  italic: boolean,
+  underline: boolean
+};
+
+type SsaContext = {
+  playResX: number,
+  playResY: number,
+  wrapStyle: number,
+  styles: {[name: string]: SsaStyle}
+};
+
+const logger = getLogger('SsaParser');
+
+/**
+ * The style format of ASS ([V4+ Styles]) files which don't specify one.
+ * @type {Array<string>}
+ * @const
+ */
+const DEFAULT_STYLE_FORMAT: Array<string> = [
+  'name',
+  'fontname',
+  'fontsize',
+  'primarycolour',
+  'secondarycolour',
+  'outlinecolour',
+  'backcolour',
+  'bold',
+  'italic',
+  'underline',
+  'strikeout',
+  'scalex',
+  'scaley',
+  'spacing',
+  'angle',
+  'borderstyle',
+  'outline',
+  'shadow',
+  'alignment',
+  'marginl',
+  'marginr',
+  'marginv',
+  'encoding'
+];
+
+/**
+ * The event format of files which don't specify one.
+ * @type {Array<string>}
+ * @const
+ */
+const DEFAULT_EVENT_FORMAT: Array<string> = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+/**
+ * The border style value which means an opaque box behind the text.
+ * @type {number}
+ * @const
+ */
+const OPAQUE_BOX_BORDER_STYLE: number = 3;
+
+/**
+ * The style used by events which refer to a style which is not defined.
+ * @type {SsaStyle}
+ * @const
+ */
+const DEFAULT_STYLE: SsaStyle = {
+  name: 'Default',
+  fontName: 'Arial',
+  bold: false,
+  italic: false,
+  underline: false,
+  primaryColor: {rgb: [255, 255, 255], opacity: 1},
+  outlineColor: {rgb: [0, 0, 0], opacity: 1},
+  backColor: {rgb: [0, 0, 0], opacity: 1},
+  borderStyle: 1,
+  outline: 2,
+  shadow: 2,
+  alignment: 2,
+  marginL: 10,
+  marginR: 10,
+  marginV: 10
+};
+
+/**
+ * Parses a SubStation time of the form H:MM:SS.CC into seconds.
+ * @param {string} value - The time.
+ * @returns {number} - The time in seconds, NaN if the time is not valid.
+ */
+function parseTime(value: string): number {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:[.:](\d+))?$/.exec(value.trim());
+  if (!match) {
+    return NaN;
+  }
+  const [, hours, minutes, seconds, fraction] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + (fraction ? parseInt(fraction) / Math.pow(10, fraction.length) : 0);
+}
+
+/**
+ * Parses a SubStation colour, either &HAABBGGRR (ASS) or a decimal BGR value (SSA).
+ * @param {?string} value - The colour.
+ * @returns {?SsaColor} - The colour, null if the value is not valid.
+ */
+function parseColor(value: ?string): ?SsaColor {
+  const color = (value || '').trim();
+  const match = /^&H([0-9a-f]{1,8})&?$/i.exec(color);
+  const number = match ? parseInt(match[1], 16) : /^-?\d+$/.test(color) ? parseInt(color) : NaN;
+  if (isNaN(number)) {
+    return null;
+  }
+  const alpha = (number >>> 24) & 0xff;
+  return {
+    rgb: [number & 0xff, (number >>> 8) & 0xff, (number >>> 16) & 0xff],
+    opacity: Math.round((1 - alpha / 255) * 100) / 100
+  };
+}
+
+/**
+ * Parses a SubStation alpha override value of the form &HAA&.
+ * @param {string} value - The alpha.
+ * @returns {number} - The opacity, NaN if the value is not valid.
+ */
+function parseOpacity(value: string): number {
+  const match = /^&H([0-9a-f]{1,2})&?$/i.exec(value.trim());
+  return match ? Math.round((1 - parseInt(match[1], 16) / 255) * 100) / 100 : NaN;
+}
+
+/**
+ * Converts a legacy SSA alignment (1-3 bottom, 5-7 top, 9-11 middle) into a numpad alignment (as used by ASS).
+ * @param {number} alignment - The legacy alignment.
+ * @returns {number} - The numpad alignment.
+ */
+function fromLegacyAlignment(alignment: number): number {
+  return alignment <= 3 ? alignment : alignment <= 7 ? alignment + 2 : alignment - 5;
+}
+
+/**
+ * Parses a number field.
+ * @param {?string} value - The field value.
+ * @param {number} defaultValue - The value to use in case the field is empty or not valid.
+ * @returns {number} - The number.
+ */
+function parseNumber(value: ?string, defaultValue: number): number {
+  const number = parseFloat(value);
+  return isNaN(number) ? defaultValue : number;
+}
+
+/**
+ * Splits a comma separated line into fields by the given format. The last field may contain commas.
+ * @param {Array<string>} format - The lower case field names.
+ * @param {string} value - The line value.
+ * @returns {Object} - The field values by their name.
+ */
+function toFields(format: Array<string>, value: string): {[field: string]: string} {
+  const fields = {};
+  let rest = value;
+  format.forEach((name, index) => {
+    const separator = index < format.length - 1 ? rest.indexOf(',') : -1;
+    fields[name] = (separator === -1 ? rest : rest.substr(0, separator)).trim();
+    rest = separator === -1 ? '' : rest.substr(separator + 1);
+  });
+  return fields;
+}
+
+/**
+ * Parses a style line.
+ * @param {Object} fields - The style fields.
+ * @param {boolean} legacy - Whether the style is of an SSA ([V4 Styles]) file.
+ * @returns {SsaStyle} - The style.
+ */
+function parseStyle(fields: {[field: string]: string}, legacy: boolean): SsaStyle {
+  const isOn = (value: ?string): boolean => parseNumber(value, 0) !== 0;
+  const alignment = parseNumber(fields.alignment, DEFAULT_STYLE.alignment);
+  return {
+    name: fields.name || DEFAULT_STYLE.name,
+    fontName: fields.fontname || DEFAULT_STYLE.fontName,
+    bold: isOn(fields.bold),
+    italic: isOn(fields.italic),
+    underline: isOn(fields.underline),
+    primaryColor: parseColor(fields.primarycolour) || DEFAULT_STYLE.primaryColor,
+    outlineColor: parseColor(fields.outlinecolour || fields.tertiarycolour) || DEFAULT_STYLE.outlineColor,
+    backColor: parseColor(fields.backcolour) || DEFAULT_STYLE.backColor,
+    borderStyle: parseNumber(fields.borderstyle, DEFAULT_STYLE.borderStyle),
+    outline: parseNumber(fields.outline, DEFAULT_STYLE.outline),
+    shadow: parseNumber(fields.shadow, DEFAULT_STYLE.shadow),
+    alignment: legacy ? fromLegacyAlignment(alignment) : alignment,
+    marginL: parseNumber(fields.marginl, DEFAULT_STYLE.marginL),
+    marginR: parseNumber(fields.marginr, DEFAULT_STYLE.marginR),
+    marginV: parseNumber(fields.marginv, DEFAULT_STYLE.marginV)
+  };
+}
+
+/**
+ * Resets the formatting state to a style.
+ * @param {SsaState} state - The formatting state.
+ * @param {SsaStyle} style - The style.
+ * @returns {void}
+ */
+function resetState(state: SsaState, style: SsaStyle): void {
+  state.bold = style.bold;
+  state.italic = style.italic;
+  state.underline = style.underline;
+  state.fontName = style.fontName;
+  state.primaryColor = style.primaryColor;
+}
+
+/**
+ * Applies an override block (such as {\an8\i1}) to the formatting state.
+ * Tags which can't be expressed by cue settings, cue markup or a text style are ignored.
+ * @param {string} block - The override block content.
+ * @param {SsaState} state - The formatting state.
+ * @param {SsaStyle} lineStyle - The style of the event.
+ * @param {SsaContext} context - The parsing context.
+ * @returns {void}
+ */
+function applyOverrides(block: string, state: SsaState, lineStyle: SsaStyle, context: SsaContext): void {
+  block.split('\\').forEach(tag => {
+    const match = /^(alpha|an|a|fn|pos|1c|1a|c|i|b|u|r|p)(.*)$/.exec(tag.trim());
+    if (!match) {
+      return;
+    }
+    const [, name, arg] = match;
+    const isNumber = /^\d+$/.test(arg);
+    switch (name) {
+      case 'i':
+        state.italic = isNumber ? parseInt(arg) !== 0 : state.italic;
+        break;
+      case 'u':
+        state.underline = isNumber ? parseInt(arg) !== 0 : state.underline;
+        break;
+      case 'b':
+        // the bold tag is either a flag or a font weight
+        state.bold = isNumber ? parseInt(arg) === 1 || parseInt(arg) >= 700 : state.bold;
+        break;
+      case 'an':
+        state.alignment = /^[1-9]$/.test(arg) ? parseInt(arg) : state.alignment;
+        break;
+      case 'a':
+        state.alignment = isNumber ? fromLegacyAlignment(parseInt(arg)) : state.alignment;
+        break;
+      case 'pos': {
+        const position = /^\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\)$/.exec(arg);
+        state.position = position ? {x: parseFloat(position[1]), y: parseFloat(position[2])} : state.position;
+        break;
+      }
+      case 'c':
+      case '1c': {
+        const color = parseColor(arg);
+        state.primaryColor = color ? {rgb: color.rgb, opacity: state.primaryColor.opacity} : state.primaryColor;
+        break;
+      }
+      case 'alpha':
+      case '1a': {
+        const opacity = parseOpacity(arg);
+        state.primaryColor = isNaN(opacity) ? state.primaryColor : {rgb: state.primaryColor.rgb, opacity};
+        break;
+      }
+      case 'fn':
+        state.fontName = arg.trim() || state.fontName;
+        break;
+      case 'r':
+        resetState(state, context.styles[arg.trim()] || lineStyle);
+        break;
+      case 'p':
+        state.drawing = isNumber ? parseInt(arg) > 0 : state.drawing;
+        break;
+    }
+  });
+}
+
+/**
+ * Escapes text for the VTT cue text markup.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeText(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds the VTT cue text markup of the text segments.
+ * @param {Array<SsaSegment>} segments - The text segments.
+ * @returns {string} - The cue text.
+ */
+function buildCueText(segments: Array<SsaSegment>): string {
+  let cueText = '';
+  let pending = '';
+  segments.forEach((segment, index) => {
+    pending += segment.text;
+    const next = segments[index + 1];
+    const sameFormat = next && next.bold === segment.bold && next.italic === segment.italic && next.underline === segment.underline;
+    if (!sameFormat && pending) {
+      let markup = escapeText(pending);
+      markup = segment.underline ? `<u>${markup}</u>` : markup;
+      markup = segment.italic ? `<i>${markup}</i>` : markup;
+      markup = segment.bold ? `<b>${markup}</b>` : markup;
+      cueText += markup;
+      pending = '';
+    }
+  });
+  return cueText;
+}
+
+/**
+ * Clamps a percentage into the valid cue settings range.
+ * @param {number} value - The percentage.
+ * @returns {number} - The clamped percentage.
+ */
+function clampPercent(value: number): number {
+  return Math.min(100, Math.max(0, value));
+}
+
+/**
+ * Positions a cue by its alignment and margins, or by its explicit position.
+ * @param {Cue} cue - The cue.
+ * @param {SsaState} state - The formatting state of the event.
+ * @param {{marginL: number, marginR: number, marginV: number}} margins - The margins of the event, in script pixels.
+ * @param {SsaContext} context - The parsing context.
+ * @returns {void}
+ */
+function applyLayout(cue: Cue, state: SsaState, margins: {marginL: number, marginR: number, marginV: number}, context: SsaContext): void {
+  // numpad alignment - 1-3 bottom, 4-6 middle, 7-9 top, each row is left, center and right
+  const horizontal = (state.alignment - 1) % 3;
+  const vertical = Math.floor((state.alignment - 1) / 3);
+  cue.snapToLines = false;
+  cue.align = ['left', 'center', 'right'][horizontal];
+  cue.lineAlign = ['end', 'center', 'start'][vertical];
+  const position = state.position;
+  if (position) {
+    const x = clampPercent((position.x / context.playResX) * 100);
+    const size = [100 - x, 2 * Math.min(x, 100 - x), x][horizontal];
+    cue.line = clampPercent((position.y / context.playResY) * 100);
+    cue.size = size;
+    cue.position = [x + size / 2, x, x / 2][horizontal];
+  } else {
+    const left = (margins.marginL / context.playResX) * 100;
+    const right = (margins.marginR / context.playResX) * 100;
+    const marginV = (margins.marginV / context.playResY) * 100;
+    const size = clampPercent(100 - left - right);
+    cue.line = clampPercent([100 - marginV, 50, marginV][vertical]);
+    cue.size = size;
+    cue.position = clampPercent(left + size / 2);
+  }
+}
+
+/**
+ * Creates the text style of a cue from its style and override tags.
+ * @param {SsaState} state - The formatting state of the event.
+ * @param {SsaStyle} style - The style of the event.
+ * @returns {TextStyle} - The text style.
+ */
+function createTextStyle(state: SsaState, style: SsaStyle): TextStyle {
+  const textStyle = new TextStyle();
+  textStyle.fontFamily = state.fontName;
+  textStyle.fontColor = state.primaryColor.rgb;
+  textStyle.fontOpacity = state.primaryColor.opacity;
+  if (style.borderStyle === OPAQUE_BOX_BORDER_STYLE) {
+    textStyle.backgroundColor = style.outlineColor.rgb;
+    textStyle.backgroundOpacity = style.outlineColor.opacity;
+  } else {
+    textStyle.backgroundOpacity = TextStyle.StandardOpacities.TRANSPARENT;
+    const fontEdge = [];
+    if (style.outline > 0) {
+      const outline = style.outlineColor.rgb.concat(0, 0, style.outline * 2);
+      fontEdge.push(outline, outline, outline, outline);
+    }
+    if (style.shadow > 0) {
+      fontEdge.push(style.backColor.rgb.concat(style.shadow, style.shadow, 0));
+    }
+    textStyle.fontEdge = fontEdge;
+  }
+  return textStyle;
+}
+
+/**
+ * Creates a cue of a dialogue event.
+ * @param {Object} fields - The event fields.
+ * @param {SsaContext} context - The parsing context.
+ * @returns {?Cue} - The cue, null if the event is not valid or has no text to display.
+ */
+function createCue(fields: {[field: string]: string}, context: SsaContext): ?Cue {
+  const startTime = parseTime(fields.start || '');
+  const endTime = parseTime(fields.end || '');
+  if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+    logger.warn('Invalid dialogue timing', fields);
+    return null;
+  }
+  const style = context.styles[(fields.style || '').replace(/^\*/, '')] || context.styles[DEFAULT_STYLE.name] || DEFAULT_STYLE;
+  const state: SsaState = {
+    bold: style.bold,
+    italic: style.italic,
+    underline: style.underline,
+    fontName: style.fontName,
+    primaryColor: style.primaryColor,
+    alignment: style.alignment,
+    position: null,
+    drawing: false
+  };
+  const segments = [];
+  (fields.text || '').split(/(\{[^}]*\})/).forEach(part => {
+    if (part[0] === '{' && part[part.length - 1] === '}') {
+      applyOverrides(part.substr(1, part.length - 2), state, style, context);
+    } else if (part && !state.drawing) {
+      const text = part
+        .replace(/\\N/g, '\n')
+        .replace(/\\n/g, context.wrapStyle === 2 ? '\n' : ' ')
+        .replace(/\\h/g, '\u00a0');
+      segments.push({text, bold: state.bold, italic: state.italic, underline: state.underline});
+    }
+  });
+  const text = buildCueText(segments);
+  if (!text.trim()) {
+    return null;
+  }
+  const cue = new Cue(startTime, endTime, text);
+  // the event margins override the style margins, unless they are 0
+  const margins = {
+    marginL: parseNumber(fields.marginl, 0) || style.marginL,
+    marginR: parseNumber(fields.marginr, 0) || style.marginR,
+    marginV: parseNumber(fields.marginv, 0) || style.marginV
+  };
+  applyLayout(cue, state, margins, context);
+  cue.textStyle = createTextStyle(state, style);
+  return cue;
+}
+
+/**
+ * Parses a SubStation Alpha (SSA) or Advanced SubStation Alpha (ASS) file into cues.
+ * The style of each cue is set as its text style, which the custom text display applies under the user text style.
+ * @param {string} text - The file content.
+ * @returns {Array<Cue>} - The cues, sorted by their start time.
+ */
+function parseSsa(text: string): Array<Cue> {
+  const info = {};
+  const context: SsaContext = {playResX: 0, playResY: 0, wrapStyle: 0, styles: {}};
+  const dialogues = [];
+  let section = '';
+  let styleFormat = DEFAULT_STYLE_FORMAT;
+  let eventFormat = DEFAULT_EVENT_FORMAT;
+  let hasEvents = false;
+  text
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/)
+    .forEach(rawLine => {
+      const line = rawLine.trim();
+      const sectionMatch = /^\[(.+)\]$/.exec(line);
+      const separator = line.indexOf(':');
+      if (sectionMatch) {
+        section = sectionMatch[1].toLowerCase();
+        hasEvents = hasEvents || section === 'events';
+      } else if (line && line[0] !== ';' && separator > 0) {
+        const key = line.substr(0, separator).trim().toLowerCase();
+        const value = line.substr(separator + 1).trim();
+        const format = value.split(',').map(name => name.trim().toLowerCase());
+        if (section === 'script info') {
+          info[key] = value;
+        } else if (section === 'v4+ styles' || section === 'v4 styles') {
+          if (key === 'format') {
+            styleFormat = format;
+          } else if (key === 'style') {
+            const style = parseStyle(toFields(styleFormat, value), section === 'v4 styles');
+            context.styles[style.name] = style;
+          }
+        } else if (section === 'events') {
+          if (key === 'format') {
+            eventFormat = format;
+          } else if (key === 'dialogue') {
+            dialogues.push(toFields(eventFormat, value));
+          }
+        }
+      }
+    });
+  if (!hasEvents) {
+    throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.INVALID_TEXT_HEADER, {reason: 'missing [Events] section'});
+  }
+  // the script resolution defaults follow the 4:3 aspect ratio of the original SubStation renderer
+  const playResX = parseNumber(info.playresx, 0);
+  const playResY = parseNumber(info.playresy, 0);
+  context.playResX = playResX || (playResY ? (playResY * 4) / 3 : 384);
+  context.playResY = playResY || (playResX ? (playResX * 3) / 4 : 288);
+  context.wrapStyle = parseNumber(info.wrapstyle, 0);
+  const cues = [];
+  dialogues.forEach(fields => {
+    const cue = createCue(fields, context);
+    if (cue) {
+      cues.push(cue);
+    }
+  });
+  logger.debug(`Parsed ${cues.length} cues`);
+  return cues.sort((a, b) => a.startTime - b.startTime);
+}
+
+export {parseSsa, parseTime, parseColor};
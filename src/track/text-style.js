@@ -223,6 +223,40 @@ class TextStyle {
     return clonedTextStyle;
   }
 
+  /**
+   * serializes the textStyle object into a plain object
+   * @returns {Object} the textStyle attributes
+   */
+  toJSON(): Object {
+    return {
+      fontEdge: this.fontEdge,
+      fontSize: this.fontSize,
+      fontScale: this.fontScale,
+      fontColor: this.fontColor,
+      fontOpacity: this.fontOpacity,
+      backgroundColor: this.backgroundColor,
+      backgroundOpacity: this.backgroundOpacity,
+      fontFamily: this.fontFamily
+    };
+  }
+
+  /**
+   * creates a textStyle object from its serialized attributes
+   * @param {Object} json - the textStyle attributes, as returned by toJSON
+   * @returns {TextStyle} the textStyle object
+   * @static
+   */
+  static fromJSON(json: Object): TextStyle {
+    const textStyle = new TextStyle();
+    Object.keys(textStyle.toJSON()).forEach(attribute => {
+      if (json && json[attribute] !== undefined) {
+        // $FlowFixMe
+        textStyle[attribute] = json[attribute];
+      }
+    });
+    return textStyle;
+  }
+
   /**
    * comparing between 2 textStyle objects.
    * @param {TextStyle} textStyle - The textStyle to compare with.
@@ -633,6 +633,10 @@ class CueStyleBox extends StyleBox {
       styles.unicodeBidi = 'plaintext';
     }
     this.applyStyles(styles, this.cueDiv);
+    // The track STYLE rules override the default styles, but not the ones the user changed.
+    if (cue.styleSheet) {
+      cue.styleSheet.applyTo(cue, this.cueDiv, styleOptions.userProperties);
+    }
 
     // Create an absolutely positioned div that will be used to position the cue
     // div. Note, all WebVTT cue-setting alignments are equivalent to the CSS
@@ -977,6 +981,38 @@ const FONT_SIZE_PERCENT = 0.058;
 const FONT_STYLE = 'sans-serif';
 const CUE_BACKGROUND_PADDING = '1.5%';
 
+// The CSS properties each text style attribute is rendered with.
+const TEXT_STYLE_PROPERTIES = {
+  fontFamily: ['font-family', 'font'],
+  fontSize: ['font-size', 'font'],
+  fontScale: ['font-size', 'font'],
+  fontColor: ['color'],
+  fontOpacity: ['color'],
+  backgroundColor: ['background-color', 'background'],
+  backgroundOpacity: ['background-color', 'background'],
+  fontEdge: ['text-shadow']
+};
+
+// Gets the text style attributes the user changed from their defaults.
+function getChangedAttributes(style) {
+  const defaults = new TextStyle().toJSON();
+  const userAttributes = style.toJSON();
+  return Object.keys(userAttributes).filter(attribute => JSON.stringify(userAttributes[attribute]) !== JSON.stringify(defaults[attribute]));
+}
+
+// Layers the user style over the author style of a cue. The author style applies
+// to the attributes the user did not change from their defaults.
+function getCueStyle(cueStyle, style) {
+  const changedAttributes = getChangedAttributes(style);
+  const authorAttributes = cueStyle.toJSON();
+  const userAttributes = style.toJSON();
+  const attributes = {};
+  Object.keys(userAttributes).forEach(attribute => {
+    attributes[attribute] = changedAttributes.includes(attribute) ? userAttributes[attribute] : authorAttributes[attribute];
+  });
+  return TextStyle.fromJSON(attributes);
+}
+
 // Runs the processing model over the cues and regions passed to it.
 // @param overlay A block level element (usually a div) that the computed cues
 //                and regions will be placed into.
@@ -1023,12 +1059,21 @@ function processCues(window, cues, overlay, style) {
     containerBox = BoxPosition.getSimpleBoxPosition(paddedOverlay),
     dimensionSize = containerBox.height < containerBox.width ? containerBox.height : containerBox.width,
     fontSize = Math.round(dimensionSize * FONT_SIZE_PERCENT * 100) / 100;
-  let styleOptions = {
-    font: fontSize * fontScale * style.implicitFontScale + 'px ' + style.fontFamily,
-    color: TextStyle.toRGBA(style.fontColor, style.fontOpacity),
-    backgroundColor: TextStyle.toRGBA(style.backgroundColor, style.backgroundOpacity),
-    textShadow: style.getTextShadow()
-  };
+  // The CSS properties of the user style, which the track STYLE rules don't override.
+  let userProperties = [];
+  getChangedAttributes(style).forEach(attribute => {
+    userProperties = userProperties.concat(TEXT_STYLE_PROPERTIES[attribute] || []);
+  });
+  function getStyleOptions(style) {
+    return {
+      font: fontSize * fontScale * style.implicitFontScale + 'px ' + style.fontFamily,
+      color: TextStyle.toRGBA(style.fontColor, style.fontOpacity),
+      backgroundColor: TextStyle.toRGBA(style.backgroundColor, style.backgroundOpacity),
+      textShadow: style.getTextShadow(),
+      userProperties: userProperties
+    };
+  }
+  let styleOptions = getStyleOptions(style);
 
   (function () {
     let styleBox, cue;
@@ -1037,7 +1082,7 @@ function processCues(window, cues, overlay, style) {
       cue = cues[i];
 
       // Compute the intial position and styles of the cue div.
-      styleBox = new CueStyleBox(window, cue, styleOptions);
+      styleBox = new CueStyleBox(window, cue, cue.textStyle ? getStyleOptions(getCueStyle(cue.textStyle, style)) : styleOptions);
       paddedOverlay.appendChild(styleBox.div);
 
       // Move the cue div to it's correct line position.
@@ -1058,6 +1103,8 @@ let Parser = function (window, decoder) {
   this.buffer = '';
   this.decoder = decoder || new TextDecoder('utf8');
   this.regionList = [];
+  // STYLE blocks are allowed before the first cue only.
+  this.hasCues = false;
 };
 
 let StringDecoder = function () {
@@ -1275,6 +1322,24 @@ Parser.prototype = {
               self.state = 'ID';
             }
             continue;
+          case 'STYLE':
+            // A timing line means this was a cue with the 'STYLE' identifier.
+            if (line.indexOf('-->') !== -1) {
+              self.cue = new Cue(0, 0, '');
+              self.cue.id = 'STYLE';
+              self.hasCues = true;
+              self.state = 'CUE';
+              alreadyCollectedLine = true;
+              continue;
+            }
+            // An empty line terminates the STYLE block.
+            if (!line) {
+              self.onstyle && self.onstyle(self.style);
+              self.state = 'ID';
+            } else {
+              self.style += line + '\n';
+            }
+            continue;
           case 'NOTE':
             // Ignore NOTE blocks.
             if (!line) {
@@ -1287,11 +1352,18 @@ Parser.prototype = {
               self.state = 'NOTE';
               break;
             }
+            // Check for the start of STYLE blocks. After the first cue, a STYLE line is a cue identifier.
+            if (!self.hasCues && /^STYLE[ \t]*$/.test(line)) {
+              self.style = '';
+              self.state = 'STYLE';
+              continue;
+            }
             // 19-29 - Allow any number of line terminators, then initialize new cue values.
             if (!line) {
               continue;
             }
             self.cue = new Cue(0, 0, '');
+            self.hasCues = true;
             self.state = 'CUE';
             // 30-39 - Check if self line contains an optional identifier or timing data.
             if (line.indexOf('-->') === -1) {
@@ -1359,7 +1431,7 @@ Parser.prototype = {
       // Finish decoding the stream.
       self.buffer += self.decoder.decode();
       // Synthesize the end of the current cue or region.
-      if (self.cue || self.state === 'HEADER') {
+      if (self.cue || self.state === 'HEADER' || self.state === 'STYLE') {
         self.buffer += '\n\n';
         self.parse();
       }
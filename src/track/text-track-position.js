@@ -0,0 +1,7 @@
+// @flow
+const TextTrackPosition: PKTextTrackPositions = {
+  TOP: 'top',
+  BOTTOM: 'bottom'
+};
+
+export {TextTrackPosition};
@@ -0,0 +1,220 @@
+//@flow
+import Player from '../player';
+import TextTrack from './text-track';
+import {Cue} from './vtt-cue';
+import {CueIterator} from './cue-iterator';
+import {TrackType} from './track-type';
+import getLogger from '../utils/logger';
+
+/**
+ * The entities which may appear in the cue text markup.
+ * @type {Object}
+ * @const
+ */
+const ENTITIES: {[entity: string]: string} = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': ''
+};
+
+/**
+ * Gets the plain text of a cue, without its markup tags and entities.
+ * @param {Cue} cue - The cue.
+ * @returns {string} - The plain text.
+ */
+function getPlainText(cue: Cue): string {
+  return (cue.text || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Gets the text track of the video element which a native text track stands for.
+ * @param {HTMLVideoElement} videoElement - The video element.
+ * @param {TextTrack} textTrack - The native text track.
+ * @returns {?Object} - The video element text track, null if not found.
+ */
+function getNativeTextTrack(videoElement: HTMLVideoElement, textTrack: TextTrack): ?Object {
+  const domTracks = Array.from(videoElement.textTracks);
+  return (
+    domTracks.find(track => track.language === textTrack.language && track.label === textTrack.label) ||
+    domTracks.find(track => track.language === textTrack.language) ||
+    null
+  );
+}
+
+/**
+ * Exposes the full cue list of the text tracks, for a transcript of the media.
+ * External tracks reuse the cues the external captions handler downloaded, native tracks expose the cues of the video element.
+ * @class TranscriptManager
+ * @param {Player} player - The player.
+ * @param {Function} getExternalCues - Gets the cues of an external text track.
+ */
+class TranscriptManager {
+  /**
+   * The transcript manager class logger.
+   * @type {any}
+   * @static
+   * @private
+   */
+  static _logger: any = getLogger('TranscriptManager');
+  /**
+   * The player.
+   * @type {Player}
+   * @private
+   */
+  _player: Player;
+  /**
+   * Gets the cues of an external text track.
+   * @type {Function}
+   * @private
+   */
+  _getExternalCues: (textTrack: TextTrack) => Promise<Array<Cue>>;
+  /**
+   * The cue iterators created for the current media.
+   * @type {Array<CueIterator>}
+   * @private
+   */
+  _iterators: Array<CueIterator> = [];
+
+  /**
+   * @constructor
+   * @param {Player} player - The player.
+   * @param {Function} getExternalCues - Gets the cues of an external text track.
+   */
+  constructor(player: Player, getExternalCues: (textTrack: TextTrack) => Promise<Array<Cue>>) {
+    this._player = player;
+    this._getExternalCues = getExternalCues;
+  }
+
+  /**
+   * Gets the full cue list of a text track.
+   * Native in-band tracks expose the cues parsed so far, as the engine adds their cues while the media loads.
+   * @param {TextTrack} [textTrack] - The text track, the active text track if not given.
+   * @returns {Promise<Array<Cue>>} - Resolves with the cues sorted by their start time, an empty array if there is no such track.
+   * @public
+   */
+  getCues(textTrack?: TextTrack): Promise<Array<Cue>> {
+    const track = textTrack || this._player.getTracks(TrackType.TEXT).find(track => track.active);
+    if (!track || track.language === 'off') {
+      return Promise.resolve([]);
+    }
+    const cuesPromise = track.external ? this._getExternalCues(track) : this._getNativeCues(track);
+    return cuesPromise.then(cues => cues.slice().sort((a, b) => a.startTime - b.startTime));
+  }
+
+  /**
+   * Searches the text of the cues of a text track, case insensitively.
+   * @param {string} query - The text to search.
+   * @param {TextTrack} [textTrack] - The text track, the active text track if not given.
+   * @returns {Promise<Array<PKTranscriptHitObject>>} - Resolves with the hits, by the order of the cues.
+   * @public
+   */
+  search(query: string, textTrack?: TextTrack): Promise<Array<PKTranscriptHitObject>> {
+    const normalizedQuery = query.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!normalizedQuery) {
+      return Promise.resolve([]);
+    }
+    return this.getCues(textTrack).then(cues => {
+      const hits = [];
+      cues.forEach((cue, index) => {
+        const text = getPlainText(cue);
+        if (text.toLowerCase().includes(normalizedQuery)) {
+          hits.push({index, startTime: cue.startTime, endTime: cue.endTime, text, cue});
+        }
+      });
+      return hits;
+    });
+  }
+
+  /**
+   * Seeks to the start of a cue.
+   * @param {Cue} cue - The cue, or a search hit.
+   * @returns {void}
+   * @public
+   */
+  seekToCue(cue: Cue | PKTranscriptHitObject): void {
+    this._player.currentTime = cue.startTime;
+  }
+
+  /**
+   * Creates an iterator over the cues of a text track, which emits the index of the active cue as the playback progresses.
+   * The iterator is destroyed when the media changes.
+   * @param {TextTrack} [textTrack] - The text track, the active text track if not given.
+   * @returns {Promise<CueIterator>} - Resolves with the iterator.
+   * @public
+   */
+  createIterator(textTrack?: TextTrack): Promise<CueIterator> {
+    return this.getCues(textTrack).then(cues => {
+      const iterator = new CueIterator(this._player, cues);
+      this._iterators.push(iterator);
+      return iterator;
+    });
+  }
+
+  /**
+   * Destroys the iterators of the current media.
+   * @returns {void}
+   * @public
+   */
+  reset(): void {
+    this._iterators.forEach(iterator => iterator.destroy());
+    this._iterators = [];
+  }
+
+  /**
+   * Destroys the transcript manager.
+   * @returns {void}
+   * @public
+   */
+  destroy(): void {
+    this.reset();
+  }
+
+  /**
+   * Gets the cues of a native text track of the video element.
+   * A disabled track has no cues, so it is set to hidden mode while its cues are loaded, which doesn't display them.
+   * @param {TextTrack} textTrack - The text track.
+   * @returns {Promise<Array<Cue>>} - Resolves with the cues.
+   * @private
+   */
+  _getNativeCues(textTrack: TextTrack): Promise<Array<Cue>> {
+    const videoElement = this._player.getVideoElement();
+    if (!videoElement) {
+      return Promise.resolve([]);
+    }
+    const domTrack = getNativeTextTrack(videoElement, textTrack);
+    if (!domTrack) {
+      return Promise.resolve([]);
+    }
+    const disabled = domTrack.mode === 'disabled';
+    // the cues are copied before the track is disabled again, so the engine doesn't take it for the displayed track
+    const getCues = () => {
+      const cues = Array.from(domTrack.cues || []);
+      if (disabled) {
+        domTrack.mode = 'disabled';
+      }
+      return cues;
+    };
+    if (disabled) {
+      domTrack.mode = 'hidden';
+    }
+    // a track element loads its cues asynchronously
+    const trackElement = Array.from(videoElement.querySelectorAll('track')).find(element => element.track === domTrack);
+    if (trackElement && trackElement.readyState !== trackElement.LOADED) {
+      TranscriptManager._logger.debug('Waiting for the track element cues', textTrack);
+      return new Promise(resolve => {
+        trackElement.addEventListener('load', () => resolve(getCues()), {once: true});
+        trackElement.addEventListener('error', () => resolve(getCues()), {once: true});
+      });
+    }
+    return Promise.resolve(getCues());
+  }
+}
+
+export {TranscriptManager, getPlainText, getNativeTextTrack};
@@ -0,0 +1,677 @@
+//@flow
+import Error from '../error/error';
+import getLogger from '../utils/logger';
+import {Cue} from './vtt-cue';
+import {Region} from './vtt-region';
+import TextStyle from './text-style';
+
+type TtmlStyle = {[property: string]: string};
+
+type TtmlTimeParams = {
+  frameRate: number,
+  subFrameRate: number,
+  tickRate: number
+};
+
+type TtmlContext = {
+  timeParams: TtmlTimeParams,
+  styles: {[id: string]: Element},
+  regions: {[id: string]: TtmlStyle},
+  rootExtent: ?{width: number, height: number},
+  cellResolution: {columns: number, rows: number},
+  cues: Array<Cue>
+};
+
+type TtmlFragment = {
+  text: string,
+  begin: number,
+  end: number,
+  bold: boolean,
+  italic: boolean,
+  underline: boolean,
+  preserveSpace: boolean,
+  style: TtmlStyle
+};
+
+type TtmlColor = {rgb: Array<number>, opacity: number};
+
+type TtmlPoint = {x: number, y: number};
+
+const logger = getLogger('TtmlParser');
+
+/**
+ * The end time of content which is displayed till the end of the media.
+ * Native cues do not accept an infinite end time.
+ * @type {number}
+ * @const
+ */
+const OPEN_END_TIME: number = Number.MAX_VALUE;
+
+/**
+ * The height of a single caption line, in percent of the video height.
+ * Used to translate a region height into region lines.
+ * @type {number}
+ * @const
+ */
+const LINE_HEIGHT_PERCENT: number = 5.33;
+
+/**
+ * Maps the TTML displayAlign values to VTT line alignment.
+ * @type {Object}
+ * @const
+ */
+const DisplayAlignToLineAlign: {[displayAlign: string]: string} = {
+  before: 'start',
+  center: 'center',
+  after: 'end'
+};
+
+/**
+ * Maps the TTML writingMode values to VTT vertical settings.
+ * @type {Object}
+ * @const
+ */
+const WritingModeToVertical: {[writingMode: string]: string} = {
+  tb: 'rl',
+  tbrl: 'rl',
+  tblr: 'lr'
+};
+
+/**
+ * The TTML named colors, by their RGBA values.
+ * @type {Object}
+ * @const
+ */
+const NamedColors: {[name: string]: Array<number>} = {
+  transparent: [0, 0, 0, 0],
+  black: [0, 0, 0, 255],
+  silver: [192, 192, 192, 255],
+  gray: [128, 128, 128, 255],
+  white: [255, 255, 255, 255],
+  maroon: [128, 0, 0, 255],
+  red: [255, 0, 0, 255],
+  purple: [128, 0, 128, 255],
+  fuchsia: [255, 0, 255, 255],
+  magenta: [255, 0, 255, 255],
+  green: [0, 128, 0, 255],
+  lime: [0, 255, 0, 255],
+  olive: [128, 128, 0, 255],
+  yellow: [255, 255, 0, 255],
+  navy: [0, 0, 128, 255],
+  blue: [0, 0, 255, 255],
+  teal: [0, 128, 128, 255],
+  aqua: [0, 255, 255, 255],
+  cyan: [0, 255, 255, 255]
+};
+
+/**
+ * Maps the TTML generic font families to CSS font families.
+ * @type {Object}
+ * @const
+ */
+const GenericFontFamilies: {[fontFamily: string]: string} = {
+  default: TextStyle.FontFamily.SANS_SERIF,
+  monospace: 'monospace',
+  sansSerif: 'sans-serif',
+  serif: 'serif',
+  monospaceSansSerif: 'monospace',
+  monospaceSerif: 'monospace',
+  proportionalSansSerif: 'sans-serif',
+  proportionalSerif: 'serif'
+};
+
+/**
+ * The style properties which are applied by the cue text style, as they can't be expressed by cue markup.
+ * @type {Array<string>}
+ * @const
+ */
+const TEXT_STYLE_PROPERTIES: Array<string> = ['color', 'backgroundColor', 'fontFamily', 'fontSize'];
+
+/**
+ * Gets an attribute of an element by its local name, regardless of its namespace prefix.
+ * @param {Element} element - The element.
+ * @param {string} name - The attribute local name.
+ * @returns {?string} - The attribute value, null if not specified.
+ */
+function getAttribute(element: Element, name: string): ?string {
+  const attribute = Array.from(element.attributes).find(attr => attr.localName === name);
+  return attribute ? attribute.value : null;
+}
+
+/**
+ * Gets the child elements of an element with the given local name.
+ * @param {Element} element - The element.
+ * @param {string} name - The child local name.
+ * @returns {Array<Element>} - The child elements.
+ */
+function getChildren(element: Element, name: string): Array<Element> {
+  return Array.from(element.children).filter(child => child.localName === name);
+}
+
+/**
+ * Parses a TTML time expression (clock time or offset time) into seconds.
+ * @param {string} value - The time expression.
+ * @param {TtmlTimeParams} params - The document time parameters.
+ * @returns {number} - The time in seconds, NaN if the expression is not valid.
+ */
+function parseTime(value: string, params: TtmlTimeParams): number {
+  const time = value.trim();
+  const clock = /^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/.exec(time);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+    let result = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds);
+    if (fraction) {
+      result += parseFloat(fraction);
+    }
+    if (frames) {
+      result += parseInt(frames) / params.frameRate;
+    }
+    if (subFrames) {
+      result += parseInt(subFrames) / (params.frameRate * params.subFrameRate);
+    }
+    return result;
+  }
+  const offset = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(time);
+  if (offset) {
+    const count = parseFloat(offset[1]);
+    switch (offset[2]) {
+      case 'h':
+        return count * 3600;
+      case 'm':
+        return count * 60;
+      case 's':
+        return count;
+      case 'ms':
+        return count / 1000;
+      case 'f':
+        return count / params.frameRate;
+      case 't':
+        return count / params.tickRate;
+    }
+  }
+  return NaN;
+}
+
+/**
+ * Gets the time parameters of the document.
+ * @param {Element} tt - The root element.
+ * @returns {TtmlTimeParams} - The time parameters.
+ */
+function getTimeParams(tt: Element): TtmlTimeParams {
+  const frameRateAttr = getAttribute(tt, 'frameRate');
+  const multiplierAttr = getAttribute(tt, 'frameRateMultiplier');
+  const subFrameRate = parseInt(getAttribute(tt, 'subFrameRate')) || 1;
+  let frameRate = parseInt(frameRateAttr) || 30;
+  if (multiplierAttr) {
+    const [numerator, denominator] = multiplierAttr
+      .trim()
+      .split(/\s+/)
+      .map(part => parseInt(part));
+    if (numerator && denominator) {
+      frameRate = (frameRate * numerator) / denominator;
+    }
+  }
+  const tickRate = parseInt(getAttribute(tt, 'tickRate')) || (frameRateAttr ? frameRate * subFrameRate : 1);
+  return {frameRate, subFrameRate, tickRate};
+}
+
+/**
+ * Gets the active interval of an element, relative to the interval of its parent.
+ * @param {Element} element - The timed element.
+ * @param {number} parentBegin - The begin time of the parent, in seconds.
+ * @param {number} parentEnd - The end time of the parent, in seconds.
+ * @param {TtmlTimeParams} params - The document time parameters.
+ * @returns {?{begin: number, end: number}} - The interval, null if the element timing is not valid.
+ */
+function getTiming(element: Element, parentBegin: number, parentEnd: number, params: TtmlTimeParams): ?{begin: number, end: number} {
+  const beginAttr = getAttribute(element, 'begin');
+  const endAttr = getAttribute(element, 'end');
+  const durAttr = getAttribute(element, 'dur');
+  const begin = parentBegin + (beginAttr ? parseTime(beginAttr, params) : 0);
+  let end = parentEnd;
+  if (endAttr) {
+    end = parentBegin + parseTime(endAttr, params);
+  } else if (durAttr) {
+    end = begin + parseTime(durAttr, params);
+  }
+  if (isNaN(begin) || isNaN(end)) {
+    logger.warn(`Invalid timing of <${element.localName}> element`, {begin: beginAttr, end: endAttr, dur: durAttr});
+    return null;
+  }
+  return {begin, end: Math.min(end, parentEnd)};
+}
+
+/**
+ * Checks whether an attribute is a TTML styling attribute.
+ * @param {Attr} attribute - The attribute.
+ * @returns {boolean} - Whether the attribute is a styling attribute.
+ */
+function isStylingAttribute(attribute: Attr): boolean {
+  return /#styl/.test(attribute.namespaceURI || '') || attribute.prefix === 'tts';
+}
+
+/**
+ * Gets the style specified on an element, by its referenced styles followed by its inline styling attributes.
+ * @param {Element} element - The element.
+ * @param {Object} styles - The document style elements by their id.
+ * @param {Array<string>} [visited=[]] - The style ids which are already being resolved, to avoid circular references.
+ * @returns {TtmlStyle} - The specified style.
+ */
+function getSpecifiedStyle(element: Element, styles: {[id: string]: Element}, visited: Array<string> = []): TtmlStyle {
+  const style = {};
+  (getAttribute(element, 'style') || '')
+    .split(/\s+/)
+    .filter(id => id && styles[id] && !visited.includes(id))
+    .forEach(id => Object.assign(style, getSpecifiedStyle(styles[id], styles, visited.concat(id))));
+  Array.from(element.attributes)
+    .filter(attribute => isStylingAttribute(attribute))
+    .forEach(attribute => (style[attribute.localName] = attribute.value.trim()));
+  return style;
+}
+
+/**
+ * Parses a pair of TTML lengths (such as origin or extent) into percentages of the root container.
+ * @param {?string} value - The length pair.
+ * @param {TtmlContext} context - The parsing context.
+ * @returns {?TtmlPoint} - The lengths in percent, null if not specified or cannot be resolved.
+ */
+function parseLengthPair(value: ?string, context: TtmlContext): ?TtmlPoint {
+  const lengths = (value || '').trim().split(/\s+/);
+  if (lengths.length !== 2) {
+    return null;
+  }
+  const [x, y] = lengths.map((length, index) => {
+    const match = /^(-?\d*\.?\d+)(%|px|c)$/.exec(length);
+    if (!match) {
+      return NaN;
+    }
+    const number = parseFloat(match[1]);
+    const rootExtent = context.rootExtent;
+    switch (match[2]) {
+      case 'px':
+        return rootExtent ? (number / (index ? rootExtent.height : rootExtent.width)) * 100 : NaN;
+      case 'c':
+        return (number / (index ? context.cellResolution.rows : context.cellResolution.columns)) * 100;
+      default:
+        return number;
+    }
+  });
+  return isNaN(x) || isNaN(y) ? null : {x, y};
+}
+
+/**
+ * Parses a TTML color.
+ * @param {?string} value - The color, a named color, #rrggbb, #rrggbbaa, rgb(r,g,b) or rgba(r,g,b,a).
+ * @returns {?TtmlColor} - The color, null if not specified or not valid.
+ */
+function parseColor(value: ?string): ?TtmlColor {
+  const color = (value || '').trim();
+  let rgba = NamedColors[color.toLowerCase()];
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/i.exec(color);
+  const functional = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)$/.exec(color);
+  if (hex) {
+    rgba = hex.slice(1).map(component => (component ? parseInt(component, 16) : 255));
+  } else if (functional) {
+    rgba = functional.slice(1).map(component => (component ? Math.min(255, parseInt(component)) : 255));
+  }
+  return rgba ? {rgb: rgba.slice(0, 3), opacity: Math.round((rgba[3] / 255) * 100) / 100} : null;
+}
+
+/**
+ * Parses a TTML font family list into a CSS font family list.
+ * @param {string} value - The font families.
+ * @returns {string} - The CSS font families.
+ */
+function parseFontFamily(value: string): string {
+  return value
+    .split(',')
+    .map(family => family.trim())
+    .filter(family => family)
+    .map(family => GenericFontFamilies[family] || family)
+    .join(', ');
+}
+
+/**
+ * Parses a TTML font size into a percentage of the default font size (1c).
+ * @param {?string} value - The font size, where a pair of lengths specifies the width and the height of the font.
+ * @param {TtmlContext} context - The parsing context.
+ * @returns {number} - The font size in percent, NaN if not specified or cannot be resolved.
+ */
+function parseFontSize(value: ?string, context: TtmlContext): number {
+  const lengths = (value || '').trim().split(/\s+/);
+  const match = /^(\d*\.?\d+)(%|px|c|em)$/.exec(lengths[lengths.length - 1]);
+  if (!match) {
+    return NaN;
+  }
+  const number = parseFloat(match[1]);
+  const rootExtent = context.rootExtent;
+  switch (match[2]) {
+    case 'px':
+      return rootExtent ? (number / (rootExtent.height / context.cellResolution.rows)) * 100 : NaN;
+    case '%':
+      return number;
+    default:
+      return number * 100;
+  }
+}
+
+/**
+ * Creates the text style of a cue, from the styles the cue markup can't express.
+ * A style property which differs between the displayed fragments is taken from the paragraph.
+ * @param {Array<TtmlFragment>} fragments - The fragments displayed by the cue.
+ * @param {TtmlStyle} style - The computed style of the cue paragraph, including its region style.
+ * @param {TtmlContext} context - The parsing context.
+ * @returns {?TextStyle} - The text style, null if the cue doesn't specify any of these styles.
+ */
+function createTextStyle(fragments: Array<TtmlFragment>, style: TtmlStyle, context: TtmlContext): ?TextStyle {
+  const textFragments = fragments.filter(fragment => fragment.text !== '\n');
+  const cueStyle: TtmlStyle = {};
+  TEXT_STYLE_PROPERTIES.forEach(property => {
+    const values = textFragments.map(fragment => fragment.style[property]);
+    const value = values.every(value => value === values[0]) ? values[0] : style[property];
+    if (value) {
+      cueStyle[property] = value;
+    }
+  });
+  if (!Object.keys(cueStyle).length) {
+    return null;
+  }
+  const textStyle = new TextStyle();
+  const color = parseColor(cueStyle.color);
+  if (color) {
+    textStyle.fontColor = color.rgb;
+    textStyle.fontOpacity = color.opacity;
+  }
+  const backgroundColor = parseColor(cueStyle.backgroundColor);
+  if (backgroundColor) {
+    textStyle.backgroundColor = backgroundColor.rgb;
+    textStyle.backgroundOpacity = backgroundColor.opacity;
+  }
+  if (cueStyle.fontFamily) {
+    textStyle.fontFamily = parseFontFamily(cueStyle.fontFamily) || textStyle.fontFamily;
+  }
+  const fontSize = parseFontSize(cueStyle.fontSize, context);
+  if (fontSize > 0) {
+    textStyle.fontSize = `${Math.round(fontSize)}%`;
+    // the display scales the font by 1 + 0.25 * fontScale
+    textStyle.fontScale = (fontSize / 100 - 1) / 0.25;
+  }
+  return textStyle;
+}
+
+/**
+ * Clamps a percentage into the valid cue settings range.
+ * @param {number} value - The percentage.
+ * @returns {number} - The clamped percentage.
+ */
+function clampPercent(value: number): number {
+  return Math.min(100, Math.max(0, value));
+}
+
+/**
+ * Checks whether a region can be set on the cues, as native cues accept native regions only.
+ * @returns {boolean} - Whether a region can be set.
+ */
+function canSetRegion(): boolean {
+  return typeof window.VTTRegion === 'function' || !window.VTTCue;
+}
+
+/**
+ * Positions a cue in its region.
+ * The cue line, position and size are set for renderers which don't support regions, and the region is attached when supported.
+ * @param {Cue} cue - The cue.
+ * @param {TtmlStyle} style - The computed style of the cue paragraph, including its region style.
+ * @param {TtmlContext} context - The parsing context.
+ * @returns {void}
+ */
+function applyLayout(cue: Cue, style: TtmlStyle, context: TtmlContext): void {
+  const vertical = WritingModeToVertical[style.writingMode];
+  if (vertical) {
+    cue.vertical = vertical;
+  }
+  if (['left', 'center', 'right', 'start', 'end'].includes(style.textAlign)) {
+    cue.align = style.textAlign;
+  }
+  const origin = parseLengthPair(style.origin, context);
+  const extent = parseLengthPair(style.extent, context);
+  if (!origin || !extent || vertical) {
+    return;
+  }
+  const lineAlign = DisplayAlignToLineAlign[style.displayAlign] || DisplayAlignToLineAlign.before;
+  const lineOffset = lineAlign === 'start' ? 0 : lineAlign === 'center' ? extent.y / 2 : extent.y;
+  cue.snapToLines = false;
+  cue.line = clampPercent(origin.y + lineOffset);
+  cue.lineAlign = lineAlign;
+  cue.size = clampPercent(extent.x);
+  cue.position = clampPercent(origin.x + extent.x / 2);
+  if (canSetRegion()) {
+    const region = new Region();
+    region.width = clampPercent(extent.x);
+    region.lines = Math.max(1, Math.round(extent.y / LINE_HEIGHT_PERCENT));
+    region.regionAnchorX = 0;
+    region.regionAnchorY = lineAlign === 'end' ? 100 : 0;
+    region.viewportAnchorX = clampPercent(origin.x);
+    region.viewportAnchorY = clampPercent(lineAlign === 'end' ? origin.y + extent.y : origin.y);
+    cue.region = region;
+  }
+}
+
+/**
+ * Collects the text fragments of a paragraph or span, with their timing and formatting.
+ * @param {Element} element - The paragraph or span.
+ * @param {number} begin - The begin time of the element, in seconds.
+ * @param {number} end - The end time of the element, in seconds.
+ * @param {TtmlStyle} style - The computed style of the element.
+ * @param {boolean} preserveSpace - Whether the white space of the element is preserved.
+ * @param {TtmlContext} context - The parsing context.
+ * @param {Array<TtmlFragment>} fragments - The collected fragments.
+ * @returns {void}
+ */
+function collectFragments(
+  element: Element,
+  begin: number,
+  end: number,
+  style: TtmlStyle,
+  preserveSpace: boolean,
+  context: TtmlContext,
+  fragments: Array<TtmlFragment>
+): void {
+  const createFragment = (text: string, fragmentStyle: TtmlStyle, fragmentBegin: number, fragmentEnd: number): TtmlFragment => ({
+    text,
+    begin: fragmentBegin,
+    end: fragmentEnd,
+    bold: fragmentStyle.fontWeight === 'bold',
+    italic: ['italic', 'oblique'].includes(fragmentStyle.fontStyle),
+    underline: /(^|\s)underline/.test(fragmentStyle.textDecoration || ''),
+    preserveSpace,
+    style: fragmentStyle
+  });
+  Array.from(element.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+      const value = node.nodeValue || '';
+      const text = preserveSpace ? value : value.replace(/\s+/g, ' ');
+      fragments.push(createFragment(text, style, begin, end));
+    } else if (node instanceof Element && node.localName === 'br') {
+      fragments.push(createFragment('\n', {}, begin, end));
+    } else if (node instanceof Element && node.localName === 'span') {
+      const timing = getTiming(node, begin, end, context.timeParams);
+      if (timing) {
+        const spanStyle = Object.assign({}, style, getSpecifiedStyle(node, context.styles));
+        const space = getAttribute(node, 'space');
+        collectFragments(node, timing.begin, timing.end, spanStyle, space ? space === 'preserve' : preserveSpace, context, fragments);
+      }
+    }
+  });
+}
+
+/**
+ * Escapes text for the VTT cue text markup.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeText(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds the VTT cue text markup of the fragments, with the default white space handling applied.
+ * @param {Array<TtmlFragment>} fragments - The fragments displayed by the cue.
+ * @returns {string} - The cue text.
+ */
+function buildCueText(fragments: Array<TtmlFragment>): string {
+  const texts = fragments.map(fragment => fragment.text);
+  let previous = '\n';
+  texts.forEach((text, index) => {
+    if (!fragments[index].preserveSpace && text[0] === ' ' && (previous === ' ' || previous === '\n')) {
+      texts[index] = text.substr(1);
+    }
+    previous = texts[index] ? texts[index][texts[index].length - 1] : previous;
+  });
+  let next = '\n';
+  for (let index = texts.length - 1; index >= 0; index--) {
+    const text = texts[index];
+    if (!fragments[index].preserveSpace && text[text.length - 1] === ' ' && next === '\n') {
+      texts[index] = text.substr(0, text.length - 1);
+    }
+    next = texts[index] ? texts[index][0] : next;
+  }
+  let cueText = '';
+  let pending = '';
+  fragments.forEach((fragment, index) => {
+    pending += texts[index];
+    const following = fragments[index + 1];
+    const sameFormat =
+      following && following.bold === fragment.bold && following.italic === fragment.italic && following.underline === fragment.underline;
+    if (!sameFormat && pending) {
+      let markup = escapeText(pending);
+      markup = fragment.underline ? `<u>${markup}</u>` : markup;
+      markup = fragment.italic ? `<i>${markup}</i>` : markup;
+      markup = fragment.bold ? `<b>${markup}</b>` : markup;
+      cueText += markup;
+      pending = '';
+    }
+  });
+  return cueText;
+}
+
+/**
+ * Parses a paragraph into cues. A paragraph with timed spans results in a cue per interval in which its displayed text changes.
+ * @param {Element} p - The paragraph.
+ * @param {{begin: number, end: number}} timing - The paragraph interval.
+ * @param {TtmlStyle} style - The computed style of the paragraph, including its region style.
+ * @param {boolean} preserveSpace - Whether the white space of the paragraph is preserved.
+ * @param {TtmlContext} context - The parsing context.
+ * @returns {void}
+ */
+function parseParagraph(p: Element, timing: {begin: number, end: number}, style: TtmlStyle, preserveSpace: boolean, context: TtmlContext): void {
+  const fragments = [];
+  collectFragments(p, timing.begin, timing.end, style, preserveSpace, context, fragments);
+  const times = fragments
+    .reduce((result, fragment) => result.concat(fragment.begin, fragment.end), [timing.begin, timing.end])
+    .filter((time, index, all) => time >= timing.begin && time <= timing.end && all.indexOf(time) === index)
+    .sort((a, b) => a - b);
+  let lastCue = null;
+  for (let i = 0; i < times.length - 1; i++) {
+    const begin = times[i];
+    const end = times[i + 1];
+    const displayedFragments = fragments.filter(fragment => fragment.begin <= begin && fragment.end >= end);
+    const text = buildCueText(displayedFragments);
+    if (lastCue && lastCue.text === text) {
+      lastCue.endTime = end === Infinity ? OPEN_END_TIME : end;
+    } else if (text.trim()) {
+      const cue = new Cue(begin, end === Infinity ? OPEN_END_TIME : end, text);
+      cue.id = getAttribute(p, 'id') || '';
+      applyLayout(cue, style, context);
+      cue.textStyle = createTextStyle(displayedFragments, style, context);
+      context.cues.push(cue);
+      lastCue = cue;
+    } else {
+      lastCue = null;
+    }
+  }
+}
+
+/**
+ * Parses the timed content (body, div and p elements) of the document.
+ * @param {Element} element - The content element.
+ * @param {number} parentBegin - The begin time of the parent, in seconds.
+ * @param {number} parentEnd - The end time of the parent, in seconds.
+ * @param {TtmlStyle} parentStyle - The computed style of the parent, excluding the region style.
+ * @param {string} parentRegion - The region id inherited from the parent.
+ * @param {boolean} parentPreserveSpace - Whether the white space of the parent is preserved.
+ * @param {TtmlContext} context - The parsing context.
+ * @returns {void}
+ */
+function parseContent(
+  element: Element,
+  parentBegin: number,
+  parentEnd: number,
+  parentStyle: TtmlStyle,
+  parentRegion: string,
+  parentPreserveSpace: boolean,
+  context: TtmlContext
+): void {
+  const timing = getTiming(element, parentBegin, parentEnd, context.timeParams);
+  if (!timing || timing.end <= timing.begin) {
+    return;
+  }
+  const style = Object.assign({}, parentStyle, getSpecifiedStyle(element, context.styles));
+  const region = getAttribute(element, 'region') || parentRegion;
+  const space = getAttribute(element, 'space');
+  const preserveSpace = space ? space === 'preserve' : parentPreserveSpace;
+  if (element.localName === 'p') {
+    // region styles are inherited by the content flowed into the region, and overridden by the content styles
+    parseParagraph(element, timing, Object.assign({}, context.regions[region], style), preserveSpace, context);
+  } else {
+    Array.from(element.children)
+      .filter(child => child.localName === 'div' || child.localName === 'p')
+      .forEach(child => parseContent(child, timing.begin, timing.end, style, region, preserveSpace, context));
+  }
+}
+
+/**
+ * Parses a TTML document, including DFXP and the IMSC1 text profile, into cues.
+ * @param {string} ttml - The TTML document.
+ * @returns {Array<Cue>} - The cues, sorted by their start time.
+ */
+function parseTtml(ttml: string): Array<Cue> {
+  const doc = new DOMParser().parseFromString(ttml, 'text/xml');
+  const tt = doc && doc.documentElement;
+  if (!tt || doc.getElementsByTagName('parsererror').length > 0 || tt.localName !== 'tt') {
+    throw new Error(Error.Severity.RECOVERABLE, Error.Category.TEXT, Error.Code.INVALID_XML, {root: tt && tt.localName});
+  }
+  const rootExtent = /^(\d*\.?\d+)px\s+(\d*\.?\d+)px$/.exec((getAttribute(tt, 'extent') || '').trim());
+  const [columns, rows] = (getAttribute(tt, 'cellResolution') || '32 15')
+    .trim()
+    .split(/\s+/)
+    .map(part => parseInt(part));
+  const context: TtmlContext = {
+    timeParams: getTimeParams(tt),
+    styles: {},
+    regions: {},
+    rootExtent: rootExtent ? {width: parseFloat(rootExtent[1]), height: parseFloat(rootExtent[2])} : null,
+    cellResolution: {columns: columns || 32, rows: rows || 15},
+    cues: []
+  };
+  const head = getChildren(tt, 'head')[0];
+  if (head) {
+    getChildren(head, 'styling').forEach(styling =>
+      getChildren(styling, 'style').forEach(style => (context.styles[getAttribute(style, 'id') || ''] = style))
+    );
+    getChildren(head, 'layout').forEach(layout =>
+      getChildren(layout, 'region').forEach(region => {
+        const regionStyle = {};
+        getChildren(region, 'style').forEach(style => Object.assign(regionStyle, getSpecifiedStyle(style, context.styles)));
+        context.regions[getAttribute(region, 'id') || ''] = Object.assign(regionStyle, getSpecifiedStyle(region, context.styles));
+      })
+    );
+  }
+  const body = getChildren(tt, 'body')[0];
+  if (body) {
+    parseContent(body, 0, Infinity, {}, '', getAttribute(tt, 'space') === 'preserve', context);
+  }
+  logger.debug(`Parsed ${context.cues.length} cues`);
+  return context.cues.sort((a, b) => a.startTime - b.startTime);
+}
+
+export {parseTtml, parseTime};
@@ -1,5 +1,7 @@
 //@flow
 import {convertCueToDOMTree} from './text-track-display';
+import TextStyle from './text-style';
+import {CueStyleSheet} from './cue-style-sheet';
 
 const autoKeyword: string = 'auto';
 const directionSetting: {[string]: boolean} = {
@@ -158,6 +160,17 @@ class VTTCue {
    * @private
    */
   _align: string = 'center';
+  /**
+   * The author style of the cue (such as a SubStation Alpha style), which the custom text display
+   * applies to the style attributes the user did not change.
+   * @type {?TextStyle}
+   */
+  textStyle: ?TextStyle = null;
+  /**
+   * The style sheet of the cue track (WebVTT STYLE blocks), which the custom text display applies to the cue.
+   * @type {?CueStyleSheet}
+   */
+  styleSheet: ?CueStyleSheet = null;
 
   constructor(startTime: number, endTime: number, text: string) {
     this._startTime = startTime;
@@ -0,0 +1,32 @@
+//@flow
+
+/**
+ * Resolves a playlist URI.
+ * @param {string} uri - The URI.
+ * @param {string} baseUrl - The playlist URL.
+ * @returns {string} - The absolute URL.
+ */
+function resolveUrl(uri: string, baseUrl: string): string {
+  try {
+    return new URL(uri, baseUrl).toString();
+  } catch (e) {
+    return uri;
+  }
+}
+
+/**
+ * Parses the attribute list of a playlist tag.
+ * @param {string} list - The attribute list.
+ * @returns {Object} - The attributes, by their name.
+ */
+function parseAttributes(list: string): {[name: string]: string} {
+  const attributes = {};
+  const attributePattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = attributePattern.exec(list))) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+export {parseAttributes, resolveUrl};
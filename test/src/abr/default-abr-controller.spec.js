@@ -0,0 +1,114 @@
+import {DefaultAbrController} from '../../../src/abr/default-abr-controller';
+import {AbrControllerProvider, registerAbrController, unRegisterAbrController} from '../../../src/abr/abr-controller-provider';
+import VideoTrack from '../../../src/track/video-track';
+
+describe('DefaultAbrController', () => {
+  let config, abrController;
+  const videoTracks = [
+    new VideoTrack({index: 0, bandwidth: 400e3, width: 640, height: 360}),
+    new VideoTrack({index: 1, bandwidth: 1500e3, width: 1280, height: 720}),
+    new VideoTrack({index: 2, bandwidth: 4000e3, width: 1920, height: 1080})
+  ];
+
+  /**
+   * Creates a playback state of the active track.
+   * @param {Object} [state] - The state to override.
+   * @returns {PKAbrStateObject} - The playback state.
+   */
+  function getState(state = {}) {
+    return Object.assign(
+      {
+        activeVideoTrack: videoTracks[0],
+        bandwidthEstimate: abrController.getBandwidthEstimate(),
+        bufferLevel: 20,
+        playerWidth: 1920,
+        playerHeight: 1080,
+        droppedFrames: 0,
+        decodedFrames: 250
+      },
+      state
+    );
+  }
+
+  beforeEach(() => {
+    config = {
+      capLevelOnFPSDrop: true,
+      fpsDroppedMonitoringThreshold: 0.2,
+      capLevelToPlayerSize: false,
+      defaultBandwidthEstimate: 500e3,
+      restrictions: {minBitrate: 0, maxBitrate: Infinity},
+      controller: 'default'
+    };
+    abrController = DefaultAbrController.createAbrController(config);
+  });
+
+  afterEach(() => {
+    abrController.destroy();
+  });
+
+  it('should estimate the default bandwidth before enough downloads are sampled', () => {
+    abrController.getBandwidthEstimate().should.equal(500e3);
+    abrController.addBandwidthSample(1000, 10);
+    abrController.getBandwidthEstimate().should.equal(500e3);
+  });
+
+  it('should estimate the bandwidth by the downloads', () => {
+    abrController.addBandwidthSample(1e6, 1000);
+    abrController.getBandwidthEstimate().should.be.closeTo(8e6, 1);
+  });
+
+  it('should choose the highest track which fits the bandwidth estimate', () => {
+    abrController.chooseVideoTrack(videoTracks, getState()).should.equal(videoTracks[0]);
+    abrController.chooseVideoTrack(videoTracks, getState({bandwidthEstimate: 2000e3})).should.equal(videoTracks[1]);
+    abrController.chooseVideoTrack(videoTracks, getState({bandwidthEstimate: 100e6})).should.equal(videoTracks[2]);
+  });
+
+  it('should not switch up before enough is buffered', () => {
+    abrController.chooseVideoTrack(videoTracks, getState({bandwidthEstimate: 100e6, bufferLevel: 2})).should.equal(videoTracks[0]);
+    abrController
+      .chooseVideoTrack(videoTracks, getState({activeVideoTrack: videoTracks[2], bandwidthEstimate: 600e3, bufferLevel: 2}))
+      .should.equal(videoTracks[0]);
+  });
+
+  it('should choose within the bitrate restrictions', () => {
+    config.restrictions = {minBitrate: 1000e3, maxBitrate: 2000e3};
+    abrController.chooseVideoTrack(videoTracks, getState({bandwidthEstimate: 100e6})).should.equal(videoTracks[1]);
+    abrController.chooseVideoTrack(videoTracks, getState({bandwidthEstimate: 100e3})).should.equal(videoTracks[1]);
+  });
+
+  it('should cap the track to the player size', () => {
+    config.capLevelToPlayerSize = true;
+    abrController.chooseVideoTrack(videoTracks, getState({bandwidthEstimate: 100e6, playerHeight: 500})).should.equal(videoTracks[1]);
+  });
+
+  it('should cap the bitrate below the active track on a frames drop', () => {
+    const state = getState({activeVideoTrack: videoTracks[2], bandwidthEstimate: 100e6});
+    abrController.chooseVideoTrack(videoTracks, Object.assign({}, state, {droppedFrames: 100})).should.equal(videoTracks[1]);
+    abrController.chooseVideoTrack(videoTracks, state).should.equal(videoTracks[1]);
+    abrController.reset();
+    abrController.chooseVideoTrack(videoTracks, state).should.equal(videoTracks[2]);
+  });
+
+  describe('AbrControllerProvider', () => {
+    class TestAbrController extends DefaultAbrController {
+      static id = 'test';
+    }
+
+    afterEach(() => {
+      unRegisterAbrController(TestAbrController.id);
+    });
+
+    it('should create the configured controller', () => {
+      registerAbrController(TestAbrController);
+      config.controller = 'test';
+      AbrControllerProvider.getAbrController(config).should.be.instanceOf(TestAbrController);
+    });
+
+    it('should create the default controller if the configured one is not registered', () => {
+      config.controller = 'test';
+      const created = AbrControllerProvider.getAbrController(config);
+      created.should.be.instanceOf(DefaultAbrController);
+      created.should.not.be.instanceOf(TestAbrController);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import Player from '../../../src/player';
+import {AdEventType} from '../../../src/ads/ad-event-type';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import FakeEvent from '../../../src/event/fake-event';
+import {createElement, getConfigStructure, removeElement, removeVideoElementsFromTestPage} from '../utils/test-utils';
+import {Object as PKObject} from '../../../src/utils/util';
+import SourcesConfig from '../configs/sources.json';
+import {EngineProvider} from '../../../src/engines/engine-provider';
+import Html5 from '../../../src/engines/html5/html5';
+import Error from '../../../src/error/error';
+
+const targetId = 'player-placeholder_ad-scheduler.spec';
+
+const vast = `<VAST version="3.0">
+  <Ad id="ad1">
+    <InLine>
+      <AdSystem>system</AdSystem>
+      <AdTitle>ad</AdTitle>
+      <Creatives><Creative><Linear skipoffset="00:00:05"><Duration>00:00:10</Duration><MediaFiles>
+        <MediaFile delivery="progressive" type="video/mp4" width="640" height="360" bitrate="500">http://media/ad.mp4</MediaFile>
+      </MediaFiles></Linear></Creative></Creatives>
+    </InLine>
+  </Ad>
+</VAST>`;
+
+describe('AdScheduler', function () {
+  let config, player, playerContainer, sandbox;
+
+  before(() => {
+    EngineProvider.destroy();
+    EngineProvider.register(Html5.id, Html5);
+    playerContainer = createElement('DIV', targetId);
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    config = getConfigStructure();
+    config.sources = PKObject.copyDeep(SourcesConfig.Mp4);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    player.destroy();
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+    removeElement(targetId);
+  });
+
+  /**
+   * Creates the player and stubs the ad playback to end each ad immediately.
+   * @param {Object} advertising - The advertising config.
+   * @returns {void}
+   */
+  function createPlayer(advertising) {
+    config.advertising = advertising;
+    player = new Player(config);
+    playerContainer.appendChild(player.getView());
+    sandbox.stub(player.adScheduler, '_playAd').callsFake(() => Promise.resolve());
+  }
+
+  it('should block play until the preroll finishes', done => {
+    createPlayer({adBreaks: [{position: 0, ads: [{response: vast}]}]});
+    const playStub = sandbox.stub(player, '_play');
+    player.addEventListener(AdEventType.AD_BREAK_START, event => {
+      event.payload.adBreak.type.should.equal('preroll');
+      playStub.should.not.have.been.called;
+    });
+    player.addEventListener(AdEventType.AD_BREAK_END, () => {
+      setTimeout(() => {
+        playStub.should.have.been.calledOnce;
+        player.adScheduler.isAdBreak().should.be.false;
+        done();
+      });
+    });
+    player.play();
+  });
+
+  it('should play the content directly without ads', () => {
+    createPlayer({adBreaks: []});
+    const playStub = sandbox.stub(player, '_play');
+    player.play();
+    playStub.should.have.been.calledOnce;
+  });
+
+  it('should delay playback ended until the postroll finishes', done => {
+    createPlayer({adBreaks: [{position: -1, ads: [{response: vast}]}]});
+    let postrollEnded = false;
+    player.addEventListener(AdEventType.AD_BREAK_END, () => (postrollEnded = true));
+    player.addEventListener(CustomEventType.PLAYBACK_ENDED, () => {
+      postrollEnded.should.be.true;
+      player.adScheduler.hasPendingPostroll().should.be.false;
+      done();
+    });
+    player.adScheduler.hasPendingPostroll().should.be.true;
+    player.dispatchEvent(new FakeEvent(Html5EventType.ENDED));
+  });
+
+  it('should leave the playback ended to the wrapper without a postroll', () => {
+    createPlayer({adBreaks: []});
+    const onPlaybackEnded = sandbox.spy();
+    player.addEventListener(CustomEventType.PLAYBACK_ENDED, onPlaybackEnded);
+    player.dispatchEvent(new FakeEvent(Html5EventType.ENDED));
+    onPlaybackEnded.should.not.have.been.called;
+  });
+
+  it('should clear the ad breaks schedule on a media change', () => {
+    createPlayer({adBreaks: [{position: 0, ads: [{response: vast}]}]});
+    player.adScheduler.getAdBreaks().length.should.equal(1);
+    player.configure({sources: PKObject.copyDeep(SourcesConfig.Mp4)});
+    player.adScheduler.getAdBreaks().should.be.empty;
+    player.config.advertising.should.deep.equal({adBreaks: []});
+  });
+
+  it('should resolve percent positions once the duration is known', () => {
+    createPlayer({adBreaks: [{position: NaN, percent: 50, ads: [{response: vast}]}]});
+    sandbox.stub(player, 'duration').get(() => 60);
+    player.dispatchEvent(new FakeEvent(Html5EventType.DURATION_CHANGE));
+    player.adScheduler.getAdBreaks()[0].should.deep.equal({type: 'midroll', position: 30, numAds: 1});
+  });
+
+  it('should report an error for an invalid ad response', done => {
+    createPlayer({adBreaks: [{position: 0, ads: [{response: 'not xml'}]}]});
+    sandbox.stub(player, '_play');
+    player.addEventListener(AdEventType.AD_ERROR, event => {
+      event.payload.category.should.equal(Error.Category.ADS);
+      done();
+    });
+    player.play();
+  });
+
+  it('should skip a skippable ad', done => {
+    createPlayer({adBreaks: [{position: 0, ads: [{response: vast}]}]});
+    player.adScheduler._playAd.restore();
+    sandbox.stub(player, '_play');
+    sandbox.stub(player.adScheduler, '_playAdVideo');
+    player.addEventListener(AdEventType.AD_LOADED, () => {
+      player.adScheduler._currentAd.canSkip = true;
+      player.adScheduler.skipAd();
+    });
+    player.addEventListener(AdEventType.AD_SKIPPED, event => {
+      event.payload.ad.skipOffset.should.equal(5);
+      done();
+    });
+    player.play();
+  });
+});
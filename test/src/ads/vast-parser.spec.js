@@ -0,0 +1,96 @@
+import {mergeWrapperAd, parseTimeOffset, parseVast} from '../../../src/ads/vast-parser';
+import Error from '../../../src/error/error';
+
+const inlineVast = `<VAST version="3.0">
+  <Ad id="ad2" sequence="2">
+    <InLine>
+      <AdSystem>system</AdSystem>
+      <AdTitle>second</AdTitle>
+      <Impression>http://impression/2</Impression>
+      <Creatives><Creative><Linear><Duration>00:00:10</Duration><MediaFiles>
+        <MediaFile delivery="progressive" type="video/mp4" width="640" height="360" bitrate="500">http://media/2.mp4</MediaFile>
+      </MediaFiles></Linear></Creative></Creatives>
+    </InLine>
+  </Ad>
+  <Ad id="ad1" sequence="1">
+    <InLine>
+      <AdSystem>system</AdSystem>
+      <AdTitle>first</AdTitle>
+      <Impression>http://impression/1</Impression>
+      <Error>http://error/1</Error>
+      <Creatives><Creative><Linear skipoffset="25%">
+        <Duration>00:00:20.500</Duration>
+        <TrackingEvents>
+          <Tracking event="start">http://tracking/start</Tracking>
+          <Tracking event="midpoint">http://tracking/midpoint</Tracking>
+          <Tracking event="unsupported">http://tracking/unsupported</Tracking>
+        </TrackingEvents>
+        <VideoClicks><ClickThrough>http://click</ClickThrough></VideoClicks>
+        <MediaFiles>
+          <MediaFile delivery="streaming" type="application/x-mpegURL">http://media/1.m3u8</MediaFile>
+          <MediaFile delivery="progressive" type="video/mp4" width="1280" height="720" bitrate="1500">http://media/1.mp4</MediaFile>
+        </MediaFiles>
+      </Linear></Creative></Creatives>
+    </InLine>
+  </Ad>
+</VAST>`;
+
+const wrapperVast = `<VAST version="3.0">
+  <Ad id="wrapper">
+    <Wrapper>
+      <AdSystem>wrapper</AdSystem>
+      <VASTAdTagURI>http://vast/wrapped</VASTAdTagURI>
+      <Impression>http://impression/wrapper</Impression>
+      <Creatives><Creative><Linear><TrackingEvents>
+        <Tracking event="start">http://tracking/wrapper-start</Tracking>
+      </TrackingEvents></Linear></Creative></Creatives>
+    </Wrapper>
+  </Ad>
+</VAST>`;
+
+describe('VastParser', function () {
+  it('should parse a time offset', () => {
+    parseTimeOffset('01:02:03.5').should.equal(3723.5);
+    isNaN(parseTimeOffset('1:2')).should.be.true;
+  });
+
+  it('should parse the inline ads by their sequence', () => {
+    const ads = parseVast(inlineVast);
+    ads.length.should.equal(2);
+    ads[0].id.should.equal('ad1');
+    ads[1].id.should.equal('ad2');
+    ads[0].title.should.equal('first');
+    ads[0].duration.should.equal(20.5);
+    ads[0].skipOffset.should.equal(5.125);
+    ads[1].skipOffset.should.equal(-1);
+    ads[0].clickThroughUrl.should.equal('http://click');
+    ads[0].impressions.should.deep.equal(['http://impression/1']);
+    ads[0].errors.should.deep.equal(['http://error/1']);
+    ads[0].tracking.should.deep.equal({start: ['http://tracking/start'], midpoint: ['http://tracking/midpoint']});
+  });
+
+  it('should parse only the progressive media files', () => {
+    const mediaFiles = parseVast(inlineVast)[0].mediaFiles;
+    mediaFiles.length.should.equal(1);
+    mediaFiles[0].should.deep.equal({url: 'http://media/1.mp4', contentType: 'video/mp4', width: 1280, height: 720, bitrate: 1500});
+  });
+
+  it('should parse a wrapper ad and merge its tracking into the wrapped ad', () => {
+    const wrapperAd = parseVast(wrapperVast)[0];
+    wrapperAd.wrapperUrl.should.equal('http://vast/wrapped');
+    const ad = mergeWrapperAd(wrapperAd, parseVast(inlineVast)[0]);
+    ad.impressions.should.deep.equal(['http://impression/1', 'http://impression/wrapper']);
+    ad.tracking.start.should.deep.equal(['http://tracking/start', 'http://tracking/wrapper-start']);
+  });
+
+  it('should throw on an invalid document', () => {
+    try {
+      parseVast('<VMAP></VMAP>');
+    } catch (e) {
+      e.category.should.equal(Error.Category.ADS);
+      e.code.should.equal(Error.Code.VAST_SCHEMA_VALIDATION_ERROR);
+      return;
+    }
+    throw new window.Error('expected an error');
+  });
+});
@@ -0,0 +1,44 @@
+import {parseVmap, POSTROLL_POSITION} from '../../../src/ads/vmap-parser';
+import Error from '../../../src/error/error';
+
+const vmap = `<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0">
+  <vmap:AdBreak timeOffset="start" breakType="linear" breakId="preroll">
+    <vmap:AdSource id="preroll-ad"><vmap:AdTagURI templateType="vast3"><![CDATA[http://vast/preroll]]></vmap:AdTagURI></vmap:AdSource>
+  </vmap:AdBreak>
+  <vmap:AdBreak timeOffset="00:00:15.000" breakType="linear" breakId="midroll">
+    <vmap:AdSource id="midroll-ad"><vmap:VASTAdData><VAST version="3.0"></VAST></vmap:VASTAdData></vmap:AdSource>
+  </vmap:AdBreak>
+  <vmap:AdBreak timeOffset="50%" breakType="linear" breakId="percent">
+    <vmap:AdSource id="percent-ad"><vmap:AdTagURI templateType="vast3">http://vast/percent</vmap:AdTagURI></vmap:AdSource>
+  </vmap:AdBreak>
+  <vmap:AdBreak timeOffset="start" breakType="nonlinear" breakId="overlay">
+    <vmap:AdSource id="overlay-ad"><vmap:AdTagURI templateType="vast3">http://vast/overlay</vmap:AdTagURI></vmap:AdSource>
+  </vmap:AdBreak>
+  <vmap:AdBreak timeOffset="end" breakType="linear" breakId="postroll">
+    <vmap:AdSource id="postroll-ad"><vmap:AdTagURI templateType="vast3">http://vast/postroll</vmap:AdTagURI></vmap:AdSource>
+  </vmap:AdBreak>
+</vmap:VMAP>`;
+
+describe('VmapParser', function () {
+  it('should parse the linear ad breaks', () => {
+    const adBreaks = parseVmap(vmap);
+    adBreaks.map(adBreak => adBreak.id).should.deep.equal(['preroll', 'midroll', 'percent', 'postroll']);
+    adBreaks[0].position.should.equal(0);
+    adBreaks[0].ads.should.deep.equal([{url: 'http://vast/preroll'}]);
+    adBreaks[1].position.should.equal(15);
+    adBreaks[1].ads[0].response.should.include('VAST');
+    adBreaks[2].percent.should.equal(50);
+    adBreaks[3].position.should.equal(POSTROLL_POSITION);
+  });
+
+  it('should throw on a non VMAP document', () => {
+    try {
+      parseVmap('<VAST></VAST>');
+    } catch (e) {
+      e.category.should.equal(Error.Category.ADS);
+      e.code.should.equal(Error.Code.VAST_SCHEMA_VALIDATION_ERROR);
+      return;
+    }
+    throw new window.Error('expected an error');
+  });
+});
@@ -0,0 +1,157 @@
+import Player from '../../../src/player';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import FakeEvent from '../../../src/event/fake-event';
+import Error from '../../../src/error/error';
+import {createElement, getConfigStructure, removeElement, removeVideoElementsFromTestPage} from '../utils/test-utils';
+import {Object as PKObject} from '../../../src/utils/util';
+import SourcesConfig from '../configs/sources.json';
+import {EngineProvider} from '../../../src/engines/engine-provider';
+import Html5 from '../../../src/engines/html5/html5';
+
+const targetId = 'player-placeholder_bookmark-manager.spec';
+
+describe('BookmarkManager', function () {
+  let config, player, playerContainer, sandbox, backend;
+
+  /**
+   * Creates the player with bookmarks enabled.
+   * @param {Object} [playback] - The playback config.
+   * @returns {void}
+   */
+  function createPlayer(playback = {}) {
+    config.playback = playback;
+    player = new Player(config);
+    playerContainer.appendChild(player.getView());
+  }
+
+  /**
+   * Dispatches a time update of the given position.
+   * @param {number} position - The current time.
+   * @param {number} duration - The duration.
+   * @returns {void}
+   */
+  function timeUpdate(position, duration) {
+    sandbox.stub(player, 'currentTime').get(() => position);
+    sandbox.stub(player, 'duration').get(() => duration);
+    sandbox.stub(player, 'isLive').returns(false);
+    player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+  }
+
+  before(() => {
+    EngineProvider.destroy();
+    EngineProvider.register(Html5.id, Html5);
+    playerContainer = createElement('DIV', targetId);
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    backend = {
+      load: sandbox.stub().resolves(null),
+      save: sandbox.stub().resolves()
+    };
+    config = getConfigStructure();
+    config.sources = PKObject.copyDeep(SourcesConfig.Mp4);
+    config.sources.id = 'entry1';
+    config.bookmark = {enabled: true, saveInterval: 0, backend};
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    player.destroy();
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+    removeElement(targetId);
+  });
+
+  it('should resume from the loaded bookmark', done => {
+    backend.load.resolves({position: 20, duration: 100, timestamp: 0});
+    createPlayer();
+    const next = sandbox.spy();
+    player._bookmarkManager.load(next).then(() => {
+      backend.load.should.have.been.calledWith('entry1');
+      next.should.have.been.calledOnceWith(20);
+      player.config.playback.startTime.should.equal(-1);
+      done();
+    });
+  });
+
+  it('should load the engine from the bookmark position', done => {
+    backend.load.resolves({position: 20, duration: 100, timestamp: 0});
+    createPlayer();
+    sandbox.stub(player, '_load').callsFake(startTime => {
+      startTime.should.equal(20);
+      player.config.playback.startTime.should.equal(-1);
+      done();
+    });
+    player.load();
+  });
+
+  it('should start over when the bookmark is near the end', done => {
+    backend.load.resolves({position: 96, duration: 100, timestamp: 0});
+    createPlayer();
+    const next = sandbox.spy();
+    player._bookmarkManager.load(next).then(() => {
+      next.should.have.been.calledOnce;
+      next.getCall(0).args.should.be.empty;
+      done();
+    });
+  });
+
+  it('should not load a bookmark when a start time is configured', () => {
+    createPlayer({startTime: 5});
+    const next = sandbox.spy();
+    player._bookmarkManager.load(next);
+    next.should.have.been.calledOnce;
+    backend.load.should.not.have.been.called;
+  });
+
+  it('should save the position on pause', () => {
+    createPlayer();
+    timeUpdate(30, 100);
+    player.dispatchEvent(new FakeEvent(Html5EventType.PAUSE));
+    backend.save.should.have.been.calledOnce;
+    backend.save.getCall(0).args[0].should.equal('entry1');
+    backend.save.getCall(0).args[1].position.should.equal(30);
+  });
+
+  it('should save position 0 once near the end', () => {
+    createPlayer();
+    timeUpdate(95, 100);
+    player.dispatchEvent(new FakeEvent(Html5EventType.ENDED));
+    backend.save.getCall(0).args[1].position.should.equal(0);
+  });
+
+  it('should save the position on destroy', () => {
+    createPlayer();
+    timeUpdate(40, 100);
+    player.destroy();
+    backend.save.getCall(0).args[1].position.should.equal(40);
+  });
+
+  it('should keep a start time configured after the bookmark load on media change', done => {
+    backend.load.resolves({position: 20, duration: 100, timestamp: 0});
+    createPlayer();
+    player._bookmarkManager
+      .load(() => {})
+      .then(() => {
+        player.configure({playback: {startTime: 10}});
+        player.dispatchEvent(new FakeEvent(CustomEventType.PLAYER_RESET));
+        player.config.playback.startTime.should.equal(10);
+        done();
+      });
+  });
+
+  it('should fire a bookmark error when the load fails', done => {
+    backend.load.rejects('failed');
+    createPlayer();
+    player.addEventListener(CustomEventType.BOOKMARK_ERROR, event => {
+      event.payload.category.should.equal(Error.Category.STORAGE);
+      event.payload.code.should.equal(Error.Code.BOOKMARK_LOAD_FAILED);
+      event.payload.data.entryId.should.equal('entry1');
+      done();
+    });
+    player._bookmarkManager.load(() => {});
+  });
+});
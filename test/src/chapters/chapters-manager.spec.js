@@ -0,0 +1,132 @@
+import {ChaptersManager, createChapters, parseVttChapters} from '../../../src/chapters/chapters-manager';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import * as Utils from '../../../src/utils/util';
+
+describe('ChaptersManager', () => {
+  const vtt = ['WEBVTT', '', 'intro', '00:00:00.000 --> 00:00:10.000', 'Introduction', '', '00:00:10.000 --> 00:00:30.000', 'Part 1', ''].join('\n');
+
+  describe('parseVttChapters', () => {
+    it('should parse the cues of a chapters file', done => {
+      parseVttChapters(vtt)
+        .then(chapters => {
+          chapters.should.deep.equal([
+            {id: 'intro', title: 'Introduction', startTime: 0, endTime: 10},
+            {title: 'Part 1', startTime: 10, endTime: 30}
+          ]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should reject a file which is not a WebVTT file', done => {
+      parseVttChapters('not a vtt file')
+        .then(() => done(new Error('the file should be rejected')))
+        .catch(() => done());
+    });
+  });
+
+  describe('createChapters', () => {
+    it('should sort the chapters and end them at the start of the next one', () => {
+      createChapters([
+        {title: 'b', startTime: 20},
+        {id: 'a', title: 'a', startTime: 0}
+      ]).should.deep.equal([
+        {id: 'a', title: 'a', startTime: 0, endTime: 20},
+        {id: '2', title: 'b', startTime: 20, endTime: Infinity}
+      ]);
+    });
+  });
+
+  describe('manager', () => {
+    let sandbox, player, chaptersManager, changes;
+
+    const timeUpdate = time => {
+      player.currentTime = time;
+      player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+    };
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox();
+      player = new FakeEventTarget();
+      player.currentTime = 0;
+      player.isLive = () => false;
+      player.isDvr = () => false;
+      player.getStartTimeOfDvrWindow = () => 0;
+      changes = [];
+      player.addEventListener(CustomEventType.CHAPTER_CHANGED, event => changes.push(event.payload));
+      chaptersManager = new ChaptersManager(player);
+    });
+
+    afterEach(() => {
+      chaptersManager.destroy();
+      sandbox.restore();
+    });
+
+    it('should load the chapters of a file and fire the chapters loaded event', done => {
+      sandbox.stub(Utils.Http, 'execute').returns(Promise.resolve(vtt));
+      player.addEventListener(CustomEventType.CHAPTERS_LOADED, event => {
+        event.payload.chapters.map(chapter => chapter.id).should.deep.equal(['intro', '2']);
+        done();
+      });
+      chaptersManager.load('chapters.vtt');
+    });
+
+    it('should fire an error if the file cannot be loaded', done => {
+      sandbox.stub(Utils.Http, 'execute').returns(Promise.reject());
+      player.addEventListener(Html5EventType.ERROR, event => {
+        event.payload.data.url.should.equal('chapters.vtt');
+        done();
+      });
+      chaptersManager.load('chapters.vtt');
+    });
+
+    it('should fire a single chapter change between consecutive chapters', () =>
+      chaptersManager
+        .load([
+          {id: 'a', title: 'A', startTime: 0, endTime: 10},
+          {id: 'b', title: 'B', startTime: 10}
+        ])
+        .then(() => {
+          chaptersManager.getCurrentChapter().id.should.equal('a');
+          timeUpdate(12);
+          chaptersManager.getCurrentChapter().id.should.equal('b');
+          changes
+            .map(change => [change.previousChapter && change.previousChapter.id, change.chapter.id])
+            .should.deep.equal([
+              [null, 'a'],
+              ['a', 'b']
+            ]);
+        }));
+
+    it('should seek to a chapter', () =>
+      chaptersManager.load([{id: 'a', title: 'A', startTime: 5}]).then(() => {
+        chaptersManager.seekToChapter('a').should.be.true;
+        player.currentTime.should.equal(5);
+        chaptersManager.seekToChapter('b').should.be.false;
+      }));
+
+    it('should seek to the start of the DVR window for a chapter which began before it', () => {
+      player.isLive = () => true;
+      player.isDvr = () => true;
+      player.getStartTimeOfDvrWindow = () => 100;
+      return chaptersManager
+        .load([
+          {id: 'a', title: 'A', startTime: 0, endTime: 50},
+          {id: 'b', title: 'B', startTime: 50}
+        ])
+        .then(() => {
+          chaptersManager.seekToChapter('a').should.be.false;
+          chaptersManager.seekToChapter('b').should.be.true;
+          player.currentTime.should.equal(100);
+        });
+    });
+
+    it('should drop the chapters of a previous media', () => {
+      const loadPromise = chaptersManager.load([{id: 'a', title: 'A', startTime: 0}]);
+      chaptersManager.reset();
+      return loadPromise.then(() => chaptersManager.getChapters().length.should.equal(0));
+    });
+  });
+});
@@ -5,7 +5,8 @@ describe('DrmScheme', () => {
     DrmScheme.should.deep.equals({
       WIDEVINE: 'com.widevine.alpha',
       PLAYREADY: 'com.microsoft.playready',
-      FAIRPLAY: 'com.apple.fairplay'
+      FAIRPLAY: 'com.apple.fairplay',
+      CLEARKEY: 'org.w3.clearkey'
     });
   });
 });
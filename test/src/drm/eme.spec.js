@@ -0,0 +1,60 @@
+import Eme from '../../../src/drm/eme';
+import {DrmScheme} from '../../../src/drm/drm-scheme';
+
+const fpDrmData = [{licenseUrl: 'LICENSE_URL', scheme: DrmScheme.FAIRPLAY}];
+const drmData = [
+  {licenseUrl: 'LICENSE_URL', scheme: DrmScheme.FAIRPLAY},
+  {licenseUrl: 'LICENSE_URL', scheme: DrmScheme.WIDEVINE},
+  {licenseUrl: 'LICENSE_URL', scheme: DrmScheme.PLAYREADY},
+  {licenseUrl: 'LICENSE_URL', scheme: DrmScheme.CLEARKEY}
+];
+
+describe('Eme', function () {
+  let sandbox;
+
+  beforeEach(function () {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(Eme, 'isSupported').returns(true);
+  });
+
+  afterEach(function () {
+    sandbox.restore();
+  });
+
+  describe('isConfigured', function () {
+    it('should return true for the configured key system', function () {
+      Eme.isConfigured(drmData, {keySystem: DrmScheme.CLEARKEY}).should.be.true;
+    });
+
+    it('should return false for fairplay even configured', function () {
+      Eme.isConfigured(drmData, {keySystem: DrmScheme.FAIRPLAY}).should.be.false;
+    });
+
+    it('should return false if the configured key system is not in the data', function () {
+      Eme.isConfigured(fpDrmData, {keySystem: DrmScheme.WIDEVINE}).should.be.false;
+    });
+  });
+
+  describe('canPlayDrm', function () {
+    it('should return true for data of a non-fairplay key system', function () {
+      Eme.canPlayDrm(drmData).should.be.true;
+    });
+
+    it('should return false for fairplay only data', function () {
+      Eme.canPlayDrm(fpDrmData).should.be.false;
+    });
+
+    it('should return false if EME is not supported', function () {
+      Eme.isSupported.returns(false);
+      Eme.canPlayDrm(drmData).should.be.false;
+    });
+  });
+
+  describe('setDrmPlayback', function () {
+    it('should set the non-fairplay entries, starting with the configured key system', function () {
+      const config = {keySystem: DrmScheme.CLEARKEY, drmEntries: [], network: {}};
+      Eme.setDrmPlayback(config, drmData);
+      config.drmEntries.map(drmEntry => drmEntry.scheme).should.deep.equal([DrmScheme.CLEARKEY, DrmScheme.WIDEVINE, DrmScheme.PLAYREADY]);
+    });
+  });
+});
@@ -63,6 +63,7 @@ describe('Html5', () => {
         capLevelOnFPSDrop: true
       }
     };
+    sandbox.stub(BaseMediaSourceAdapter.prototype, 'capabilities').get(() => ({fpsControl: false, abrTarget: false}));
     const engine = Html5.createEngine(progressiveSource, config);
     const detachSpy = sandbox.spy(engine, 'detach');
     const pauseSpy = sandbox.spy(engine, 'pause');
@@ -92,6 +93,7 @@ describe('Html5', () => {
         capLevelOnFPSDrop: true
       }
     };
+    sandbox.stub(BaseMediaSourceAdapter.prototype, 'capabilities').get(() => ({fpsControl: false, abrTarget: false}));
     let engine = Html5.createEngine(hlsSource, config);
     const eventMgrSpy = sandbox.spy(engine._eventManager, 'removeAll');
     engine._eventManager.should.exist;
@@ -115,4 +117,21 @@ describe('Html5', () => {
     engine._droppedFramesWatcher.should.be.instanceof(DroppedFramesWatcher);
     engine._el.should.be.a('HTMLVideoElement');
   });
+
+  it('should not create a dropped frames watcher for an adapter which applies the abr target', () => {
+    const progressiveSource = sourcesConfig.Mp4.progressive[0];
+    const config = {
+      sources: sourcesConfig.Mp4,
+      abr: {
+        fpsDroppedFramesInterval: 5000,
+        fpsDroppedMonitoringThreshold: 0.2,
+        capLevelOnFPSDrop: true
+      }
+    };
+    const engine = Html5.createEngine(progressiveSource, config);
+    engine._mediaSourceAdapter.capabilities.abrTarget.should.be.true;
+    engine.isAbrTargetSupported().should.be.true;
+    (engine._droppedFramesWatcher === undefined).should.be.true;
+    engine.destroy();
+  });
 });
@@ -0,0 +1,70 @@
+import {EmeDrmHandler} from '../../../../../../src/engines/html5/media-source/adapters/eme-drm-handler';
+import {createElement, removeVideoElementsFromTestPage} from '../../../../utils/test-utils';
+import {DrmScheme} from '../../../../../../src/drm/drm-scheme';
+import Error from '../../../../../../src/error/error';
+
+const drmEntries = [
+  {licenseUrl: 'LICENSE_URL', scheme: DrmScheme.WIDEVINE},
+  {licenseUrl: 'LICENSE_URL', scheme: DrmScheme.CLEARKEY}
+];
+
+describe('EmeDrmHandler', function () {
+  let videoId = 'myVideoElement';
+  let videoElement, sandbox, drmHandler;
+
+  beforeEach(function () {
+    sandbox = sinon.createSandbox();
+    createElement('video', videoId);
+    videoElement = document.getElementById(videoId);
+  });
+
+  afterEach(function () {
+    drmHandler && drmHandler.destroy();
+    drmHandler = null;
+    sandbox.restore();
+    removeVideoElementsFromTestPage();
+  });
+
+  it('should register the encrypted event on the video element', function () {
+    const spy = sandbox.spy(HTMLVideoElement.prototype, 'addEventListener');
+    drmHandler = new EmeDrmHandler(
+      videoElement,
+      {keySystem: '', drmEntries, network: {}},
+      () => {},
+      () => {}
+    );
+    spy.should.have.been.calledOnce;
+    spy.should.have.been.calledWithMatch('encrypted');
+  });
+
+  it('should request the key systems by their order, once per init data', function (done) {
+    const stub = sandbox.stub(navigator, 'requestMediaKeySystemAccess').rejects(new window.Error('unsupported'));
+    drmHandler = new EmeDrmHandler(
+      videoElement,
+      {keySystem: '', drmEntries, network: {}},
+      error => {
+        try {
+          error.code.should.equal(Error.Code.REQUESTED_KEY_SYSTEM_CONFIG_UNAVAILABLE);
+          stub.should.have.been.calledTwice;
+          stub.getCall(0).args[0].should.equal(DrmScheme.WIDEVINE);
+          stub.getCall(1).args[0].should.equal(DrmScheme.CLEARKEY);
+          done();
+        } catch (e) {
+          done(e);
+        }
+      },
+      () => {}
+    );
+    const initData = new Uint8Array([1, 2, 3]).buffer;
+    drmHandler._onEncrypted({initDataType: 'keyids', initData});
+    drmHandler._onEncrypted({initDataType: 'keyids', initData});
+  });
+
+  it('should fail on encrypted content without init data', function () {
+    const errorCallback = sandbox.spy();
+    drmHandler = new EmeDrmHandler(videoElement, {keySystem: '', drmEntries, network: {}}, errorCallback, () => {});
+    drmHandler._onEncrypted({initDataType: 'cenc', initData: null});
+    errorCallback.should.have.been.calledOnce;
+    errorCallback.getCall(0).args[0].code.should.equal(Error.Code.ENCRYPTED_CONTENT_WITHOUT_DRM_INFO);
+  });
+});
@@ -0,0 +1,96 @@
+import Error from '../../../../../../src/error/error';
+import {
+  isMasterPlaylist,
+  parseMasterPlaylist,
+  parseMediaPlaylist
+} from '../../../../../../src/engines/html5/media-source/adapters/hls-playlist-parser';
+
+describe('HlsPlaylistParser', () => {
+  const master = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="audio/en.m3u8"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="French",LANGUAGE="fr",URI="audio/fr.m3u8"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="muxed",NAME="Main",DEFAULT=YES',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2000000,AVERAGE-BANDWIDTH=1800000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",AUDIO="aac"',
+    'video/720.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=500000,RESOLUTION=640x360,CODECS="avc1.42e01e,mp4a.40.2",AUDIO="aac"',
+    'video/360.m3u8'
+  ].join('\n');
+
+  it('should detect a master playlist', () => {
+    isMasterPlaylist(master).should.be.true;
+    isMasterPlaylist('#EXTM3U\n#EXTINF:6,\nsegment0.m4s\n').should.be.false;
+  });
+
+  it('should parse the variant streams and the audio renditions with a URI', () => {
+    const playlist = parseMasterPlaylist(master, 'http://example.com/hls/master.m3u8');
+    playlist.variants.length.should.equal(2);
+    playlist.variants[0].should.deep.equal({
+      url: 'http://example.com/hls/video/720.m3u8',
+      bandwidth: 1800000,
+      width: 1280,
+      height: 720,
+      codecs: 'avc1.64001f,mp4a.40.2',
+      audioGroup: 'aac'
+    });
+    playlist.variants[1].bandwidth.should.equal(500000);
+    playlist.audioRenditions.length.should.equal(2);
+    playlist.audioRenditions[0].should.deep.equal({
+      url: 'http://example.com/hls/audio/en.m3u8',
+      groupId: 'aac',
+      name: 'English',
+      language: 'en',
+      isDefault: true
+    });
+    playlist.audioRenditions[1].isDefault.should.be.false;
+  });
+
+  it('should parse the segments of a media playlist with their start time and the initialization segment', () => {
+    const playlist = parseMediaPlaylist(
+      [
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:6',
+        '#EXT-X-MEDIA-SEQUENCE:20',
+        '#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"',
+        '#EXTINF:6,',
+        'segment20.m4s',
+        '#EXTINF:4.5,',
+        '#EXT-X-BYTERANGE:1000@200',
+        'segment21.m4s',
+        '#EXT-X-ENDLIST'
+      ].join('\n'),
+      'http://example.com/hls/video/720.m3u8'
+    );
+    playlist.targetDuration.should.equal(6);
+    playlist.mediaSequence.should.equal(20);
+    playlist.ended.should.be.true;
+    playlist.encrypted.should.be.false;
+    playlist.initSegment.should.deep.equal({url: 'http://example.com/hls/video/init.mp4', byteRange: [0, 720]});
+    playlist.segments.length.should.equal(2);
+    playlist.segments[0].should.deep.equal({
+      url: 'http://example.com/hls/video/segment20.m4s',
+      sequence: 20,
+      start: 0,
+      duration: 6,
+      byteRange: null
+    });
+    playlist.segments[1].start.should.equal(6);
+    playlist.segments[1].byteRange.should.deep.equal([200, 1200]);
+  });
+
+  it('should detect a live and an encrypted media playlist', () => {
+    const playlist = parseMediaPlaylist('#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="key"\n#EXTINF:6,\ns.m4s\n', 'http://example.com/');
+    playlist.ended.should.be.false;
+    playlist.encrypted.should.be.true;
+  });
+
+  it('should throw for a playlist without a header', () => {
+    let error;
+    try {
+      parseMediaPlaylist('#EXTINF:6,\ns.m4s\n', 'http://example.com/');
+    } catch (e) {
+      error = e;
+    }
+    error.code.should.equal(Error.Code.HLS_PLAYLIST_HEADER_MISSING);
+  });
+});
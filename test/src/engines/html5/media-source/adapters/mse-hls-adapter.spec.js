@@ -0,0 +1,196 @@
+import MseHlsAdapter from '../../../../../../src/engines/html5/media-source/adapters/mse-hls-adapter';
+import {RequestType} from '../../../../../../src/request-type';
+import {removeVideoElementsFromTestPage} from '../../../../utils/test-utils';
+import {CustomEventType, Html5EventType} from '../../../../../../src/event/event-type';
+import Error from '../../../../../../src/error/error';
+
+const BASE_URL = 'http://localhost/hls/';
+
+const RESPONSES = {
+  [`${BASE_URL}media.m3u8`]: [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    '#EXT-X-TARGETDURATION:4',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:4,',
+    'segment1.m4s',
+    '#EXTINF:4,',
+    'segment2.m4s',
+    '#EXT-X-ENDLIST'
+  ].join('\n'),
+  [`${BASE_URL}init.mp4`]: 'init',
+  [`${BASE_URL}segment1.m4s`]: 'segment1',
+  [`${BASE_URL}segment2.m4s`]: 'segment2'
+};
+
+const source = {mimetype: 'application/x-mpegurl', url: `${BASE_URL}media.m3u8`};
+
+/**
+ * Creates a media source, whose source buffers record the appended data.
+ * @returns {Object} - The media source.
+ */
+function createMediaSource() {
+  const mediaSource = {readyState: 'open', duration: NaN, appended: [], endOfStream: () => {}};
+  mediaSource.addSourceBuffer = () => {
+    const sourceBuffer = document.createElement('div');
+    Object.defineProperty(sourceBuffer, 'buffered', {value: {length: 0}});
+    sourceBuffer.appendBuffer = data => {
+      mediaSource.appended.push(new TextDecoder().decode(data));
+      setTimeout(() => sourceBuffer.dispatchEvent(new Event('updateend')));
+    };
+    sourceBuffer.remove = () => setTimeout(() => sourceBuffer.dispatchEvent(new Event('updateend')));
+    return sourceBuffer;
+  };
+  return mediaSource;
+}
+
+describe('MseHlsAdapter: canPlayType', () => {
+  it('should return the hls mime types support', () => {
+    MseHlsAdapter.canPlayType('application/x-mpegurl').should.equal(MseHlsAdapter.isSupported());
+    MseHlsAdapter.canPlayType('application/vnd.apple.mpegurl').should.equal(MseHlsAdapter.isSupported());
+    MseHlsAdapter.canPlayType('video/mp4').should.be.false;
+  });
+
+  it('should not play the drm data', () => {
+    MseHlsAdapter.canPlayDrm().should.be.false;
+  });
+});
+
+describe('MseHlsAdapter: load', () => {
+  let sandbox, server, video, mseHlsAdapter, mediaSource;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    server = sandbox.useFakeServer();
+    server.respondImmediately = true;
+    server.respondWith(request => request.respond(200, {}, RESPONSES[request.url.split('?')[0]]));
+    video = document.createElement('video');
+    mediaSource = createMediaSource();
+  });
+
+  afterEach(() => {
+    mseHlsAdapter.destroy();
+    mseHlsAdapter = null;
+    sandbox.restore();
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+  });
+
+  const loadAdapter = (config = {}) => {
+    mseHlsAdapter = MseHlsAdapter.createAdapter(video, source, config);
+    sandbox.stub(mseHlsAdapter, '_openMediaSource').resolves(mediaSource);
+    mseHlsAdapter.load();
+  };
+
+  it('should append the init segment and the segments of the playlist', done => {
+    mediaSource.endOfStream = () => {
+      try {
+        mediaSource.appended.should.deep.equal(['init', 'segment1', 'segment2']);
+        mediaSource.duration.should.equal(8);
+        mseHlsAdapter.isLive().should.be.false;
+        done();
+      } catch (e) {
+        done(e);
+      }
+    };
+    loadAdapter();
+  });
+
+  it('should dispatch the manifest and the fragments loading', done => {
+    const onManifestLoaded = sandbox.spy();
+    const fragLoadedUrls = [];
+    mediaSource.endOfStream = () => {
+      try {
+        onManifestLoaded.should.have.been.calledOnce;
+        onManifestLoaded.getCall(0).args[0].payload.miliSeconds.should.be.a('number');
+        fragLoadedUrls.should.deep.equal([`${BASE_URL}segment1.m4s`, `${BASE_URL}segment2.m4s`]);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    };
+    loadAdapter();
+    mseHlsAdapter.addEventListener(CustomEventType.MANIFEST_LOADED, onManifestLoaded);
+    mseHlsAdapter.addEventListener(CustomEventType.FRAG_LOADED, event => {
+      event.payload.bytes.should.equal(RESPONSES[event.payload.url].length);
+      fragLoadedUrls.push(event.payload.url);
+    });
+  });
+
+  it('should pass the segment requests through the request filter', done => {
+    const requestTypes = [];
+    mediaSource.endOfStream = () => {
+      try {
+        requestTypes.should.deep.equal([RequestType.MANIFEST, RequestType.SEGMENT, RequestType.SEGMENT, RequestType.SEGMENT]);
+        server.requests
+          .map(request => request.url)
+          .should.deep.equal([
+            `${BASE_URL}media.m3u8`,
+            `${BASE_URL}init.mp4?token=1`,
+            `${BASE_URL}segment1.m4s?token=1`,
+            `${BASE_URL}segment2.m4s?token=1`
+          ]);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    };
+    loadAdapter({
+      network: {
+        requestFilter: (type, request) => {
+          requestTypes.push(type);
+          if (type === RequestType.SEGMENT) {
+            request.url += '?token=1';
+          }
+        }
+      }
+    });
+  });
+
+  it('should append the segments of the response filter', done => {
+    mediaSource.endOfStream = () => {
+      try {
+        mediaSource.appended.should.deep.equal(['init', 'filtered', 'segment2']);
+        done();
+      } catch (e) {
+        done(e);
+      }
+    };
+    loadAdapter({
+      network: {
+        responseFilter: (type, response) => {
+          if (type === RequestType.SEGMENT && response.originalUrl === `${BASE_URL}segment1.m4s`) {
+            return Promise.resolve({...response, data: new TextEncoder().encode('filtered').buffer});
+          }
+        }
+      }
+    });
+  });
+
+  it('should settle the pending requests on destroy without an error', done => {
+    server.respondImmediately = false;
+    loadAdapter();
+    const onError = sandbox.spy();
+    mseHlsAdapter.addEventListener(Html5EventType.ERROR, onError);
+    const request = mseHlsAdapter._request(RequestType.SEGMENT, `${BASE_URL}segment1.m4s`, 'arraybuffer');
+    setTimeout(() => {
+      mseHlsAdapter._requests.size.should.equal(2);
+      mseHlsAdapter.destroy();
+      request.catch(error => {
+        try {
+          error.code.should.equal(Error.Code.OPERATION_ABORTED);
+          mseHlsAdapter._requests.size.should.equal(0);
+          setTimeout(() => {
+            onError.should.not.have.been.called;
+            done();
+          });
+        } catch (e) {
+          done(e);
+        }
+      });
+    });
+  });
+});
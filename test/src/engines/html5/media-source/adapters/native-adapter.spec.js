@@ -9,6 +9,7 @@ import * as Utils from '../../../../../../src/utils/util';
 import Env from '../../../../../../src/utils/env';
 import {CustomEventType, Html5EventType} from '../../../../../../src/event/event-type';
 import Error from '../../../../../../src/error/error';
+import Eme from '../../../../../../src/drm/eme';
 import {DrmScheme} from '../../../../../../src/drm/drm-scheme';
 
 describe('NativeAdapter: isSupported', () => {
@@ -60,6 +61,11 @@ describe('NativeAdapter: canPlayDrm', () => {
     NativeAdapter.canPlayDrm(fpDrmData, {keySystem: DrmScheme.FAIRPLAY}).should.be.true;
     NativeAdapter.canPlayDrm(fpDrmData, {}).should.be.false;
   });
+
+  it('should return whether EME is supported for non-fairplay data', function () {
+    const ckDrmData = [{licenseUrl: 'LICENSE_URL', scheme: DrmScheme.CLEARKEY}];
+    NativeAdapter.canPlayDrm(ckDrmData, {keySystem: DrmScheme.CLEARKEY}).should.equal(Eme.isSupported());
+  });
 });
 
 describe('NativeAdapter: createAdapter', () => {
@@ -282,6 +288,76 @@ describe('NativeAdapter: _setProgressiveSource', function () {
       done();
     });
   });
+
+  it('should start with a rendition within the abr restrictions', done => {
+    const abr = {enabled: true, defaultBandwidthEstimate: 500e3, restrictions: {minBitrate: 150000, maxBitrate: Infinity}};
+    nativeInstance = NativeAdapter.createAdapter(video, sourcesConfig.MultipleSources.progressive[0], {sources: sourcesConfig.MultipleSources, abr});
+    nativeInstance.load().then(() => {
+      nativeInstance._sourceObj.id.should.equal('id2');
+      done();
+    });
+  });
+});
+
+describe('NativeAdapter: progressive abr', function () {
+  let video, nativeInstance;
+  const abr = {enabled: true, defaultBandwidthEstimate: 500e3, restrictions: {minBitrate: 0, maxBitrate: Infinity}};
+
+  beforeEach(() => {
+    video = document.createElement('video');
+    document.body.appendChild(video);
+  });
+
+  afterEach(() => {
+    nativeInstance.destroy();
+    nativeInstance = null;
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+  });
+
+  it('should enable the adaptive bitrate for multiple renditions', done => {
+    nativeInstance = NativeAdapter.createAdapter(video, sourcesConfig.MultipleSources.progressive[0], {sources: sourcesConfig.MultipleSources, abr});
+    nativeInstance.addEventListener(CustomEventType.ABR_MODE_CHANGED, event => {
+      event.payload.mode.should.equal('auto');
+      nativeInstance.isAdaptiveBitrateEnabled().should.be.true;
+      done();
+    });
+    nativeInstance.load();
+  });
+
+  it('should disable the adaptive bitrate once a rendition is selected manually', done => {
+    nativeInstance = NativeAdapter.createAdapter(video, sourcesConfig.MultipleSources.progressive[0], {sources: sourcesConfig.MultipleSources, abr});
+    nativeInstance.load().then(() => {
+      nativeInstance.addEventListener(CustomEventType.ABR_MODE_CHANGED, event => {
+        event.payload.mode.should.equal('manual');
+        nativeInstance.isAdaptiveBitrateEnabled().should.be.false;
+        done();
+      });
+      nativeInstance.selectVideoTrack(new VideoTrack({index: 1}));
+    });
+  });
+
+  it('should switch to the abr target before the playback', done => {
+    nativeInstance = NativeAdapter.createAdapter(video, sourcesConfig.MultipleSources.progressive[0], {sources: sourcesConfig.MultipleSources, abr});
+    nativeInstance.load().then(() => {
+      nativeInstance.addEventListener(CustomEventType.VIDEO_TRACK_CHANGED, event => {
+        event.payload.selectedVideoTrack.index.should.equal(1);
+        nativeInstance.isAdaptiveBitrateEnabled().should.be.true;
+        done();
+      });
+      nativeInstance.setAbrTarget(new VideoTrack({index: 1}));
+    });
+  });
+
+  it('should apply the abr target of progressive sources only', () => {
+    nativeInstance = NativeAdapter.createAdapter(video, sourcesConfig.MultipleSources.progressive[0], {sources: sourcesConfig.MultipleSources, abr});
+    nativeInstance.capabilities.abrTarget.should.be.true;
+    const hlsInstance = NativeAdapter.createAdapter(video, sourcesConfig.Live.hls[0], {sources: {}});
+    hlsInstance.capabilities.abrTarget.should.be.false;
+    hlsInstance.destroy();
+  });
 });
 
 describe('NativeAdapter: destroy', function () {
@@ -1,9 +1,16 @@
 import MediaSourceProvider from '../../../../../src/engines/html5/media-source/media-source-provider';
 import {Adapter1, Adapter2, Adapter3, FakeDashAdapter, FakeHlsAdapter, FakeNativeAdapter} from './adapters/test-adapters/test-adapters';
+import MseHlsAdapter from '../../../../../src/engines/html5/media-source/adapters/mse-hls-adapter';
 
 let video = document.createElement('video');
 let oldMediaSourceAdapters = MediaSourceProvider._mediaSourceAdapters;
 
+describe('mediaSourceProvider:default adapters', () => {
+  it('should register the native adapter only', () => {
+    oldMediaSourceAdapters.map(adapter => adapter.id).should.deep.equal(['NativeAdapter']);
+  });
+});
+
 describe('mediaSourceProvider:register', () => {
   beforeEach(() => {
     MediaSourceProvider._mediaSourceAdapters = [];
@@ -294,4 +301,13 @@ describe('mediaSourceProvider:_orderMediaSourceAdapters', () => {
     MediaSourceProvider._mediaSourceAdapters.length.should.equals(1);
     MediaSourceProvider._mediaSourceAdapters[0].id.should.equals('NativeAdapter');
   });
+
+  it('should place MseHlsAdapter after the registered adapters', () => {
+    MediaSourceProvider._mediaSourceAdapters = [FakeNativeAdapter, MseHlsAdapter, FakeHlsAdapter];
+    MediaSourceProvider._orderMediaSourceAdapters(false);
+    MediaSourceProvider._mediaSourceAdapters.length.should.equals(3);
+    MediaSourceProvider._mediaSourceAdapters[0].id.should.equals('HlsAdapter');
+    MediaSourceProvider._mediaSourceAdapters[1].id.should.equals('NativeAdapter');
+    MediaSourceProvider._mediaSourceAdapters[2].id.should.equals('MseHlsAdapter');
+  });
 });
@@ -0,0 +1,61 @@
+import {FailoverManager} from '../../../src/failover/failover-manager';
+import Error from '../../../src/error/error';
+
+describe('FailoverManager', () => {
+  let failoverManager, failoverConfig;
+  const candidates = [
+    {engine: 'html5', format: 'hls', source: {id: '1', url: 'http://a/1.m3u8', mimetype: 'application/x-mpegurl'}},
+    {engine: 'html5', format: 'hls', source: {id: '2', url: 'http://b/1.m3u8', mimetype: 'application/x-mpegurl'}},
+    {engine: 'html5', format: 'progressive', source: {id: '3', url: 'http://a/1.mp4', mimetype: 'video/mp4'}}
+  ];
+  const networkError = new Error(Error.Severity.CRITICAL, Error.Category.NETWORK, Error.Code.HTTP_ERROR, {});
+
+  beforeEach(() => {
+    failoverConfig = {enabled: true, maxAttempts: 3};
+    failoverManager = new FailoverManager({
+      get config() {
+        return {failover: failoverConfig};
+      }
+    });
+    failoverManager.setCandidates(candidates);
+  });
+
+  afterEach(() => {
+    failoverManager.destroy();
+  });
+
+  it('should fail over to the next sources in order on critical network, media and manifest errors', () => {
+    failoverManager.next(networkError).should.equal(candidates[1]);
+    failoverManager.next(new Error(Error.Severity.CRITICAL, Error.Category.MEDIA, Error.Code.VIDEO_ERROR, {})).should.equal(candidates[2]);
+    failoverManager.attempts.should.equal(2);
+  });
+
+  it('should not fail over on a recoverable error or an error of another category', () => {
+    (failoverManager.next(new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.HTTP_ERROR, {})) === null).should.be.true;
+    (failoverManager.next(new Error(Error.Severity.CRITICAL, Error.Category.DRM, Error.Code.LICENSE_REQUEST_FAILED, {})) === null).should.be.true;
+    failoverManager.attempts.should.equal(0);
+  });
+
+  it('should not fail over once no source is left', () => {
+    failoverManager.setCandidates(candidates.slice(0, 1));
+    (failoverManager.next(networkError) === null).should.be.true;
+  });
+
+  it('should not fail over once the attempts are exhausted', () => {
+    failoverConfig.maxAttempts = 1;
+    failoverManager.next(networkError).should.equal(candidates[1]);
+    (failoverManager.next(networkError) === null).should.be.true;
+  });
+
+  it('should not fail over when the failover is disabled', () => {
+    failoverConfig.enabled = false;
+    (failoverManager.next(networkError) === null).should.be.true;
+  });
+
+  it('should restart the attempts when the candidates are set', () => {
+    failoverManager.next(networkError);
+    failoverManager.setCandidates(candidates);
+    failoverManager.attempts.should.equal(0);
+    failoverManager.next(networkError).should.equal(candidates[1]);
+  });
+});
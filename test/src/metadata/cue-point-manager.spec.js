@@ -0,0 +1,77 @@
+import {CuePointManager} from '../../../src/metadata/cue-point-manager';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+
+describe('CuePointManager', () => {
+  let player, cuePointManager, events;
+
+  const timeUpdate = time => {
+    player.currentTime = time;
+    player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+  };
+
+  beforeEach(() => {
+    player = new FakeEventTarget();
+    player.currentTime = 0;
+    events = [];
+    [CustomEventType.CUE_POINTS_ADDED, CustomEventType.CUE_POINT_ENTER, CustomEventType.CUE_POINT_EXIT].forEach(type =>
+      player.addEventListener(type, event => events.push({type, payload: event.payload}))
+    );
+    cuePointManager = new CuePointManager(player);
+  });
+
+  afterEach(() => {
+    cuePointManager.destroy();
+  });
+
+  it('should fire the enter and exit events with the attributes', () => {
+    cuePointManager.addCuePoints([{id: 'a', type: 'eventstream', startTime: 1, endTime: 2, attributes: {messageData: 'x'}}]);
+    timeUpdate(1.5);
+    timeUpdate(2.5);
+    events
+      .map(event => event.type)
+      .should.deep.equal([CustomEventType.CUE_POINTS_ADDED, CustomEventType.CUE_POINT_ENTER, CustomEventType.CUE_POINT_EXIT]);
+    events[1].payload.attributes.should.deep.equal({messageData: 'x'});
+    events[1].payload.cuePoint.id.should.equal('a');
+  });
+
+  it('should map the date cue points once the program date time is known', () => {
+    const date = Date.parse('2026-01-01T00:00:00.000Z');
+    cuePointManager.addCuePoints([
+      {id: 'd', type: 'daterange', startTime: NaN, endTime: NaN, startDate: date + 10000, endDate: date + 20000, attributes: {}}
+    ]);
+    const pending = cuePointManager.getCuePoints();
+    pending.length.should.equal(1);
+    isNaN(pending[0].startTime).should.be.true;
+    cuePointManager.addCuePoints([], {time: 100, date});
+    const cuePoints = cuePointManager.getCuePoints({startTime: 0, endTime: 200});
+    cuePoints.length.should.equal(1);
+    cuePoints[0].startTime.should.equal(110);
+    cuePoints[0].endTime.should.equal(120);
+  });
+
+  it('should update the attributes and the end of a cue point added again', () => {
+    const date = Date.parse('2026-01-01T00:00:00.000Z');
+    cuePointManager.addCuePoints([{id: 'd', type: 'daterange', startTime: NaN, endTime: NaN, startDate: date, attributes: {A: 1}}], {time: 0, date});
+    cuePointManager.addCuePoints([
+      {id: 'd', type: 'daterange', startTime: NaN, endTime: NaN, startDate: date, endDate: date + 5000, attributes: {B: 2}}
+    ]);
+    const cuePoints = cuePointManager.getCuePoints();
+    cuePoints.length.should.equal(1);
+    cuePoints[0].endTime.should.equal(5);
+    cuePoints[0].attributes.should.deep.equal({A: 1, B: 2});
+    events.filter(event => event.type === CustomEventType.CUE_POINTS_ADDED).length.should.equal(1);
+  });
+
+  it('should filter the cue points by their class', () => {
+    cuePointManager.addCuePoints([
+      {id: 'a', type: 'daterange', class: 'chapter', startTime: 1, endTime: 2, attributes: {}},
+      {id: 'b', type: 'daterange', class: 'ad', startTime: 3, endTime: 4, attributes: {}}
+    ]);
+    cuePointManager
+      .getCuePoints({class: 'ad'})
+      .map(cuePoint => cuePoint.id)
+      .should.deep.equal(['b']);
+  });
+});
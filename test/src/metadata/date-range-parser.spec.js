@@ -0,0 +1,59 @@
+import {createNativeDateRangeCuePoints, isNativeDateRangeCue, parseDateRanges} from '../../../src/metadata/date-range-parser';
+import {CuePointType} from '../../../src/metadata/cue-point-type';
+
+describe('DateRangeParser', () => {
+  describe('parseDateRanges', () => {
+    const playlist = [
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXTINF:6,',
+      'segment0.ts',
+      '#EXT-X-PROGRAM-DATE-TIME:2026-01-01T00:00:06.000Z',
+      '#EXT-X-DATERANGE:ID="ad1",CLASS="com.apple.hls.interstitial",START-DATE="2026-01-01T00:00:10.000Z",DURATION=15.5,X-ASSET-URI="https://example.com/ad.m3u8",X-RESUME-OFFSET=0',
+      '#EXT-X-DATERANGE:ID="chapter1",CLASS="chapter",START-DATE="2026-01-01T00:00:00.000Z",END-ON-NEXT=YES',
+      '#EXT-X-DATERANGE:ID="chapter2",CLASS="chapter",START-DATE="2026-01-01T00:01:00.000Z",END-ON-NEXT=YES',
+      '#EXT-X-DATERANGE:ID="invalid"',
+      '#EXTINF:6,',
+      'segment1.ts'
+    ].join('\n');
+
+    it('should parse the date ranges with their attributes', () => {
+      const {cuePoints} = parseDateRanges(playlist);
+      cuePoints.length.should.equal(3);
+      cuePoints[0].id.should.equal('daterange:ad1');
+      cuePoints[0].type.should.equal(CuePointType.DATE_RANGE);
+      cuePoints[0].class.should.equal('com.apple.hls.interstitial');
+      cuePoints[0].startDate.should.equal(Date.parse('2026-01-01T00:00:10.000Z'));
+      cuePoints[0].endDate.should.equal(Date.parse('2026-01-01T00:00:25.500Z'));
+      cuePoints[0].attributes['X-ASSET-URI'].should.equal('https://example.com/ad.m3u8');
+      cuePoints[0].attributes['X-RESUME-OFFSET'].should.equal(0);
+      isNaN(cuePoints[0].startTime).should.be.true;
+    });
+
+    it('should end a date range on the next one of its class', () => {
+      const {cuePoints} = parseDateRanges(playlist);
+      cuePoints[1].endDate.should.equal(Date.parse('2026-01-01T00:01:00.000Z'));
+      (cuePoints[2].endDate === undefined).should.be.true;
+    });
+
+    it('should map the program date time onto the media time of its segment', () => {
+      parseDateRanges(playlist, 100).programDateTime.should.deep.equal({time: 106, date: Date.parse('2026-01-01T00:00:06.000Z')});
+      (parseDateRanges('#EXTM3U\n#EXTINF:6,\ns.ts\n').programDateTime === null).should.be.true;
+    });
+  });
+
+  describe('createNativeDateRangeCuePoints', () => {
+    it('should group the attribute cues of a date range', () => {
+      const cues = [
+        {type: 'com.apple.quicktime.HLS', startTime: 5, endTime: 10, value: {key: 'ID', data: 'a'}},
+        {type: 'com.apple.quicktime.HLS', startTime: 5, endTime: 10, value: {key: 'CLASS', data: 'chapter'}},
+        {type: 'com.apple.quicktime.HLS', startTime: 20, endTime: 20, value: {key: 'X-NO-ID', data: '1'}}
+      ];
+      cues.every(isNativeDateRangeCue).should.be.true;
+      isNativeDateRangeCue({type: 'org.id3', value: {key: 'TXXX'}}).should.be.false;
+      createNativeDateRangeCuePoints(cues).should.deep.equal([
+        {id: 'daterange:a', type: CuePointType.DATE_RANGE, class: 'chapter', startTime: 5, endTime: 10, attributes: {ID: 'a', CLASS: 'chapter'}}
+      ]);
+    });
+  });
+});
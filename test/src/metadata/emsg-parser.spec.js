@@ -0,0 +1,66 @@
+import {parseEmsg, parseEmsgBoxes} from '../../../src/metadata/emsg-parser';
+import {MetadataType} from '../../../src/metadata/metadata-type';
+
+const bytes = text => text.split('').map(char => char.charCodeAt(0));
+const uint32 = value => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+
+describe('EmsgParser', () => {
+  const version0 = [
+    0,
+    0,
+    0,
+    0,
+    ...bytes('urn:scte:scte35:2013:bin'),
+    0,
+    ...bytes('1'),
+    0,
+    ...uint32(1000),
+    ...uint32(500),
+    ...uint32(2000),
+    ...uint32(7),
+    9,
+    8
+  ];
+
+  describe('parseEmsg', () => {
+    it('should parse a version 0 message relative to its segment', () => {
+      const cue = parseEmsg(new Uint8Array(version0), 10);
+      cue.type.should.equal(MetadataType.EMSG);
+      cue.id.should.equal('emsg:urn:scte:scte35:2013:bin:1:7');
+      cue.schemeIdUri.should.equal('urn:scte:scte35:2013:bin');
+      cue.value.should.equal('1');
+      cue.startTime.should.equal(10.5);
+      cue.endTime.should.equal(12.5);
+      Array.from(cue.data).should.deep.equal([9, 8]);
+      cue.frames.length.should.equal(0);
+    });
+
+    it('should parse a version 1 message with an unknown duration', () => {
+      const data = [1, 0, 0, 0, ...uint32(90000), ...uint32(0), ...uint32(180000), ...uint32(0xffffffff), ...uint32(3), ...bytes('urn:a'), 0, 0];
+      const cue = parseEmsg(new Uint8Array(data), 100);
+      cue.startTime.should.equal(2);
+      cue.endTime.should.equal(Infinity);
+      cue.value.should.equal('');
+    });
+
+    it('should parse the ID3 tag of an ID3 scheme message', () => {
+      const tag = [0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 14, ...bytes('TIT2'), 0, 0, 0, 4, 0, 0, 0, ...bytes('abc')];
+      const data = [0, 0, 0, 0, ...bytes('https://aomedia.org/emsg/ID3'), 0, 0, ...uint32(1), ...uint32(0), ...uint32(0), ...uint32(1), ...tag];
+      parseEmsg(new Uint8Array(data)).frames.should.deep.equal([{key: 'TIT2', data: 'abc'}]);
+    });
+
+    it('should return null for a truncated message', () => {
+      (parseEmsg(new Uint8Array(version0.slice(0, 30))) === null).should.be.true;
+    });
+  });
+
+  describe('parseEmsgBoxes', () => {
+    it('should parse the event message boxes of a segment', () => {
+      const box = [...uint32(version0.length + 8), ...bytes('emsg'), ...version0];
+      const segment = new Uint8Array([...uint32(16), ...bytes('styp'), 0, 0, 0, 0, 0, 0, 0, 0, ...box, ...box]);
+      const cues = parseEmsgBoxes(segment, 0);
+      cues.length.should.equal(2);
+      cues[0].startTime.should.equal(0.5);
+    });
+  });
+});
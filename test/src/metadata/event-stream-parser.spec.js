@@ -0,0 +1,46 @@
+import {parseDuration, parseEventStreams} from '../../../src/metadata/event-stream-parser';
+import {CuePointType} from '../../../src/metadata/cue-point-type';
+
+describe('EventStreamParser', () => {
+  describe('parseDuration', () => {
+    it('should parse an ISO 8601 duration', () => {
+      parseDuration('PT1H2M3.5S').should.equal(3723.5);
+      parseDuration('P1DT1S').should.equal(86401);
+      isNaN(parseDuration('1:00')).should.be.true;
+    });
+  });
+
+  describe('parseEventStreams', () => {
+    const manifest = `<?xml version="1.0"?>
+      <MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+        <Period id="1" start="PT0S" duration="PT60S">
+          <EventStream schemeIdUri="urn:example:chapters" value="1" timescale="1000">
+            <Event presentationTime="5000" duration="10000" id="7">Intro</Event>
+          </EventStream>
+        </Period>
+        <Period id="2" duration="PT60S">
+          <EventStream schemeIdUri="urn:scte:scte35:2014:xml+bin" timescale="90000" presentationTimeOffset="90000">
+            <Event presentationTime="180000" messageData="abc"/>
+          </EventStream>
+        </Period>
+      </MPD>`;
+
+    it('should parse the events on the presentation timeline', () => {
+      const cuePoints = parseEventStreams(manifest);
+      cuePoints.length.should.equal(2);
+      cuePoints[0].id.should.equal('eventstream:urn:example:chapters:1:7');
+      cuePoints[0].type.should.equal(CuePointType.EVENT_STREAM);
+      cuePoints[0].class.should.equal('urn:example:chapters');
+      cuePoints[0].startTime.should.equal(5);
+      cuePoints[0].endTime.should.equal(15);
+      cuePoints[0].attributes.messageData.should.equal('Intro');
+      cuePoints[1].startTime.should.equal(61);
+      cuePoints[1].endTime.should.equal(61);
+      cuePoints[1].attributes.messageData.should.equal('abc');
+    });
+
+    it('should return no cue points for a document which is not a manifest', () => {
+      parseEventStreams('<html></html>').length.should.equal(0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import {isId3Header, parseId3} from '../../../src/metadata/id3-parser';
+
+/**
+ * Creates an ID3v2.4 tag.
+ * @param {Array<Object>} frames - The frames, with their key and data bytes.
+ * @returns {Uint8Array} - The tag.
+ */
+function createTag(frames) {
+  const body = [];
+  frames.forEach(({key, data}) => {
+    body.push(...key.split('').map(char => char.charCodeAt(0)), 0, 0, (data.length >> 7) & 0x7f, data.length & 0x7f, 0, 0, ...data);
+  });
+  return new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, (body.length >> 7) & 0x7f, body.length & 0x7f, ...body]);
+}
+
+const bytes = text => text.split('').map(char => char.charCodeAt(0));
+
+describe('Id3Parser', () => {
+  describe('isId3Header', () => {
+    it('should detect an ID3v2 tag header', () => {
+      isId3Header(createTag([]), 0).should.be.true;
+      isId3Header(new Uint8Array(bytes('ID4abcdefg')), 0).should.be.false;
+    });
+  });
+
+  describe('parseId3', () => {
+    it('should parse a user defined text frame', () => {
+      const frames = parseId3(createTag([{key: 'TXXX', data: [3, ...bytes('ad'), 0, ...bytes('start')]}]));
+      frames.should.deep.equal([{key: 'TXXX', description: 'ad', data: 'start'}]);
+    });
+
+    it('should parse a text frame with a UTF-16 encoding', () => {
+      const frames = parseId3(createTag([{key: 'TIT2', data: [1, 0xff, 0xfe, 0x48, 0, 0x69, 0]}]));
+      frames.should.deep.equal([{key: 'TIT2', data: 'Hi'}]);
+    });
+
+    it('should parse a UTF-8 text frame', () => {
+      const frames = parseId3(createTag([{key: 'TIT2', data: [3, 0x63, 0x61, 0x66, 0xc3, 0xa9]}]));
+      frames[0].data.should.equal('café');
+    });
+
+    it('should parse a private frame', () => {
+      const frames = parseId3(createTag([{key: 'PRIV', data: [...bytes('com.apple.streaming.transportStreamTimestamp'), 0, 1, 2]}]));
+      frames[0].key.should.equal('PRIV');
+      frames[0].owner.should.equal('com.apple.streaming.transportStreamTimestamp');
+      Array.from(frames[0].data).should.deep.equal([1, 2]);
+    });
+
+    it('should parse a general encapsulated object frame', () => {
+      const frames = parseId3(createTag([{key: 'GEOB', data: [0, ...bytes('text/plain'), 0, ...bytes('a.txt'), 0, ...bytes('file'), 0, 7]}]));
+      frames[0].mimeType.should.equal('text/plain');
+      frames[0].filename.should.equal('a.txt');
+      frames[0].description.should.equal('file');
+      Array.from(frames[0].data).should.deep.equal([7]);
+    });
+
+    it('should parse the frames of consecutive tags and stop at the padding', () => {
+      const first = createTag([{key: 'TIT2', data: [0, ...bytes('one')]}]);
+      const second = createTag([{key: 'TIT2', data: [0, ...bytes('two')]}]);
+      const data = new Uint8Array([...first, ...second, 0, 0, 0]);
+      parseId3(data)
+        .map(frame => frame.data)
+        .should.deep.equal(['one', 'two']);
+    });
+
+    it('should return no frames for a data without a tag', () => {
+      parseId3(new Uint8Array([1, 2, 3])).length.should.equal(0);
+    });
+  });
+});
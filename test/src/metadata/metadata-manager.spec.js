@@ -0,0 +1,97 @@
+import {MetadataManager} from '../../../src/metadata/metadata-manager';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+
+describe('MetadataManager', () => {
+  let player, metadataManager, events;
+
+  const createCue = (id, startTime, endTime) => ({id, type: 'id3', startTime, endTime, frames: []});
+  const timeUpdate = time => {
+    player.currentTime = time;
+    player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+  };
+  const seek = time => {
+    player.dispatchEvent(new FakeEvent(Html5EventType.SEEKING));
+    timeUpdate(time);
+    player.dispatchEvent(new FakeEvent(Html5EventType.SEEKED));
+  };
+
+  beforeEach(() => {
+    player = new FakeEventTarget();
+    player.currentTime = 0;
+    events = [];
+    [CustomEventType.TIMED_METADATA_ADDED, CustomEventType.TIMED_METADATA_ENTER, CustomEventType.TIMED_METADATA_EXIT].forEach(type =>
+      player.addEventListener(type, event => events.push({type, payload: event.payload}))
+    );
+    metadataManager = new MetadataManager(player);
+  });
+
+  afterEach(() => {
+    metadataManager.destroy();
+  });
+
+  it('should add the cues sorted by their start time and ignore the added ones', () => {
+    metadataManager.addCues([createCue('b', 5, 6), createCue('a', 1, 2)]);
+    metadataManager.addCues([createCue('a', 1, 2)]);
+    metadataManager
+      .getCues()
+      .map(cue => cue.id)
+      .should.deep.equal(['a', 'b']);
+    events.length.should.equal(1);
+    events[0].type.should.equal(CustomEventType.TIMED_METADATA_ADDED);
+    events[0].payload.cues.length.should.equal(2);
+  });
+
+  it('should filter the cues by their type and time range', () => {
+    metadataManager.addCues([createCue('a', 1, 2), createCue('b', 5, 6), Object.assign(createCue('c', 8, 9), {type: 'emsg'})]);
+    metadataManager
+      .getCues({startTime: 1.5, endTime: 5})
+      .map(cue => cue.id)
+      .should.deep.equal(['a', 'b']);
+    metadataManager
+      .getCues({type: 'emsg'})
+      .map(cue => cue.id)
+      .should.deep.equal(['c']);
+  });
+
+  it('should fire the enter and exit events as the playback crosses the cues', () => {
+    metadataManager.addCues([createCue('a', 1, 3), createCue('point', 2, 2)]);
+    events = [];
+    timeUpdate(1.5);
+    metadataManager
+      .getActiveCues()
+      .map(cue => cue.id)
+      .should.deep.equal(['a']);
+    timeUpdate(2.5);
+    timeUpdate(3.5);
+    events
+      .map(event => `${event.type}:${event.payload.cue.id}`)
+      .should.deep.equal([
+        `${CustomEventType.TIMED_METADATA_ENTER}:a`,
+        `${CustomEventType.TIMED_METADATA_ENTER}:point`,
+        `${CustomEventType.TIMED_METADATA_EXIT}:point`,
+        `${CustomEventType.TIMED_METADATA_EXIT}:a`
+      ]);
+  });
+
+  it('should not cross the cues skipped by a seek', () => {
+    metadataManager.addCues([createCue('point', 2, 2), createCue('b', 5, 7)]);
+    events = [];
+    seek(6);
+    events.map(event => `${event.type}:${event.payload.cue.id}`).should.deep.equal([`${CustomEventType.TIMED_METADATA_ENTER}:b`]);
+  });
+
+  it('should enter an added cue of the current time', () => {
+    timeUpdate(4);
+    metadataManager.addCues([createCue('a', 3, 5)]);
+    events.map(event => event.type).should.deep.equal([CustomEventType.TIMED_METADATA_ADDED, CustomEventType.TIMED_METADATA_ENTER]);
+  });
+
+  it('should clear the cues on reset', () => {
+    metadataManager.addCues([createCue('a', 0, 2)]);
+    metadataManager.reset();
+    metadataManager.getCues().length.should.equal(0);
+    metadataManager.getActiveCues().length.should.equal(0);
+  });
+});
@@ -1,6 +1,7 @@
 import BaseMiddleware from '../../../src/middleware/base-middleware';
 import Middleware from '../../../src/middleware/middleware';
 import getLogger from '../../../src/utils/logger';
+import {CustomEventType} from '../../../src/event/event-type';
 
 class M1 extends BaseMiddleware {
   id = 'M1';
@@ -135,5 +136,145 @@ describe('Middleware', function () {
         done();
       });
     });
+
+    it('should run the middlewares by their priority', function (done) {
+      spyM1 = sandbox.spy(M1.prototype, 'drink');
+      spyM2 = sandbox.spy(M2.prototype, 'drink');
+      spyM3 = sandbox.spy(M3.prototype, 'drink');
+      middleware.use(new M1());
+      middleware.use(new M2(), 10);
+      middleware.use(new M3(), 10);
+      middleware.run(actions.DRINK, () => {
+        spyM3.should.have.been.calledAfter(spyM2);
+        spyM1.should.have.been.calledAfter(spyM3);
+        done();
+      });
+    });
+
+    it('should wait for a middleware promise and resolve with the callback result', function (done) {
+      let resolved = false;
+      m1 = new M1();
+      sandbox.stub(m1, 'drink').callsFake(() => new Promise(resolve => setTimeout(() => resolve((resolved = true)))));
+      middleware.use(m1);
+      middleware.use(new M2());
+      middleware
+        .run(actions.DRINK, () => {
+          resolved.should.be.true;
+          return 'water';
+        })
+        .then(result => {
+          result.should.equal('water');
+          done();
+        });
+    });
+
+    it('should pass the changed params to the next handlers', function (done) {
+      m1 = new M1();
+      sandbox.stub(m1, 'drink').callsFake((next, amount) => next(amount * 2));
+      middleware.use(m1);
+      middleware.use(new M2());
+      middleware.run(
+        actions.DRINK,
+        amount => {
+          amount.should.equal(4);
+          done();
+        },
+        2
+      );
+    });
+
+    it('should skip a middleware which exceeds the action timeout', function (done) {
+      m1 = new M1();
+      sandbox.stub(m1, 'drink');
+      middleware.use(m1);
+      middleware.setActionTimeout(actions.DRINK, 10);
+      middleware.run(actions.DRINK, () => {
+        m1.drink.should.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should skip a middleware which exceeds the default action timeout', function () {
+      const clock = sandbox.useFakeTimers();
+      const callback = sandbox.spy();
+      m1 = new M1();
+      sandbox.stub(m1, 'drink');
+      middleware.use(m1);
+      middleware.run(actions.DRINK, callback);
+      clock.tick(9999);
+      callback.should.not.have.been.called;
+      clock.tick(1);
+      callback.should.have.been.calledOnce;
+    });
+
+    it('should not skip a middleware without a timeout', function () {
+      const clock = sandbox.useFakeTimers();
+      const callback = sandbox.spy();
+      m1 = new M1();
+      m1.actionTimeout = 0;
+      sandbox.stub(m1, 'drink');
+      middleware.use(m1);
+      middleware.setDefaultActionTimeout(10);
+      middleware.run(actions.DRINK, callback);
+      clock.tick(60000);
+      callback.should.not.have.been.called;
+    });
+
+    it('should abort the action and fire an event', function (done) {
+      const callback = sandbox.spy();
+      m1 = new M1();
+      sandbox.stub(m1, 'drink').callsFake(next => m1.abort(next, 'thirsty no more'));
+      spyM2 = sandbox.spy(M2.prototype, 'drink');
+      middleware.use(m1);
+      middleware.use(new M2());
+      middleware.addEventListener(CustomEventType.MIDDLEWARE_ACTION_ABORTED, event => {
+        event.payload.should.deep.equal({action: actions.DRINK, id: 'M1', reason: 'thirsty no more'});
+      });
+      middleware.run(actions.DRINK, callback).catch(reason => {
+        reason.should.equal('thirsty no more');
+        callback.should.not.have.been.called;
+        spyM2.should.not.have.been.called;
+        done();
+      });
+    });
+
+    it('should abort the action when a middleware promise is rejected', function (done) {
+      m1 = new M1();
+      sandbox.stub(m1, 'drink').callsFake(() => Promise.reject('empty glass'));
+      middleware.use(m1);
+      middleware
+        .run(actions.DRINK, () => done(new Error('should not run')))
+        .catch(reason => {
+          reason.should.equal('empty glass');
+          done();
+        });
+    });
+
+    it('should throw an error of the callback to the caller', function () {
+      const error = new Error('spilled');
+      middleware.use(new M1());
+      let promise;
+      (() => {
+        promise = middleware.run(actions.DRINK, () => {
+          throw error;
+        });
+      }).should.throw(error);
+      (promise === undefined).should.be.true;
+    });
+
+    it('should reject with an error of the callback after an async middleware', function (done) {
+      const error = new Error('spilled');
+      m1 = new M1();
+      sandbox.stub(m1, 'drink').callsFake(() => Promise.resolve());
+      middleware.use(m1);
+      middleware
+        .run(actions.DRINK, () => {
+          throw error;
+        })
+        .catch(reason => {
+          reason.should.equal(error);
+          done();
+        });
+    });
   });
 });
@@ -42,6 +42,37 @@ class PM3 extends BaseMiddleware {
   }
 }
 
+class PM5 extends BaseMiddleware {
+  id = 'PM5';
+  logger = getLogger(this.id);
+
+  seek(next, to) {
+    this.logger.debug('seek');
+    // block seeking past the first 10 seconds
+    this.callNext(next, Math.min(to, 10));
+  }
+
+  setVolume(next, volume) {
+    this.logger.debug('setVolume');
+    this.callNext(next, volume / 2);
+  }
+
+  setMuted(next) {
+    this.logger.debug('setMuted');
+    this.abort(next, 'muting is not allowed');
+  }
+
+  selectTrack(next) {
+    this.logger.debug('selectTrack');
+    this.callNext(next);
+  }
+
+  setRate(next) {
+    this.logger.debug('setRate');
+    this.callNext(next, 1);
+  }
+}
+
 class PM4 extends BaseMiddleware {
   id = 'PM4';
   logger = getLogger(this.id);
@@ -125,4 +156,47 @@ describe('PlaybackMiddleware', function () {
       done();
     });
   });
+
+  it('should pass the changed seek time', function (done) {
+    playbackMiddleware.use(new PM5());
+    playbackMiddleware.seek(to => {
+      to.should.equal(10);
+      done();
+    }, 30);
+  });
+
+  it('should pass the changed volume', function (done) {
+    playbackMiddleware.use(new PM5());
+    playbackMiddleware.setVolume(volume => {
+      volume.should.equal(0.4);
+      done();
+    }, 0.8);
+  });
+
+  it('should pass the changed playback rate', function (done) {
+    playbackMiddleware.use(new PM5());
+    playbackMiddleware.setRate(rate => {
+      rate.should.equal(1);
+      done();
+    }, 2);
+  });
+
+  it('should pass the requested track', function (done) {
+    const track = {id: 1};
+    playbackMiddleware.use(new PM5());
+    playbackMiddleware.selectTrack(selectedTrack => {
+      selectedTrack.should.equal(track);
+      done();
+    }, track);
+  });
+
+  it('should not set muted once aborted', function (done) {
+    const callback = sandbox.spy();
+    playbackMiddleware.use(new PM5());
+    playbackMiddleware.setMuted(callback, true).catch(reason => {
+      reason.should.equal('muting is not allowed');
+      callback.should.not.have.been.called;
+      done();
+    });
+  });
 });
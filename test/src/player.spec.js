@@ -134,6 +134,20 @@ describe('Player', function () {
         player.play();
       });
     });
+    it('should play after a middleware which never calls next by the default middleware timeout', () => {
+      const clock = sinon.useFakeTimers();
+      try {
+        player.playbackMiddleware.use({id: 'Hanging', play: () => {}});
+        const playStub = sinon.stub(player, '_play');
+        player.play();
+        playStub.should.not.have.been.called;
+        clock.tick(player.config.playback.middlewareTimeout);
+        playStub.should.have.been.calledOnce;
+      } finally {
+        clock.restore();
+      }
+    });
+
     describe('attach detach', function () {
       it('should success play after detach attach', done => {
         const playing = () => {
@@ -2374,6 +2388,15 @@ describe('Player', function () {
       player.volume.should.equal(0.9);
     });
 
+    it('should apply the configured volume without running the playback middlewares', function () {
+      player.playbackMiddleware.use({id: 'HalfVolume', setVolume: (next, volume) => next(volume / 2)});
+      config.playback.volume = 0.9;
+      player.configure(config);
+      player.volume.should.equal(0.9);
+      player.volume = 0.8;
+      player.volume.should.equal(0.4);
+    });
+
     it('should cap volume values between 0 and 1(including)', function () {
       player.volume = 1.1;
       player.volume.should.equal(1);
@@ -2587,6 +2610,45 @@ describe('Player', function () {
     });
   });
 
+  describe('_failover', function () {
+    let sandbox, player, config;
+
+    before(() => {
+      createElement('DIV', targetId);
+    });
+
+    beforeEach(() => {
+      sandbox = sinon.createSandbox();
+      config = getConfigStructure();
+      config.sources = sourcesConfig.Mp4;
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+      player.destroy();
+    });
+
+    after(() => {
+      removeVideoElementsFromTestPage();
+      removeElement(targetId);
+    });
+
+    it('should resume the playback through the play middleware', function () {
+      player = new Player(config);
+      player._playbackStart = true;
+      sandbox.stub(player, 'paused').get(() => false);
+      sandbox.stub(player, '_load');
+      const playStub = sandbox.stub(player, '_play');
+      const middlewarePlaySpy = sandbox.spy(player._playbackMiddleware, 'play');
+      const error = new Error(Error.Severity.CRITICAL, Error.Category.NETWORK, Error.Code.HTTP_ERROR, {});
+      player._failover({engine: Html5.id, format: 'progressive', source: sourcesConfig.Mp4.progressive[0]}, error);
+      middlewarePlaySpy.should.not.have.been.called;
+      player.dispatchEvent(new FakeEvent(CustomEventType.TRACKS_CHANGED, {tracks: []}));
+      middlewarePlaySpy.should.have.been.calledOnce;
+      playStub.should.have.been.calledOnce;
+    });
+  });
+
   describe('_getLanguage', function () {
     let config, player, sandbox;
 
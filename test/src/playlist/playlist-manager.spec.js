@@ -0,0 +1,156 @@
+import Player from '../../../src/player';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import FakeEvent from '../../../src/event/fake-event';
+import {createElement, getConfigStructure, removeElement, removeVideoElementsFromTestPage} from '../utils/test-utils';
+import {Object as PKObject} from '../../../src/utils/util';
+import SourcesConfig from '../configs/sources.json';
+import {EngineProvider} from '../../../src/engines/engine-provider';
+import Html5 from '../../../src/engines/html5/html5';
+
+const targetId = 'player-placeholder_playlist-manager.spec';
+
+describe('PlaylistManager', function () {
+  let config, player, playerContainer, sandbox, items;
+
+  before(() => {
+    EngineProvider.destroy();
+    EngineProvider.register(Html5.id, Html5);
+    playerContainer = createElement('DIV', targetId);
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    const sourcesConfig = PKObject.copyDeep(SourcesConfig);
+    items = [{sources: sourcesConfig.Mp4}, {sources: sourcesConfig.MultipleSources}, {sources: sourcesConfig.Mp4}];
+    config = getConfigStructure();
+    player = new Player(config);
+    playerContainer.appendChild(player.getView());
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    player.destroy();
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+    removeElement(targetId);
+  });
+
+  it('should load the first item once configured', done => {
+    player.addEventListener(CustomEventType.PLAYLIST_ITEM_CHANGED, event => {
+      event.payload.index.should.equal(0);
+      player.playlist.activeIndex.should.equal(0);
+      player.config.sources.progressive.should.deep.equal(items[0].sources.progressive);
+      done();
+    });
+    player.configure({playlist: {items}});
+  });
+
+  it('should move to the next and previous items', () => {
+    player.configure({playlist: {items}});
+    sandbox.stub(player, 'play');
+    player.playlist.playNext().should.be.true;
+    player.playlist.activeIndex.should.equal(1);
+    player.play.should.have.been.calledOnce;
+    player.playlist.playPrev().should.be.true;
+    player.playlist.activeIndex.should.equal(0);
+    player.playlist.playPrev().should.be.false;
+  });
+
+  it('should wrap around in loop mode', () => {
+    player.configure({playlist: {items, options: {loop: true}}});
+    sandbox.stub(player, 'play');
+    player.playlist.prevItem.should.equal(items[2]);
+    player.playlist.playItem(2);
+    player.playlist.nextItem.should.equal(items[0]);
+  });
+
+  it('should add, remove and move items', () => {
+    player.configure({playlist: {items}});
+    const newItem = {sources: items[0].sources};
+    player.playlist.addItem(newItem, 1);
+    player.playlist.items.length.should.equal(4);
+    player.playlist.nextItem.should.equal(newItem);
+    player.playlist.removeItem(0).should.be.false;
+    player.playlist.removeItem(1).should.be.true;
+    player.playlist.nextItem.should.equal(items[1]);
+    player.playlist.moveItem(0, 2).should.be.true;
+    player.playlist.activeIndex.should.equal(2);
+    (player.playlist.nextItem === null).should.be.true;
+  });
+
+  it('should keep the active item first in shuffle mode', () => {
+    player.configure({playlist: {items, options: {shuffle: true}}});
+    player.playlist._order[0].should.equal(player.playlist.activeItem);
+    player.playlist._order.length.should.equal(items.length);
+  });
+
+  it('should dispatch the playback ended of a playlist item once the content ends', () => {
+    player.configure({playlist: {items, countdown: {duration: 5}}});
+    const onPlaybackEnded = sandbox.spy();
+    player.addEventListener(CustomEventType.PLAYBACK_ENDED, onPlaybackEnded);
+    player.dispatchEvent(new FakeEvent(Html5EventType.ENDED));
+    onPlaybackEnded.should.have.been.calledOnce;
+    player.playlist.cancelCountdown();
+  });
+
+  it('should auto continue to the next item on playback ended', done => {
+    player.configure({playlist: {items, countdown: {duration: 0}}});
+    sandbox.stub(player, 'play');
+    player.addEventListener(CustomEventType.PLAYLIST_ITEM_CHANGED, event => {
+      event.payload.index.should.equal(1);
+      done();
+    });
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+  });
+
+  it('should start a countdown before auto continue', done => {
+    player.configure({playlist: {items, countdown: {duration: 5}}});
+    player.addEventListener(CustomEventType.PLAYLIST_COUNTDOWN_START, event => {
+      event.payload.duration.should.equal(5);
+      event.payload.nextItem.should.equal(items[1]);
+      player.playlist.cancelCountdown();
+      (player.playlist._countdownTimeout === null).should.be.true;
+      done();
+    });
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+  });
+
+  it('should fire playlist ended after the last item', done => {
+    player.configure({playlist: {items}});
+    sandbox.stub(player, 'play');
+    player.playlist.playItem(2);
+    player.addEventListener(CustomEventType.PLAYLIST_ENDED, () => done());
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+  });
+
+  it('should fire playlist ended again after the last item is replayed', () => {
+    player.configure({playlist: {items}});
+    sandbox.stub(player, 'play');
+    player.playlist.playItem(2);
+    const onPlaylistEnded = sandbox.spy();
+    player.addEventListener(CustomEventType.PLAYLIST_ENDED, onPlaylistEnded);
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+    player.dispatchEvent(new FakeEvent(Html5EventType.PLAYING));
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+    onPlaylistEnded.should.have.been.calledTwice;
+  });
+
+  it('should cancel the countdown once the ended item is replayed', () => {
+    player.configure({playlist: {items, countdown: {duration: 5}}});
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_ENDED));
+    player.playlist._countdownTimeout.should.exist;
+    player.dispatchEvent(new FakeEvent(Html5EventType.PLAYING));
+    (player.playlist._countdownTimeout === null).should.be.true;
+    player.playlist.activeIndex.should.equal(0);
+  });
+
+  it('should keep the playback attributes between items', () => {
+    player.configure({playlist: {items}});
+    sandbox.stub(player, 'play');
+    player._playbackAttributesState.volume = 0.3;
+    player.playlist.playNext();
+    player.volume.should.equal(0.3);
+  });
+});
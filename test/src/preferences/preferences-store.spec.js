@@ -0,0 +1,117 @@
+import Player from '../../../src/player';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import FakeEvent from '../../../src/event/fake-event';
+import TextStyle from '../../../src/track/text-style';
+import {MemoryStorageAdapter} from '../../../src/preferences/memory-storage-adapter';
+import {createElement, getConfigStructure, removeElement, removeVideoElementsFromTestPage} from '../utils/test-utils';
+
+const targetId = 'player-placeholder_preferences-store.spec';
+const storageKey = 'playkit-preferences-test';
+
+describe('PreferencesStore', function () {
+  let player, playerContainer, sandbox;
+
+  /**
+   * Creates a player which persists the given preferences keys.
+   * @param {Array<string>} keys - The keys to persist.
+   * @returns {void}
+   */
+  function createPlayer(keys) {
+    const config = getConfigStructure();
+    config.preferences = {keys, storageKey};
+    player = new Player(config);
+    playerContainer.appendChild(player.getView());
+  }
+
+  before(() => {
+    playerContainer = createElement('DIV', targetId);
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    player.preferences.clear();
+    player.destroy();
+    window.localStorage.removeItem(storageKey);
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+    removeElement(targetId);
+  });
+
+  it('should save only the configured keys', () => {
+    createPlayer(['volume']);
+    sandbox.stub(player, 'volume').get(() => 0.4);
+    sandbox.stub(player, 'playbackRate').get(() => 2);
+    player.dispatchEvent(new FakeEvent(Html5EventType.VOLUME_CHANGE));
+    player.dispatchEvent(new FakeEvent(Html5EventType.RATE_CHANGE));
+    player.preferences.get().should.deep.equal({volume: 0.4});
+  });
+
+  it('should apply the saved preferences to the next player', () => {
+    window.localStorage.setItem(storageKey, JSON.stringify({volume: 0.3, muted: true, textLanguage: 'fr', rate: 1.5}));
+    createPlayer(['volume', 'muted', 'textLanguage']);
+    player._playbackAttributesState.volume.should.equal(0.3);
+    player._playbackAttributesState.muted.should.be.true;
+    player._playbackAttributesState.textLanguage.should.equal('fr');
+    (player._playbackAttributesState.rate === undefined).should.be.true;
+  });
+
+  it('should save and apply the text style', () => {
+    createPlayer(['textStyle']);
+    const textStyle = new TextStyle();
+    textStyle.fontColor = TextStyle.StandardColors.YELLOW;
+    textStyle.fontScale = 1.5;
+    player.textStyle = textStyle;
+    player.destroy();
+    createPlayer(['textStyle']);
+    player.textStyle.isEqual(textStyle).should.be.true;
+  });
+
+  it('should not save the muted state of muted autoplay fallback', () => {
+    createPlayer(['muted']);
+    player._fallbackToMutedAutoPlay = true;
+    player.dispatchEvent(new FakeEvent(CustomEventType.MUTE_CHANGE, {mute: true}));
+    player.preferences.get().should.deep.equal({});
+  });
+
+  it('should clear the saved preferences', () => {
+    createPlayer(['rate']);
+    sandbox.stub(player, 'playbackRate').get(() => 2);
+    player.dispatchEvent(new FakeEvent(Html5EventType.RATE_CHANGE));
+    player.preferences.get().should.deep.equal({rate: 2});
+    player.preferences.clear();
+    player.preferences.get().should.deep.equal({});
+  });
+
+  it('should save the text track offsets per media', () => {
+    createPlayer(['textTrackOffset']);
+    const playerConfig = player.config;
+    playerConfig.sources.id = 'entry1';
+    sandbox.stub(player, 'config').get(() => playerConfig);
+    player.dispatchEvent(new FakeEvent(CustomEventType.TEXT_TRACK_OFFSET_CHANGED, {textTrack: {language: 'en'}, offset: 1.5}));
+    player.dispatchEvent(new FakeEvent(CustomEventType.TEXT_TRACK_OFFSET_CHANGED, {textTrack: {language: 'fr'}, offset: -2}));
+    player.preferences.get().should.deep.equal({textTrackOffset: {entry1: {en: 1.5, fr: -2}}});
+    player.preferences.getTextTrackOffset('en').should.equal(1.5);
+    (player.preferences.getTextTrackOffset('es') === null).should.be.true;
+  });
+
+  it('should not save the text track offset of a media without an id', () => {
+    createPlayer(['textTrackOffset']);
+    player.dispatchEvent(new FakeEvent(CustomEventType.TEXT_TRACK_OFFSET_CHANGED, {textTrack: {language: 'en'}, offset: 1.5}));
+    player.preferences.get().should.deep.equal({});
+  });
+
+  it('should use a plugged in storage adapter', () => {
+    createPlayer(['audioLanguage']);
+    const storage = new MemoryStorageAdapter();
+    player.preferences.storageAdapter = storage;
+    player.dispatchEvent(new FakeEvent(CustomEventType.AUDIO_TRACK_CHANGED, {selectedAudioTrack: {language: 'es'}}));
+    JSON.parse(storage.getItem(storageKey)).should.deep.equal({audioLanguage: 'es'});
+    (window.localStorage.getItem(storageKey) === null).should.be.true;
+  });
+});
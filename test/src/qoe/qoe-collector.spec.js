@@ -0,0 +1,123 @@
+import Player from '../../../src/player';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import {AdEventType} from '../../../src/ads/ad-event-type';
+import FakeEvent from '../../../src/event/fake-event';
+import State from '../../../src/state/state';
+import {StateType} from '../../../src/state/state-type';
+import Error from '../../../src/error/error';
+import {createElement, getConfigStructure, removeElement, removeVideoElementsFromTestPage} from '../utils/test-utils';
+
+const targetId = 'player-placeholder_qoe-collector.spec';
+
+describe('QoeCollector', function () {
+  let player, playerContainer, sandbox, clock, now;
+
+  /**
+   * Dispatches a state changed event.
+   * @param {string} oldState - The old state type.
+   * @param {string} newState - The new state type.
+   * @returns {void}
+   */
+  function changeState(oldState, newState) {
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYER_STATE_CHANGED, {oldState: new State(oldState), newState: new State(newState)}));
+  }
+
+  before(() => {
+    playerContainer = createElement('DIV', targetId);
+  });
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers();
+    now = 0;
+    player = new Player(getConfigStructure());
+    playerContainer.appendChild(player.getView());
+    sandbox.stub(player._qoeCollector, '_now').callsFake(() => now);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+    player.destroy();
+  });
+
+  after(() => {
+    removeVideoElementsFromTestPage();
+    removeElement(targetId);
+  });
+
+  it('should measure the startup time', () => {
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_START));
+    now = 1500;
+    player.dispatchEvent(new FakeEvent(CustomEventType.FIRST_PLAYING));
+    player.getQoeReport().startupTime.should.equal(1500);
+  });
+
+  it('should not include the preroll in the startup time', () => {
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_START));
+    now = 500;
+    player.dispatchEvent(new FakeEvent(AdEventType.AD_BREAK_START));
+    now = 15500;
+    player.dispatchEvent(new FakeEvent(AdEventType.AD_BREAK_END));
+    now = 16000;
+    player.dispatchEvent(new FakeEvent(CustomEventType.FIRST_PLAYING));
+    player.getQoeReport().startupTime.should.equal(1000);
+  });
+
+  it('should count the rebuffers after the first playing only', () => {
+    changeState(StateType.PAUSED, StateType.BUFFERING);
+    changeState(StateType.BUFFERING, StateType.PLAYING);
+    player.dispatchEvent(new FakeEvent(CustomEventType.FIRST_PLAYING));
+    now = 100;
+    changeState(StateType.PLAYING, StateType.BUFFERING);
+    now = 400;
+    changeState(StateType.BUFFERING, StateType.PLAYING);
+    now = 500;
+    changeState(StateType.PLAYING, StateType.BUFFERING);
+    now = 600;
+    const report = player.getQoeReport();
+    report.rebufferCount.should.equal(2);
+    report.rebufferDuration.should.equal(400);
+  });
+
+  it('should not count buffering while seeking as a rebuffer', () => {
+    player.dispatchEvent(new FakeEvent(CustomEventType.FIRST_PLAYING));
+    player.dispatchEvent(new FakeEvent(Html5EventType.SEEKING));
+    changeState(StateType.PLAYING, StateType.BUFFERING);
+    now = 250;
+    player.dispatchEvent(new FakeEvent(Html5EventType.SEEKED));
+    changeState(StateType.BUFFERING, StateType.PLAYING);
+    const report = player.getQoeReport();
+    report.rebufferCount.should.equal(0);
+    report.seekCount.should.equal(1);
+    report.lastSeekLatency.should.equal(250);
+    report.averageSeekLatency.should.equal(250);
+  });
+
+  it('should keep the bitrate switch history', () => {
+    player.dispatchEvent(new FakeEvent(CustomEventType.VIDEO_TRACK_CHANGED, {selectedVideoTrack: {bandwidth: 500, width: 640, height: 360}}));
+    player.dispatchEvent(new FakeEvent(CustomEventType.VIDEO_TRACK_CHANGED, {selectedVideoTrack: {bandwidth: 1500, width: 1280, height: 720}}));
+    player
+      .getQoeReport()
+      .bitrateSwitches.map(bitrateSwitch => bitrateSwitch.bitrate)
+      .should.deep.equal([500, 1500]);
+  });
+
+  it('should count the errors by category', () => {
+    player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.HTTP_ERROR)));
+    player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, new Error(Error.Severity.RECOVERABLE, Error.Category.NETWORK, Error.Code.HTTP_ERROR)));
+    player.dispatchEvent(new FakeEvent(Html5EventType.ERROR, new Error(Error.Severity.CRITICAL, Error.Category.MEDIA, Error.Code.VIDEO_ERROR)));
+    player.getQoeReport().errors.should.deep.equal({NETWORK: 2, MEDIA: 1});
+  });
+
+  it('should send periodic beacons and reset on player reset', () => {
+    const onBeacon = sandbox.spy();
+    player.addEventListener(CustomEventType.QOE_BEACON, onBeacon);
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYBACK_START));
+    clock.tick(30000);
+    onBeacon.should.have.been.calledOnce;
+    onBeacon.getCall(0).args[0].payload.report.should.have.property('startupTime');
+    player.dispatchEvent(new FakeEvent(CustomEventType.PLAYER_RESET));
+    clock.tick(30000);
+    onBeacon.should.have.been.calledOnce;
+  });
+});
@@ -0,0 +1,34 @@
+import {parseDashImageSets} from '../../../src/thumbnail/dash-image-parser';
+
+describe('DashImageParser', () => {
+  it('should parse the image adaptation sets of a manifest', () => {
+    const manifest = `<?xml version="1.0"?>
+      <MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT10M">
+        <Period id="1" start="PT0S">
+          <AdaptationSet contentType="video" mimeType="video/mp4">
+            <Representation id="v1" bandwidth="1000000" width="1280" height="720"/>
+          </AdaptationSet>
+          <AdaptationSet id="3" mimeType="image/jpeg" contentType="image">
+            <SegmentTemplate media="$RepresentationID$/tile_$Number%03d$.jpg" duration="100" startNumber="1"/>
+            <Representation bandwidth="12288" id="thumbs_320x180" width="3200" height="180">
+              <EssentialProperty schemeIdUri="http://dashif.org/thumbnail_tile" value="10x1"/>
+            </Representation>
+          </AdaptationSet>
+        </Period>
+      </MPD>`;
+    parseDashImageSets(manifest, 'https://example.com/media/manifest.mpd').should.deep.equal([
+      {
+        startTime: 0,
+        endTime: 600,
+        imageDuration: 100,
+        tileDuration: 10,
+        columns: 10,
+        rows: 1,
+        width: 320,
+        height: 180,
+        urlTemplate: 'https://example.com/media/thumbs_320x180/tile_$Number%03d$.jpg',
+        startNumber: 1
+      }
+    ]);
+  });
+});
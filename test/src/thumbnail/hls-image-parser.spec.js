@@ -0,0 +1,49 @@
+import {parseHlsImagePlaylist, parseHlsImageStreams} from '../../../src/thumbnail/hls-image-parser';
+
+describe('HlsImageParser', () => {
+  describe('parseHlsImageStreams', () => {
+    it('should parse the image streams of a multivariant playlist', () => {
+      const playlist = [
+        '#EXTM3U',
+        '#EXT-X-STREAM-INF:BANDWIDTH=1280000,RESOLUTION=1280x720',
+        'video/720p.m3u8',
+        '#EXT-X-IMAGE-STREAM-INF:BANDWIDTH=12000,RESOLUTION=320x180,CODECS="jpeg",URI="images/320x180.m3u8"'
+      ].join('\n');
+      parseHlsImageStreams(playlist, 'https://example.com/media/master.m3u8').should.deep.equal([
+        {url: 'https://example.com/media/images/320x180.m3u8', width: 320, height: 180, bandwidth: 12000}
+      ]);
+    });
+  });
+
+  describe('parseHlsImagePlaylist', () => {
+    it('should parse an image per thumbnail set with its tile layout', () => {
+      const playlist = [
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:60',
+        '#EXT-X-IMAGES-ONLY',
+        '#EXTINF:60.0,',
+        '#EXT-X-TILES:RESOLUTION=312x180,LAYOUT=5x4,DURATION=3.0',
+        'tile1.jpg',
+        '#EXTINF:30.0,',
+        '#EXT-X-TILES:RESOLUTION=312x180,LAYOUT=5x4,DURATION=3.0',
+        'tile2.jpg',
+        '#EXT-X-ENDLIST'
+      ].join('\n');
+      const thumbnailSets = parseHlsImagePlaylist(playlist, 'https://example.com/images/320x180.m3u8', 10);
+      thumbnailSets.length.should.equal(2);
+      thumbnailSets[0].should.deep.equal({
+        startTime: 10,
+        endTime: 70,
+        imageDuration: 60,
+        tileDuration: 3,
+        columns: 5,
+        rows: 4,
+        width: 312,
+        height: 180,
+        urls: ['https://example.com/images/tile1.jpg']
+      });
+      thumbnailSets[1].startTime.should.equal(70);
+      thumbnailSets[1].endTime.should.equal(100);
+    });
+  });
+});
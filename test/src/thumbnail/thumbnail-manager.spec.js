@@ -0,0 +1,105 @@
+import {ThumbnailManager} from '../../../src/thumbnail/thumbnail-manager';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import {Html5EventType} from '../../../src/event/event-type';
+import * as Utils from '../../../src/utils/util';
+
+describe('ThumbnailManager', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:05.000',
+    'sprite1.jpg#xywh=0,0,160,90',
+    '',
+    '00:00:05.000 --> 00:00:10.000',
+    'sprite1.jpg#xywh=160,0,160,90',
+    '',
+    '00:00:10.000 --> 00:00:15.000',
+    'https://cdn.example.com/sprite2.jpg#xywh=0,0,160,90',
+    ''
+  ].join('\n');
+  let sandbox, player, thumbnailManager, loadImage;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    loadImage = sandbox.stub(ThumbnailManager.prototype, '_loadImage');
+    player = new FakeEventTarget();
+    thumbnailManager = new ThumbnailManager(player);
+  });
+
+  afterEach(() => {
+    thumbnailManager.destroy();
+    sandbox.restore();
+  });
+
+  it('should get the thumbnails of a WebVTT thumbnails track', () => {
+    sandbox.stub(Utils.Http, 'execute').returns(Promise.resolve(vtt));
+    return thumbnailManager.load('https://example.com/thumbs/thumbnails.vtt').then(() => {
+      thumbnailManager.getThumbnail(7).should.deep.equal({
+        url: 'https://example.com/thumbs/sprite1.jpg',
+        x: 160,
+        y: 0,
+        width: 160,
+        height: 90,
+        startTime: 5,
+        endTime: 10
+      });
+      thumbnailManager.getThumbnail(12).url.should.equal('https://cdn.example.com/sprite2.jpg');
+      (thumbnailManager.getThumbnail(20) === null).should.be.true;
+    });
+  });
+
+  it('should prefetch the sprite sheet of a thumbnail and the next one', () => {
+    sandbox.stub(Utils.Http, 'execute').returns(Promise.resolve(vtt));
+    return thumbnailManager.load('https://example.com/thumbs/thumbnails.vtt').then(() => {
+      loadImage.resetHistory();
+      thumbnailManager.getThumbnail(7);
+      loadImage
+        .getCalls()
+        .map(call => call.args[0])
+        .should.deep.equal(['https://example.com/thumbs/sprite1.jpg', 'https://cdn.example.com/sprite2.jpg']);
+    });
+  });
+
+  it('should fire an error if the track cannot be loaded', done => {
+    sandbox.stub(Utils.Http, 'execute').returns(Promise.reject());
+    player.addEventListener(Html5EventType.ERROR, event => {
+      event.payload.data.url.should.equal('thumbnails.vtt');
+      done();
+    });
+    thumbnailManager.load('thumbnails.vtt');
+  });
+
+  it('should get the tile of a thumbnail set', () => {
+    thumbnailManager.addThumbnailSets([
+      {
+        startTime: 0,
+        endTime: 600,
+        imageDuration: 100,
+        tileDuration: 10,
+        columns: 5,
+        rows: 2,
+        width: 320,
+        height: 180,
+        urlTemplate: 'https://example.com/tile_$Number%03d$.jpg',
+        startNumber: 1
+      }
+    ]);
+    thumbnailManager.getThumbnail(175).should.deep.equal({
+      url: 'https://example.com/tile_002.jpg',
+      x: 640,
+      y: 180,
+      width: 320,
+      height: 180,
+      startTime: 170,
+      endTime: 180
+    });
+    (thumbnailManager.getThumbnail(600) === null).should.be.true;
+  });
+
+  it('should drop the thumbnails of a previous media', () => {
+    sandbox.stub(Utils.Http, 'execute').returns(Promise.resolve(vtt));
+    const loadPromise = thumbnailManager.load('https://example.com/thumbs/thumbnails.vtt');
+    thumbnailManager.reset();
+    return loadPromise.then(() => (thumbnailManager.getThumbnail(7) === null).should.be.true);
+  });
+});
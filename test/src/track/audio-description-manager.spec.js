@@ -0,0 +1,95 @@
+import {AudioDescriptionManager} from '../../../src/track/audio-description-manager';
+import AudioTrack from '../../../src/track/audio-track';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import * as Utils from '../../../src/utils/util';
+
+describe('AudioDescriptionManager', () => {
+  const vtt = ['WEBVTT', '', '00:00:01.000 --> 00:00:03.000', 'A door <b>opens</b>.', ''].join('\n');
+  let sandbox, player, config, activeAudioTrack, audioDescriptionManager, utterances, speechSynthesis, SpeechSynthesisUtterance;
+
+  const timeUpdate = time => {
+    player.currentTime = time;
+    player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+  };
+
+  const tracksChanged = () => {
+    player.dispatchEvent(new FakeEvent(CustomEventType.TRACKS_CHANGED));
+    return new Promise(resolve => setTimeout(resolve, 0));
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(Utils.Http, 'execute').returns(Promise.resolve(vtt));
+    speechSynthesis = window.speechSynthesis;
+    SpeechSynthesisUtterance = window.SpeechSynthesisUtterance;
+    utterances = [];
+    window.speechSynthesis = {
+      speak: utterance => utterances.push(utterance),
+      pause: sandbox.spy(),
+      resume: sandbox.spy(),
+      cancel: sandbox.spy()
+    };
+    window.SpeechSynthesisUtterance = function (text) {
+      this.text = text;
+    };
+    config = {
+      playback: {audioDescription: true, audioDescriptionDucking: 0.5, audioLanguage: ''},
+      sources: {
+        captions: [
+          {url: 'subtitles.vtt', language: 'en', label: 'English'},
+          {url: 'descriptions.vtt', language: 'en', label: 'English descriptions', kind: 'descriptions'}
+        ]
+      }
+    };
+    activeAudioTrack = new AudioTrack({active: true, language: 'en'});
+    player = new FakeEventTarget();
+    player.currentTime = 0;
+    player.volume = 1;
+    Object.defineProperty(player, 'config', {get: () => config});
+    player.getActiveTracks = () => ({audio: activeAudioTrack});
+    audioDescriptionManager = new AudioDescriptionManager(player);
+  });
+
+  afterEach(() => {
+    audioDescriptionManager.destroy();
+    window.speechSynthesis = speechSynthesis;
+    window.SpeechSynthesisUtterance = SpeechSynthesisUtterance;
+    sandbox.restore();
+  });
+
+  it('should read the descriptions aloud and duck the volume while they are read', () =>
+    tracksChanged().then(() => {
+      Utils.Http.execute.should.have.been.calledWith('descriptions.vtt');
+      timeUpdate(2);
+      utterances.length.should.equal(1);
+      utterances[0].text.should.equal('A door opens.');
+      utterances[0].lang.should.equal('en');
+      player.volume.should.equal(0.5);
+      utterances[0].onend();
+      player.volume.should.equal(1);
+    }));
+
+  it('should not read the descriptions if the audio description is disabled', () => {
+    config.playback.audioDescription = false;
+    return tracksChanged().then(() => {
+      Utils.Http.execute.should.not.have.been.called;
+    });
+  });
+
+  it('should not read the descriptions of a described audio track', () => {
+    activeAudioTrack = new AudioTrack({active: true, language: 'en', kind: 'main-desc'});
+    return tracksChanged().then(() => {
+      Utils.Http.execute.should.not.have.been.called;
+    });
+  });
+
+  it('should cancel the descriptions and restore the volume on seeking', () =>
+    tracksChanged().then(() => {
+      timeUpdate(2);
+      player.dispatchEvent(new FakeEvent(Html5EventType.SEEKING));
+      window.speechSynthesis.cancel.should.have.been.calledOnce;
+      player.volume.should.equal(1);
+    }));
+});
@@ -0,0 +1,81 @@
+import {Cea608Decoder} from '../../../../src/track/cea/cea608-decoder';
+
+describe('Cea608Decoder', () => {
+  let cues;
+  let decoder;
+
+  const decodeText = (time, field, text) => {
+    for (let i = 0; i < text.length; i += 2) {
+      decoder.decode(time, field, text.charCodeAt(i), i + 1 < text.length ? text.charCodeAt(i + 1) : 0);
+    }
+  };
+
+  beforeEach(() => {
+    cues = [];
+    decoder = new Cea608Decoder((channel, cue) => cues.push({channel, cue}));
+  });
+
+  it('should emit a pop-on caption once it is erased', () => {
+    decoder.decode(1, 1, 0x14, 0x20); // RCL
+    decoder.decode(1, 1, 0x14, 0x60); // PAC row 15
+    decodeText(1, 1, 'Hello');
+    decoder.decode(1, 1, 0x14, 0x2f); // EOC
+    cues.length.should.equal(0);
+    decoder.decode(3, 1, 0x14, 0x2c); // EDM
+    cues.length.should.equal(1);
+    cues[0].channel.should.equal('CC1');
+    cues[0].cue.startTime.should.equal(1);
+    cues[0].cue.endTime.should.equal(3);
+    cues[0].cue.text.should.equal('Hello');
+  });
+
+  it('should ignore a repeated control code', () => {
+    decoder.decode(1, 1, 0x14, 0x20);
+    decoder.decode(1, 1, 0x14, 0x20);
+    decoder.decode(1, 1, 0x14, 0x60);
+    decodeText(1, 1, 'A');
+    decoder.decode(1, 1, 0x14, 0x2f);
+    decoder.decode(1, 1, 0x14, 0x2f);
+    decoder.flush(2);
+    cues.length.should.equal(1);
+    cues[0].cue.text.should.equal('A');
+  });
+
+  it('should strip the parity bits and decode the second data channel', () => {
+    decoder.decode(1, 1, 0x1c | 0x80, 0x25); // RU2 of data channel 2, with a parity bit
+    decoder.decode(1, 1, 0x1c, 0x60);
+    decodeText(1, 1, 'Roll');
+    decoder.flush(2);
+    cues.length.should.equal(1);
+    cues[0].channel.should.equal('CC2');
+    cues[0].cue.text.should.equal('Roll');
+  });
+
+  it('should decode the captions of the second field as CC3', () => {
+    decoder.decode(1, 2, 0x15, 0x29); // RDC of field 2
+    decoder.decode(1, 2, 0x15, 0x60);
+    decodeText(1, 2, 'Paint');
+    decoder.flush(2);
+    cues.length.should.equal(1);
+    cues[0].channel.should.equal('CC3');
+  });
+
+  it('should add the italic and color tags', () => {
+    decoder.decode(1, 1, 0x14, 0x29); // RDC
+    decoder.decode(1, 1, 0x14, 0x6e); // PAC row 15 white italics
+    decodeText(1, 1, 'a');
+    decoder.decode(1, 1, 0x11, 0x2a); // mid-row yellow
+    decodeText(1, 1, 'b');
+    decoder.flush(2);
+    cues[0].cue.text.should.equal('<i>a</i><c.yellow> b</c>');
+  });
+
+  it('should not emit a cue after a reset', () => {
+    decoder.decode(1, 1, 0x14, 0x29);
+    decoder.decode(1, 1, 0x14, 0x60);
+    decodeText(1, 1, 'x');
+    decoder.reset();
+    decoder.flush(2);
+    cues.length.should.equal(0);
+  });
+});
@@ -0,0 +1,50 @@
+import {Cea708Decoder} from '../../../../src/track/cea/cea708-decoder';
+
+describe('Cea708Decoder', () => {
+  let cues;
+  let decoder;
+
+  const decodePacket = (time, sequence, bytes) => {
+    const size = Math.ceil((bytes.length + 1) / 2);
+    const packet = [(sequence << 6) | size].concat(bytes);
+    while (packet.length < size * 2) {
+      packet.push(0);
+    }
+    for (let i = 0; i < packet.length; i += 2) {
+      decoder.decode(time, i === 0, packet[i], packet[i + 1]);
+    }
+  };
+
+  beforeEach(() => {
+    cues = [];
+    decoder = new Cea708Decoder((service, cue) => cues.push({service, cue}));
+  });
+
+  it('should emit the text of a visible window once it is cleared', () => {
+    // service 1: define window 0 visible, then "Hi"
+    decodePacket(1, 0, [(1 << 5) | 9, 0x98, 0x20, 0x00, 0x00, 0x00, 0x1f, 0x00, 0x48, 0x69]);
+    cues.length.should.equal(0);
+    // service 1: clear window 0
+    decodePacket(2, 1, [(1 << 5) | 2, 0x88, 0x01]);
+    cues.length.should.equal(1);
+    cues[0].service.should.equal('SERVICE1');
+    cues[0].cue.startTime.should.equal(1);
+    cues[0].cue.endTime.should.equal(2);
+    cues[0].cue.text.should.equal('Hi');
+  });
+
+  it('should not emit the text of a hidden window', () => {
+    decodePacket(1, 0, [(2 << 5) | 9, 0x98, 0x00, 0x00, 0x00, 0x00, 0x1f, 0x00, 0x48, 0x69]);
+    decoder.flush(2);
+    cues.length.should.equal(0);
+  });
+
+  it('should emit the text of a window once it is displayed', () => {
+    decodePacket(1, 0, [(2 << 5) | 9, 0x98, 0x00, 0x00, 0x00, 0x00, 0x1f, 0x00, 0x48, 0x69]);
+    decodePacket(2, 1, [(2 << 5) | 2, 0x89, 0x01]);
+    decoder.flush(3);
+    cues.length.should.equal(1);
+    cues[0].service.should.equal('SERVICE2');
+    cues[0].cue.startTime.should.equal(2);
+  });
+});
@@ -0,0 +1,62 @@
+import {getVariantUrl, parseMediaPlaylist} from '../../../../src/track/cea/hls-captions-loader';
+
+describe('HlsCaptionsLoader', () => {
+  describe('getVariantUrl', () => {
+    it('should return the lowest bandwidth video variant', () => {
+      const master = [
+        '#EXTM3U',
+        '#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="mp4a.40.2"',
+        'audio.m3u8',
+        '#EXT-X-STREAM-INF:BANDWIDTH=2000000,CODECS="avc1.4d401f,mp4a.40.2"',
+        'high/index.m3u8',
+        '#EXT-X-STREAM-INF:BANDWIDTH=500000,CODECS="avc1.42e01e,mp4a.40.2"',
+        'low/index.m3u8'
+      ].join('\n');
+      getVariantUrl(master, 'http://example.com/hls/master.m3u8').should.equal('http://example.com/hls/low/index.m3u8');
+    });
+
+    it('should return null for a media playlist', () => {
+      (getVariantUrl('#EXTM3U\n#EXTINF:10,\nsegment0.ts\n', 'http://example.com/index.m3u8') === null).should.be.true;
+    });
+  });
+
+  describe('parseMediaPlaylist', () => {
+    it('should parse the segments with their sequence, discontinuity and start time', () => {
+      const playlist = parseMediaPlaylist(
+        [
+          '#EXTM3U',
+          '#EXT-X-TARGETDURATION:6',
+          '#EXT-X-MEDIA-SEQUENCE:10',
+          '#EXTINF:6,',
+          'segment10.ts',
+          '#EXT-X-DISCONTINUITY',
+          '#EXTINF:4.5,',
+          '#EXT-X-BYTERANGE:1000@200',
+          'segment11.ts',
+          '#EXT-X-ENDLIST'
+        ].join('\n'),
+        'http://example.com/hls/index.m3u8'
+      );
+      playlist.targetDuration.should.equal(6);
+      playlist.ended.should.be.true;
+      playlist.encrypted.should.be.false;
+      playlist.segments.length.should.equal(2);
+      playlist.segments[0].should.deep.equal({
+        uri: 'http://example.com/hls/segment10.ts',
+        sequence: 10,
+        discontinuity: 0,
+        start: 0,
+        duration: 6,
+        byteRange: null
+      });
+      playlist.segments[1].discontinuity.should.equal(1);
+      playlist.segments[1].start.should.equal(6);
+      playlist.segments[1].byteRange.should.deep.equal([200, 1200]);
+    });
+
+    it('should detect an encrypted or a fragmented playlist', () => {
+      parseMediaPlaylist('#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="key"\n#EXTINF:6,\ns.ts\n', 'http://example.com/').encrypted.should.be.true;
+      parseMediaPlaylist('#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\n#EXTINF:6,\ns.m4s\n', 'http://example.com/').fragmented.should.be.true;
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import {extractCcData, getAnnexBNalUnits, getLengthPrefixedNalUnits, removeEmulationPreventionBytes} from '../../../../src/track/cea/sei-parser';
+
+describe('SeiParser', () => {
+  const captionsSei = [
+    0x06, // SEI NAL unit
+    0x04, // user data registered ITU-T T.35
+    17, // payload size
+    0xb5,
+    0x00,
+    0x31,
+    0x47,
+    0x41,
+    0x39,
+    0x34,
+    0x03,
+    0x42, // process cc data, 2 constructs
+    0xff,
+    0xfc, // valid field 1 pair
+    0x14,
+    0x20,
+    0xf9, // invalid field 2 pair
+    0x80,
+    0x80,
+    0xff,
+    0x80 // rbsp trailing bits
+  ];
+
+  describe('removeEmulationPreventionBytes', () => {
+    it('should remove the emulation prevention bytes', () => {
+      Array.from(removeEmulationPreventionBytes(new Uint8Array([0x01, 0x00, 0x00, 0x03, 0x01, 0x00, 0x03]))).should.deep.equal([
+        0x01,
+        0x00,
+        0x00,
+        0x01,
+        0x00,
+        0x03
+      ]);
+    });
+  });
+
+  describe('getAnnexBNalUnits', () => {
+    it('should split the NAL units by 3 and 4 bytes start codes', () => {
+      const nalUnits = getAnnexBNalUnits(new Uint8Array([0x00, 0x00, 0x00, 0x01, 0x09, 0xf0, 0x00, 0x00, 0x01, 0x06, 0x01, 0x02]));
+      nalUnits.length.should.equal(2);
+      Array.from(nalUnits[0]).should.deep.equal([0x09, 0xf0]);
+      Array.from(nalUnits[1]).should.deep.equal([0x06, 0x01, 0x02]);
+    });
+  });
+
+  describe('getLengthPrefixedNalUnits', () => {
+    it('should split the NAL units by their length fields', () => {
+      const nalUnits = getLengthPrefixedNalUnits(new Uint8Array([0x00, 0x00, 0x00, 0x02, 0x09, 0xf0, 0x00, 0x00, 0x00, 0x01, 0x06]), 4);
+      nalUnits.length.should.equal(2);
+      Array.from(nalUnits[0]).should.deep.equal([0x09, 0xf0]);
+      Array.from(nalUnits[1]).should.deep.equal([0x06]);
+    });
+
+    it('should stop at a truncated NAL unit', () => {
+      getLengthPrefixedNalUnits(new Uint8Array([0x00, 0x05, 0x09]), 2).length.should.equal(0);
+    });
+  });
+
+  describe('extractCcData', () => {
+    it('should extract the valid cc data of an ATSC SEI', () => {
+      extractCcData([new Uint8Array([0x09, 0xf0]), new Uint8Array(captionsSei)]).should.deep.equal([{type: 0, data1: 0x14, data2: 0x20}]);
+    });
+
+    it('should ignore a SEI of another provider', () => {
+      const sei = captionsSei.slice();
+      sei[5] = 0x2f;
+      extractCcData([new Uint8Array(sei)]).length.should.equal(0);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import {CueIterator} from '../../../src/track/cue-iterator';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import {Cue} from '../../../src/track/vtt-cue';
+
+describe('CueIterator', () => {
+  let player, iterator, payloads;
+
+  /**
+   * Dispatches a player event at the given time.
+   * @param {number} time - The current time.
+   * @param {string} [type] - The event type.
+   * @returns {void}
+   */
+  function setTime(time, type = Html5EventType.TIME_UPDATE) {
+    player.currentTime = time;
+    player.dispatchEvent(new FakeEvent(type));
+  }
+
+  beforeEach(() => {
+    player = new FakeEventTarget();
+    player.currentTime = 0;
+    iterator = new CueIterator(player, [new Cue(1, 3, 'first'), new Cue(2, 10, 'second'), new Cue(4, 5, 'third'), new Cue(6, 7, 'fourth')]);
+    payloads = [];
+    iterator.addEventListener(CustomEventType.TRANSCRIPT_CUE_CHANGED, event => payloads.push(event.payload));
+  });
+
+  afterEach(() => {
+    iterator.destroy();
+  });
+
+  it('should have no active cue before the first cue', () => {
+    setTime(0.5);
+    iterator.activeIndex.should.equal(-1);
+    (iterator.activeCue === null).should.be.true;
+    payloads.length.should.equal(0);
+  });
+
+  it('should emit the active cue index once per change', () => {
+    setTime(1.5);
+    setTime(1.8);
+    payloads.length.should.equal(1);
+    payloads[0].index.should.equal(0);
+    payloads[0].cue.text.should.equal('first');
+  });
+
+  it('should prefer the overlapping cue which started last', () => {
+    setTime(2.5);
+    iterator.activeIndex.should.equal(1);
+    setTime(4.5);
+    iterator.activeIndex.should.equal(2);
+  });
+
+  it('should fall back to a longer cue which is still active', () => {
+    setTime(5.5, Html5EventType.SEEKED);
+    iterator.activeIndex.should.equal(1);
+  });
+
+  it('should have no active cue after the last cue', () => {
+    setTime(6.5);
+    setTime(11);
+    payloads.map(payload => payload.index).should.deep.equal([3, -1]);
+  });
+});
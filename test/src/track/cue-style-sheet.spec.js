@@ -0,0 +1,57 @@
+import {CueStyleSheet} from '../../../src/track/cue-style-sheet';
+
+describe('CueStyleSheet', () => {
+  let cueRoot, styleSheet;
+  const cue = {id: 'intro'};
+
+  beforeEach(() => {
+    cueRoot = document.createElement('div');
+    cueRoot.innerHTML = '<span class="loud">Hey</span> <span title="Bob">there</span> <span lang="fr-CA"><i>oui</i></span>';
+    styleSheet = new CueStyleSheet();
+  });
+
+  it('should be empty without ::cue rules', () => {
+    styleSheet.addRules('::cue-region { color: red; }\nvideo { color: red; }');
+    styleSheet.isEmpty().should.be.true;
+  });
+
+  it('should apply a ::cue rule to the cue root', () => {
+    styleSheet.addRules('::cue { color: lime; font-style: italic; }');
+    styleSheet.applyTo(cue, cueRoot);
+    cueRoot.style.color.should.equal('lime');
+    cueRoot.style.fontStyle.should.equal('italic');
+  });
+
+  it('should ignore properties which do not apply to cues', () => {
+    styleSheet.addRules('::cue { position: absolute; color: lime; }');
+    styleSheet.applyTo(cue, cueRoot);
+    cueRoot.style.position.should.equal('');
+  });
+
+  it('should apply rules to class, voice and language spans', () => {
+    styleSheet.addRules('::cue(.loud) { color: red; }\n::cue(v[voice="Bob"]) { color: blue; }\n::cue(:lang(fr)) { color: green; }');
+    styleSheet.applyTo(cue, cueRoot);
+    const [loud, voice, lang, italic] = Array.from(cueRoot.querySelectorAll('*'));
+    loud.style.color.should.equal('red');
+    voice.style.color.should.equal('blue');
+    lang.style.color.should.equal('green');
+    italic.style.color.should.equal('green');
+    cueRoot.style.color.should.equal('');
+  });
+
+  it('should match the cue id and apply rules by their specificity', () => {
+    styleSheet.addRules('::cue(#intro c.loud) { color: red; }\n::cue(#intro) { color: blue; }\n::cue(#outro) { color: lime; }');
+    styleSheet.addRules('::cue(c.loud) { color: red; }\n::cue(#intro.loud) { color: green; }\n::cue(c) { color: blue; }');
+    styleSheet.applyTo(cue, cueRoot);
+    cueRoot.style.color.should.equal('blue');
+    cueRoot.querySelector('.loud').style.color.should.equal('green');
+  });
+
+  it('should not apply the excluded properties', () => {
+    styleSheet.addRules('::cue { color: lime !important; background-color: black; font-size: 20px; }');
+    styleSheet.applyTo(cue, cueRoot, ['color', 'font']);
+    cueRoot.style.color.should.equal('');
+    cueRoot.style.fontSize.should.equal('');
+    cueRoot.style.backgroundColor.should.equal('black');
+  });
+});
@@ -6,6 +6,7 @@ import {Object} from '../../../src/utils/util';
 import SourcesConfig from '../configs/sources.json';
 import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
 import FakeEvent from '../../../src/event/fake-event';
+import Error from '../../../src/error/error';
 
 const targetId = 'player-placeholder_player.spec';
 let sourcesConfig = Object.copyDeep(SourcesConfig);
@@ -126,9 +127,30 @@ describe('ExternalCaptionsHandler', () => {
         });
       });
     });
+
+    it('should parse the STYLE blocks into the cues style sheet', done => {
+      const vtt = 'WEBVTT\n\nSTYLE\n::cue(.yellow) {\n  color: yellow;\n}\n\nSTYLE\n00:00:01.000 --> 00:00:02.000\n<c.yellow>Text</c>\n';
+      externalCaptionsHandler._parseCues(vtt).then(result => {
+        result.length.should.equal(1);
+        result[0].id.should.equal('STYLE');
+        result[0].styleSheet.isEmpty().should.be.false;
+        done();
+      });
+    });
+
+    it('should ignore the STYLE blocks after the first cue', done => {
+      const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nFirst\n\nSTYLE\n::cue {\n  color: yellow;\n}\n\n00:00:03.000 --> 00:00:04.000\nSecond\n';
+      externalCaptionsHandler._parseCues(vtt).then(result => {
+        result.length.should.equal(2);
+        result[0].text.should.equal('First');
+        result[1].text.should.equal('Second');
+        (result[1].styleSheet === null).should.be.true;
+        done();
+      });
+    });
   });
 
-  describe('_convertSrtToVtt', () => {
+  describe('_parseSrtCues', () => {
     let config, player, playerContainer, externalCaptionsHandler;
 
     before(() => {
@@ -152,24 +174,32 @@ describe('ExternalCaptionsHandler', () => {
       removeElement(targetId);
     });
 
-    it('should convert an srt string to vtt string', () => {
+    it('should parse an srt string into cues', done => {
       const srtString = `1
                     00:00:19,000 --> 00:00:21,989
                     I'm Annita McVeigh and welcome to Election Today where we'll bring you`;
-      const vttString = `WEBVTT\n\n1
-                    00:00:19.000 --> 00:00:21.989
-                    I'm Annita McVeigh and welcome to Election Today where we'll bring you`;
-      externalCaptionsHandler._convertSrtToVtt(srtString).should.be.equals(vttString);
+      externalCaptionsHandler._parseSrtCues(srtString).then(cues => {
+        cues.length.should.equal(1);
+        cues[0].startTime.should.equal(19);
+        cues[0].endTime.should.equal(21.989);
+        cues[0].text.should.equal("I'm Annita McVeigh and welcome to Election Today where we'll bring you");
+        done();
+      });
     });
 
-    it('should return the original string', () => {
+    it('should dispatch an error for a malformed cue', done => {
       const srtString = `1
-                    00:00:19.000 --> 00:00:21.989
-                    I'm Annita McVeigh and welcome to Election Today where we'll bring you`;
-      const convertedString = `WEBVTT\n\n1
-                    00:00:19.000 --> 00:00:21.989
-                    I'm Annita McVeigh and welcome to Election Today where we'll bring you`;
-      externalCaptionsHandler._convertSrtToVtt(srtString).should.be.equals(convertedString);
+00:00:19,000 --> 00:00:21,989
+First
+
+not a timing
+Second`;
+      externalCaptionsHandler.addEventListener(Html5EventType.ERROR, event => {
+        event.payload.category.should.equal(Error.Category.TEXT);
+        event.payload.data.line.should.equal(5);
+        done();
+      });
+      externalCaptionsHandler._parseSrtCues(srtString);
     });
   });
 
@@ -219,6 +249,188 @@ describe('ExternalCaptionsHandler', () => {
         done();
       });
     });
+
+    it('should download and parse the ttml file', done => {
+      externalCaptionsHandler._textTrackModel['en'] = {
+        url: '/base/test/src/assets/en.ttml',
+        cues: []
+      };
+      let textTrack = new TextTrack({language: 'en'});
+      externalCaptionsHandler._downloadAndParseCues(textTrack).then(() => {
+        const cues = externalCaptionsHandler._textTrackModel['en'].cues;
+        cues.length.should.equal(3);
+        cues[1].text.should.equal('Second\ncaption');
+        cues[2].text.should.equal('<i>Third caption</i>');
+        cues[0].line.should.equal(90);
+        done();
+      });
+    });
+  });
+
+  describe('_parseCuesByType', () => {
+    let config, player, playerContainer, externalCaptionsHandler;
+
+    before(() => {
+      playerContainer = createElement('div', targetId);
+    });
+
+    beforeEach(() => {
+      config = getConfigStructure();
+      config.sources = sourcesConfig.MultipleSources;
+      player = new Player(config);
+      externalCaptionsHandler = new ExternalCaptionsHandler(player);
+      playerContainer.appendChild(player.getView());
+    });
+
+    afterEach(() => {
+      player.destroy();
+    });
+
+    after(() => {
+      removeVideoElementsFromTestPage();
+      removeElement(targetId);
+    });
+
+    it('should parse an ass string', done => {
+      const ass =
+        '[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\nDialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\i1}Hello';
+      externalCaptionsHandler._parseCuesByType('ass', ass).then(cues => {
+        cues.length.should.equal(1);
+        cues[0].text.should.equal('<i>Hello</i>');
+        done();
+      });
+    });
+
+    it('should reject an invalid ssa string', done => {
+      externalCaptionsHandler._parseCuesByType('ssa', 'not a subtitles file').catch(error => {
+        error.code.should.equal(Error.Code.INVALID_TEXT_HEADER);
+        done();
+      });
+    });
+  });
+
+  describe('getTextTrackCues', () => {
+    let config, player, playerContainer, externalCaptionsHandler;
+
+    before(() => {
+      playerContainer = createElement('div', targetId);
+    });
+
+    beforeEach(() => {
+      config = getConfigStructure();
+      config.sources = sourcesConfig.MultipleSources;
+      player = new Player(config);
+      externalCaptionsHandler = new ExternalCaptionsHandler(player);
+      playerContainer.appendChild(player.getView());
+      externalCaptionsHandler._textTrackModel['en'] = {
+        cuesStatus: 1,
+        url: '/base/test/src/assets/en.vtt',
+        type: 'vtt',
+        cues: []
+      };
+    });
+
+    afterEach(() => {
+      player.destroy();
+    });
+
+    after(() => {
+      removeVideoElementsFromTestPage();
+      removeElement(targetId);
+    });
+
+    it('should download the cues once and keep them in the text track model', done => {
+      const textTrack = new TextTrack({language: 'en'});
+      externalCaptionsHandler.getTextTrackCues(textTrack).then(cues => {
+        cues.length.should.equal(5);
+        externalCaptionsHandler._textTrackModel['en'].cuesStatus.should.equal(3);
+        externalCaptionsHandler._textTrackModel['en'].url = '/base/test/src/assets/missing.vtt';
+        externalCaptionsHandler.getTextTrackCues(textTrack).then(sameCues => {
+          sameCues.should.equal(cues);
+          done();
+        });
+      });
+    });
+
+    it('should share a pending download with the track selection', done => {
+      const textTrack = new TextTrack({language: 'en'});
+      const selectionLoad = externalCaptionsHandler._downloadAndParseCues(textTrack);
+      externalCaptionsHandler.getTextTrackCues(textTrack).then(cues => {
+        selectionLoad.then(() => {
+          externalCaptionsHandler._textTrackModel['en'].cues.should.equal(cues);
+          done();
+        });
+      });
+    });
+
+    it('should resolve with no cues for a track without a model', done => {
+      externalCaptionsHandler.getTextTrackCues(new TextTrack({language: 'fr'})).then(cues => {
+        cues.length.should.equal(0);
+        done();
+      });
+    });
+  });
+
+  describe('setTextTrackOffset', () => {
+    let config, player, playerContainer, externalCaptionsHandler;
+
+    before(() => {
+      playerContainer = createElement('div', targetId);
+    });
+
+    beforeEach(() => {
+      config = getConfigStructure();
+      config.sources = sourcesConfig.MultipleSources;
+      player = new Player(config);
+      externalCaptionsHandler = new ExternalCaptionsHandler(player);
+      playerContainer.appendChild(player.getView());
+      externalCaptionsHandler._updateTextTracksModel({url: '/base/test/src/assets/en.vtt', type: 'vtt', language: 'en', label: 'English', offset: 2});
+    });
+
+    afterEach(() => {
+      player.destroy();
+    });
+
+    after(() => {
+      removeVideoElementsFromTestPage();
+      removeElement(targetId);
+    });
+
+    it('should shift the downloaded cues by the configured offset', done => {
+      const textTrack = new TextTrack({language: 'en'});
+      externalCaptionsHandler.getTextTrackOffset(textTrack).should.equal(2);
+      externalCaptionsHandler._downloadAndParseCues(textTrack).then(() => {
+        const cues = externalCaptionsHandler._textTrackModel['en'].cues;
+        const startTime = cues[0].startTime;
+        externalCaptionsHandler.setTextTrackOffset(textTrack, -1).should.be.true;
+        cues[0].startTime.should.equal(startTime - 3);
+        externalCaptionsHandler.getTextTrackOffset(textTrack).should.equal(-1);
+        done();
+      });
+    });
+
+    it('should resync the active cues of the active track', () => {
+      const textTrack = new TextTrack({language: 'en', active: true});
+      externalCaptionsHandler._textTrackModel['en'].cues = [
+        {startTime: 1, endTime: 2},
+        {startTime: 3, endTime: 4}
+      ];
+      externalCaptionsHandler._isTextTrackActive = true;
+      const sandbox = sinon.createSandbox();
+      sandbox.stub(player, '_getTextTracks').returns([textTrack]);
+      sandbox.stub(player, 'currentTime').get(() => 1.5);
+      let activeCues;
+      externalCaptionsHandler.addEventListener(CustomEventType.TEXT_CUE_CHANGED, event => (activeCues = event.payload.cues));
+      // the cues move 2 seconds earlier, so the second cue is active
+      externalCaptionsHandler.setTextTrackOffset(textTrack, 0);
+      activeCues.map(cue => cue.startTime).should.deep.equal([1]);
+      activeCues[0].endTime.should.equal(2);
+      sandbox.restore();
+    });
+
+    it('should not set the offset of a track which is not external', () => {
+      externalCaptionsHandler.setTextTrackOffset(new TextTrack({language: 'fr'}), 1).should.be.false;
+    });
   });
 
   describe('_getFileType', () => {
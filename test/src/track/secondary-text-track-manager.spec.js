@@ -0,0 +1,149 @@
+import {SecondaryTextTrackManager} from '../../../src/track/secondary-text-track-manager';
+import TextTrack from '../../../src/track/text-track';
+import TextStyle from '../../../src/track/text-style';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import {TextTrackPosition} from '../../../src/track/text-track-position';
+import {Cue} from '../../../src/track/vtt-cue';
+import Error from '../../../src/error/error';
+
+describe('SecondaryTextTrackManager', () => {
+  let player, manager, cues, events;
+
+  /**
+   * Dispatches a time update at the given time.
+   * @param {number} time - The current time.
+   * @returns {void}
+   */
+  function timeUpdate(time) {
+    player.currentTime = time;
+    player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+  }
+
+  beforeEach(() => {
+    cues = [new Cue(1, 3, 'Bonjour'), new Cue(4, 6, 'Au revoir')];
+    events = [];
+    player = new FakeEventTarget();
+    player.currentTime = 0;
+    player.transcript = {getCues: () => Promise.resolve(cues)};
+    [
+      CustomEventType.SECONDARY_TEXT_TRACK_CHANGED,
+      CustomEventType.SECONDARY_TEXT_CUE_CHANGED,
+      CustomEventType.SECONDARY_TEXT_STYLE_CHANGED
+    ].forEach(type => player.addEventListener(type, event => events.push(event)));
+    manager = new SecondaryTextTrackManager(player);
+    document.body.appendChild(manager.getElement());
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    document.body.removeChild(manager.getElement());
+  });
+
+  it('should select a secondary track and display its active cues', done => {
+    const textTrack = new TextTrack({language: 'fr', label: 'French', external: true});
+    manager.selectTextTrack(textTrack);
+    manager.textTrack.should.equal(textTrack);
+    events[0].type.should.equal(CustomEventType.SECONDARY_TEXT_TRACK_CHANGED);
+    events[0].payload.selectedTextTrack.should.equal(textTrack);
+    setTimeout(() => {
+      timeUpdate(2);
+      const cueEvent = events[events.length - 1];
+      cueEvent.type.should.equal(CustomEventType.SECONDARY_TEXT_CUE_CHANGED);
+      cueEvent.payload.cues.should.deep.equal([cues[0]]);
+      manager.getElement().textContent.should.contain('Bonjour');
+      done();
+    });
+  });
+
+  it('should display the cues at the top without changing the track cues', done => {
+    manager.selectTextTrack(new TextTrack({language: 'fr', external: true}));
+    setTimeout(() => {
+      timeUpdate(5);
+      manager._getDisplayCue(cues[1]).line.should.equal(0);
+      cues[1].line.should.equal('auto');
+      manager.position = TextTrackPosition.BOTTOM;
+      manager._getDisplayCue(cues[1]).line.should.equal('auto');
+      done();
+    });
+  });
+
+  it('should clear the secondary track', done => {
+    manager.selectTextTrack(new TextTrack({language: 'fr', external: true}));
+    setTimeout(() => {
+      timeUpdate(2);
+      events = [];
+      manager.hideTextTrack();
+      (manager.textTrack === null).should.be.true;
+      events.map(event => event.type).should.deep.equal([CustomEventType.SECONDARY_TEXT_CUE_CHANGED, CustomEventType.SECONDARY_TEXT_TRACK_CHANGED]);
+      manager.getElement().textContent.should.equal('');
+      timeUpdate(5);
+      events.length.should.equal(2);
+      done();
+    });
+  });
+
+  it('should dispatch the cleared secondary track on reset', () => {
+    manager.selectTextTrack(new TextTrack({language: 'fr', external: true}));
+    events = [];
+    manager.reset();
+    (manager.textTrack === null).should.be.true;
+    events.length.should.equal(1);
+    events[0].type.should.equal(CustomEventType.SECONDARY_TEXT_TRACK_CHANGED);
+    (events[0].payload.selectedTextTrack === null).should.be.true;
+    manager.reset();
+    events.length.should.equal(1);
+  });
+
+  it('should clear the secondary track when the off track is selected', () => {
+    manager.selectTextTrack(new TextTrack({language: 'fr', external: true}));
+    manager.selectTextTrack(new TextTrack({language: 'off'}));
+    (manager.textTrack === null).should.be.true;
+  });
+
+  it('should dispatch a recoverable text error when the cues fail to load', done => {
+    const textTrack = new TextTrack({language: 'fr', external: true});
+    player.transcript = {getCues: () => Promise.reject(new window.Error('network'))};
+    player.addEventListener(Html5EventType.ERROR, event => {
+      event.payload.severity.should.equal(Error.Severity.RECOVERABLE);
+      event.payload.category.should.equal(Error.Category.TEXT);
+      event.payload.code.should.equal(Error.Code.UNABLE_TO_CREATE_TEXT_CUE);
+      event.payload.data.textTrack.should.equal(textTrack);
+      done();
+    });
+    manager.selectTextTrack(textTrack);
+  });
+
+  it('should keep a native track hidden while selected and display its cues as they arrive', () => {
+    const nativeTextTrack = new FakeEventTarget();
+    nativeTextTrack.language = 'fr';
+    nativeTextTrack.label = 'French';
+    nativeTextTrack.mode = 'disabled';
+    nativeTextTrack.cues = [];
+    player.getVideoElement = () => ({textTracks: [nativeTextTrack]});
+    player.getActiveTracks = () => ({text: new TextTrack({language: 'en', index: 1})});
+    manager.selectTextTrack(new TextTrack({language: 'fr', label: 'French', index: 0}));
+    nativeTextTrack.mode.should.equal('hidden');
+    player.currentTime = 2;
+    nativeTextTrack.cues = cues;
+    nativeTextTrack.dispatchEvent(new FakeEvent('cuechange'));
+    events[events.length - 1].payload.cues.should.deep.equal([cues[0]]);
+    nativeTextTrack.mode = 'disabled';
+    player.dispatchEvent(new FakeEvent(CustomEventType.TEXT_TRACK_CHANGED));
+    nativeTextTrack.mode.should.equal('hidden');
+    manager.hideTextTrack();
+    nativeTextTrack.mode.should.equal('disabled');
+  });
+
+  it('should set its own text style and position', () => {
+    const style = new TextStyle();
+    style.fontColor = TextStyle.StandardColors.YELLOW;
+    manager.textStyle = style;
+    manager.textStyle.fontColor.should.deep.equal(TextStyle.StandardColors.YELLOW);
+    manager.position = TextTrackPosition.BOTTOM;
+    manager.position.should.equal(TextTrackPosition.BOTTOM);
+    events.filter(event => event.type === CustomEventType.SECONDARY_TEXT_STYLE_CHANGED).length.should.equal(2);
+    (() => (manager.position = 'middle')).should.throw();
+  });
+});
@@ -0,0 +1,74 @@
+import {parseSrt, parseTimestamp} from '../../../src/track/srt-parser';
+import Error from '../../../src/error/error';
+
+describe('SrtParser', () => {
+  describe('parseTimestamp', () => {
+    it('should parse a timestamp with a comma or a dot', () => {
+      parseTimestamp('01:02:03,456').should.equal(3723.456);
+      parseTimestamp('01:02:03.456').should.equal(3723.456);
+    });
+
+    it('should parse a timestamp without hours or milliseconds', () => {
+      parseTimestamp('02:03,500').should.equal(123.5);
+      parseTimestamp('00:00:05').should.equal(5);
+    });
+
+    it('should return NaN for an invalid timestamp', () => {
+      isNaN(parseTimestamp('abc')).should.be.true;
+    });
+  });
+
+  describe('parseSrt', () => {
+    it('should parse cues with a BOM and CRLF line endings', () => {
+      const cues = parseSrt(
+        '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nFirst line\r\nSecond line\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nNext\r\n'
+      );
+      cues.length.should.equal(2);
+      cues[0].id.should.equal('1');
+      cues[0].startTime.should.equal(1);
+      cues[0].endTime.should.equal(2.5);
+      cues[0].text.should.equal('First line\nSecond line');
+      cues[1].text.should.equal('Next');
+    });
+
+    it('should parse cues without numbers, hours or separating empty lines', () => {
+      const cues = parseSrt('00:01,000 --> 00:02,000\nFirst\n2\n00:03,000 --> 00:04,000\nSecond');
+      cues.length.should.equal(2);
+      cues[0].text.should.equal('First');
+      cues[1].startTime.should.equal(3);
+      cues[1].text.should.equal('Second');
+    });
+
+    it('should ignore stray cue numbers and display coordinates', () => {
+      const cues = parseSrt('7\n\n8\n00:00:01,000 --> 00:00:02,000 X1:100 X2:200 Y1:10 Y2:20\nText');
+      cues.length.should.equal(1);
+      cues[0].id.should.equal('8');
+      cues[0].text.should.equal('Text');
+    });
+
+    it('should convert font and curly brace tags', () => {
+      const cues = parseSrt('1\n00:00:01,000 --> 00:00:02,000\n{\\an8}<font color="#ff0000">{i}Red{/i}</font> <b>bold</b>');
+      cues[0].text.should.equal('<i>Red</i> <b>bold</b>');
+      cues[0].textStyle.fontColor.should.deep.equal([255, 0, 0]);
+    });
+
+    it('should map a named font colour', () => {
+      const cues = parseSrt("1\n00:00:01,000 --> 00:00:02,000\n<font color='yellow'>Text</font>");
+      cues[0].textStyle.fontColor.should.deep.equal([255, 255, 0]);
+    });
+
+    it('should report malformed cues with their line number and keep parsing', () => {
+      const errors = [];
+      const cues = parseSrt(
+        '1\n00:00:01,000 --> 00:00:02,000\nFirst\n\n2\n00:00:05,000 --> 00:00:04,000\nBackwards\n\nNo timing\n\n3\n00:00:06,000 --> 00:00:07,000\nLast',
+        error => errors.push(error)
+      );
+      cues.map(cue => cue.text).should.deep.equal(['First', 'Last']);
+      errors.length.should.equal(2);
+      errors[0].category.should.equal(Error.Category.TEXT);
+      errors[0].code.should.equal(Error.Code.INVALID_TEXT_CUE);
+      errors[0].data.line.should.equal(6);
+      errors[1].data.line.should.equal(9);
+    });
+  });
+});
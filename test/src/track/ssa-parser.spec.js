@@ -0,0 +1,131 @@
+import {parseSsa, parseTime, parseColor} from '../../../src/track/ssa-parser';
+import Error from '../../../src/error/error';
+
+const ass = `[Script Info]
+ScriptType: v4.00+
+PlayResX: 1920
+PlayResY: 1080
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,48,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,192,192,108,1
+Style: Sign,Verdana,40,&H0000FFFF,&H000000FF,&H00000000,&H00000000,-1,0,0,0,100,100,0,0,3,1,0,8,0,0,54,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:03.50,Default,,0,0,0,,Hello, world!\\NSecond line
+Dialogue: 0,0:00:04.00,0:00:05.00,Default,,0,0,0,,{\\an8}Top {\\i1}italic{\\i0} text
+Dialogue: 0,0:00:00.50,0:00:01.00,Sign,,0,0,0,,Sign
+Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,Comment
+Dialogue: 0,0:00:06.00,0:00:07.00,Default,,0,0,0,,{\\pos(480,540)\\c&H0000FF&}Positioned
+Dialogue: 0,0:00:08.00,0:00:09.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}
+`;
+
+describe('SsaParser', () => {
+  describe('parseTime', () => {
+    it('should parse a time with centiseconds', () => {
+      parseTime('0:01:02.50').should.equal(62.5);
+      parseTime('1:00:00.00').should.equal(3600);
+    });
+
+    it('should return NaN for an invalid time', () => {
+      isNaN(parseTime('01:02')).should.be.true;
+    });
+  });
+
+  describe('parseColor', () => {
+    it('should parse an ASS colour with alpha', () => {
+      parseColor('&H80FF0000').should.deep.equal({rgb: [0, 0, 255], opacity: 0.5});
+    });
+
+    it('should parse an override colour', () => {
+      parseColor('&H0000FF&').should.deep.equal({rgb: [255, 0, 0], opacity: 1});
+    });
+
+    it('should parse a decimal SSA colour', () => {
+      parseColor('65535').should.deep.equal({rgb: [255, 255, 0], opacity: 1});
+    });
+
+    it('should return null for an invalid colour', () => {
+      (parseColor('white') === null).should.be.true;
+    });
+  });
+
+  describe('parseSsa', () => {
+    let cues;
+
+    beforeEach(() => {
+      cues = parseSsa(ass);
+    });
+
+    it('should parse the dialogues sorted by their start time', () => {
+      cues.length.should.equal(4);
+      cues.map(cue => cue.startTime).should.deep.equal([0.5, 1, 4, 6]);
+      cues[1].endTime.should.equal(3.5);
+    });
+
+    it('should keep commas of the text and convert hard line breaks', () => {
+      cues[1].text.should.equal('Hello, world!\nSecond line');
+    });
+
+    it('should position the cue by the style alignment and margins', () => {
+      const cue = cues[1];
+      cue.snapToLines.should.be.false;
+      cue.line.should.equal(90);
+      cue.lineAlign.should.equal('end');
+      cue.align.should.equal('center');
+      cue.size.should.equal(80);
+      cue.position.should.equal(50);
+    });
+
+    it('should translate the alignment and italic override tags', () => {
+      const cue = cues[2];
+      cue.text.should.equal('Top <i>italic</i> text');
+      cue.lineAlign.should.equal('start');
+      cue.line.should.equal(10);
+    });
+
+    it('should translate the position and colour override tags', () => {
+      const cue = cues[3];
+      cue.line.should.equal(50);
+      cue.position.should.equal(25);
+      cue.size.should.equal(50);
+      cue.textStyle.fontColor.should.deep.equal([255, 0, 0]);
+    });
+
+    it('should map the style into the cue text style', () => {
+      const [sign, dialogue] = cues;
+      sign.text.should.equal('<b>Sign</b>');
+      sign.textStyle.fontFamily.should.equal('Verdana');
+      sign.textStyle.fontColor.should.deep.equal([255, 255, 0]);
+      sign.textStyle.backgroundOpacity.should.equal(1);
+      sign.line.should.equal(5);
+      dialogue.textStyle.fontFamily.should.equal('Arial');
+      dialogue.textStyle.backgroundOpacity.should.equal(0);
+      dialogue.textStyle.fontEdge.length.should.equal(5);
+    });
+
+    it('should parse the legacy SSA alignment', () => {
+      const ssa = `[V4 Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding
+Style: Default,Arial,20,65535,255,0,0,0,0,1,2,2,6,10,10,10,0,0
+
+[Events]
+Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,0000,0000,0000,,Top`;
+      const [cue] = parseSsa(ssa);
+      cue.lineAlign.should.equal('start');
+      cue.textStyle.fontColor.should.deep.equal([255, 255, 0]);
+    });
+
+    it('should throw an invalid header error for a file without events', () => {
+      try {
+        parseSsa('[Script Info]\nTitle: test');
+        throw new window.Error('should not get here');
+      } catch (e) {
+        e.category.should.equal(Error.Category.TEXT);
+        e.code.should.equal(Error.Code.INVALID_TEXT_HEADER);
+      }
+    });
+  });
+});
@@ -1,4 +1,6 @@
 import Track from '../../../src/track/text-track';
+import AudioTrack from '../../../src/track/audio-track';
+import {AudioTrackKind} from '../../../src/track/audio-track-kind';
 
 describe('Track', () => {
   describe('langComparer', () => {
@@ -20,4 +22,15 @@ describe('Track', () => {
       Track.langComparer('', 'rus').should.be.false;
     });
   });
+
+  describe('AudioTrack kind', () => {
+    it('should recognise the described audio tracks', () => {
+      ['description', 'descriptions', 'main-desc'].forEach(kind => new AudioTrack({kind}).kind.should.equal(AudioTrackKind.DESCRIPTION));
+    });
+
+    it('should default to the main kind', () => {
+      new AudioTrack({kind: 'alternative'}).kind.should.equal(AudioTrackKind.MAIN);
+      new AudioTrack().kind.should.equal(AudioTrackKind.MAIN);
+    });
+  });
 });
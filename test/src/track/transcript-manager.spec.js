@@ -0,0 +1,84 @@
+import {TranscriptManager} from '../../../src/track/transcript-manager';
+import TextTrack from '../../../src/track/text-track';
+import FakeEventTarget from '../../../src/event/fake-event-target';
+import FakeEvent from '../../../src/event/fake-event';
+import {CustomEventType, Html5EventType} from '../../../src/event/event-type';
+import {Cue} from '../../../src/track/vtt-cue';
+
+describe('TranscriptManager', () => {
+  let player, transcriptManager, textTrack, downloads;
+
+  beforeEach(() => {
+    textTrack = new TextTrack({language: 'en', label: 'English', active: true, external: true});
+    downloads = 0;
+    player = new FakeEventTarget();
+    player.currentTime = 0;
+    player.getTracks = () => [textTrack];
+    transcriptManager = new TranscriptManager(player, () => {
+      downloads++;
+      return Promise.resolve([new Cue(5, 7, 'Good <b>evening</b>'), new Cue(1, 3, 'Hello &amp; welcome'), new Cue(8, 9, 'Goodbye\nevening')]);
+    });
+  });
+
+  afterEach(() => {
+    transcriptManager.destroy();
+  });
+
+  it('should get the cues of the active external track sorted by their start time', done => {
+    transcriptManager.getCues().then(cues => {
+      cues.map(cue => cue.startTime).should.deep.equal([1, 5, 8]);
+      downloads.should.equal(1);
+      done();
+    });
+  });
+
+  it('should get no cues when the text track is off', done => {
+    textTrack = new TextTrack({language: 'off', active: true});
+    transcriptManager.getCues().then(cues => {
+      cues.length.should.equal(0);
+      done();
+    });
+  });
+
+  it('should search the plain text of the cues', done => {
+    transcriptManager.search('  Evening ', textTrack).then(hits => {
+      hits.length.should.equal(2);
+      hits[0].index.should.equal(1);
+      hits[0].startTime.should.equal(5);
+      hits[0].endTime.should.equal(7);
+      hits[0].text.should.equal('Good evening');
+      hits[1].text.should.equal('Goodbye evening');
+      done();
+    });
+  });
+
+  it('should search the text without its entities', done => {
+    transcriptManager.search('hello & welcome').then(hits => {
+      hits.length.should.equal(1);
+      hits[0].startTime.should.equal(1);
+      done();
+    });
+  });
+
+  it('should seek to a cue', done => {
+    transcriptManager.search('goodbye').then(hits => {
+      transcriptManager.seekToCue(hits[0]);
+      player.currentTime.should.equal(8);
+      done();
+    });
+  });
+
+  it('should create an iterator and destroy it on reset', done => {
+    transcriptManager.createIterator().then(iterator => {
+      const indexes = [];
+      iterator.addEventListener(CustomEventType.TRANSCRIPT_CUE_CHANGED, event => indexes.push(event.payload.index));
+      player.currentTime = 2;
+      player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+      transcriptManager.reset();
+      player.currentTime = 6;
+      player.dispatchEvent(new FakeEvent(Html5EventType.TIME_UPDATE));
+      indexes.should.deep.equal([0]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import {parseTtml, parseTime} from '../../../src/track/ttml-parser';
+import Error from '../../../src/error/error';
+import TextStyle from '../../../src/track/text-style';
+
+const wrap = (body, head = '', attributes = '') =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+  <tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ${attributes}>
+    <head>${head}</head>
+    <body>${body}</body>
+  </tt>`;
+
+describe('TtmlParser', () => {
+  describe('parseTime', () => {
+    const params = {frameRate: 25, subFrameRate: 2, tickRate: 10000000};
+
+    it('should parse clock times', () => {
+      parseTime('00:00:01.500', params).should.equal(1.5);
+      parseTime('01:02:03', params).should.equal(3723);
+    });
+
+    it('should parse clock times with frames and sub frames', () => {
+      parseTime('00:00:01:05', params).should.equal(1.2);
+      parseTime('00:00:01:05.1', params).should.be.closeTo(1.22, 0.0001);
+    });
+
+    it('should parse offset times', () => {
+      parseTime('1.5s', params).should.equal(1.5);
+      parseTime('1500ms', params).should.equal(1.5);
+      parseTime('2m', params).should.equal(120);
+      parseTime('1h', params).should.equal(3600);
+      parseTime('50f', params).should.equal(2);
+      parseTime('15000000t', params).should.equal(1.5);
+    });
+
+    it('should return NaN for an invalid time', () => {
+      isNaN(parseTime('1.5', params)).should.be.true;
+      isNaN(parseTime('abc', params)).should.be.true;
+    });
+  });
+
+  describe('parseTtml', () => {
+    it('should parse the paragraphs timing and text', () => {
+      const cues = parseTtml(
+        wrap(`<div>
+                <p begin="00:00:03.000" end="00:00:04.000">Second</p>
+                <p xml:id="c1" begin="00:00:01.000" end="00:00:02.000">
+                  First   line
+                </p>
+              </div>`)
+      );
+      cues.length.should.equal(2);
+      cues[0].startTime.should.equal(1);
+      cues[0].endTime.should.equal(2);
+      cues[0].text.should.equal('First line');
+      cues[0].id.should.equal('c1');
+      cues[1].text.should.equal('Second');
+    });
+
+    it('should convert br into a line break', () => {
+      const cues = parseTtml(wrap('<div><p begin="1s" end="2s">Line one<br/>Line two</p></div>'));
+      cues[0].text.should.equal('Line one\nLine two');
+    });
+
+    it('should resolve the timing relative to the parent and by duration', () => {
+      const cues = parseTtml(wrap('<div begin="10s"><p begin="1s" dur="2s">Text</p></div>'));
+      cues[0].startTime.should.equal(11);
+      cues[0].endTime.should.equal(13);
+    });
+
+    it('should use the tick rate of the document', () => {
+      const cues = parseTtml(wrap('<div><p begin="10000t" end="20000t">Text</p></div>', '', 'ttp:tickRate="10000"'));
+      cues[0].startTime.should.equal(1);
+      cues[0].endTime.should.equal(2);
+    });
+
+    it('should map the referenced and inline styles into cue markup', () => {
+      const head = `<styling>
+                      <style xml:id="italic" tts:fontStyle="italic"/>
+                      <style xml:id="boldItalic" style="italic" tts:fontWeight="bold"/>
+                    </styling>`;
+      const cues = parseTtml(
+        wrap(
+          `<div><p begin="1s" end="2s" tts:textAlign="left">Plain <span style="boldItalic">styled</span> <span tts:textDecoration="underline">u&lt;</span></p></div>`,
+          head
+        )
+      );
+      cues[0].text.should.equal('Plain <b><i>styled</i></b> <u>u&lt;</u>');
+      cues[0].align.should.equal('left');
+    });
+
+    it('should map the color, font and text align styles into the cue text style', () => {
+      const head = `<styling>
+                      <style xml:id="s1" tts:color="yellow" tts:backgroundColor="#00000080" tts:fontFamily="proportionalSansSerif"/>
+                    </styling>`;
+      const cues = parseTtml(
+        wrap(
+          `<div>
+             <p begin="1s" end="2s" style="s1" tts:fontSize="150%" tts:textAlign="right">Styled</p>
+             <p begin="2s" end="3s" tts:fontFamily="Arial, monospace"><span tts:color="rgba(255,0,0,255)">Span</span> <span tts:color="lime">Mixed</span></p>
+             <p begin="3s" end="4s">Plain</p>
+           </div>`,
+          head
+        )
+      );
+      const [styled, span, plain] = cues;
+      styled.textStyle.fontColor.should.deep.equal([255, 255, 0]);
+      styled.textStyle.fontOpacity.should.equal(1);
+      styled.textStyle.backgroundColor.should.deep.equal([0, 0, 0]);
+      styled.textStyle.backgroundOpacity.should.equal(0.5);
+      styled.textStyle.fontFamily.should.equal('sans-serif');
+      styled.textStyle.fontSize.should.equal('150%');
+      styled.textStyle.implicitFontScale.should.equal(1.5);
+      styled.align.should.equal('right');
+      span.textStyle.fontFamily.should.equal('Arial, monospace');
+      span.textStyle.fontColor.should.deep.equal(new TextStyle().fontColor);
+      (plain.textStyle === null).should.be.true;
+    });
+
+    it('should resolve the font size in cells and pixels', () => {
+      const cues = parseTtml(
+        wrap(
+          '<div><p begin="1s" end="2s" tts:fontSize="2c">Cells</p><p begin="2s" end="3s" tts:fontSize="36px 54px">Pixels</p></div>',
+          '',
+          'tts:extent="1920px 1080px" ttp:cellResolution="32 20"'
+        )
+      );
+      cues[0].textStyle.fontSize.should.equal('200%');
+      cues[1].textStyle.fontSize.should.equal('100%');
+    });
+
+    it('should split a paragraph with timed spans into cues', () => {
+      const cues = parseTtml(wrap('<div><p begin="1s" end="3s">Hello <span begin="1s">world</span></p></div>'));
+      cues.length.should.equal(2);
+      cues[0].text.should.equal('Hello');
+      cues[0].endTime.should.equal(2);
+      cues[1].text.should.equal('Hello world');
+      cues[1].startTime.should.equal(2);
+      cues[1].endTime.should.equal(3);
+    });
+
+    it('should position the cue by its region', () => {
+      const head = `<layout>
+                      <region xml:id="bottom" tts:origin="10% 80%" tts:extent="80% 10%" tts:displayAlign="after"/>
+                      <region xml:id="top" tts:origin="192px 108px" tts:extent="1536px 108px"/>
+                    </layout>`;
+      const cues = parseTtml(
+        wrap(
+          `<div region="bottom"><p begin="1s" end="2s">Bottom</p><p begin="1s" end="2s" region="top">Top</p></div>`,
+          head,
+          'tts:extent="1920px 1080px"'
+        )
+      );
+      const [bottom, top] = cues;
+      bottom.snapToLines.should.be.false;
+      bottom.line.should.equal(90);
+      bottom.lineAlign.should.equal('end');
+      bottom.size.should.equal(80);
+      bottom.position.should.equal(50);
+      top.line.should.equal(10);
+      top.lineAlign.should.equal('start');
+      top.size.should.equal(80);
+    });
+
+    it('should parse a DFXP document', () => {
+      const dfxp = `<tt xmlns="http://www.w3.org/2006/10/ttaf1" xmlns:tts="http://www.w3.org/2006/10/ttaf1#style">
+                      <body><div><p begin="0.5s" end="1.5s" tts:fontStyle="italic">Dfxp</p></div></body>
+                    </tt>`;
+      const cues = parseTtml(dfxp);
+      cues[0].startTime.should.equal(0.5);
+      cues[0].text.should.equal('<i>Dfxp</i>');
+    });
+
+    it('should throw an invalid xml error', () => {
+      try {
+        parseTtml('<html><body></body></html>');
+        throw new window.Error('should not get here');
+      } catch (e) {
+        e.category.should.equal(Error.Category.TEXT);
+        e.code.should.equal(Error.Code.INVALID_XML);
+      }
+    });
+  });
+});